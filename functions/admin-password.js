@@ -0,0 +1,209 @@
+/**
+ * functions/admin-password.js
+ * * كلمة سر الأدمن (الموافقة على إنشاء الحسابات وعلى المرتجعات خارج السياسة) تُقارن هنا فقط. الـ hash في app_secrets/admin (PBKDF2-SHA256 مع salt)
+ * و firestore.rules تمنع قراءته من المتصفح. نفس صيغة المستند التي كان يكتبها js/admin-password.js فالـ hash الموجود يبقى صالحاً.
+ * كلمة سر الأدمن هي نفسها كلمة سر حساب BAZ في Firebase Auth، فالتغيير يحدّث الاثنين.
+ * بعد MAX_FAILED_ATTEMPTS محاولات خاطئة متتالية يُقفل التحقق LOCK_MINUTES دقيقة.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { pbkdf2, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { canManageUsers, ADMIN_EMAIL } from './roles.js';
+
+const PBKDF2_ITERATIONS = 150000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const pbkdf2Async = promisify(pbkdf2);
+const secretRef = () => getFirestore().doc('app_secrets/admin');
+const configRef = () => getFirestore().doc('app_config/main');
+
+async function hashPassword(password, saltHex, iterations = PBKDF2_ITERATIONS) {
+    const bits = await pbkdf2Async(password, Buffer.from(saltHex, 'hex'), iterations, 32, 'sha256');
+    return bits.toString('hex');
+}
+
+async function buildSecret(password) {
+    const salt = randomBytes(16).toString('hex');
+    return {
+        algorithm: 'PBKDF2-SHA256',
+        iterations: PBKDF2_ITERATIONS,
+        salt,
+        hash: await hashPassword(password, salt),
+        updatedAt: new Date().toISOString(),
+        failedAttempts: 0,
+        lockedUntil: null
+    };
+}
+
+async function matchesSecret(password, secret) {
+    const hash = Buffer.from(await hashPassword(password, secret.salt, secret.iterations), 'hex');
+    const stored = Buffer.from(secret.hash, 'hex');
+    return hash.length === stored.length && timingSafeEqual(hash, stored);
+}
+
+/**
+ * حذف نسخة كلمة السر الصريحة التي كانت تُحفظ أيضاً في مستند المستخدم BAZ.
+ */
+async function clearLegacyUserPassword() {
+    const snapshot = await getFirestore().collection('users').where('username', '==', 'BAZ').get();
+    await Promise.all(snapshot.docs
+        .filter(userDoc => userDoc.data().password !== undefined)
+        .map(userDoc => userDoc.ref.update({ password: FieldValue.delete() })));
+}
+
+/**
+ * حفظ hash لكلمة سر جديدة وحذف الحقل القديم app_config/main.adminPassword إن وجد.
+ * @param {string} password
+ */
+async function storePassword(password) {
+    const secret = await buildSecret(password);
+    const batch = getFirestore().batch();
+    batch.set(secretRef(), secret);
+    batch.set(configRef(), { adminPassword: FieldValue.delete() }, { merge: true });
+    await batch.commit();
+    await clearLegacyUserPassword();
+}
+
+/**
+ * حجز محاولة قبل المقارنة: العداد يزيد ويُفحص القفل داخل معاملة، فالمحاولات المتزامنة لا تقرأ نفس العدد
+ * ولا يمكن تجاوز MAX_FAILED_ATTEMPTS بإرسال محاولات كثيرة معاً. المحاولة الناجحة تصفّر العداد بعد المقارنة.
+ * @returns {Promise<object>} - بيانات app_secrets/admin قبل الحجز.
+ */
+async function reserveAttempt() {
+    return getFirestore().runTransaction(async (transaction) => {
+        const secret = (await transaction.get(secretRef())).data() || {};
+        if (secret.lockedUntil && new Date(secret.lockedUntil) > new Date()) {
+            throw new HttpsError('resource-exhausted', `Too many wrong attempts. Try again after ${LOCK_MINUTES} minutes.`);
+        }
+        const failedAttempts = (secret.failedAttempts || 0) + 1;
+        const locks = failedAttempts >= MAX_FAILED_ATTEMPTS;
+        transaction.set(secretRef(), {
+            failedAttempts: locks ? 0 : failedAttempts,
+            lockedUntil: locks ? new Date(Date.now() + LOCK_MINUTES * 60000).toISOString() : null
+        }, { merge: true });
+        return secret;
+    });
+}
+
+/**
+ * التحقق من كلمة سر الأدمن مع عداد المحاولات الخاطئة. قواعد البيانات القديمة (نص صريح في app_config/main.adminPassword)
+ * تُنقل إلى hash عند أول تحقق ناجح.
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function checkAdminPassword(password) {
+    if (typeof password !== 'string' || !password) return false;
+    const secret = await reserveAttempt();
+
+    let valid;
+    if (secret.hash) {
+        valid = await matchesSecret(password, secret);
+    } else {
+        const legacyPassword = (await configRef().get()).data()?.adminPassword;
+        valid = legacyPassword !== undefined && String(legacyPassword) === password;
+        if (valid) await storePassword(password);
+    }
+
+    if (valid) await secretRef().set({ failedAttempts: 0, lockedUntil: null }, { merge: true });
+    return valid;
+}
+
+async function ensureCanManageUsers(request) {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please log in.');
+    if (!(await canManageUsers(request.auth.token.role || 'cashier'))) {
+        throw new HttpsError('permission-denied', 'You do not have permission to manage users.');
+    }
+}
+
+/**
+ * التحقق من كلمة سر الأدمن من شاشة المستخدمين.
+ * @param {{password: string}} request.data
+ * @returns {{valid: boolean}}
+ */
+export const verifyAdminPassword = onCall(async (request) => {
+    await ensureCanManageUsers(request);
+    return { valid: await checkAdminPassword(request.data?.password) };
+});
+
+/**
+ * موافقة المدير بكلمة سر الأدمن على عملية يطلبها مستخدم لا يملك صلاحيتها (مثل مرتجع بعد مدة الإرجاع).
+ * يكفي تسجيل الدخول لأن الطالب عادة كاشير، وعداد المحاولات نفسه يحمي كلمة السر من التخمين.
+ * @param {{password: string}} request.data
+ * @returns {{valid: boolean}}
+ */
+export const approveWithAdminPassword = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please log in.');
+    return { valid: await checkAdminPassword(request.data?.password) };
+});
+
+/**
+ * إنشاء حساب جديد من صفحة تسجيل الدخول بموافقة كلمة سر الأدمن. لا يحتاج تسجيل دخول، والدور الافتراضي كاشير.
+ * @param {{username: string, password: string, adminPassword: string}} request.data
+ * @returns {{success: boolean}}
+ */
+export const createStaffAccount = onCall(async (request) => {
+    const { password, adminPassword } = request.data || {};
+    const username = String(request.data?.username || '').trim();
+    if (!username || typeof password !== 'string' || password.length < 6) {
+        throw new HttpsError('invalid-argument', 'Enter a username and a password of at least 6 characters.');
+    }
+    if (!(await checkAdminPassword(adminPassword))) throw new HttpsError('permission-denied', 'Incorrect admin password.');
+
+    const users = getFirestore().collection('users');
+    const existing = await users.where('username_lowercase', '==', username.toLowerCase()).limit(1).get();
+    if (!existing.empty) throw new HttpsError('already-exists', 'Username already exists.');
+
+    const user = await getAuth().createUser({ email: `${username}@bazsport.com`, password }).catch(error => {
+        throw error.code === 'auth/email-already-exists' ? new HttpsError('already-exists', 'Username already exists.') : error;
+    });
+    await users.doc(user.uid).set({
+        username,
+        username_lowercase: username.toLowerCase(),
+        employeeId: `EMP${Date.now()}`,
+        phone: '',
+        role: 'cashier', // الدور الافتراضي، ويمكن تغييره من شاشة المستخدمين
+        uid: user.uid
+    });
+    await getAuth().setCustomUserClaims(user.uid, { role: 'cashier' });
+    return { success: true };
+});
+
+/**
+ * تغيير كلمة سر الأدمن بعد التحقق من القديمة، مع تحديث كلمة سر حساب BAZ في Firebase Auth.
+ * @param {{oldPassword: string, newPassword: string}} request.data
+ * @returns {{success: boolean}}
+ */
+export const changeAdminPassword = onCall(async (request) => {
+    await ensureCanManageUsers(request);
+    const { oldPassword, newPassword } = request.data || {};
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        throw new HttpsError('invalid-argument', 'The new password must be at least 6 characters.');
+    }
+    if (!(await checkAdminPassword(oldPassword))) throw new HttpsError('permission-denied', 'Incorrect old admin password.');
+
+    const adminUser = await getAuth().getUserByEmail(ADMIN_EMAIL);
+    await getAuth().updateUser(adminUser.uid, { password: newPassword });
+    await storePassword(newPassword);
+    return { success: true };
+});
+
+/**
+ * ترحيل قواعد البيانات القديمة بدون انتظار أول تحقق: تحويل app_config/main.adminPassword إلى hash وحذفه،
+ * لأن app_config/main يقرؤه كل المستخدمين. تُستدعى عند فتح التطبيق بواسطة مستخدم يملك صلاحية إدارة المستخدمين.
+ * @returns {{migrated: boolean}}
+ */
+export const migrateLegacyAdminPassword = onCall(async (request) => {
+    await ensureCanManageUsers(request);
+    const legacyPassword = (await configRef().get()).data()?.adminPassword;
+    if (legacyPassword === undefined) return { migrated: false };
+    if ((await secretRef().get()).data()?.hash) {
+        await configRef().update({ adminPassword: FieldValue.delete() });
+    } else {
+        await storePassword(String(legacyPassword));
+    }
+    return { migrated: true };
+});
@@ -0,0 +1,12 @@
+/**
+ * functions/index.js
+ * * دوال Firebase (callable) للعمليات التي لا يصح أن يقررها المتصفح: أدوار المستخدمين وكلمة سر الأدمن.
+ * تعمل بـ Admin SDK فتتجاوز firestore.rules، والقواعد تمنع العملاء من نفس الكتابات.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { setUserRole, syncRoleClaim } from './roles.js';
+export { verifyAdminPassword, approveWithAdminPassword, createStaffAccount, changeAdminPassword, migrateLegacyAdminPassword } from './admin-password.js';
@@ -0,0 +1,119 @@
+/**
+ * functions/roles.js
+ * * الدور يُحفظ في users/{id}.role وفي custom claim باسم role على حساب Firebase Auth.
+ * firestore.rules تقرأ الـ claim وتمنع العملاء من تعديل role بأنفسهم، فالتغيير يتم هنا فقط.
+ * نفس قيم الأدوار والافتراضات في js/permissions.js.
+ * المستندات القديمة بدون role يُضبط لها دور مرة واحدة (backfillUserRoles): المالك هو صاحب حساب ADMIN_EMAIL في Auth،
+ * وليس من اسمه BAZ، لأن الاسم كان يمكن تعديله من المتصفح.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+
+export const ROLES = ['owner', 'manager', 'cashier', 'stock_keeper'];
+// حساب الأدمن (BAZ) في Firebase Auth، وكلمة سره هي كلمة سر الأدمن
+export const ADMIN_EMAIL = 'BAZ@bazsport.com';
+
+/**
+ * دور مستند المستخدم. المستند بدون دور صالح يُعامل ككاشير حتى يضبطه backfillUserRoles.
+ * @param {object} user
+ * @returns {string}
+ */
+export function getUserRole(user) {
+    return ROLES.includes(user?.role) ? user.role : 'cashier';
+}
+
+/**
+ * ضبط role لكل مستندات المستخدمين القديمة التي ليس فيها دور: مستند حساب ADMIN_EMAIL مالك، والباقي كاشير.
+ * @returns {Promise<number>} - عدد المستندات التي تم تعديلها.
+ */
+export async function backfillUserRoles() {
+    const snapshot = await getFirestore().collection('users').get();
+    const missing = snapshot.docs.filter(userDoc => !ROLES.includes(userDoc.data().role));
+    if (missing.length === 0) return 0;
+
+    const adminUid = await getAuth().getUserByEmail(ADMIN_EMAIL).then(user => user.uid, () => null);
+    const batch = getFirestore().batch();
+    missing.forEach(userDoc => {
+        const isAdmin = adminUid && (userDoc.id === adminUid || userDoc.data().uid === adminUid);
+        batch.update(userDoc.ref, { role: isAdmin ? 'owner' : 'cashier' });
+    });
+    await batch.commit();
+    return missing.length;
+}
+
+/**
+ * هل يملك الدور صلاحية إدارة المستخدمين؟ المالك دائماً، وباقي الأدوار فقط إذا فُعلت لها في مصفوفة الصلاحيات
+ * (الافتراضي في js/permissions.js أن manageUsers للمالك وحده).
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+export async function canManageUsers(role) {
+    if (role === 'owner') return true;
+    const configDoc = await getFirestore().doc('app_config/main').get();
+    return configDoc.data()?.rolePermissions?.[role]?.manageUsers === true;
+}
+
+/**
+ * مستند المستخدم لحساب Auth. المستندات الجديدة رقمها هو الـ uid، والأقدم فيها حقل uid فقط.
+ * @param {string} uid
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+export async function findUserDoc(uid) {
+    const users = getFirestore().collection('users');
+    const byId = await users.doc(uid).get();
+    if (byId.exists) return byId;
+    const byField = await users.where('uid', '==', uid).limit(1).get();
+    return byField.empty ? null : byField.docs[0];
+}
+
+async function setRoleClaim(uid, role) {
+    const { customClaims } = await getAuth().getUser(uid);
+    await getAuth().setCustomUserClaims(uid, { ...(customClaims || {}), role });
+}
+
+/**
+ * ضبط الـ claim للمستخدم الحالي من مستند المستخدم. تُستدعى بعد تسجيل الدخول وعند تغير الدور في قائمة المستخدمين.
+ * @returns {{role: string, changed: boolean}} - changed يعني أن على المتصفح تحديث الـ ID token.
+ */
+export const syncRoleClaim = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please log in.');
+    let userDoc = await findUserDoc(request.auth.uid);
+    if (!userDoc) throw new HttpsError('not-found', 'User not found.');
+    if (!ROLES.includes(userDoc.data().role)) {
+        await backfillUserRoles();
+        userDoc = await userDoc.ref.get();
+    }
+    const role = getUserRole(userDoc.data());
+    if (request.auth.token.role === role) return { role, changed: false };
+    await setRoleClaim(request.auth.uid, role);
+    return { role, changed: true };
+});
+
+/**
+ * تغيير دور مستخدم من شاشة المستخدمين.
+ * @param {{userId: string, role: string}} request.data - userId رقم مستند المستخدم.
+ * @returns {{success: boolean}}
+ */
+export const setUserRole = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please log in.');
+    const { userId, role } = request.data || {};
+    if (!ROLES.includes(role)) throw new HttpsError('invalid-argument', 'Unknown role.');
+    if (!(await canManageUsers(request.auth.token.role || 'cashier'))) {
+        throw new HttpsError('permission-denied', 'You do not have permission to manage users.');
+    }
+
+    const users = getFirestore().collection('users');
+    const userDoc = await users.doc(String(userId)).get();
+    if (!userDoc.exists) throw new HttpsError('not-found', 'User not found.');
+    if (getUserRole(userDoc.data()) === 'owner' && role !== 'owner') {
+        const allUsers = await users.get();
+        const remainingOwners = allUsers.docs.filter(d => d.id !== userDoc.id && getUserRole(d.data()) === 'owner');
+        if (remainingOwners.length === 0) throw new HttpsError('failed-precondition', 'At least one owner is required.');
+    }
+
+    await userDoc.ref.update({ role });
+    await setRoleClaim(userDoc.data().uid || userDoc.id, role);
+    return { success: true };
+});
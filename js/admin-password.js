@@ -0,0 +1,72 @@
+/**
+ * js/admin-password.js
+ * * كلمة سر الأدمن (المستخدمة للموافقة على إنشاء الحسابات) محفوظة كـ hash فقط في app_secrets/admin،
+ * والتحقق منها وتغييرها وترحيل الحقل القديم app_config/main.adminPassword كلها في دوال Firebase (functions/admin-password.js).
+ * المتصفح لا يقرأ الـ hash (firestore.rules تمنع ذلك)، وهذه الدوال تستدعي الخادم فقط.
+ */
+
+import { functions } from './firebase-init.js';
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-functions.js";
+
+const call = (name, data) => httpsCallable(functions, name)(data).then(result => result.data);
+
+/**
+ * ترحيل قواعد البيانات القديمة: إذا كان الحقل app_config/main.adminPassword ما زال موجوداً يتم تحويله إلى hash وحذفه.
+ * تُستدعى عند فتح التطبيق بواسطة مستخدم يملك صلاحية إدارة المستخدمين.
+ * @returns {Promise<boolean>} - true إذا تم الترحيل.
+ */
+export async function migrateLegacyAdminPassword() {
+    return (await call('migrateLegacyAdminPassword')).migrated;
+}
+
+/**
+ * التحقق من كلمة سر الأدمن (لمستخدم يملك صلاحية إدارة المستخدمين).
+ * @param {string} password - كلمة السر المدخلة.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAdminPassword(password) {
+    if (!password) return false;
+    return (await call('verifyAdminPassword', { password })).valid;
+}
+
+/**
+ * موافقة المدير بكلمة سر الأدمن على عملية خارج صلاحية المستخدم الحالي (لا تحتاج صلاحية إدارة المستخدمين).
+ * @param {string} password - كلمة السر المدخلة.
+ * @returns {Promise<boolean>}
+ */
+export async function approveWithAdminPassword(password) {
+    if (!password) return false;
+    return (await call('approveWithAdminPassword', { password })).valid;
+}
+
+/**
+ * إنشاء حساب كاشير جديد بموافقة كلمة سر الأدمن (من صفحة تسجيل الدخول بدون تسجيل دخول).
+ * @param {{username: string, password: string, adminPassword: string}} account
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function createStaffAccount(account) {
+    try {
+        return await call('createStaffAccount', account);
+    } catch (error) {
+        console.error("Error creating account:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * تغيير كلمة سر الأدمن بعد التحقق من القديمة. الخادم يحدّث أيضاً كلمة سر حساب BAZ في Firebase Auth.
+ * @param {string} oldPassword - كلمة السر الحالية.
+ * @param {string} newPassword - كلمة السر الجديدة.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function changeAdminPassword(oldPassword, newPassword) {
+    try {
+        if (!newPassword || newPassword.length < 6) {
+            return { success: false, message: 'The new password must be at least 6 characters.' };
+        }
+        return await call('changeAdminPassword', { oldPassword, newPassword });
+    } catch (error) {
+        console.error("Error changing admin password:", error);
+        return { success: false, message: error.message };
+    }
+}
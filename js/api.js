@@ -5,8 +5,20 @@
  */
 
 import { state, translations } from './state.js';
-import { showLoader, hideLoader, showNotification } from './utils.js';
+import { showLoader, hideLoader, showNotification, getCurrentDateAsYYYYMMDD, generateUUID, TENDER_METHODS, TENDER_SUMMARY_KEYS, getSalePayments } from './utils.js';
 import { db, storage } from './firebase-init.js';
+import * as offline from './offline.js';
+import { approveWithAdminPassword } from './admin-password.js';
+import { DEFAULT_LOYALTY_SETTINGS } from './loyalty.js';
+import { buildCouponUsage } from './coupons.js';
+import { DEFAULT_RETURN_POLICY } from './returns.js';
+import { DEFAULT_TAX_SETTINGS } from './tax.js';
+import { DEFAULT_ETA_SETTINGS, getEtaSettings, getMissingEtaSettings, buildEtaReceipt, computeEtaUUID, buildEtaQrUrl, getEtaSubmitter, getUnqueuedEtaSales } from './eta.js';
+import { renderQrSvg } from './qrcode.js';
+import { DEFAULT_COURIER_SETTINGS, normalizeCourierSettings, getCourierSettings, getCourierAdapter } from './courier.js';
+import { setDeliveryStatus } from './deliveries.js';
+import { DEFAULT_BOOKING_POLICY, getBookingPayments, getBookingTotal, getBookingPaidTotal, getBookingAllocatedTotal, getBookingBalance, isBookingActive } from './layaway.js';
+import { getReservationId, getReservationExpiry, getActiveHolds, getCartHoldQuantities, findStockConflicts } from './reservations.js';
 import {
     collection, getDocs, doc, getDoc, writeBatch, runTransaction,
     query, where, addDoc, updateDoc, deleteDoc, setDoc
@@ -17,37 +29,62 @@ import { ref, uploadString, getDownloadURL } from "https://www.gstatic.com/fireb
 // --- عمليات البيانات الأساسية ---
 
 /**
- * دالة للتحقق من كلمة سر الأدمن.
+ * دالة للتحقق من كلمة سر الأدمن لموافقة المدير (مقارنة بالـ hash المحفوظ في app_secrets/admin على الخادم).
+ * رسالة الخطأ من الخادم تظهر كما هي، مثل القفل بعد محاولات خاطئة كثيرة.
  */
 export async function validateAdminPassword(password) {
     try {
-        const configRef = doc(db, "app_config", "main");
-        const configDoc = await getDoc(configRef);
-        if (configDoc.exists() && configDoc.data().adminPassword === password) {
+        if (await approveWithAdminPassword(password)) {
             return { success: true };
         } else {
             return { success: false, message: 'Incorrect password.' };
         }
     } catch (error) {
         console.error("Error validating admin password:", error);
-        return { success: false, message: 'An error occurred.' };
+        return { success: false, message: error.message || 'An error occurred.' };
     }
 }
 
 /**
- * تحميل جميع البيانات الأولية من Firestore.
+ * تحميل جميع البيانات الأولية من Firestore، أو من النسخة المحلية في IndexedDB عند انقطاع الاتصال.
  */
 export async function loadData() {
     try {
-        const collections = ['products', 'sales', 'customers', 'bookings', 'defects', 'suppliers', 'shipments', 'shifts', 'users', 'daily_expenses'];
+        const collections = ['products', 'sales', 'customers', 'bookings', 'defects', 'suppliers', 'shipments', 'shifts', 'users', 'daily_expenses', 'promotions', 'coupons', 'store_credits', 'no_receipt_returns', 'eta_receipts', 'reservations', 'parked_receipts', 'courier_settlements'];
         const data = {};
+        const online = offline.isOnline();
         for (const coll of collections) {
-            const snapshot = await getDocs(collection(db, coll));
-            data[coll] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            if (online) {
+                const snapshot = await getDocs(collection(db, coll));
+                data[coll] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                await offline.cacheData(coll, data[coll]);
+            } else {
+                data[coll] = (await offline.readCachedData(coll)) || [];
+            }
+            markCollectionSynced(coll, data[coll]);
         }
-        const configDoc = await getDoc(doc(db, "app_config", "main"));
-        if (configDoc.exists()) {
-            const configData = configDoc.data();
+        // حدود الكوبونات تُقرأ من عداداتها المشتركة وليس من المبيعات المحملة على الجهاز
+        if (online) {
+            const snapshot = await getDocs(couponCountersQuery());
+            data.couponUsage = buildCouponUsage(snapshot.docs.map(counterDoc => counterDoc.data()));
+            await offline.cacheData('coupon_usage', data.couponUsage);
+        } else {
+            data.couponUsage = (await offline.readCachedData('coupon_usage')) || {};
+        }
+        data.storeCredits = data.store_credits;
+        data.noReceiptReturns = data.no_receipt_returns;
+        data.etaReceipts = data.eta_receipts;
+        data.parkedReceipts = data.parked_receipts;
+        data.courierSettlements = data.courier_settlements;
+        let configData = null;
+        if (online) {
+            const configDoc = await getDoc(doc(db, "app_config", "main"));
+            configData = configDoc.exists() ? configDoc.data() : null;
+            await offline.cacheData('config', configData);
+        } else {
+            configData = (await offline.readCachedData('config')) || null;
+        }
+        if (configData) {
             data.config = configData;
             data.categories = configData.categories || [];
             data.salaries = configData.salaries || {};
@@ -57,12 +94,29 @@ export async function loadData() {
                 daily: data.daily_expenses || []
             };
             data.lastShiftReportTime = configData.lastShiftReportTime;
+            data.shiftOpening = configData.shiftOpening || null;
+            data.rolePermissions = configData.rolePermissions || {};
+            data.loyalty = { ...DEFAULT_LOYALTY_SETTINGS, ...(configData.loyalty || {}) };
+            data.returnPolicy = { ...DEFAULT_RETURN_POLICY, ...(configData.returnPolicy || {}) };
+            data.tax = { ...DEFAULT_TAX_SETTINGS, ...(configData.tax || {}) };
+            data.eta = { ...DEFAULT_ETA_SETTINGS, ...(configData.eta || {}) };
+            data.bookingPolicy = { ...DEFAULT_BOOKING_POLICY, ...(configData.bookingPolicy || {}) };
+            data.courier = normalizeCourierSettings(configData.courier);
+            markConfigSynced(configData);
         } else {
             data.config = {};
             data.categories = [];
             data.salaries = {};
             data.salariesPaidStatus = {};
             data.expenses = { rent: { amount: 0, paidStatus: {} }, daily: [] };
+            data.rolePermissions = {};
+            data.loyalty = { ...DEFAULT_LOYALTY_SETTINGS };
+            data.returnPolicy = { ...DEFAULT_RETURN_POLICY };
+            data.tax = { ...DEFAULT_TAX_SETTINGS };
+            data.eta = { ...DEFAULT_ETA_SETTINGS };
+            data.bookingPolicy = { ...DEFAULT_BOOKING_POLICY };
+            data.courier = { ...DEFAULT_COURIER_SETTINGS };
+            data.shiftOpening = null;
         }
         return data;
     } catch (error) {
@@ -71,49 +125,174 @@ export async function loadData() {
     }
 }
 
+// --- تتبع التغييرات للحفظ التدريجي ---
+
+// الحد الأقصى لعدد العمليات في writeBatch واحد حسب قيود Firestore
+const MAX_BATCH_WRITES = 500;
+
+// آخر نسخة معروفة لكل مستند كما هو محفوظ في Firestore (collName -> Map(id -> JSON))
+const syncedSnapshots = {};
+let syncedConfig = null;
+
+/**
+ * تحويل كائن إلى نص JSON بترتيب ثابت للمفاتيح حتى تكون المقارنة موثوقة.
+ * @param {*} value - القيمة المراد تحويلها.
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * بناء بيانات app_config/main التي تديرها الحالة المحلية.
+ * @param {object} source - كائن يحتوي على categories, salaries, salariesPaidStatus, expenses, lastShiftReportTime, shiftOpening, loyalty, returnPolicy, tax, eta, bookingPolicy, courier.
+ * @returns {object}
+ */
+function buildConfigPayload(source) {
+    return {
+        categories: (source.categories || []).filter(c => c !== 'All'),
+        salaries: source.salaries || {},
+        salariesPaidStatus: source.salariesPaidStatus || {},
+        expenses: { rent: source.expenses?.rent || { amount: 0, paidStatus: {} } },
+        lastShiftReportTime: source.lastShiftReportTime || null,
+        shiftOpening: source.shiftOpening || null,
+        loyalty: { ...DEFAULT_LOYALTY_SETTINGS, ...(source.loyalty || {}) },
+        returnPolicy: { ...DEFAULT_RETURN_POLICY, ...(source.returnPolicy || {}) },
+        tax: { ...DEFAULT_TAX_SETTINGS, ...(source.tax || {}) },
+        eta: { ...DEFAULT_ETA_SETTINGS, ...(source.eta || {}) },
+        bookingPolicy: { ...DEFAULT_BOOKING_POLICY, ...(source.bookingPolicy || {}) },
+        courier: normalizeCourierSettings(source.courier)
+    };
+}
+
+/**
+ * إرجاع المجموعات المحفوظة من الحالة الحالية.
+ * @returns {object} - خريطة من اسم المجموعة إلى مصفوفة العناصر.
+ */
+function getTrackedCollections() {
+    const { products, sales, customers, bookings, defects, suppliers, shipments, shifts, users, expenses, promotions, coupons, noReceiptReturns, courierSettlements } = state;
+    return {
+        products, sales, customers, bookings, defects, suppliers, shipments, shifts, users, daily_expenses: expenses?.daily, promotions, coupons,
+        no_receipt_returns: noReceiptReturns, courier_settlements: courierSettlements
+    };
+}
+
+/**
+ * تسجيل محتوى مجموعة كما وصل من Firestore، حتى لا يعتبر تغييراً محلياً عند الحفظ القادم.
+ * @param {string} collName - اسم المجموعة.
+ * @param {Array} items - العناصر كما هي في قاعدة البيانات.
+ */
+export function markCollectionSynced(collName, items) {
+    syncedSnapshots[collName] = new Map(
+        (items || []).filter(item => item.id).map(item => [item.id, stableStringify(item)])
+    );
+}
+
+/**
+ * تسجيل بيانات app_config/main كما وصلت من Firestore.
+ * @param {object} configData - بيانات مستند الإعدادات.
+ */
+export function markConfigSynced(configData) {
+    syncedConfig = stableStringify(buildConfigPayload(configData || {}));
+}
+
+/**
+ * تحويل تغيير واحد ({ collName, id, data, merge }) إلى عملية على writeBatch. القيمة null تعني الحذف.
+ * @param {object} change - التغيير المطلوب.
+ * @returns {Function}
+ */
+function toBatchOperation({ collName, id, data, merge }) {
+    const docRef = doc(db, collName, id);
+    if (data === null) return batch => batch.delete(docRef);
+    return merge ? batch => batch.set(docRef, data, { merge: true }) : batch => batch.set(docRef, data);
+}
+
+/**
+ * تحديث النسخة المحلية في IndexedDB للمجموعات التي تغيرت.
+ * @param {Array<object>} changes - التغييرات التي تم حفظها أو وضعها في الطابور.
+ */
+async function cacheChangedData(changes) {
+    const collections = getTrackedCollections();
+    for (const collName of new Set(changes.map(c => c.collName))) {
+        if (collName === 'app_config') {
+            const cachedConfig = (await offline.readCachedData('config')) || {};
+            const merged = changes.filter(c => c.collName === 'app_config').reduce((config, c) => ({ ...config, ...c.data }), cachedConfig);
+            await offline.cacheData('config', merged);
+        } else if (collections[collName]) {
+            await offline.cacheData(collName, collections[collName]);
+        }
+    }
+}
+
+/**
+ * تنفيذ قائمة عمليات الكتابة على دفعات لا تتجاوز حد Firestore.
+ * @param {Array<Function>} operations - دوال تستقبل batch وتضيف عليه عملية واحدة.
+ */
+async function commitInChunks(operations) {
+    for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(db);
+        operations.slice(i, i + MAX_BATCH_WRITES).forEach(apply => apply(batch));
+        await batch.commit();
+    }
+}
+
 /**
- * حفظ جميع التغييرات في الحالة إلى Firestore.
+ * حفظ التغييرات فقط (الإضافات والتعديلات والحذف) منذ آخر حفظ أو تحميل إلى Firestore.
+ * عند انقطاع الاتصال توضع التغييرات في طابور IndexedDB ويتم إرسالها لاحقاً عبر syncPendingChanges.
  */
 export async function saveData() {
     showLoader();
-    const batch = writeBatch(db);
-    try {
-        const { products, sales, categories, customers, bookings, salaries, salariesPaidStatus, expenses, defects, suppliers, shipments, shifts, users } = state;
-
-        const configRef = doc(db, "app_config", "main");
-        const savedCategories = categories.filter(c => c !== 'All');
-        batch.set(configRef, {
-            categories: savedCategories,
-            salaries,
-            salariesPaidStatus,
-            expenses: { rent: expenses.rent },
-            lastShiftReportTime: state.lastShiftReportTime
-        }, { merge: true });
-
-        const collections = { products, sales, customers, bookings, defects, suppliers, shipments, shifts, users, daily_expenses: expenses.daily };
-        for (const [collName, collData] of Object.entries(collections)) {
-            if (collData) {
-                const existingDocsSnapshot = await getDocs(collection(db, collName));
-                const existingIds = new Set(existingDocsSnapshot.docs.map(d => d.id));
-
-                collData.forEach(item => {
-                    if (item.id) {
-                        const docRef = doc(db, collName, item.id);
-                        batch.set(docRef, item);
-                        existingIds.delete(item.id);
-                    } else {
-                        console.warn(`Item in collection ${collName} is missing an ID`, item);
-                    }
-                });
+    try {
+        const changes = [];
+        const pendingSnapshots = {};
 
-                existingIds.forEach(idToDelete => {
-                    batch.delete(doc(db, collName, idToDelete));
-                });
+        const configPayload = buildConfigPayload(state);
+        const configJson = stableStringify(configPayload);
+        if (configJson !== syncedConfig) {
+            changes.push({ collName: 'app_config', id: 'main', data: configPayload, base: syncedConfig, merge: true });
+        }
+
+        for (const [collName, collData] of Object.entries(getTrackedCollections())) {
+            if (!collData) continue;
+            const synced = syncedSnapshots[collName] || new Map();
+            const current = new Map();
+
+            collData.forEach(item => {
+                if (!item.id) {
+                    console.warn(`Item in collection ${collName} is missing an ID`, item);
+                    return;
+                }
+                const itemJson = stableStringify(item);
+                current.set(item.id, itemJson);
+                if (synced.get(item.id) !== itemJson) {
+                    changes.push({ collName, id: item.id, data: item, base: synced.get(item.id) ?? null });
+                }
+            });
+
+            synced.forEach((baseJson, id) => {
+                if (!current.has(id)) {
+                    changes.push({ collName, id, data: null, base: baseJson });
+                }
+            });
+
+            pendingSnapshots[collName] = current;
+        }
+
+        if (changes.length > 0) {
+            if (offline.isOnline()) {
+                await commitInChunks(changes.map(toBatchOperation));
+            } else {
+                await offline.enqueueMutations(changes.map(change => ({ type: 'write', ...change })));
             }
+            await cacheChangedData(changes);
         }
 
-        await batch.commit();
-        console.log("Data saved successfully.");
+        Object.assign(syncedSnapshots, pendingSnapshots);
+        syncedConfig = configJson;
+        console.log(`Data saved successfully (${changes.length} changes${offline.isOnline() ? '' : ', queued offline'}).`);
     } catch (error) {
         console.error("Failed to save data:", error);
         showNotification("Error: Could not save data.", 'error');
@@ -122,76 +301,1073 @@ export async function saveData() {
     }
 }
 
-// --- دوال اليوميات والمصاريف ---
-export async function saveDailyExpense(expenseData) {
-    try {
-        const docRef = doc(collection(db, "daily_expenses"), expenseData.id);
-        await setDoc(docRef, expenseData);
-        return { success: true };
-    } catch (error) {
-        return { success: false, message: error.message };
-    }
+// --- ترقيم الفواتير والحجوزات والشحنات ---
+
+/**
+ * حجز الرقم التالي لبادئة معينة في يوم معين (اليوم الحالي افتراضياً) عبر عداد في Firestore (counters/{prefix}-{YYYYMMDD}).
+ * العداد لا ينقص أبداً، لذلك لا يتكرر رقم حتى بعد الحذف أو عند البيع من أكثر من جهاز في نفس اللحظة.
+ * @param {string} prefix - البادئة ('S' للمبيعات، 'B' للحجوزات، 'SH' للشحنات).
+ * @param {Array} [existingItems=[]] - العناصر المحلية، تُستخدم فقط لبدء العداد بعد أعلى رقم مستخدم في نفس اليوم.
+ * @param {string} [date] - اليوم بصيغة YYYY-MM-DD، مثل تاريخ فاتورة شحنة بتاريخ سابق.
+ * @returns {Promise<{success: boolean, id?: string, message?: string}>}
+ */
+export async function getNextDailyId(prefix, existingItems = [], date = getCurrentDateAsYYYYMMDD()) {
+    const dateKey = date.slice(0, 10).replace(/-/g, '');
+    const idPrefix = `${prefix}${dateKey}-`;
+    const highestLocal = existingItems
+        .map(item => String(item.id || ''))
+        .filter(id => id.startsWith(idPrefix))
+        .reduce((max, id) => Math.max(max, parseInt(id.slice(idPrefix.length), 10) || 0), 0);
+
+    if (!offline.isOnline()) {
+        // بدون إنترنت: رقم مؤقت خاص بهذا الجهاز (مثل S20261018-OFF3FA2-1) لا يمكن أن يتكرر على جهاز آخر
+        let deviceTag = localStorage.getItem('bazsport-device-tag');
+        if (!deviceTag) {
+            deviceTag = Math.random().toString(16).slice(2, 6).toUpperCase();
+            localStorage.setItem('bazsport-device-tag', deviceTag);
+        }
+        const offlineCounterKey = `bazsport-offline-counter-${prefix}-${dateKey}`;
+        const nextOfflineNumber = (parseInt(localStorage.getItem(offlineCounterKey), 10) || 0) + 1;
+        localStorage.setItem(offlineCounterKey, String(nextOfflineNumber));
+        return { success: true, id: `${idPrefix}OFF${deviceTag}-${nextOfflineNumber}`, isProvisional: true };
+    }
+
+    try {
+        const counterRef = doc(db, "counters", `${prefix}-${dateKey}`);
+        const nextNumber = await runTransaction(db, async (transaction) => {
+            const counterDoc = await transaction.get(counterRef);
+            const lastNumber = counterDoc.exists() ? counterDoc.data().lastNumber || 0 : 0;
+            const next = Math.max(lastNumber, highestLocal) + 1;
+            transaction.set(counterRef, { prefix, date: dateKey, lastNumber: next, updatedAt: new Date().toISOString() });
+            return next;
+        });
+        return { success: true, id: `${idPrefix}${nextNumber}` };
+    } catch (error) {
+        console.error(`Error reserving a ${prefix} number:`, error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * مستندات عدادات الكوبونات (counters/coupon-{id}) دون عدادات أرقام الفواتير.
+ * @returns {object} - Firestore query.
+ */
+export function couponCountersQuery() {
+    return query(collection(db, "counters"), where("prefix", "==", "coupon"));
+}
+
+/**
+ * تحديث نسخة العداد المحلية بعد معاملة حتى تظهر قبل وصول تحديث onSnapshot.
+ * @param {string} couponId
+ * @param {{usedCount: number, customerUses: object}} usage
+ */
+function setLocalCouponUsage(couponId, usage) {
+    state.couponUsage = { ...(state.couponUsage || {}), [couponId]: { usedCount: usage.usedCount, customerUses: usage.customerUses } };
+}
+
+/**
+ * حجز استخدام كوبون بمعاملة على counters/coupon-{id} حتى لا يتجاوز جهازان حد الاستخدام معاً.
+ * لا يمكن استخدام الكوبونات بدون إنترنت لأن الحدود مشتركة بين كل الأجهزة.
+ * @param {object} coupon - بيانات الكوبون.
+ * @param {string} customerPhone - رقم العميل (مطلوب عند وجود حد لكل عميل).
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function redeemCoupon(coupon, customerPhone) {
+    if (!offline.isOnline()) {
+        return { success: false, message: translations[state.lang].couponNeedsConnection };
+    }
+    try {
+        const counterRef = doc(db, "counters", `coupon-${coupon.id}`);
+        const maxUses = parseInt(coupon.maxUses, 10) || 0;
+        const maxUsesPerCustomer = parseInt(coupon.maxUsesPerCustomer, 10) || 0;
+        const { reason, usage } = await runTransaction(db, async (transaction) => {
+            const counterDoc = await transaction.get(counterRef);
+            const current = counterDoc.exists() ? counterDoc.data() : { usedCount: 0, customerUses: {} };
+            const customerUses = { ...(current.customerUses || {}) };
+            const currentUsage = { usedCount: current.usedCount || 0, customerUses };
+            if (maxUses > 0 && currentUsage.usedCount >= maxUses) return { reason: 'couponUsageLimitReached', usage: currentUsage };
+            if (maxUsesPerCustomer > 0 && (customerUses[customerPhone] || 0) >= maxUsesPerCustomer) return { reason: 'couponCustomerLimitReached', usage: currentUsage };
+            if (customerPhone) customerUses[customerPhone] = (customerUses[customerPhone] || 0) + 1;
+            const updated = { prefix: 'coupon', couponId: coupon.id, usedCount: currentUsage.usedCount + 1, customerUses, updatedAt: new Date().toISOString() };
+            transaction.set(counterRef, updated);
+            return { reason: null, usage: updated };
+        });
+        // العداد كما قرأته المعاملة يظهر محلياً حتى لو رُفض الكوبون، فلا يُعرض كمتاح
+        setLocalCouponUsage(coupon.id, usage);
+        return reason ? { success: false, message: translations[state.lang][reason] } : { success: true };
+    } catch (error) {
+        console.error("Error redeeming coupon:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * إلغاء استخدام كوبون بعد إرجاع كل القطع التي طُبق عليها.
+ * @param {string} couponId
+ * @param {string} customerPhone
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function releaseCouponRedemption(couponId, customerPhone) {
+    try {
+        const counterRef = doc(db, "counters", `coupon-${couponId}`);
+        const updated = await runTransaction(db, async (transaction) => {
+            const counterDoc = await transaction.get(counterRef);
+            if (!counterDoc.exists()) return null;
+            const usage = counterDoc.data();
+            const customerUses = usage.customerUses || {};
+            if (customerPhone && customerUses[customerPhone]) customerUses[customerPhone]--;
+            const changes = { usedCount: Math.max(0, (usage.usedCount || 0) - 1), customerUses, updatedAt: new Date().toISOString() };
+            transaction.update(counterRef, changes);
+            return changes;
+        });
+        if (updated) setLocalCouponUsage(couponId, updated);
+        return { success: true };
+    } catch (error) {
+        console.error("Error releasing coupon redemption:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+// --- رصيد المتجر وكروت الهدايا ---
+
+/**
+ * إصدار رصيد متجر أو كارت هدية جديد. يمكن الإصدار بدون إنترنت لأن المستند جديد ولا يتعارض مع جهاز آخر.
+ * @param {object} credit - المستند كاملاً مع أول حركة إصدار في ledger.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function issueStoreCredit(credit) {
+    try {
+        if (!offline.isOnline()) {
+            await queueOfflineWrite('store_credits', credit.id, credit);
+        } else {
+            await setDoc(doc(db, "store_credits", credit.id), credit);
+        }
+        if (!state.storeCredits) state.storeCredits = [];
+        state.storeCredits.push(credit);
+        await offline.cacheData('store_credits', state.storeCredits);
+        return { success: true };
+    } catch (error) {
+        console.error("Error issuing store credit:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * خصم مبلغ من رصيد متجر أو كارت هدية بمعاملة، حتى لا يُستخدم نفس الرصيد على جهازين في نفس الوقت.
+ * لا يمكن الخصم بدون إنترنت لأن الرصيد مشترك بين كل الأجهزة.
+ * @param {string} creditId
+ * @param {number} amount - المبلغ المخصوم.
+ * @param {string} saleId - رقم الفاتورة التي دُفعت بالرصيد.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function redeemStoreCredit(creditId, amount, saleId) {
+    if (!offline.isOnline()) {
+        return { success: false, message: translations[state.lang].storeCreditNeedsConnection };
+    }
+    try {
+        const creditRef = doc(db, "store_credits", creditId);
+        const entry = {
+            id: generateUUID(), type: 'redeem', amount: -amount, saleId,
+            date: new Date().toISOString(), by: state.currentUser?.username || ''
+        };
+        const updated = await runTransaction(db, async (transaction) => {
+            const creditDoc = await transaction.get(creditRef);
+            if (!creditDoc.exists()) return null;
+            const credit = creditDoc.data();
+            const balance = Math.round((credit.balance || 0) * 100) / 100;
+            if (amount - balance > 0.001) return null;
+            const changes = { balance: Math.round((balance - amount) * 100) / 100, ledger: [...(credit.ledger || []), entry], updatedAt: entry.date };
+            transaction.update(creditRef, changes);
+            return changes;
+        });
+        if (!updated) return { success: false, message: translations[state.lang].notEnoughStoreCredit };
+        const localCredit = (state.storeCredits || []).find(c => c.id === creditId);
+        if (localCredit) Object.assign(localCredit, updated);
+        return { success: true };
+    } catch (error) {
+        console.error("Error redeeming store credit:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * هل حجزت الفاتورة رصيد متجر أو استخدام كوبون يجب إلغاؤه عند حذفها؟
+ * @param {object} sale
+ * @returns {boolean}
+ */
+export function saleHasRedemptions(sale) {
+    return Boolean(sale.coupon && !sale.coupon.released)
+        || (state.storeCredits || []).some(credit => (credit.ledger || []).some(entry => entry.type === 'redeem' && entry.saleId === sale.id));
+}
+
+/**
+ * حذف فاتورة مع إلغاء ما حجزته في معاملة واحدة: المبلغ المخصوم من رصيد المتجر أو كارت الهدية يرجع بحركة void،
+ * واستخدام الكوبون يُلغى من counters/coupon-{id} إذا لم يُلغَ بالمرتجع. لا يمكن بدون إنترنت لأن الأرصدة والعدادات مشتركة.
+ * @param {object} sale - الفاتورة قبل الحذف.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function deleteSaleWithRedemptions(sale) {
+    if (!offline.isOnline()) {
+        return { success: false, message: translations[state.lang].storeCreditNeedsConnection };
+    }
+    try {
+        const creditIds = (state.storeCredits || [])
+            .filter(credit => (credit.ledger || []).some(entry => entry.type === 'redeem' && entry.saleId === sale.id))
+            .map(credit => credit.id);
+        const couponRef = sale.coupon && !sale.coupon.released ? doc(db, "counters", `coupon-${sale.coupon.couponId}`) : null;
+        const date = new Date().toISOString();
+        const by = state.currentUser?.username || '';
+        const result = await runTransaction(db, async (transaction) => {
+            const creditDocs = await Promise.all(creditIds.map(id => transaction.get(doc(db, "store_credits", id))));
+            const couponDoc = couponRef ? await transaction.get(couponRef) : null;
+
+            const updates = {};
+            creditDocs.filter(creditDoc => creditDoc.exists()).forEach(creditDoc => {
+                const credit = creditDoc.data();
+                // الحركات السابقة لنفس الفاتورة (redeem بالسالب و void بالموجب) حتى لا يُرد المبلغ مرتين
+                const outstanding = -(credit.ledger || [])
+                    .filter(entry => entry.saleId === sale.id && ['redeem', 'void'].includes(entry.type))
+                    .reduce((sum, entry) => sum + entry.amount, 0);
+                const amount = Math.round(outstanding * 100) / 100;
+                if (amount <= 0) return;
+                const entry = { id: generateUUID(), type: 'void', amount, saleId: sale.id, date, by };
+                updates[creditDoc.id] = {
+                    balance: Math.round(((credit.balance || 0) + amount) * 100) / 100, ledger: [...(credit.ledger || []), entry], updatedAt: date
+                };
+                transaction.update(creditDoc.ref, updates[creditDoc.id]);
+            });
+            let couponUsage = null;
+            if (couponDoc?.exists()) {
+                const usage = couponDoc.data();
+                const customerUses = usage.customerUses || {};
+                if (sale.customerPhone && customerUses[sale.customerPhone]) customerUses[sale.customerPhone]--;
+                couponUsage = { usedCount: Math.max(0, (usage.usedCount || 0) - 1), customerUses, updatedAt: date };
+                transaction.update(couponRef, couponUsage);
+            }
+            transaction.delete(doc(db, "sales", sale.id));
+            return { credits: updates, couponUsage };
+        });
+        Object.entries(result.credits).forEach(([creditId, changes]) => {
+            const localCredit = (state.storeCredits || []).find(c => c.id === creditId);
+            if (localCredit) Object.assign(localCredit, changes);
+        });
+        if (result.couponUsage) setLocalCouponUsage(sale.coupon.couponId, result.couponUsage);
+        return { success: true };
+    } catch (error) {
+        console.error("Error reversing sale redemptions:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+// --- حالات الحجوزات ---
+
+/**
+ * حفظ حجز بعد إغلاقه (إلغاء أو انتهاء) بمعاملة: يُكتب فقط إذا كان ما زال مفتوحاً في Firestore،
+ * حتى لا يُغلق نفس الحجز من جهازين فتعود قطعه للمخزون مرتين. بدون إنترنت يُوضع في طابور المزامنة.
+ * @param {object} updatedBooking - الحجز كاملاً بعد تغيير الحالة.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function closeBookingRecord(updatedBooking) {
+    try {
+        if (!offline.isOnline()) {
+            await queueOfflineWrite('bookings', updatedBooking.id, updatedBooking);
+        } else {
+            const bookingRef = doc(db, "bookings", updatedBooking.id);
+            const closed = await runTransaction(db, async (transaction) => {
+                const bookingDoc = await transaction.get(bookingRef);
+                if (!bookingDoc.exists() || !isBookingActive(bookingDoc.data())) return false;
+                transaction.set(bookingRef, updatedBooking);
+                return true;
+            });
+            if (!closed) return { success: false, message: translations[state.lang].bookingAlreadyClosed };
+            if (!syncedSnapshots.bookings) syncedSnapshots.bookings = new Map();
+            syncedSnapshots.bookings.set(updatedBooking.id, stableStringify(updatedBooking));
+        }
+        state.bookings = state.bookings.map(b => (b.id === updatedBooking.id ? updatedBooking : b));
+        await offline.cacheData('bookings', state.bookings);
+        return { success: true };
+    } catch (error) {
+        console.error("Error closing booking:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+// --- الفواتير المعلقة ---
+
+/**
+ * تعليق فاتورة مفتوحة في parked_receipts/{رقم الفاتورة} حتى تُستكمل من أي جهاز.
+ * يمكن التعليق بدون إنترنت لأن المستند جديد ولا يتعارض مع جهاز آخر.
+ * @param {object} receipt - الفاتورة من state.receipts.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function parkReceipt(receipt) {
+    const parked = {
+        id: receipt.id,
+        receipt: JSON.parse(JSON.stringify(receipt)),
+        parkedBy: state.currentUser?.username || '',
+        parkedAt: new Date().toISOString(),
+        customerName: receipt.customerName || '',
+        customerPhone: receipt.customerPhone || '',
+        itemCount: receipt.cart.reduce((sum, item) => sum + item.quantity, 0),
+        total: receipt.cart.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    };
+    try {
+        if (!offline.isOnline()) {
+            await queueOfflineWrite('parked_receipts', parked.id, parked);
+        } else {
+            await setDoc(doc(db, "parked_receipts", parked.id), parked);
+        }
+        if (!state.parkedReceipts) state.parkedReceipts = [];
+        state.parkedReceipts.push(parked);
+        await offline.cacheData('parked_receipts', state.parkedReceipts);
+        return { success: true };
+    } catch (error) {
+        console.error("Error parking receipt:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * تعليم فاتورة معلقة بأن حجز قطعها أُلغي بعد PARKED_HOLD_MAX_HOURS، فلا تُجدد ويُعاد حجزها عند استكمالها.
+ * @param {string} parkedId
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function markParkedHoldsReleased(parkedId) {
+    try {
+        const changes = { holdsReleasedAt: new Date().toISOString() };
+        await updateDoc(doc(db, "parked_receipts", parkedId), changes);
+        const localParked = (state.parkedReceipts || []).find(p => p.id === parkedId);
+        if (localParked) Object.assign(localParked, changes);
+        return { success: true };
+    } catch (error) {
+        console.error("Error flagging parked receipt:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * سحب فاتورة معلقة (للاستكمال أو الإلغاء) بمعاملة، حتى لا يستكملها جهازان في نفس الوقت.
+ * لا يمكن السحب بدون إنترنت لأن الفاتورة قد تكون سُحبت من جهاز آخر.
+ * @param {string} parkedId
+ * @returns {Promise<{success: boolean, parked?: object, message?: string}>}
+ */
+export async function claimParkedReceipt(parkedId) {
+    if (!offline.isOnline()) {
+        return { success: false, message: translations[state.lang].parkedReceiptNeedsConnection };
+    }
+    try {
+        const parkedRef = doc(db, "parked_receipts", parkedId);
+        const parked = await runTransaction(db, async (transaction) => {
+            const parkedDoc = await transaction.get(parkedRef);
+            if (!parkedDoc.exists()) return null;
+            transaction.delete(parkedRef);
+            return { id: parkedDoc.id, ...parkedDoc.data() };
+        });
+        state.parkedReceipts = (state.parkedReceipts || []).filter(p => p.id !== parkedId);
+        if (!parked) return { success: false, message: translations[state.lang].parkedReceiptGone };
+        return { success: true, parked };
+    } catch (error) {
+        console.error("Error claiming parked receipt:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+// --- الإيصال الإلكتروني (ETA) ---
+
+/**
+ * إنشاء الإيصال الإلكتروني لفاتورة ووضعه في طابور الإرسال (eta_receipts/{رقم الفاتورة}).
+ * آخر UUID في السلسلة محفوظ في counters/eta-chain ويُقرأ ويُحدث بمعاملة، حتى لا يرتبط إيصالان من جهازين بنفس الإيصال السابق.
+ * لا يمكن الإنشاء بدون إنترنت، وتبقى الفاتورة في getUnqueuedEtaSales حتى إرسال المعلق.
+ * @param {object} sale
+ * @returns {Promise<{success: boolean, entry?: object, message?: string}>}
+ */
+export async function queueEtaReceipt(sale) {
+    if (!offline.isOnline()) {
+        return { success: false, message: translations[state.lang].etaNeedsConnection };
+    }
+    const settings = getEtaSettings();
+    const missing = getMissingEtaSettings(settings);
+    if (missing.length > 0) {
+        return { success: false, message: `${translations[state.lang].etaSettingsIncomplete} ${missing.join(', ')}` };
+    }
+    try {
+        const chainRef = doc(db, "counters", "eta-chain");
+        const entryRef = doc(db, "eta_receipts", sale.id);
+        const entry = await runTransaction(db, async (transaction) => {
+            const chainDoc = await transaction.get(chainRef);
+            const entryDoc = await transaction.get(entryRef);
+            if (entryDoc.exists()) return { id: entryDoc.id, ...entryDoc.data() };
+            const previousUUID = chainDoc.exists() ? chainDoc.data().lastUUID || '' : '';
+            const receipt = buildEtaReceipt(sale, { settings, previousUUID });
+            receipt.header.uuid = await computeEtaUUID(receipt);
+            const now = new Date().toISOString();
+            const newEntry = {
+                id: sale.id, saleId: sale.id, uuid: receipt.header.uuid, previousUUID, receipt, qrUrl: buildEtaQrUrl(receipt),
+                status: 'pending', attempts: 0, lastError: '', submissionId: '', createdAt: now, submittedAt: null
+            };
+            transaction.set(chainRef, { prefix: 'eta-chain', lastUUID: newEntry.uuid, lastSaleId: sale.id, updatedAt: now });
+            transaction.set(entryRef, newEntry);
+            return newEntry;
+        });
+        if (!state.etaReceipts) state.etaReceipts = [];
+        if (!state.etaReceipts.some(e => e.id === entry.id)) state.etaReceipts.push(entry);
+        return { success: true, entry };
+    } catch (error) {
+        console.error("Error queueing ETA receipt:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+let isSubmittingEta = false;
+
+/**
+ * إنشاء إيصالات الفواتير التي لم يُنشأ لها إيصال، ثم إرسال الإيصالات المعلقة بترتيب إنشائها.
+ * الإيصال المرفوض يُسجل سبب رفضه ولا يعاد إرساله، وعند فشل الاتصال يتوقف الإرسال ويبقى الباقي معلقاً.
+ * @returns {Promise<{success: boolean, submitted?: number, rejected?: number, message?: string}>}
+ */
+export async function submitPendingEtaReceipts() {
+    const t = translations[state.lang];
+    const settings = getEtaSettings();
+    if (!settings.enabled) return { success: true, submitted: 0, rejected: 0 };
+    if (!offline.isOnline()) return { success: false, message: t.etaNeedsConnection };
+    const submitter = getEtaSubmitter(settings);
+    if (!submitter) return { success: false, message: t.etaNoSubmitter };
+    if (isSubmittingEta) return { success: true, submitted: 0, rejected: 0 };
+
+    isSubmittingEta = true;
+    let submitted = 0;
+    let rejected = 0;
+    try {
+        for (const sale of getUnqueuedEtaSales()) {
+            const queued = await queueEtaReceipt(sale);
+            if (!queued.success) return { success: false, message: queued.message, submitted, rejected };
+        }
+        const pending = (state.etaReceipts || [])
+            .filter(entry => entry.status === 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const entry of pending) {
+            const entryRef = doc(db, "eta_receipts", entry.id);
+            let result;
+            try {
+                result = await submitter.submit(entry.receipt);
+            } catch (error) {
+                const failure = { attempts: (entry.attempts || 0) + 1, lastError: error.message };
+                await updateDoc(entryRef, failure);
+                Object.assign(entry, failure);
+                return { success: false, message: error.message, submitted, rejected };
+            }
+            const changes = result.success
+                ? { status: 'submitted', submissionId: result.submissionId || '', submittedAt: new Date().toISOString(), lastError: '' }
+                : { status: 'rejected', lastError: result.message || '' };
+            changes.attempts = (entry.attempts || 0) + 1;
+            await updateDoc(entryRef, changes);
+            Object.assign(entry, changes);
+            if (result.success) submitted++;
+            else rejected++;
+        }
+        return { success: true, submitted, rejected };
+    } catch (error) {
+        console.error("Error submitting ETA receipts:", error);
+        return { success: false, message: error.message, submitted, rejected };
+    } finally {
+        isSubmittingEta = false;
+    }
+}
+
+// --- شركة الشحن ---
+
+/**
+ * إنشاء شحنة لطلب توصيل عند شركة الشحن المضبوطة في الإعدادات، وحفظ رقم الشحنة على الفاتورة.
+ * @param {string} saleId
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function createCourierShipment(saleId) {
+    const t = translations[state.lang];
+    const sale = state.sales.find(s => s.id === saleId);
+    if (!sale?.delivery) return { success: false, message: t.noDeliveryForSale };
+    if (sale.delivery.shipmentId) return { success: false, message: t.shipmentAlreadyCreated };
+    const settings = getCourierSettings();
+    const adapter = getCourierAdapter(settings);
+    if (!adapter) return { success: false, message: t.courierNotConfigured };
+    if (!offline.isOnline()) return { success: false, message: t.courierNeedsConnection };
+    try {
+        const result = await adapter.createShipment(sale);
+        if (!result.success) return result;
+        Object.assign(sale.delivery, {
+            provider: settings.provider, courier: adapter.name, shipmentId: result.shipmentId, trackingNumber: result.trackingNumber
+        });
+        await saveData();
+        return { success: true };
+    } catch (error) {
+        console.error("Error creating courier shipment:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+let isPollingCourier = false;
+
+/**
+ * تحديث حالات الشحنات المفتوحة من شركة الشحن. الحالات التي لا تقابل حالة عندنا تُحفظ في courierStatus فقط.
+ * @returns {Promise<{success: boolean, updated: number, returnedSaleIds: string[], message?: string}>} - updated عدد الطلبات التي تغيرت حالتها،
+ *          و returnedSaleIds الطلبات التي رجعت للمحل في هذا التحديث.
+ */
+export async function pollCourierShipments() {
+    const settings = getCourierSettings();
+    const adapter = getCourierAdapter(settings);
+    if (!adapter || !offline.isOnline() || isPollingCourier) return { success: true, updated: 0, returnedSaleIds: [] };
+
+    isPollingCourier = true;
+    let updated = 0;
+    const returnedSaleIds = [];
+    let changed = false;
+    try {
+        const openShipments = state.sales.filter(sale => sale.delivery?.shipmentId && sale.delivery.provider === settings.provider
+            && !sale.delivery.settlementId && ['packed', 'handedToCourier'].includes(sale.delivery.status));
+        for (const sale of openShipments) {
+            const result = await adapter.getStatus(sale.delivery);
+            if (!result.success) continue;
+            if (result.courierStatus !== sale.delivery.courierStatus) {
+                sale.delivery.courierStatus = result.courierStatus;
+                changed = true;
+            }
+            if (result.status && result.status !== sale.delivery.status) {
+                setDeliveryStatus(sale.delivery, result.status, adapter.name);
+                if (result.status === 'returnedToSender') returnedSaleIds.push(sale.id);
+                updated++;
+            }
+        }
+        if (changed || updated > 0) await saveData();
+        return { success: true, updated, returnedSaleIds };
+    } catch (error) {
+        console.error("Error polling courier shipments:", error);
+        return { success: false, updated, returnedSaleIds, message: error.message };
+    } finally {
+        isPollingCourier = false;
+    }
+}
+
+/**
+ * طباعة بوليصة الشحن: من شركة الشحن إذا كانت الشحنة منشأة عندها، وإلا بوليصة محلية بالباركود.
+ * @param {string} saleId
+ */
+export async function printShippingLabel(saleId) {
+    const t = translations[state.lang];
+    const sale = state.sales.find(s => s.id === saleId);
+    if (!sale?.delivery) {
+        showNotification(t.noDeliveryForSale, 'error');
+        return;
+    }
+    showLoader();
+    try {
+        const adapter = sale.delivery.shipmentId && offline.isOnline() ? getCourierAdapter() : null;
+        if (adapter) {
+            const result = await adapter.fetchLabel(sale.delivery);
+            if (result.success) {
+                const bytes = Uint8Array.from(atob(result.pdfBase64), char => char.charCodeAt(0));
+                const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+                window.open(url);
+                setTimeout(() => URL.revokeObjectURL(url), 60000);
+                return;
+            }
+            showNotification(`${t.labelFetchFailed} ${result.message}`, 'info');
+        }
+        printLocalShippingLabel(sale);
+    } catch (error) {
+        console.error("Error fetching shipping label:", error);
+        showNotification(`${t.labelFetchFailed} ${error.message}`, 'info');
+        printLocalShippingLabel(sale);
+    } finally {
+        hideLoader();
+    }
+}
+
+/**
+ * بوليصة محلية 100x150mm بالباركود (رقم الشحنة أو رقم الفاتورة) وبيانات العميل والتحصيل.
+ * @param {object} sale
+ */
+function printLocalShippingLabel(sale) {
+    const { delivery } = sale;
+    const barcodeValue = delivery.trackingNumber || sale.id;
+    const printWindow = window.open('', 'PRINT', 'height=600,width=400');
+    printWindow.document.write(`
+        <html><head><title>Shipping Label ${sale.id}</title>
+        <style>
+            body { margin: 0; padding: 5mm; font-family: Arial, sans-serif; width: 100mm; box-sizing: border-box; }
+            .store-name { font-size: 18px; font-weight: bold; text-align: center; margin: 0 0 4px; }
+            .row { font-size: 14px; margin: 4px 0; }
+            .cod { font-size: 22px; font-weight: bold; text-align: center; border: 2px solid #000; padding: 4px; margin: 8px 0; }
+            svg { width: 100%; height: 70px; }
+            @page { size: 100mm 150mm; margin: 0; }
+        </style></head><body>
+        <p class="store-name">Baz Sport</p>
+        <svg id="barcode"></svg>
+        <p class="row"><strong>Receipt:</strong> ${sale.id}</p>
+        ${delivery.courier ? `<p class="row"><strong>Courier:</strong> ${delivery.courier}</p>` : ''}
+        <p class="row"><strong>To:</strong> ${sale.customerName || 'N/A'}</p>
+        <p class="row"><strong>Phone:</strong> ${sale.customerPhone || 'N/A'}</p>
+        <p class="row"><strong>Address:</strong> ${sale.customerAddress || 'N/A'}</p>
+        <p class="row"><strong>City:</strong> ${sale.customerCity || 'N/A'}</p>
+        <p class="row"><strong>Items:</strong> ${sale.items.reduce((sum, item) => sum + item.quantity, 0)}</p>
+        <p class="cod">COD: ${delivery.codAmount.toFixed(2)} EGP</p>
+        <script src="./libs/jsbarcode.all.min.js"><\/script>
+        <script>
+            window.onload = function() {
+                try {
+                    JsBarcode("#barcode", "${barcodeValue}", { format: "CODE128", width: 2, height: 60, displayValue: true, fontSize: 14, margin: 2 });
+                    window.print();
+                } catch (e) { console.error('JsBarcode Error:', e); }
+                setTimeout(() => window.close(), 500);
+            };
+        <\/script></body></html>`);
+    printWindow.document.close();
+}
+
+/**
+ * وضع كتابة أو حذف مستند واحد في طابور المزامنة عند انقطاع الاتصال، واعتباره محفوظاً محلياً.
+ * @param {string} collName - اسم المجموعة.
+ * @param {string} id - معرف المستند.
+ * @param {object|null} data - البيانات الكاملة، أو null للحذف.
+ */
+async function queueOfflineWrite(collName, id, data) {
+    if (!syncedSnapshots[collName]) syncedSnapshots[collName] = new Map();
+    const synced = syncedSnapshots[collName];
+    await offline.enqueueMutations([{ type: 'write', collName, id, data, base: synced.get(id) ?? null }]);
+    if (data === null) synced.delete(id);
+    else synced.set(id, stableStringify(data));
+}
+
+// --- دوال اليوميات والمصاريف ---
+export async function saveDailyExpense(expenseData) {
+    try {
+        if (!offline.isOnline()) {
+            if (!state.expenses.daily) state.expenses.daily = [];
+            state.expenses.daily.push(expenseData);
+            await queueOfflineWrite('daily_expenses', expenseData.id, expenseData);
+            await offline.cacheData('daily_expenses', state.expenses.daily);
+            return { success: true };
+        }
+        const docRef = doc(collection(db, "daily_expenses"), expenseData.id);
+        await setDoc(docRef, expenseData);
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+export async function updateDailyExpense(expenseData) {
+    try {
+        const { id, ...dataToUpdate } = expenseData;
+        if (!offline.isOnline()) {
+            const expense = (state.expenses.daily || []).find(e => e.id === id);
+            if (!expense) return { success: false, message: 'Expense not found.' };
+            Object.assign(expense, dataToUpdate);
+            await queueOfflineWrite('daily_expenses', id, expense);
+            await offline.cacheData('daily_expenses', state.expenses.daily);
+            return { success: true };
+        }
+        await updateDoc(doc(db, "daily_expenses", id), dataToUpdate);
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+export async function deleteDailyExpense(expenseId) {
+    try {
+        if (!offline.isOnline()) {
+            state.expenses.daily = (state.expenses.daily || []).filter(e => e.id !== expenseId);
+            await queueOfflineWrite('daily_expenses', expenseId, null);
+            await offline.cacheData('daily_expenses', state.expenses.daily);
+            return { success: true };
+        }
+        await deleteDoc(doc(db, "daily_expenses", expenseId));
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+export async function saveShift(shiftData) {
+    try {
+        if (!offline.isOnline()) {
+            state.shifts.push(shiftData);
+            state.lastShiftReportTime = shiftData.endedAt;
+            state.shiftOpening = null;
+            await queueOfflineWrite('shifts', shiftData.id, shiftData);
+            await saveData();
+            return { success: true };
+        }
+        await setDoc(doc(db, "shifts", shiftData.id), shiftData);
+        // رصيد البداية يخص الوردية المنتهية فقط، والوردية التالية تبدأ بدون رصيد حتى يُسجل
+        await setDoc(doc(db, "app_config", "main"), { lastShiftReportTime: shiftData.endedAt, shiftOpening: null }, { merge: true });
+        return { success: true };
+    } catch (error) {
+        console.error("Error saving shift:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+// --- إدارة المخزون والتوالف ---
+export async function addDefectiveItem(defectData) {
+    try {
+        await runTransaction(db, async (transaction) => {
+            const productRef = doc(db, "products", defectData.productId);
+            const productDoc = await transaction.get(productRef);
+
+            if (!productDoc.exists()) {
+                throw new Error(`Product with ID ${defectData.productId} not found.`);
+            }
+
+            const product = productDoc.data();
+            const currentQty = product.colors?.[defectData.color]?.sizes?.[defectData.size]?.quantity || 0;
+
+            if (defectData.quantity > currentQty) {
+                throw new Error(`Cannot mark ${defectData.quantity} as defective. Only ${currentQty} in stock.`);
+            }
+
+            const path = `colors.${defectData.color}.sizes.${defectData.size}.quantity`;
+            transaction.update(productRef, { [path]: currentQty - defectData.quantity });
+
+            const newDefectRef = doc(collection(db, "defects"), defectData.id);
+            transaction.set(newDefectRef, defectData);
+        });
+
+        return { success: true };
+    } catch (error) {
+        console.error("Error adding defective item:", error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * تحديث كمية مقاس في الحالة المحلية وفي آخر نسخة محفوظة، حتى لا يعيد saveData كتابة المنتج بكمية قديمة.
+ * @param {string} productId - معرف المنتج.
+ * @param {string} color - اللون.
+ * @param {string} size - المقاس.
+ * @param {number} quantity - الكمية الفعلية في Firestore.
+ */
+function applyStockToState(productId, color, size, quantity) {
+    const sizeData = state.products.find(p => p.id === productId)?.colors?.[color]?.sizes?.[size];
+    if (sizeData) sizeData.quantity = quantity;
+
+    const syncedJson = syncedSnapshots.products?.get(productId);
+    if (syncedJson) {
+        const syncedProduct = JSON.parse(syncedJson);
+        const syncedSize = syncedProduct.colors?.[color]?.sizes?.[size];
+        if (syncedSize) {
+            syncedSize.quantity = quantity;
+            syncedSnapshots.products.set(productId, stableStringify(syncedProduct));
+        }
+    }
+}
+
+/**
+ * دمج التعديلات التي تخص نفس المقاس وحذف التعديلات الصفرية.
+ * @param {Array<{productId: string, color: string, size: string, delta: number}>} changes
+ * @returns {Array<{productId: string, color: string, size: string, delta: number}>}
+ */
+function mergeStockChanges(changes) {
+    const variants = new Map();
+    changes.forEach(({ productId, color, size, delta }) => {
+        const key = `${productId}|${color}|${size}`;
+        const entry = variants.get(key) || { productId, color, size, delta: 0 };
+        entry.delta += delta;
+        variants.set(key, entry);
+    });
+    return [...variants.values()].filter(c => c.delta !== 0);
+}
+
+/**
+ * قراءة المنتجات وحجوزات الفواتير المفتوحة وتطبيق التعديلات داخل معاملة واحدة.
+ * الكمية المتاحة للخصم هي المخزون ناقص حجوزات الفواتير الأخرى. مع reservation يُضبط حجز الفاتورة على كميات سلتها
+ * في نفس المعاملة (سلة فارغة = إلغاء الحجز)، حتى لا تظهر القطع متاحة لجهاز آخر بين الخصم وإلغاء الحجز.
+ * في الوضع العادي لا يُكتب شيء إذا لم تكفِ الكمية؛ أما مع force (عند مزامنة مبيعات تمت بدون إنترنت)
+ * فيتم تطبيق التعديل كما هو بدون النظر للحجوزات لأن البيع حدث فعلاً، ويُعاد التعارض للمراجعة.
+ * @param {Array<object>} activeChanges - التعديلات بعد الدمج.
+ * @param {boolean} [force=false] - تطبيق التعديلات حتى لو أصبحت الكمية سالبة.
+ * @param {{receiptId: string, cart: Array<object>}|null} [reservation=null] - حجز الفاتورة المطلوب بعد التعديل.
+ * @returns {Promise<{conflicts: Array, confirmed: Array, reservations: Array<{id: string, data: object|null}>}>}
+ */
+async function runStockTransaction(activeChanges, force = false, reservation = null) {
+    let conflicts = [];
+    let confirmed = [];
+    let reservations = [];
+    await runTransaction(db, async (transaction) => {
+        conflicts = [];
+        confirmed = [];
+        reservations = [];
+        const now = new Date();
+        const holdQuantities = reservation ? getCartHoldQuantities(reservation.cart) : new Map();
+
+        // المقاسات التي يلزم قراءة حجزها: المخصوم منها، وسلة الفاتورة، وما كانت الفاتورة تحجزه من قبل
+        const variants = new Map();
+        if (!force) {
+            activeChanges.filter(c => c.delta < 0 || reservation).forEach(c => variants.set(getReservationId(c.productId, c.color, c.size), c));
+            holdQuantities.forEach((entry, id) => variants.set(id, entry));
+            if (reservation) (state.reservations || []).filter(r => r.holds?.[reservation.receiptId]).forEach(r => variants.set(r.id, r));
+        }
+
+        const products = {};
+        const productIds = new Set([...activeChanges.map(c => c.productId), ...[...holdQuantities.values()].map(h => h.productId)]);
+        for (const productId of productIds) {
+            const productDoc = await transaction.get(doc(db, "products", productId));
+            products[productId] = productDoc.exists() ? productDoc.data() : null;
+        }
+        const reservationDocs = {};
+        for (const id of variants.keys()) {
+            const reservationDoc = await transaction.get(doc(db, "reservations", id));
+            reservationDocs[id] = reservationDoc.exists() ? reservationDoc.data() : null;
+        }
+
+        const getStock = (productId, color, size) => (products[productId] ? products[productId].colors?.[color]?.sizes?.[size]?.quantity || 0 : null);
+        conflicts = findStockConflicts(activeChanges, holdQuantities, {
+            receiptId: reservation?.receiptId || null, getStock, now,
+            getReservation: id => reservationDocs[id] || null,
+            getProductName: productId => products[productId]?.name || productId
+        });
+
+        const updates = {};
+        activeChanges.forEach(({ productId, color, size, delta }) => {
+            if (!products[productId]) return;
+            const currentQty = getStock(productId, color, size);
+            confirmed.push({ productId, color, size, currentQty, quantity: currentQty + delta });
+            updates[productId] = { ...updates[productId], [`colors.${color}.sizes.${size}.quantity`]: currentQty + delta };
+        });
+
+        if (conflicts.length > 0 && !force) return;
+        Object.entries(updates).forEach(([productId, fields]) => {
+            transaction.update(doc(db, "products", productId), fields);
+        });
+        if (reservation) {
+            variants.forEach((entry, id) => {
+                // الحجوزات المنتهية تُحذف عند أي كتابة على المستند
+                const holds = getActiveHolds(reservationDocs[id], now);
+                delete holds[reservation.receiptId];
+                const requested = holdQuantities.get(id)?.quantity || 0;
+                if (requested > 0) {
+                    holds[reservation.receiptId] = { quantity: requested, expiresAt: getReservationExpiry(now), by: state.currentUser?.username || '', updatedAt: now.toISOString() };
+                }
+                const reservationRef = doc(db, "reservations", id);
+                if (Object.keys(holds).length > 0) {
+                    const data = { productId: entry.productId, color: entry.color, size: entry.size, holds };
+                    transaction.set(reservationRef, data);
+                    reservations.push({ id, data });
+                } else if (reservationDocs[id]) {
+                    transaction.delete(reservationRef);
+                    reservations.push({ id, data: null });
+                }
+            });
+        }
+    });
+    return { conflicts, confirmed, reservations };
+}
+
+/**
+ * تطبيق مستندات الحجز المكتوبة على الحالة المحلية حتى تظهر قبل وصول تحديث onSnapshot.
+ * @param {Array<{id: string, data: object|null}>} reservations
+ */
+function applyReservationsToState(reservations) {
+    if (!state.reservations) state.reservations = [];
+    reservations.forEach(({ id, data }) => {
+        state.reservations = state.reservations.filter(r => r.id !== id);
+        if (data) state.reservations.push({ id, ...data });
+    });
 }
 
-export async function updateDailyExpense(expenseData) {
-    try {
-        const { id, ...dataToUpdate } = expenseData;
-        await updateDoc(doc(db, "daily_expenses", id), dataToUpdate);
+/**
+ * تعديل كميات المخزون داخل معاملة واحدة حتى لا تتعارض أجهزة البيع المختلفة.
+ * القيم السالبة تخصم من المخزون والموجبة تعيده، وتُرفض العملية كاملة إذا لم تكفِ الكمية المتاحة بعد حجوزات الفواتير المفتوحة.
+ * مع reservation يُضبط حجز الفاتورة في نفس المعاملة: إتمام البيع يخصم ويلغي الحجز، وتحميل حجز عميل في فاتورة يعيد الكمية ويحجزها.
+ * عند انقطاع الاتصال يتم التحقق من الكمية المحلية ووضع التعديل في طابور المزامنة، والحجز لا يُكتب حتى يُجدد بعد عودة الاتصال.
+ * @param {Array<{productId: string, color: string, size: string, delta: number}>} changes - التعديلات المطلوبة.
+ * @param {{receiptId: string, cart: Array<object>}|null} [reservation=null] - حجز الفاتورة المطلوب بعد التعديل.
+ * @returns {Promise<{success: boolean, conflicts?: Array, message?: string}>}
+ */
+export async function adjustStock(changes, reservation = null) {
+    const activeChanges = mergeStockChanges(changes);
+    if (activeChanges.length === 0 && !reservation) return { success: true };
+
+    if (!offline.isOnline()) {
+        const localQty = ({ productId, color, size }) => state.products.find(p => p.id === productId)?.colors?.[color]?.sizes?.[size]?.quantity || 0;
+        const conflicts = findStockConflicts(activeChanges, reservation ? getCartHoldQuantities(reservation.cart) : new Map(), {
+            receiptId: reservation?.receiptId || null,
+            getStock: (productId, color, size) => (state.products.some(p => p.id === productId) ? localQty({ productId, color, size }) : null),
+            getReservation: id => (state.reservations || []).find(r => r.id === id) || null,
+            getProductName: productId => state.products.find(p => p.id === productId)?.name || productId
+        });
+        if (conflicts.length > 0) {
+            return { success: false, conflicts, message: 'Not enough stock.' };
+        }
+        if (activeChanges.length === 0) return { success: true };
+        activeChanges.forEach(c => applyStockToState(c.productId, c.color, c.size, localQty(c) + c.delta));
+        await offline.enqueueMutations([{ type: 'stock', changes: activeChanges }]);
+        await offline.cacheData('products', state.products);
         return { success: true };
-    } catch (error) {
-        return { success: false, message: error.message };
     }
-}
 
-export async function deleteDailyExpense(expenseId) {
+    let conflicts, confirmed, reservations;
     try {
-        await deleteDoc(doc(db, "daily_expenses", expenseId));
-        return { success: true };
+        ({ conflicts, confirmed, reservations } = await runStockTransaction(activeChanges, false, reservation));
     } catch (error) {
+        console.error("Error adjusting stock:", error);
         return { success: false, message: error.message };
     }
-}
 
-export async function saveShift(shiftData) {
-    try {
-        await setDoc(doc(db, "shifts", shiftData.id), shiftData);
-        await setDoc(doc(db, "app_config", "main"), { lastShiftReportTime: shiftData.endedAt }, { merge: true });
-        return { success: true };
-    } catch (error) {
-        console.error("Error saving shift:", error);
-        return { success: false, message: error.message };
+    if (conflicts.length > 0) {
+        confirmed.forEach(c => applyStockToState(c.productId, c.color, c.size, c.currentQty));
+        return { success: false, conflicts, message: 'Stock changed by another terminal.' };
     }
+    confirmed.forEach(c => applyStockToState(c.productId, c.color, c.size, c.quantity));
+    applyReservationsToState(reservations);
+    return { success: true };
 }
 
-// --- إدارة المخزون والتوالف ---
-export async function addDefectiveItem(defectData) {
-    try {
-        await runTransaction(db, async (transaction) => {
-            const productRef = doc(db, "products", defectData.productId);
-            const productDoc = await transaction.get(productRef);
+/**
+ * ضبط حجز فاتورة مفتوحة على كميات سلتها بدون تعديل المخزون (إضافة قطع، تعديلها، حذفها، أو تجديد الحجز).
+ * @param {string} receiptId
+ * @param {Array<object>} cart - السلة بعد التعديل، أو [] لإلغاء الحجز.
+ * @returns {Promise<{success: boolean, conflicts?: Array, message?: string}>}
+ */
+export function reserveCartStock(receiptId, cart) {
+    return adjustStock([], { receiptId, cart });
+}
 
-            if (!productDoc.exists()) {
-                throw new Error(`Product with ID ${defectData.productId} not found.`);
-            }
 
-            const product = productDoc.data();
-            const currentQty = product.colors?.[defectData.color]?.sizes?.[defectData.size]?.quantity || 0;
+// --- المزامنة بعد عودة الاتصال ---
 
-            if (defectData.quantity > currentQty) {
-                throw new Error(`Cannot mark ${defectData.quantity} as defective. Only ${currentQty} in stock.`);
-            }
+/**
+ * إعادة تنفيذ كتابة واحدة من الطابور. تُطبق فقط إذا لم يعدّل جهاز آخر المستند منذ آخر نسخة معروفة (base).
+ * @param {object} mutation - عنصر الطابور ({ collName, id, data, base, merge, queuedAt }).
+ * @returns {Promise<object|null>} - تفاصيل التعارض، أو null إذا تم التطبيق.
+ */
+async function replayQueuedWrite(mutation) {
+    const { collName, id, data, base, merge, queuedAt } = mutation;
+    const docRef = doc(db, collName, id);
+    if (merge) {
+        // الإعدادات تُدمج حقلاً بحقل، وآخر تعديل هو المعتمد
+        await setDoc(docRef, data, { merge: true });
+        return null;
+    }
+    return runTransaction(db, async (transaction) => {
+        const serverDoc = await transaction.get(docRef);
+        const serverData = serverDoc.exists() ? { id: serverDoc.id, ...serverDoc.data() } : null;
+        const serverJson = serverData ? stableStringify(serverData) : null;
+        if (serverJson === (data === null ? null : stableStringify(data))) return null;
+        if (serverJson !== base) {
+            return { type: 'write', collName, id, mine: data, server: serverData, queuedAt };
+        }
+        if (data === null) transaction.delete(docRef);
+        else transaction.set(docRef, data);
+        return null;
+    });
+}
 
-            const path = `colors.${defectData.color}.sizes.${defectData.size}.quantity`;
-            transaction.update(productRef, { [path]: currentQty - defectData.quantity });
+// الأرقام المؤقتة التي يعطيها getNextDailyId بدون إنترنت: {prefix}{YYYYMMDD}-OFF{tag}-{n}
+const PROVISIONAL_ID_PATTERN = /^([A-Z]+)(\d{4})(\d{2})(\d{2})-OFF[0-9A-F]+-\d+$/;
 
-            const newDefectRef = doc(collection(db, "defects"), defectData.id);
-            transaction.set(newDefectRef, defectData);
+/**
+ * استبدال الأرقام المؤقتة في الطابور بأرقام حقيقية من عداد نفس اليوم قبل إرسال أي تغيير، حتى يبقى الترقيم متسلسلاً.
+ * كل رقم مؤقت يُحجز له رقم واحد ويُستبدل في كل مكان يظهر فيه (مثل saleId في مستندات أخرى)،
+ * ويُحفظ الطابور بعد التعديل حتى لا يُحجز رقم آخر إذا انقطع الاتصال أثناء الإرسال.
+ * المستند الذي تغير رقمه يحتفظ بالرقم المؤقت في provisionalId للبحث بالإيصال المطبوع أثناء الانقطاع.
+ * @param {Array<{key: number, value: object}>} queue - الطابور كما يرجعه offline.getQueuedMutations.
+ * @returns {Promise<Array<{key: number, value: object}>>} - الطابور بعد التعديل.
+ */
+async function renumberProvisionalIds(queue) {
+    const renumbered = new Map();
+    for (const { value: mutation } of queue) {
+        const match = mutation.type === 'write' ? PROVISIONAL_ID_PATTERN.exec(mutation.id) : null;
+        if (!match || renumbered.has(mutation.id)) continue;
+        const [, prefix, year, month, day] = match;
+        const result = await getNextDailyId(prefix, [], `${year}-${month}-${day}`);
+        if (!result.success || result.isProvisional) throw new Error(result.message || 'Connection lost while numbering offline records.');
+        renumbered.set(mutation.id, result.id);
+    }
+    if (renumbered.size === 0) return queue;
+
+    const renumberedQueue = [];
+    for (const { key, value: mutation } of queue) {
+        let json = JSON.stringify(mutation);
+        renumbered.forEach((realId, provisionalId) => {
+            json = json.replace(new RegExp(`${provisionalId}(?!\\d)`, 'g'), realId);
         });
+        if (json === JSON.stringify(mutation)) {
+            renumberedQueue.push({ key, value: mutation });
+            continue;
+        }
+        const updated = JSON.parse(json);
+        if (renumbered.has(mutation.id)) {
+            const provisionalId = mutation.id;
+            if (updated.data) updated.data.provisionalId = provisionalId;
+            if (updated.base) updated.base = stableStringify({ ...JSON.parse(updated.base), provisionalId });
+        }
+        await offline.replaceQueuedMutation(key, updated);
+        renumberedQueue.push({ key, value: updated });
+    }
+    return renumberedQueue;
+}
+
+/**
+ * إرسال التغييرات المعلقة في IndexedDB إلى Firestore بنفس ترتيب حدوثها.
+ * تعديلات المخزون تُطبق دائماً لأن البيع تم فعلاً، وإذا أصبحت الكمية سالبة تُسجل كتعارض للمراجعة.
+ * الأرقام المؤقتة تُستبدل أولاً بأرقام حقيقية (renumberProvisionalIds).
+ * @returns {Promise<{success: boolean, synced: number, conflicts: number, message?: string}>}
+ */
+export async function syncPendingChanges() {
+    if (!offline.isOnline() || offline.getSyncStatus().isSyncing) return { success: false, synced: 0, conflicts: 0 };
+    offline.setSyncing(true);
+    let synced = 0;
+    let conflicts = 0;
+    try {
+        for (const { key, value: mutation } of await renumberProvisionalIds(await offline.getQueuedMutations())) {
+            if (mutation.type === 'stock') {
+                const result = await runStockTransaction(mutation.changes, true);
+                if (result.conflicts.length > 0) {
+                    await offline.addConflict({ type: 'stock', items: result.conflicts, queuedAt: mutation.queuedAt });
+                    conflicts++;
+                }
+            } else {
+                const conflict = await replayQueuedWrite(mutation);
+                if (conflict) {
+                    await offline.addConflict(conflict);
+                    conflicts++;
+                }
+            }
+            await offline.removeQueuedMutation(key);
+            synced++;
+        }
+        return { success: true, synced, conflicts };
+    } catch (error) {
+        console.error("Error syncing offline changes:", error);
+        return { success: false, synced, conflicts, message: error.message };
+    } finally {
+        offline.setSyncing(false);
+        await offline.refreshSyncStatus();
+    }
+}
 
+/**
+ * حل تعارض مزامنة: إما فرض النسخة المحلية على Firestore أو الإبقاء على نسخة الخادم.
+ * تعارضات المخزون لا تحتاج كتابة، فهي للمراجعة فقط ويتم تصحيحها من صفحة المخزون.
+ * @param {number} conflictKey - مفتاح التعارض في IndexedDB.
+ * @param {boolean} keepMine - true لفرض النسخة المحلية.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function resolveSyncConflict(conflictKey, keepMine) {
+    try {
+        const entry = (await offline.getConflicts()).find(c => c.key === conflictKey);
+        if (!entry) return { success: false, message: 'Conflict not found.' };
+        const conflict = entry.value;
+        if (keepMine && conflict.type === 'write') {
+            const docRef = doc(db, conflict.collName, conflict.id);
+            if (conflict.mine === null) await deleteDoc(docRef);
+            else await setDoc(docRef, conflict.mine);
+        }
+        await offline.removeConflict(conflictKey);
         return { success: true };
     } catch (error) {
-        console.error("Error adding defective item:", error);
-        return { success: false, error: error.message };
+        console.error("Error resolving sync conflict:", error);
+        return { success: false, message: error.message };
     }
 }
 
@@ -200,7 +1376,9 @@ export async function addDefectiveItem(defectData) {
 export async function saveNewInvoice(invoiceData) {
     const { supplierId, date, shippingCost, items } = invoiceData;
     try {
-        const shipmentId = `SH${date.replace(/-/g, '')}-${Date.now().toString().slice(-5)}`;
+        const idResult = await getNextDailyId('SH', state.shipments, date);
+        if (!idResult.success) throw new Error(idResult.message);
+        const shipmentId = idResult.id;
         const newShipment = { id: shipmentId, supplierId, date, shippingCost, items: [], totalCost: 0 };
         let totalInvoiceCost = 0;
 
@@ -252,6 +1430,168 @@ export async function saveNewInvoice(invoiceData) {
 }
 
 
+// --- النسخ الاحتياطي والاستعادة ---
+
+const BACKUP_APP_ID = 'bazsport-web';
+const BACKUP_FORMAT_VERSION = 1;
+// app_secrets غير مشمولة عمداً: قواعد Firestore تمنع قراءتها من المتصفح، ولا يجب أن يخرج hash كلمة سر الأدمن في ملف قابل للتنزيل.
+// لذلك الاستعادة لا تغير كلمة سر الأدمن الحالية.
+const BACKUP_COLLECTIONS = ['products', 'sales', 'customers', 'bookings', 'defects', 'suppliers', 'shipments', 'shifts', 'users', 'daily_expenses', 'promotions', 'coupons', 'store_credits', 'no_receipt_returns', 'eta_receipts', 'courier_settlements', 'counters'];
+
+/**
+ * إرجاع app_config/main بدون adminPassword القديم (من قبل نقل كلمة السر إلى app_secrets) حتى لا يدخل في النسخ الاحتياطي أو الاستعادة.
+ * @param {object} config
+ * @returns {object}
+ */
+function withoutSecrets(config) {
+    const { adminPassword, ...rest } = config || {};
+    return rest;
+}
+
+/**
+ * تصدير جميع مجموعات Firestore مع app_config/main في ملف JSON واحد يتم تنزيله من المتصفح.
+ * الأسرار (app_secrets وكلمة سر الأدمن) لا تُصدر.
+ * @returns {Promise<{success: boolean, fileName?: string, message?: string}>}
+ */
+export async function backupDatabase() {
+    try {
+        const backup = {
+            app: BACKUP_APP_ID,
+            version: BACKUP_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            createdBy: state.currentUser?.username || 'N/A',
+            collections: {},
+            config: null
+        };
+        for (const collName of BACKUP_COLLECTIONS) {
+            const snapshot = await getDocs(collection(db, collName));
+            backup.collections[collName] = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        }
+        const configDoc = await getDoc(doc(db, "app_config", "main"));
+        backup.config = withoutSecrets(configDoc.exists() ? configDoc.data() : {});
+
+        const fileName = `bazsport-backup-${backup.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        return { success: true, fileName };
+    } catch (error) {
+        console.error("Error creating backup:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * قراءة ملف النسخة الاحتياطية والتحقق من صحة بنيته قبل الاستعادة.
+ * @param {string} fileText - محتوى الملف.
+ * @returns {{success: boolean, backup?: object, message?: string}}
+ */
+export function parseBackupFile(fileText) {
+    let backup;
+    try {
+        backup = JSON.parse(fileText);
+    } catch (error) {
+        return { success: false, message: 'The file is not valid JSON.' };
+    }
+    if (!backup || backup.app !== BACKUP_APP_ID) {
+        return { success: false, message: 'This file is not a Baz Sport backup.' };
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_FORMAT_VERSION) {
+        return { success: false, message: `Unsupported backup version: ${backup.version}.` };
+    }
+    if (!backup.collections || typeof backup.collections !== 'object' || !backup.config || typeof backup.config !== 'object') {
+        return { success: false, message: 'The backup is missing its collections or configuration.' };
+    }
+    for (const [collName, items] of Object.entries(backup.collections)) {
+        if (!BACKUP_COLLECTIONS.includes(collName)) {
+            return { success: false, message: `Unknown collection in backup: ${collName}.` };
+        }
+        if (!Array.isArray(items) || items.some(item => !item || typeof item.id !== 'string' || !item.id)) {
+            return { success: false, message: `Collection "${collName}" contains items without a valid ID.` };
+        }
+    }
+    return { success: true, backup };
+}
+
+/**
+ * مقارنة النسخة الاحتياطية بقاعدة البيانات الحالية لمعرفة ما سيتم إضافته أو تعديله أو حذفه.
+ * المجموعات غير الموجودة في الملف تبقى كما هي وتُرجع في skipped.
+ * @param {object} backup - النسخة الاحتياطية بعد التحقق منها.
+ * @returns {Promise<{success: boolean, preview?: object, message?: string}>}
+ */
+export async function previewRestore(backup) {
+    try {
+        const preview = { collections: [], skipped: [], configChanged: false };
+        for (const collName of BACKUP_COLLECTIONS) {
+            if (!(collName in backup.collections)) {
+                preview.skipped.push(collName);
+                continue;
+            }
+            const snapshot = await getDocs(collection(db, collName));
+            const current = new Map(snapshot.docs.map(d => [d.id, stableStringify({ id: d.id, ...d.data() })]));
+            const incoming = backup.collections[collName];
+            const summary = { name: collName, create: 0, update: 0, delete: 0, unchanged: 0 };
+            const incomingIds = new Set();
+            incoming.forEach(item => {
+                incomingIds.add(item.id);
+                if (!current.has(item.id)) summary.create++;
+                else if (current.get(item.id) !== stableStringify(item)) summary.update++;
+                else summary.unchanged++;
+            });
+            current.forEach((_, id) => {
+                if (!incomingIds.has(id)) summary.delete++;
+            });
+            preview.collections.push(summary);
+        }
+        const configDoc = await getDoc(doc(db, "app_config", "main"));
+        preview.configChanged = stableStringify(withoutSecrets(configDoc.exists() ? configDoc.data() : {})) !== stableStringify(withoutSecrets(backup.config));
+        return { success: true, preview };
+    } catch (error) {
+        console.error("Error previewing restore:", error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * استبدال محتوى قاعدة البيانات بمحتوى النسخة الاحتياطية على دفعات لا تتجاوز حد Firestore.
+ * يتم مسح واستبدال المجموعات الموجودة في الملف فقط، والأسرار (app_secrets) لا تتأثر.
+ * @param {object} backup - النسخة الاحتياطية بعد التحقق منها.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function restoreDatabase(backup) {
+    try {
+        const operations = [];
+        for (const collName of BACKUP_COLLECTIONS) {
+            if (!(collName in backup.collections)) continue;
+            const snapshot = await getDocs(collection(db, collName));
+            const incoming = backup.collections[collName];
+            const incomingIds = new Set(incoming.map(item => item.id));
+            incoming.forEach(({ id, ...data }) => {
+                operations.push(batch => batch.set(doc(db, collName, id), data));
+            });
+            snapshot.docs.forEach(d => {
+                if (!incomingIds.has(d.id)) {
+                    operations.push(batch => batch.delete(doc(db, collName, d.id)));
+                }
+            });
+        }
+        operations.push(batch => batch.set(doc(db, "app_config", "main"), withoutSecrets(backup.config)));
+
+        await commitInChunks(operations);
+        return { success: true };
+    } catch (error) {
+        console.error("Error restoring database:", error);
+        return { success: false, message: error.message };
+    }
+}
+
 // --- دوال الطباعة والتصدير ---
 
 export function printBarcode(barcodeValue, productName, color, size, price) {
@@ -289,6 +1629,46 @@ export function printBarcode(barcodeValue, productName, color, size, price) {
     printWindow.document.close();
 }
 
+/**
+ * طباعة كارت هدية أو إيصال رصيد متجر بالباركود على ورق 58mm، حتى يُمسح الكود عند الدفع.
+ * @param {object} credit - من state.storeCredits.
+ */
+export function printGiftCard(credit) {
+    if (!credit?.code) return;
+    const title = credit.type === 'giftCard' ? 'Gift Card' : 'Store Credit';
+    const printWindow = window.open('', 'PRINT', 'height=300,width=300');
+    printWindow.document.write(`
+        <html><head><title>Print ${title}</title>
+        <style>
+            body { text-align: center; margin: 0; padding: 5px; font-family: Arial, sans-serif; width: 58mm; box-sizing: border-box; }
+            .store-name { font-size: 14px; font-weight: bold; margin: 0; }
+            .title { font-size: 13px; font-weight: bold; margin: 4px 0; text-transform: uppercase; }
+            .amount { font-size: 18px; font-weight: bold; margin: 4px 0; }
+            .details { font-size: 10px; margin-top: 2px; }
+            svg { width: 100%; height: 50px; }
+            @page { size: 58mm 50mm; margin: 0; }
+        </style></head><body>
+        <p class="store-name">Baz Sport</p>
+        <p class="title">${title}</p>
+        <p class="amount">${(credit.balance || 0).toFixed(2)} EGP</p>
+        <svg id="barcode"></svg>
+        ${credit.customerName ? `<p class="details">${credit.customerName} ${credit.customerPhone ? `(${credit.customerPhone})` : ''}</p>` : ''}
+        <p class="details">Issued: ${new Date(credit.createdAt).toLocaleDateString()}</p>
+        <script src="./libs/jsbarcode.all.min.js"><\/script>
+        <script>
+            window.onload = function() {
+                try {
+                    JsBarcode("#barcode", "${credit.code}", {
+                        format: "CODE128", width: 1.5, height: 40, displayValue: true, fontSize: 12, textMargin: 0, margin: 2
+                    });
+                    window.print();
+                } catch (e) { console.error('JsBarcode Error:', e); }
+                setTimeout(() => window.close(), 500);
+            };
+        <\/script></body></html>`);
+    printWindow.document.close();
+}
+
 export async function printReceipt(saleId) {
     showLoader();
     try {
@@ -303,13 +1683,17 @@ export async function printReceipt(saleId) {
         let template = await response.text();
 
         const hasReturns = sale.items.some(item => (item.returnedQty || 0) > 0);
-        let itemsHtml = sale.items.map(item => `<tr><td>${item.productName} (${item.color}/${item.size})</td><td>${item.quantity}</td><td>${item.unitPrice.toFixed(2)}</td><td>${(item.unitPrice * item.quantity).toFixed(2)}</td></tr>`).join('');
+        const exemptMark = (item) => sale.tax && item.taxRate === 0 ? ' *' : '';
+        let itemsHtml = sale.items.map(item => `<tr><td>${item.productName} (${item.color}/${item.size})${exemptMark(item)}</td><td>${item.quantity}</td><td>${item.unitPrice.toFixed(2)}</td><td>${(item.unitPrice * item.quantity).toFixed(2)}</td></tr>`).join('');
 
         let returnsSectionHtml = '';
         let totalReturnsValue = 0;
         let displayPaidAmount = sale.paidAmount.toFixed(2);
         const finalTotal = sale.totalAmount + (sale.deliveryFee || 0);
-        let displayChangeAmount = (sale.paidAmount - (finalTotal - (sale.depositPaidOnBooking || 0))).toFixed(2);
+        let displayChangeAmount = (sale.changeAmount ?? (sale.paidAmount - (finalTotal - (sale.depositPaidOnBooking || 0)))).toFixed(2);
+        const paymentsHtml = getSalePayments(sale)
+            .map(p => `<p>${translations[state.lang][p.method] || p.method}: ${(sale.payments ? p.amount : sale.paidAmount).toFixed(2)} EGP</p>`)
+            .join('');
 
         let customerInfoHtml = '';
         if (sale.customerName) {
@@ -340,6 +1724,37 @@ export async function printReceipt(saleId) {
             displayChangeAmount = totalReturnsValue.toFixed(2);
         }
 
+        // فاتورة الاستبدال: القطع المرتجعة من الفاتورة الأصلية تُطبع في نفس الإيصال مع صافي الفرق
+        if (sale.exchange) {
+            const exchangeItemsHtml = sale.exchange.returnedItems.map(item => `<tr><td>${item.productName} (${item.color}/${item.size})</td><td>${item.quantity}</td><td>${(item.value / item.quantity).toFixed(2)}</td><td>${item.value.toFixed(2)}</td></tr>`).join('');
+            const refundHtml = sale.exchange.refundDue > 0
+                ? `<p><strong>${translations[state.lang].exchangeRefundDue}</strong> ${sale.exchange.refundDue.toFixed(2)} EGP${sale.exchange.creditCode ? ` (${translations[state.lang][sale.exchange.refundMethod]} ${sale.exchange.creditCode})` : ''}</p>`
+                : '';
+            returnsSectionHtml += `<h2>استبدال / Exchange - ${sale.exchange.originalSaleId}</h2><table><thead><tr><th>Item</th><th>Qty</th><th>Price</th><th>Total</th></tr></thead><tbody>${exchangeItemsHtml}</tbody></table>${refundHtml}`;
+            totalReturnsValue += sale.exchange.returnedValue;
+            displayChangeAmount = sale.exchange.refundMethod === 'cash' ? sale.exchange.refundDue.toFixed(2) : '0.00';
+        }
+
+        // الضريبة: صافي القطع قبل الضريبة وقيمتها، والقطع المعفاة عليها علامة *
+        let taxSectionHtml = '';
+        if (sale.tax) {
+            taxSectionHtml = `
+                <p><strong>Net before VAT:</strong> ${sale.tax.netAmount.toFixed(2)} EGP</p>
+                <p><strong>VAT ${sale.tax.rate}% (${sale.tax.pricesIncludeTax ? 'included' : 'added'}):</strong> ${sale.tax.taxAmount.toFixed(2)} EGP</p>
+                ${sale.items.some(item => item.taxRate === 0) ? '<p>* VAT exempt</p>' : ''}
+            `;
+        }
+
+        // الإيصال الإلكتروني: كود QR لرابط التحقق على منظومة المصلحة والـ UUID
+        const etaEntry = (state.etaReceipts || []).find(entry => entry.saleId === sale.id);
+        const etaSectionHtml = etaEntry ? `
+            <div class="eta-qr">
+                ${renderQrSvg(etaEntry.qrUrl)}
+                <p>E-Receipt UUID:</p>
+                <p>${etaEntry.uuid}</p>
+            </div>
+        ` : '';
+
         let finalTotalDisplayHtml;
         if (sale.depositPaidOnBooking > 0) {
             const amountRemaining = finalTotal - sale.depositPaidOnBooking;
@@ -355,6 +1770,7 @@ export async function printReceipt(saleId) {
         template = template.replace('{{saleDate}}', new Date(sale.createdAt).toLocaleString())
             .replace('{{saleId}}', sale.id)
             .replace('{{username}}', sale.cashier || 'N/A')
+            .replace('{{taxRegistration}}', sale.tax?.registrationNumber ? `<p>Tax Reg. No: ${sale.tax.registrationNumber}</p>` : '')
             .replace('{{customerInfo}}', customerInfoHtml)
             .replace('{{itemsHtml}}', itemsHtml)
             .replace('{{returnsSection}}', returnsSectionHtml)
@@ -362,8 +1778,11 @@ export async function printReceipt(saleId) {
             .replace('{{discountAmount}}', sale.discountAmount.toFixed(2))
             .replace('{{totalReturns}}', totalReturnsValue.toFixed(2))
             .replace('{{deliveryFee}}', (sale.deliveryFee || 0).toFixed(2))
+            .replace('{{taxSection}}', taxSectionHtml)
             .replace('{{paidAmount}}', displayPaidAmount)
+            .replace('{{paymentsHtml}}', hasReturns ? '' : paymentsHtml)
             .replace('{{changeAmount}}', displayChangeAmount)
+            .replace('{{etaSection}}', etaSectionHtml)
             .replace('{{logoSrc}}', 'logo.png');
 
         template = template.replace(`<div id="final-total-section"></div>`, finalTotalDisplayHtml);
@@ -398,9 +1817,11 @@ export async function printBooking(bookingId) {
         let template = await response.text();
 
         let itemsHtml = booking.cart.map(item => `<tr><td>${item.productName} (${item.color}/${item.size})</td><td>${item.quantity}</td><td>${item.price.toFixed(2)}</td><td>${(item.price * item.quantity).toFixed(2)}</td></tr>`).join('');
-        const subtotal = booking.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        const amountDue = subtotal - booking.deposit;
-        const depositMethodPrint = booking.depositPaymentMethod ? ` (${translations[state.lang][booking.depositPaymentMethod] || booking.depositPaymentMethod})` : '';
+        const subtotal = getBookingTotal(booking);
+        const amountDue = getBookingBalance(booking);
+        const paymentsHtml = getBookingPayments(booking).map(payment => `<tr><td>${new Date(payment.date).toLocaleDateString()}</td><td>${translations[state.lang][payment.method] || payment.method}</td><td>${payment.amount.toFixed(2)}</td></tr>`).join('');
+        // القطع المستلمة في فواتير سابقة والجزء من المدفوع الذي خُصم منها
+        const pickupsHtml = (booking.pickups || []).map(pickup => `<tr><td>${new Date(pickup.date).toLocaleDateString()} #${pickup.saleId}<br>${pickup.items.map(item => `${item.quantity}x ${item.productName} (${item.color}/${item.size})`).join('<br>')}</td><td>-${pickup.allocated.toFixed(2)}</td></tr>`).join('');
 
         template = template.replace('{{bookingDate}}', new Date(booking.createdAt).toLocaleString())
             .replace('{{bookingId}}', booking.id)
@@ -411,7 +1832,11 @@ export async function printBooking(bookingId) {
             .replace('{{customerCity}}', booking.customerCity || 'N/A')
             .replace('{{itemsHtml}}', itemsHtml)
             .replace('{{subtotal}}', subtotal.toFixed(2))
-            .replace('{{deposit}}', booking.deposit.toFixed(2) + depositMethodPrint)
+            .replace('{{deposit}}', getBookingPaidTotal(booking).toFixed(2))
+            .replace('{{paymentsHtml}}', paymentsHtml)
+            .replace('{{pickupsHtml}}', pickupsHtml)
+            .replace('{{appliedToPickups}}', getBookingAllocatedTotal(booking).toFixed(2))
+            .replace('{{dueDate}}', booking.dueDate || 'N/A')
             .replace('{{amountDue}}', amountDue.toFixed(2))
             .replace('{{logoSrc}}', 'logo.png');
 
@@ -431,12 +1856,174 @@ export async function printBooking(bookingId) {
     }
 }
 
-export async function exportReportToPDF() {
+// أسماء طرق الدفع في ملفات PDF (الخط المستخدم لا يدعم العربية)
+const TENDER_LABELS = { cash: 'Cash', instaPay: 'InstaPay', vCash: 'VCash', card: 'Card', storeCredit: 'Store Credit', loyaltyPoints: 'Loyalty Points', exchange: 'Exchange' };
+
+/**
+ * وصف طرق الدفع لعملية بيع في سطر واحد، مثل "Cash 200.00 + InstaPay 300.00".
+ * @param {object} sale - عملية البيع.
+ * @returns {string}
+ */
+function describeSalePayments(sale) {
+    const payments = getSalePayments(sale);
+    if (payments.length === 1) return TENDER_LABELS[payments[0].method] || payments[0].method;
+    return payments.map(p => `${TENDER_LABELS[p.method] || p.method} ${p.amount.toFixed(2)}`).join(' + ');
+}
+
+/**
+ * وصف الفلاتر المطبقة لطباعتها أعلى التقارير.
+ * @param {object} filters - { periodType, selectedPeriod, userFilter, searchTerm }.
+ * @returns {string}
+ */
+function describeReportFilters(filters) {
+    const period = filters.selectedPeriod ? `${filters.periodType === 'month' ? 'Month' : 'Day'}: ${filters.selectedPeriod}` : 'Period: All time';
+    const cashier = `Cashier: ${filters.userFilter === 'all' ? 'All users' : filters.userFilter}`;
+    const search = filters.searchTerm ? ` | Search: "${filters.searchTerm}"` : '';
+    return `${period} | ${cashier}${search}`;
+}
+
+/**
+ * بناء سجل المرتجعات من الفواتير ومن المرتجعات بدون فاتورة، مع دعم الفواتير القديمة التي لا تحتوي على سجل إرجاع مفصل.
+ * @param {object} filters - فلاتر صفحة السجل (الفترة والكاشير).
+ * @returns {Array<object>} - صف لكل صنف مرتجع.
+ */
+function buildReturnsLedger(filters) {
+    const entries = [];
+    state.sales.forEach(sale => {
+        const loggedQtyByItem = {};
+        (sale.returns || []).forEach(ret => {
+            ret.items.forEach(item => {
+                loggedQtyByItem[item.itemId] = (loggedQtyByItem[item.itemId] || 0) + item.quantity;
+                entries.push({
+                    saleId: sale.id, returnedAt: ret.returnedAt, cashier: ret.processedBy || sale.cashier,
+                    type: ret.type, reason: ret.reason, productName: `${item.productName} (${item.color}/${item.size})`,
+                    quantity: item.quantity, value: item.value
+                });
+            });
+        });
+
+        const discountRatio = sale.subtotal > 0 ? sale.discountAmount / sale.subtotal : 0;
+        sale.items.forEach(item => {
+            const unloggedQty = (item.returnedQty || 0) - (loggedQtyByItem[item.id] || 0);
+            if (unloggedQty > 0) {
+                const itemSubtotal = item.unitPrice * unloggedQty;
+                entries.push({
+                    saleId: sale.id, returnedAt: sale.updatedAt || sale.createdAt, cashier: sale.cashier,
+                    type: 'normal', reason: '', productName: `${item.productName} (${item.color}/${item.size})`,
+                    quantity: unloggedQty, value: itemSubtotal - (itemSubtotal * discountRatio)
+                });
+            }
+        });
+    });
+
+    (state.noReceiptReturns || []).forEach(ret => {
+        entries.push({
+            saleId: ret.id, returnedAt: ret.returnedAt, cashier: ret.processedBy,
+            type: 'noReceipt', reason: ret.reason, productName: `${ret.productName} (${ret.color}/${ret.size})`,
+            quantity: ret.quantity, value: ret.value
+        });
+    });
+
+    return entries
+        .filter(entry => !filters.selectedPeriod || entry.returnedAt.startsWith(filters.selectedPeriod))
+        .filter(entry => filters.userFilter === 'all' || entry.cashier === filters.userFilter)
+        .sort((a, b) => new Date(b.returnedAt) - new Date(a.returnedAt));
+}
+
+/**
+ * تصدير قائمة المبيعات المفلترة وملخص الأرباح والخسائر كما تظهر في صفحة السجل.
+ * @param {object} reportData - نتيجة ui.getReportData().
+ */
+export async function exportReportToPDF(reportData) {
     showLoader();
     try {
+        const { filters, filteredSales, summary, promotionCosts = [], creditLiability = null, taxSummary = null } = reportData;
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
-        // ... (Full PDF generation logic from original events.js)
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.text('Sales Report', 105, 20, { align: 'center' });
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.text(describeReportFilters(filters), 14, 30);
+        doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 36);
+
+        const money = value => `${value.toFixed(2)} EGP`;
+        doc.autoTable({
+            startY: 42,
+            head: [['Profit & Loss', 'Amount']],
+            body: [
+                ['Total Revenue', money(summary.totalRevenue)],
+                ...TENDER_METHODS.map(method => [`${TENDER_LABELS[method]} Sales`, money(summary[TENDER_SUMMARY_KEYS[method]])]),
+                ['Promotions Cost', money(summary.totalPromotionDiscounts || 0)],
+                ['Gross Profit', money(summary.grossProfit)],
+                ['Salaries & Rent', money(summary.totalSalariesExpense)],
+                ['Shipping Expense', money(summary.totalShippingExpense)],
+                ['Defects Cost', money(summary.totalDefectsCost)],
+                ['Daily Expenses', money(summary.totalDailyExpenses)],
+                ['Total Operating Expenses', money(summary.operatingExpenses)],
+                ['Net Profit', money(summary.netProfit)],
+                ['Supplier Payments', money(summary.totalSupplierPayments)],
+                ['Items Sold', String(summary.totalItemsSold)],
+                ['Returned Items', String(summary.totalReturns)],
+                ['Free Deliveries', String(summary.totalFreeDeliveries)],
+            ],
+            theme: 'striped',
+        });
+
+        if (promotionCosts.length > 0) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 10,
+                head: [['Promotion', 'Sales', 'Cost']],
+                body: promotionCosts.map(p => [p.name, String(p.salesCount), money(p.discount)]),
+                theme: 'striped',
+            });
+        }
+
+        if (creditLiability) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 10,
+                head: [['Liabilities', 'Amount']],
+                body: [
+                    ['Outstanding Store Credit', money(creditLiability.storeCredit)],
+                    ['Outstanding Gift Cards', money(creditLiability.giftCard)],
+                    ['Total Outstanding Balances', money(creditLiability.total)],
+                    ['Credit Issued in Period', money(creditLiability.issued)],
+                    ['Credit Redeemed in Period', money(creditLiability.redeemed)],
+                ],
+                theme: 'striped',
+            });
+        }
+
+        if (taxSummary && taxSummary.byRate.some(row => row.rate > 0)) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 10,
+                head: [['VAT Rate', 'Net Sales', 'VAT']],
+                body: taxSummary.byRate.map(row => [`${row.rate}%`, money(row.netAmount), money(row.taxAmount)]),
+                foot: [['Total', money(taxSummary.netTotal), money(taxSummary.taxTotal)]],
+                theme: 'striped',
+            });
+        }
+
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 10,
+            head: [['ID', 'Date', 'Cashier', 'Customer', 'Method', 'Items', 'Total', 'Profit']],
+            body: filteredSales.map(s => [
+                s.id,
+                new Date(s.createdAt).toLocaleString(),
+                s.cashier || 'N/A',
+                s.customerName ? `${s.customerName} (${s.customerPhone || ''})` : 'N/A',
+                describeSalePayments(s),
+                s.items.reduce((sum, item) => sum + item.quantity - (item.returnedQty || 0), 0),
+                s.totalAmount.toFixed(2),
+                s.profit.toFixed(2)
+            ]),
+            theme: 'grid',
+            headStyles: { fillColor: [22, 160, 133] },
+            styles: { fontSize: 8 }
+        });
+
         doc.save(`sales-report-${new Date().toISOString().slice(0, 10)}.pdf`);
         showNotification('Report exported to PDF.', 'success');
     } catch (error) {
@@ -452,7 +2039,45 @@ export async function exportInventoryToPDF() {
     try {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF('landscape');
-        // ... (Full PDF generation logic from original events.js)
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.text('Detailed Inventory Report', 148, 20, { align: 'center' });
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
+
+        let totalUnits = 0, totalCostValue = 0, totalRetailValue = 0;
+        const rows = [];
+        [...state.products].sort((a, b) => a.name.localeCompare(b.name)).forEach(product => {
+            Object.entries(product.colors || {}).forEach(([color, colorData]) => {
+                Object.entries(colorData.sizes || {}).forEach(([size, sizeData]) => {
+                    const quantity = sizeData.quantity || 0;
+                    const costValue = quantity * (product.purchasePrice || 0);
+                    const retailValue = quantity * (product.sellingPrice || 0);
+                    totalUnits += quantity;
+                    totalCostValue += costValue;
+                    totalRetailValue += retailValue;
+                    rows.push([
+                        product.name, product.code || '', product.category || '', color, size, quantity,
+                        (product.purchasePrice || 0).toFixed(2), costValue.toFixed(2),
+                        (product.sellingPrice || 0).toFixed(2), retailValue.toFixed(2)
+                    ]);
+                });
+            });
+        });
+
+        doc.autoTable({
+            startY: 36,
+            head: [['Product', 'Code', 'Category', 'Color', 'Size', 'Qty', 'Unit Cost', 'Cost Value', 'Unit Price', 'Retail Value']],
+            body: rows,
+            foot: [['Total', '', '', '', '', totalUnits, '', totalCostValue.toFixed(2), '', totalRetailValue.toFixed(2)]],
+            theme: 'grid',
+            headStyles: { fillColor: [59, 130, 246] },
+            footStyles: { fillColor: [31, 41, 55] },
+            styles: { fontSize: 8 }
+        });
+
         doc.save(`detailed-inventory-report-${new Date().toISOString().slice(0, 10)}.pdf`);
         showNotification('Detailed inventory report exported to PDF.', 'success');
     } catch (error) {
@@ -463,12 +2088,44 @@ export async function exportInventoryToPDF() {
     }
 }
 
-export async function exportReturnsToPDF() {
+const RETURN_TYPE_LABELS = { defective: 'Defective', exchange: 'Exchange', noReceipt: 'No receipt' };
+
+/**
+ * تصدير سجل المرتجعات (السبب، القيمة، الكاشير) حسب فلتر الفترة والكاشير في صفحة السجل.
+ * @param {object} filters - فلاتر صفحة السجل من ui.getReportData().filters.
+ */
+export async function exportReturnsToPDF(filters) {
     showLoader();
     try {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
-        // ... (Full PDF generation logic from original events.js)
+        const ledger = buildReturnsLedger(filters);
+        const totalValue = ledger.reduce((sum, entry) => sum + entry.value, 0);
+        const totalQty = ledger.reduce((sum, entry) => sum + entry.quantity, 0);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.text('Returns Report', 105, 20, { align: 'center' });
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.text(describeReportFilters({ ...filters, searchTerm: '' }), 14, 30);
+        doc.text(`Returned items: ${totalQty} | Returned value: ${totalValue.toFixed(2)} EGP`, 14, 36);
+
+        doc.autoTable({
+            startY: 42,
+            head: [['Date', 'Receipt', 'Item', 'Qty', 'Type', 'Reason', 'Cashier', 'Value']],
+            body: ledger.map(entry => [
+                new Date(entry.returnedAt).toLocaleString(), entry.saleId, entry.productName, entry.quantity,
+                RETURN_TYPE_LABELS[entry.type] || 'To stock', entry.reason || '-', entry.cashier || 'N/A',
+                entry.value.toFixed(2)
+            ]),
+            foot: [['Total', '', '', totalQty, '', '', '', totalValue.toFixed(2)]],
+            theme: 'grid',
+            headStyles: { fillColor: [231, 76, 60] },
+            footStyles: { fillColor: [31, 41, 55] },
+            styles: { fontSize: 8 }
+        });
+
         doc.save(`returns-report-${new Date().toISOString().slice(0, 10)}.pdf`);
         showNotification('Returns report exported to PDF.', 'success');
     } catch (error) {
@@ -659,8 +2316,18 @@ export async function exportShiftToPDF(shift) {
         doc.text(`Ended: ${new Date(shift.endedAt).toLocaleString()}`, 105, 37, { align: 'center' });
 
         const summaryData = [
+            ['Opening Float', `${(shift.summary.openingFloat || 0).toFixed(2)} EGP${shift.opening ? ` (${shift.opening.declaredBy}, ${new Date(shift.opening.declaredAt).toLocaleTimeString()})` : ' (not declared)'}`],
+            ...(shift.opening?.history || []).map(h => [' - Previously Declared', `${h.float.toFixed(2)} EGP (${h.declaredBy}, ${new Date(h.declaredAt).toLocaleTimeString()})`]),
             ['Total Sales', `${shift.summary.totalSales.toFixed(2)} EGP`],
+            ...TENDER_METHODS.map(method => [` - ${TENDER_LABELS[method]}`, `${(shift.summary[TENDER_SUMMARY_KEYS[method]] || 0).toFixed(2)} EGP`]),
+            [' - Cash on Delivery (with couriers)', `${(shift.summary.totalCodCash || 0).toFixed(2)} EGP`],
+            ['Courier Settlements Received', `${(shift.summary.totalCourierReceipts || 0).toFixed(2)} EGP`],
+            ['Booking Payments', `${(shift.summary.totalBookingPayments || 0).toFixed(2)} EGP`],
+            [' - Cash', `${(shift.summary.bookingCashPayments || 0).toFixed(2)} EGP`],
             ['Total Returns', `${shift.summary.totalReturnsValue.toFixed(2)} EGP`],
+            [' - Refunded as Credit', `${(shift.summary.totalCreditRefunds || 0).toFixed(2)} EGP`],
+            ['No-receipt Cash Refunds', `${(shift.summary.totalNoReceiptRefunds || 0).toFixed(2)} EGP`],
+            ['VAT Collected', `${(shift.summary.totalTax || 0).toFixed(2)} EGP`],
             ['Daily Expenses', `${shift.summary.totalDailyExpenses.toFixed(2)} EGP`],
             ['Expected in Drawer', `${shift.summary.expectedInDrawer.toFixed(2)} EGP`],
             ['Actual in Drawer', `${shift.reconciliation.actual.toFixed(2)} EGP`],
@@ -670,11 +2337,32 @@ export async function exportShiftToPDF(shift) {
             startY: 45, head: [['Summary', 'Amount']], body: summaryData, theme: 'striped',
         });
 
+        if ((shift.reconciliation.cashCount || []).length > 0) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 10,
+                head: [['Denomination', 'Count', 'Total']],
+                body: [
+                    ...shift.reconciliation.cashCount.map(d => [`${d.value} EGP`, d.count, d.total.toFixed(2)]),
+                    ['Counted Total', '', shift.reconciliation.actual.toFixed(2)]
+                ],
+                theme: 'grid', headStyles: { fillColor: [52, 73, 94] }
+            });
+        }
+
         if (shift.sales.length > 0) {
             doc.autoTable({
                 startY: doc.lastAutoTable.finalY + 10,
                 head: [['ID', 'Time', 'Cashier', 'Method', 'Amount']],
-                body: shift.sales.map(s => [s.id, new Date(s.createdAt).toLocaleTimeString(), s.cashier, s.paymentMethod, s.totalAmount.toFixed(2)]),
+                body: shift.sales.map(s => [s.id, new Date(s.createdAt).toLocaleTimeString(), s.cashier, describeSalePayments(s), s.totalAmount.toFixed(2)]),
+                theme: 'grid', headStyles: { fillColor: [22, 160, 133] }
+            });
+        }
+
+        if ((shift.bookingPayments || []).length > 0) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 10,
+                head: [['Booking ID', 'Time', 'Cashier', 'Method', 'Amount']],
+                body: shift.bookingPayments.map(p => [p.bookingId, new Date(p.date).toLocaleTimeString(), p.cashier, TENDER_LABELS[p.method] || p.method, p.amount.toFixed(2)]),
                 theme: 'grid', headStyles: { fillColor: [22, 160, 133] }
             });
         }
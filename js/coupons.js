@@ -0,0 +1,136 @@
+/**
+ * js/coupons.js
+ * * كوبونات الخصم التي يكتبها الكاشير في الفاتورة: قيمة ثابتة أو نسبة، حد أدنى للسلة، فترة صلاحية،
+ * حد استخدام كلي ولكل عميل، وتقييد بأقسام معينة.
+ * الكوبونات محفوظة في مجموعة coupons، وعدد الاستخدامات الفعلي في counters/coupon-{id} ويتم تعديله بمعاملة فقط.
+ */
+
+import { state, translations } from './state.js';
+
+export const COUPON_TYPES = ['fixed', 'percent'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+export function findCouponByCode(code, coupons = state.coupons || []) {
+    const normalized = normalizeCouponCode(code);
+    return normalized ? coupons.find(c => normalizeCouponCode(c.code) === normalized) || null : null;
+}
+
+/**
+ * تحويل مستندات counters/coupon-{id} إلى خريطة state.couponUsage من رقم الكوبون إلى { usedCount, customerUses }.
+ * @param {Array<object>} counters - بيانات مستندات العدادات.
+ * @returns {object}
+ */
+export function buildCouponUsage(counters) {
+    return Object.fromEntries(counters.filter(counter => counter.couponId).map(counter => [
+        counter.couponId, { usedCount: counter.usedCount || 0, customerUses: counter.customerUses || {} }
+    ]));
+}
+
+/**
+ * عدد مرات استخدام الكوبون من عداده المشترك (نفس الرقم الذي تتحقق منه معاملة redeemCoupon في api.js).
+ * الاستخدامات الملغاة بمرتجع كامل أو بحذف الفاتورة مخصومة من العداد.
+ * @param {string} couponId
+ * @param {string} [customerPhone] - لحساب استخدامات عميل واحد فقط.
+ * @param {object} [usage] - state.couponUsage.
+ * @returns {number}
+ */
+export function countCouponRedemptions(couponId, customerPhone = null, usage = state.couponUsage || {}) {
+    const counter = usage[couponId];
+    if (!counter) return 0;
+    return customerPhone ? counter.customerUses?.[customerPhone] || 0 : counter.usedCount || 0;
+}
+
+/**
+ * تقييم كوبون على سلة بعد خصم العروض.
+ * @param {object} coupon - بيانات الكوبون.
+ * @param {Array<object>} cart - عناصر السلة ({ productId, price, quantity, promotionDiscount }).
+ * @param {Array<object>} products - المنتجات (لمعرفة القسم).
+ * @param {{customerPhone?: string, now?: Date}} [options]
+ * @returns {{valid: boolean, reason?: string, discount: number, lineDiscounts: number[], eligibleSubtotal: number}}
+ */
+export function evaluateCoupon(coupon, cart, products, { customerPhone = '', now = new Date() } = {}) {
+    const lineDiscounts = cart.map(() => 0);
+    const invalid = (reason) => ({ valid: false, reason, discount: 0, lineDiscounts, eligibleSubtotal: 0 });
+    if (!coupon) return invalid('couponNotFound');
+    if (coupon.active === false) return invalid('couponInactive');
+
+    const today = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    if (coupon.startDate && today < coupon.startDate) return invalid('couponNotStarted');
+    if (coupon.endDate && today > coupon.endDate) return invalid('couponExpired');
+
+    const maxUses = parseInt(coupon.maxUses, 10) || 0;
+    if (maxUses > 0 && countCouponRedemptions(coupon.id) >= maxUses) return invalid('couponUsageLimitReached');
+    const maxUsesPerCustomer = parseInt(coupon.maxUsesPerCustomer, 10) || 0;
+    if (maxUsesPerCustomer > 0) {
+        if (!customerPhone) return invalid('couponNeedsCustomer');
+        if (countCouponRedemptions(coupon.id, customerPhone) >= maxUsesPerCustomer) return invalid('couponCustomerLimitReached');
+    }
+
+    // قيمة كل سطر بعد العروض، والأسطر خارج الأقسام المسموحة لا تدخل في الكوبون
+    const lineValues = cart.map(item => {
+        const product = products.find(p => p.id === item.productId);
+        const isEligible = !coupon.categories?.length || (product && coupon.categories.includes(product.category));
+        return isEligible ? Math.max(0, item.price * item.quantity - (item.promotionDiscount || 0)) : 0;
+    });
+    const eligibleSubtotal = lineValues.reduce((sum, value) => sum + value, 0);
+    if (eligibleSubtotal <= 0) return invalid('couponNoEligibleItems');
+    if (eligibleSubtotal < (parseFloat(coupon.minBasket) || 0)) return invalid('couponMinBasketNotMet');
+
+    const value = parseFloat(coupon.value) || 0;
+    const discount = roundMoney(Math.min(eligibleSubtotal, coupon.type === 'percent' ? eligibleSubtotal * Math.min(value, 100) / 100 : value));
+    lineValues.forEach((lineValue, index) => {
+        lineDiscounts[index] = roundMoney(discount * lineValue / eligibleSubtotal);
+    });
+    return { valid: true, discount, lineDiscounts, eligibleSubtotal: roundMoney(eligibleSubtotal) };
+}
+
+/**
+ * تطبيق كوبون الفاتورة (receipt.couponCode) وحفظ الخصم على الفاتورة وعلى كل عنصر في سلتها.
+ * يجب استدعاؤها بعد حساب العروض لأن الكوبون يُحسب على السعر بعد العروض.
+ * @param {object} receipt - الفاتورة من state.receipts.
+ * @returns {object} - الفاتورة نفسها.
+ */
+export function applyCouponToReceipt(receipt) {
+    if (!receipt) return receipt;
+    receipt.couponId = null;
+    receipt.couponDiscount = 0;
+    receipt.couponError = null;
+    receipt.cart.forEach(item => { item.couponDiscount = 0; });
+    if (!receipt.couponCode) return receipt;
+
+    const coupon = findCouponByCode(receipt.couponCode);
+    const result = evaluateCoupon(coupon, receipt.cart, state.products, { customerPhone: receipt.customerPhone });
+    if (!result.valid) {
+        receipt.couponError = result.reason;
+        return receipt;
+    }
+    receipt.couponId = coupon.id;
+    receipt.couponDiscount = result.discount;
+    receipt.cart.forEach((item, index) => { item.couponDiscount = result.lineDiscounts[index]; });
+    return receipt;
+}
+
+/**
+ * نص رسالة خطأ الكوبون باللغة الحالية.
+ * @param {string} reason - مفتاح الترجمة من evaluateCoupon.
+ * @returns {string}
+ */
+export function describeCouponError(reason) {
+    return translations[state.lang][reason] || reason;
+}
+
+/**
+ * نصيب القطع المرتجعة من خصم الكوبون، بنسبة الكمية المرتجعة من كمية السطر.
+ * @param {object} saleItem - عنصر من sale.items.
+ * @param {number} quantity - الكمية المرتجعة.
+ * @returns {number}
+ */
+export function getCouponShareForReturn(saleItem, quantity) {
+    if (!saleItem.couponDiscount || !saleItem.quantity) return 0;
+    return roundMoney(saleItem.couponDiscount * quantity / saleItem.quantity);
+}
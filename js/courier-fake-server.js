@@ -0,0 +1,98 @@
+/**
+ * js/courier-fake-server.js
+ * * خادم شحن وهمي داخل الصفحة بنفس مسارات واجهة Bosta المستخدمة في courier.js، للتجربة بدون شركة شحن:
+ * POST /deliveries لإنشاء شحنة، GET /deliveries/business/{trackingNumber} لحالتها، GET /deliveries/mass-awb?ids= للبوليصة (PDF).
+ * الشحنات في الذاكرة فقط، وكل استعلام عن الحالة يقدّم الشحنة خطوة (إنشاء ← استلام ← خروج للتسليم ← تسليم) إذا كان autoAdvance مفعلاً.
+ */
+
+export const FAKE_COURIER_BASE_URL = 'https://fake-courier.local/api/v2';
+
+const STATE_STEPS = [
+    { code: 10, value: 'Created' },
+    { code: 21, value: 'Picked up' },
+    { code: 41, value: 'Out for delivery' },
+    { code: 45, value: 'Delivered' }
+];
+
+/**
+ * بوليصة PDF بسيطة من صفحة واحدة. الخط الأساسي في PDF لا يدعم العربية فتظهر الحروف غير اللاتينية كـ "?".
+ * @param {Array<string>} lines
+ * @returns {string} - PDF بترميز base64.
+ */
+function buildLabelPdf(lines) {
+    const escape = (text) => String(text).replace(/[^\x20-\x7E]/g, '?').replace(/([\\()])/g, '\\$1');
+    const content = `BT /F1 14 Tf 20 400 Td 18 TL ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+    return btoa(pdf);
+}
+
+/**
+ * إنشاء خادم وهمي جديد.
+ * @param {{autoAdvance?: boolean, rejectCreate?: function(object): string|null}} [options] - rejectCreate ترجع سبب رفض إنشاء الشحنة أو null.
+ * @returns {{fetch: function(string, object): Promise<Response>, deliveries: Map<string, object>, setState: function(string, number): void}}
+ */
+export function createFakeCourierServer({ autoAdvance = true, rejectCreate = () => null } = {}) {
+    const deliveries = new Map();
+    let counter = 0;
+    const reply = (status, body) => Promise.resolve(new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } }));
+
+    async function fakeFetch(url, options = {}) {
+        const { pathname, searchParams } = new URL(url);
+        const path = pathname.replace(new URL(FAKE_COURIER_BASE_URL).pathname, '');
+        const method = (options.method || 'GET').toUpperCase();
+
+        if (method === 'POST' && path === '/deliveries') {
+            const body = JSON.parse(options.body || '{}');
+            const reason = rejectCreate(body);
+            if (reason) return reply(400, { success: false, message: reason });
+            counter++;
+            const delivery = { _id: `fake-${counter}`, trackingNumber: String(7000000 + counter), step: 0, request: body };
+            deliveries.set(delivery.trackingNumber, delivery);
+            return reply(201, { success: true, data: { _id: delivery._id, trackingNumber: delivery.trackingNumber, state: STATE_STEPS[0] } });
+        }
+        if (method === 'GET' && path.startsWith('/deliveries/business/')) {
+            const delivery = deliveries.get(decodeURIComponent(path.slice('/deliveries/business/'.length)));
+            if (!delivery) return reply(404, { success: false, message: 'Delivery not found' });
+            if (autoAdvance && delivery.step < STATE_STEPS.length - 1) delivery.step++;
+            return reply(200, { success: true, data: { trackingNumber: delivery.trackingNumber, state: delivery.state || STATE_STEPS[delivery.step] } });
+        }
+        if (method === 'GET' && path === '/deliveries/mass-awb') {
+            const delivery = [...deliveries.values()].find(d => d._id === searchParams.get('ids'));
+            if (!delivery) return reply(404, { success: false, message: 'Delivery not found' });
+            const { receiver, dropOffAddress, cod, businessReference } = delivery.request;
+            return reply(200, {
+                success: true,
+                data: buildLabelPdf([
+                    'TEST COURIER', `Tracking: ${delivery.trackingNumber}`, `Ref: ${businessReference}`,
+                    `${receiver.firstName} ${receiver.lastName}`, receiver.phone, dropOffAddress.firstLine, dropOffAddress.city, `COD: ${cod} EGP`
+                ])
+            });
+        }
+        return reply(404, { success: false, message: `No route for ${method} ${path}` });
+    }
+
+    return {
+        fetch: fakeFetch,
+        deliveries,
+        // ضبط حالة شحنة يدوياً (مثلاً 46 للمرتجع) بدلاً من التقدم التلقائي
+        setState(trackingNumber, code) {
+            const delivery = deliveries.get(trackingNumber);
+            if (delivery) delivery.state = { code, value: String(code) };
+        }
+    };
+}
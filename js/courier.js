@@ -0,0 +1,143 @@
+/**
+ * js/courier.js
+ * * ربط طلبات التوصيل بشركة الشحن عن طريق "محوّل" قابل للاستبدال، فيه ثلاث عمليات:
+ * createShipment(sale) لإنشاء الشحنة، fetchLabel(delivery) لجلب البوليصة، getStatus(delivery) لمتابعة الحالة.
+ * أول تنفيذ لـ Bosta (واجهة v2) عن طريق خادم وسيط (baseUrl) يضيف مفتاح الـ API ويرسل الطلب لـ Bosta،
+ * لأن app_config/main يقرأه كل المستخدمين، ولأن Bosta لا تقبل طلبات المتصفح مباشرة (CORS). المفتاح لا يُحفظ في الإعدادات.
+ * مزود 'fake' يستخدم نفس محوّل Bosta مع خادم وهمي داخل الصفحة (courier-fake-server.js) للتجربة بدون شركة شحن.
+ * الإعدادات في app_config/main.courier، وبيانات الشحنة على sale.delivery (provider, shipmentId, trackingNumber).
+ */
+
+import { state } from './state.js';
+import { createFakeCourierServer, FAKE_COURIER_BASE_URL } from './courier-fake-server.js';
+
+export const COURIER_PROVIDERS = { bosta: 'Bosta', fake: 'Test Courier' };
+
+export const DEFAULT_COURIER_SETTINGS = {
+    provider: '',                            // '' = بدون ربط، أو مفتاح من COURIER_PROVIDERS
+    baseUrl: '',                             // عنوان الخادم الوسيط لـ Bosta (مطلوب)
+    pollMinutes: 30                          // كل كم دقيقة تُحدث حالات الشحنات المفتوحة
+};
+
+// أكواد حالة الشحنة في Bosta وما يقابلها في DELIVERY_STATUSES، وباقي الأكواد لا تغير الحالة
+const BOSTA_STATUS_MAP = {
+    10: 'packed',           // تم إنشاء الشحنة
+    20: 'handedToCourier',  // في الطريق للاستلام
+    21: 'handedToCourier',  // استلمها المندوب
+    24: 'handedToCourier',  // في المخزن
+    30: 'handedToCourier',  // في الطريق بين الفروع
+    41: 'handedToCourier',  // خرجت للتسليم
+    45: 'delivered',
+    46: 'returnedToSender'
+};
+
+/**
+ * إعدادات الشحن مع القيم الافتراضية، بدون apiKey القديم (كان يُحفظ في الإعدادات قبل الخادم الوسيط) حتى يُحذف عند أول حفظ.
+ * @param {object} [courier]
+ * @returns {object}
+ */
+export function normalizeCourierSettings(courier) {
+    const { apiKey, ...settings } = { ...DEFAULT_COURIER_SETTINGS, ...(courier || {}) };
+    return settings;
+}
+
+export function getCourierSettings() {
+    return normalizeCourierSettings(state.courier);
+}
+
+/**
+ * بيانات الشحنة من الفاتورة بصيغة مستقلة عن شركة الشحن.
+ * @param {object} sale - فاتورة فيها delivery.
+ * @returns {{reference: string, receiverName: string, receiverPhone: string, city: string, address: string, cod: number, itemsCount: number, description: string}}
+ */
+export function buildShipmentRequest(sale) {
+    return {
+        reference: sale.id,
+        receiverName: sale.customerName || '',
+        receiverPhone: sale.customerPhone || '',
+        city: sale.customerCity || '',
+        address: sale.customerAddress || '',
+        cod: sale.delivery?.codAmount || 0,
+        itemsCount: sale.items.reduce((sum, item) => sum + item.quantity - (item.returnedQty || 0), 0),
+        description: sale.items
+            .filter(item => item.quantity - (item.returnedQty || 0) > 0)
+            .map(item => `${item.quantity - (item.returnedQty || 0)}x ${item.productName} (${item.color}/${item.size})`).join(', ')
+    };
+}
+
+/**
+ * محوّل Bosta. fetchFn قابل للاستبدال حتى يعمل نفس الكود مع الخادم الوهمي.
+ * baseUrl هو الخادم الوسيط الذي يضيف مفتاح الـ API، لذلك لا يُرسل المتصفح أي مفتاح.
+ * @param {{baseUrl: string, fetchFn?: function}} options
+ * @returns {{name: string, createShipment: function(object): Promise<object>, fetchLabel: function(object): Promise<object>, getStatus: function(object): Promise<object>}}
+ */
+export function createBostaAdapter({ baseUrl, fetchFn = (...args) => fetch(...args), name = COURIER_PROVIDERS.bosta }) {
+    const request = async (path, options = {}) => {
+        const response = await fetchFn(`${baseUrl.replace(/\/$/, '')}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.status >= 500) throw new Error(result.message || `Courier API returned ${response.status}`);
+        if (!response.ok || result.success === false) return { success: false, message: result.message || `HTTP ${response.status}` };
+        return { success: true, data: result.data };
+    };
+
+    return {
+        name,
+        async createShipment(sale) {
+            const shipment = buildShipmentRequest(sale);
+            const [firstName, ...lastName] = shipment.receiverName.split(' ');
+            const result = await request('/deliveries?apiVersion=1', {
+                method: 'POST',
+                body: JSON.stringify({
+                    type: 10,
+                    specs: { packageDetails: { itemsCount: shipment.itemsCount, description: shipment.description } },
+                    cod: shipment.cod,
+                    dropOffAddress: { city: shipment.city, firstLine: shipment.address },
+                    receiver: { firstName: firstName || '-', lastName: lastName.join(' ') || '-', phone: shipment.receiverPhone },
+                    businessReference: shipment.reference
+                })
+            });
+            if (!result.success) return result;
+            return { success: true, shipmentId: result.data._id, trackingNumber: String(result.data.trackingNumber) };
+        },
+        async fetchLabel(delivery) {
+            const result = await request(`/deliveries/mass-awb?ids=${encodeURIComponent(delivery.shipmentId)}`);
+            if (!result.success) return result;
+            return { success: true, pdfBase64: result.data };
+        },
+        async getStatus(delivery) {
+            const result = await request(`/deliveries/business/${encodeURIComponent(delivery.trackingNumber)}`);
+            if (!result.success) return result;
+            const code = result.data?.state?.code;
+            return { success: true, status: BOSTA_STATUS_MAP[code] || null, courierStatus: result.data?.state?.value || String(code) };
+        }
+    };
+}
+
+let customAdapter = null;
+let fakeServer = null;
+
+/**
+ * استبدال المحوّل (للتجربة أو لشركة شحن أخرى). تمرير null يرجع للمحوّل حسب الإعدادات.
+ * @param {object|null} adapter - كائن فيه name و createShipment و fetchLabel و getStatus.
+ */
+export function setCourierAdapter(adapter) {
+    customAdapter = adapter;
+}
+
+/**
+ * المحوّل الحالي: المحوّل المستبدل إن وجد، ثم مزود الإعدادات، أو null إذا لم يُضبط ربط (أو Bosta بدون خادم وسيط).
+ * @param {object} [settings]
+ * @returns {object|null}
+ */
+export function getCourierAdapter(settings = getCourierSettings()) {
+    if (customAdapter) return customAdapter;
+    if (settings.provider === 'bosta') return settings.baseUrl ? createBostaAdapter({ baseUrl: settings.baseUrl }) : null;
+    if (settings.provider === 'fake') {
+        if (!fakeServer) fakeServer = createFakeCourierServer();
+        return createBostaAdapter({ baseUrl: FAKE_COURIER_BASE_URL, fetchFn: fakeServer.fetch, name: COURIER_PROVIDERS.fake });
+    }
+    return null;
+}
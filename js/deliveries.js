@@ -0,0 +1,117 @@
+/**
+ * js/deliveries.js
+ * * متابعة طلبات التوصيل بعد البيع: كل فاتورة فيها توصيل (رسوم توصيل أو توصيل مجاني) يُسجل عليها
+ * sale.delivery = { status, courier, trackingNumber, codAmount, courierFee, statusHistory, settlementId }.
+ * codAmount هو المبلغ الذي يحصّله المندوب من العميل، و courierFee ما يخصمه المندوب مقابل التوصيل.
+ * تسوية المندوب (مجموعة courier_settlements) تجمع الطلبات المسلمة والمرتجعة غير المسواة لمندوب واحد،
+ * والمتوقع توريده = التحصيل من الطلبات المسلمة - رسوم التوصيل لكل الطلبات.
+ * التحصيل لا يدخل درج الوردية عند البيع، والمبلغ المستلم في التسوية يدخل درج الوردية التي سُجلت فيها.
+ * الطلب المرتجع للمحل (returnedToSender) يُستلم كمرتجع حتى ترجع قطعه للمخزون وتُخصم قيمته من الفاتورة.
+ */
+
+export const DELIVERY_STATUSES = ['packed', 'handedToCourier', 'delivered', 'returnedToSender'];
+// الحالات التي انتهى فيها الطلب عند المندوب وتدخل في التسوية
+export const SETTLEABLE_DELIVERY_STATUSES = ['delivered', 'returnedToSender'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * هل البيع فيه توصيل؟
+ * @param {object} sale
+ * @returns {boolean}
+ */
+export function isDeliverySale(sale) {
+    return sale.isFreeDelivery || sale.deliveryFee > 0 || sale.shippingCost > 0;
+}
+
+/**
+ * بيانات التوصيل الأولية عند إتمام البيع. التحصيل الافتراضي هو المدفوع كاش (يدفعه العميل للمندوب عند الاستلام).
+ * @param {object} sale
+ * @param {string} by
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function createDelivery(sale, by, now = new Date()) {
+    const cashPaid = (sale.payments || []).filter(p => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0);
+    return {
+        status: 'packed',
+        courier: '',
+        trackingNumber: '',
+        codAmount: roundMoney(Math.max(0, cashPaid - (sale.changeAmount || 0))),
+        courierFee: roundMoney((sale.deliveryFee || 0) + (sale.shippingCost || 0)),
+        statusHistory: [{ status: 'packed', date: now.toISOString(), by }],
+        settlementId: null
+    };
+}
+
+/**
+ * تغيير حالة التوصيل مع تسجيلها في statusHistory.
+ * @param {object} delivery - sale.delivery.
+ * @param {string} status - من DELIVERY_STATUSES.
+ * @param {string} by
+ * @param {Date} [now]
+ */
+export function setDeliveryStatus(delivery, status, by, now = new Date()) {
+    delivery.statusHistory = [...(delivery.statusHistory || []), { status, date: now.toISOString(), by }];
+    delivery.status = status;
+}
+
+/**
+ * هل رجع الطلب للمحل ولم تُستلم قطعه كمرتجع بعد؟
+ * @param {object} sale
+ * @returns {boolean}
+ */
+export function needsUndeliveredReturn(sale) {
+    return sale.delivery?.status === 'returnedToSender' && sale.items.some(item => item.quantity - (item.returnedQty || 0) > 0);
+}
+
+/**
+ * المبلغ الذي حصّله المندوب فعلاً: التحصيل في الطلبات المسلمة فقط.
+ * @param {object} delivery
+ * @returns {number}
+ */
+export function getCollectedCod(delivery) {
+    return delivery.status === 'delivered' ? delivery.codAmount : 0;
+}
+
+/**
+ * الطلبات المنتهية عند مندوب ولم تدخل في تسوية بعد.
+ * @param {Array<object>} sales
+ * @param {string} courier
+ * @returns {Array<object>}
+ */
+export function getUnsettledOrders(sales, courier) {
+    return sales.filter(sale => sale.delivery && sale.delivery.courier === courier && !sale.delivery.settlementId
+        && SETTLEABLE_DELIVERY_STATUSES.includes(sale.delivery.status));
+}
+
+/**
+ * إجماليات تسوية مجموعة طلبات.
+ * @param {Array<object>} orders
+ * @returns {{codCollected: number, courierFees: number, expected: number}}
+ */
+export function summarizeSettlement(orders) {
+    const codCollected = roundMoney(orders.reduce((sum, sale) => sum + getCollectedCod(sale.delivery), 0));
+    const courierFees = roundMoney(orders.reduce((sum, sale) => sum + (sale.delivery.courierFee || 0), 0));
+    return { codCollected, courierFees, expected: roundMoney(codCollected - courierFees) };
+}
+
+/**
+ * ملخص كل مندوب: طلبات معه الآن، والتحصيل المنتظر منها، وما يجب توريده من الطلبات غير المسواة.
+ * @param {Array<object>} sales
+ * @returns {Array<{courier: string, outCount: number, pendingCod: number, unsettledCount: number, codCollected: number, courierFees: number, expected: number}>}
+ */
+export function getCourierBalances(sales) {
+    const couriers = [...new Set(sales.filter(sale => sale.delivery?.courier).map(sale => sale.delivery.courier))].sort();
+    return couriers.map(courier => {
+        const out = sales.filter(sale => sale.delivery?.courier === courier && sale.delivery.status === 'handedToCourier');
+        const unsettled = getUnsettledOrders(sales, courier);
+        return {
+            courier,
+            outCount: out.length,
+            pendingCod: roundMoney(out.reduce((sum, sale) => sum + sale.delivery.codAmount, 0)),
+            unsettledCount: unsettled.length,
+            ...summarizeSettlement(unsettled)
+        };
+    });
+}
@@ -0,0 +1,275 @@
+/**
+ * js/eta.js
+ * * الإيصال الإلكتروني لمصلحة الضرائب (ETA): تحويل الفاتورة إلى هيكل JSON الخاص بالإيصال (بيانات البائع، أكواد الأصناف، إجماليات الضريبة)،
+ * وحساب الـ UUID كـ SHA-256 للإيصال بعد تسلسله، مع ربط كل إيصال بالـ UUID السابق (previousUUID).
+ * الإرسال يتم عن طريق "مُرسِل" قابل للاستبدال: الافتراضي يرسل الإيصال لعنوان submitUrl في الإعدادات
+ * (خادم وسيط يحمل بيانات دخول المصلحة)، ويمكن استبداله بـ createStubEtaSubmitter للتجربة.
+ * الإعدادات في app_config/main.eta، وطابور الإيصالات في مجموعة eta_receipts (مستند لكل فاتورة).
+ */
+
+import { state } from './state.js';
+
+export const DEFAULT_ETA_SETTINGS = {
+    enabled: false,
+    rin: '',                    // رقم التسجيل الضريبي للبائع
+    companyTradeName: '',
+    branchCode: '0',
+    activityCode: '',           // كود النشاط
+    deviceSerialNumber: '',     // رقم الجهاز المسجل في منظومة الإيصال الإلكتروني
+    governate: '',
+    regionCity: '',
+    street: '',
+    buildingNumber: '',
+    submitUrl: ''
+};
+
+export const ETA_RECEIPT_VERSION = '1.2';
+
+// طرق الدفع حسب أكواد المصلحة، وأي طريقة أخرى = O
+const ETA_PAYMENT_CODES = { cash: 'C', card: 'V', storeCredit: 'GC', loyaltyPoints: 'P' };
+
+const roundAmount = (value) => Math.round(value * 100000) / 100000;
+
+export function getEtaSettings() {
+    return { ...DEFAULT_ETA_SETTINGS, ...(state.eta || {}) };
+}
+
+/**
+ * كود الصنف: الكود المسجل على المنتج إن وجد، وإلا كود EGS بالصيغة EG-{RIN}-{الكود الداخلي}.
+ * @param {object|undefined} product
+ * @param {string} internalCode
+ * @param {object} settings
+ * @returns {{itemType: string, itemCode: string}}
+ */
+export function getEtaItemCode(product, internalCode, settings) {
+    if (product?.etaItemCode) return { itemType: product.etaItemType || 'EGS', itemCode: product.etaItemCode };
+    return { itemType: 'EGS', itemCode: `EG-${settings.rin}-${internalCode}` };
+}
+
+/**
+ * طريقة الدفع في الإيصال: في الدفع المقسم تُستخدم الطريقة ذات المبلغ الأكبر.
+ * @param {object} sale
+ * @returns {string}
+ */
+function getEtaPaymentMethod(sale) {
+    const payments = sale.payments?.length ? sale.payments : [{ method: sale.paymentMethod, amount: sale.paidAmount }];
+    const main = payments.reduce((largest, payment) => (payment.amount > largest.amount ? payment : largest), payments[0]);
+    return ETA_PAYMENT_CODES[main?.method] || 'O';
+}
+
+/**
+ * سطر صنف في الإيصال. السعر في الإيصال دائماً قبل الضريبة، والفرق بين إجمالي السعر وصافي السطر يُسجل كخصم على الصنف.
+ * @param {object} item - عنصر من sale.items (بعد إضافة حقول الضريبة من calculateLinesTax).
+ * @param {object} sale
+ * @param {object} settings
+ * @param {Array<object>} products
+ * @returns {object}
+ */
+function buildEtaItem(item, sale, settings, products) {
+    const taxRate = item.taxRate || 0;
+    const pricesIncludeTax = sale.tax?.pricesIncludeTax !== false;
+    const unitPrice = roundAmount(pricesIncludeTax ? item.unitPrice * 100 / (100 + taxRate) : item.unitPrice);
+    const totalSale = roundAmount(unitPrice * item.quantity);
+    const netSale = roundAmount(item.netAmount ?? totalSale);
+    const taxAmount = roundAmount(item.taxAmount || 0);
+    const discount = roundAmount(Math.max(0, totalSale - netSale));
+    const product = products.find(p => p.id === item.productId);
+    return {
+        internalCode: item.productId,
+        description: `${item.productName} ${item.color}/${item.size}`,
+        ...getEtaItemCode(product, item.productId, settings),
+        unitType: 'EA',
+        quantity: item.quantity,
+        unitPrice,
+        netSale,
+        totalSale,
+        total: roundAmount(netSale + taxAmount),
+        commercialDiscountData: [],
+        itemDiscountData: discount > 0 ? [{ amount: discount, description: 'Discount' }] : [],
+        valueDifference: 0,
+        // V009 = مبيعات عامة، V003 = صنف معفى، V010 = نسبة أخرى
+        taxableItems: sale.tax ? [{ taxType: 'T1', amount: taxAmount, subType: taxRate === 0 ? 'V003' : taxRate === 14 ? 'V009' : 'V010', rate: taxRate }] : []
+    };
+}
+
+/**
+ * بناء إيصال ETA لفاتورة، بدون UUID (يُحسب بعد ذلك من الإيصال نفسه).
+ * @param {object} sale - الفاتورة كما أنشأتها completeSale.
+ * @param {{settings?: object, previousUUID?: string, products?: Array<object>}} [options]
+ * @returns {object}
+ */
+export function buildEtaReceipt(sale, { settings = getEtaSettings(), previousUUID = '', products = state.products } = {}) {
+    const itemData = sale.items.map(item => buildEtaItem(item, sale, settings, products));
+    const sum = (key) => roundAmount(itemData.reduce((total, item) => total + item[key], 0));
+    const totalItemsDiscount = roundAmount(itemData.reduce((total, item) => total + item.itemDiscountData.reduce((s, d) => s + d.amount, 0), 0));
+    const taxTotal = roundAmount(itemData.reduce((total, item) => total + item.taxableItems.reduce((s, t) => s + t.amount, 0), 0));
+    const netAmount = sum('netSale');
+    const feesAmount = roundAmount(sale.deliveryFee || 0);
+    return {
+        header: {
+            dateTimeIssued: new Date(sale.createdAt).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            receiptNumber: sale.id,
+            uuid: '',
+            previousUUID,
+            referenceOldUUID: '',
+            currency: 'EGP',
+            exchangeRate: 0
+        },
+        documentType: { receiptType: 'S', typeVersion: ETA_RECEIPT_VERSION },
+        seller: {
+            rin: settings.rin,
+            companyTradeName: settings.companyTradeName,
+            branchCode: settings.branchCode,
+            branchAddress: {
+                country: 'EG', governate: settings.governate, regionCity: settings.regionCity,
+                street: settings.street, buildingNumber: settings.buildingNumber
+            },
+            deviceSerialNumber: settings.deviceSerialNumber,
+            activityCode: settings.activityCode
+        },
+        buyer: { type: 'P', id: '', name: sale.customerName || '', mobileNumber: sale.customerPhone || '' },
+        itemData,
+        totalSales: sum('totalSale'),
+        totalCommercialDiscount: 0,
+        totalItemsDiscount,
+        extraReceiptDiscountData: [],
+        netAmount,
+        feesAmount,
+        totalAmount: roundAmount(netAmount + taxTotal + feesAmount),
+        taxTotals: sale.tax ? [{ taxType: 'T1', amount: taxTotal }] : [],
+        paymentMethod: getEtaPaymentMethod(sale)
+    };
+}
+
+/**
+ * تسلسل الإيصال حسب مواصفة المصلحة: اسم كل حقل بحروف كبيرة بين علامتي تنصيص ثم قيمته،
+ * والمصفوفات يتكرر اسمها قبل كل عنصر.
+ * @param {*} value
+ * @returns {string}
+ */
+export function serializeEtaDocument(value) {
+    if (value === null || typeof value !== 'object') return `"${value ?? ''}"`;
+    return Object.entries(value).map(([key, fieldValue]) => {
+        const name = `"${key.toUpperCase()}"`;
+        if (Array.isArray(fieldValue)) return name + fieldValue.map(item => name + serializeEtaDocument(item)).join('');
+        return name + serializeEtaDocument(fieldValue);
+    }).join('');
+}
+
+/**
+ * حساب UUID الإيصال: SHA-256 (hex) للإيصال بعد تسلسله وحقل uuid فارغ.
+ * @param {object} receipt
+ * @returns {Promise<string>}
+ */
+export async function computeEtaUUID(receipt) {
+    const unsigned = { ...receipt, header: { ...receipt.header, uuid: '' } };
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(serializeEtaDocument(unsigned)));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * رابط التحقق من الإيصال الذي يُطبع كـ QR على الفاتورة.
+ * @param {object} receipt - الإيصال بعد إضافة الـ UUID.
+ * @returns {string}
+ */
+export function buildEtaQrUrl(receipt) {
+    return `https://invoicing.eta.gov.eg/receipts/search/${receipt.header.uuid}/share/${receipt.header.dateTimeIssued}#Total:${receipt.totalAmount.toFixed(2)},IssuerRIN:${receipt.seller.rin}`;
+}
+
+/**
+ * الحقول الناقصة في إعدادات البائع التي يرفض بدونها الإيصال.
+ * @param {object} [settings]
+ * @returns {Array<string>}
+ */
+export function getMissingEtaSettings(settings = getEtaSettings()) {
+    return ['rin', 'companyTradeName', 'activityCode', 'deviceSerialNumber', 'governate', 'regionCity', 'street', 'buildingNumber']
+        .filter(key => !String(settings[key] || '').trim());
+}
+
+// --- المُرسِل ---
+
+let customSubmitter = null;
+
+/**
+ * استبدال المُرسِل (مثلاً بـ createStubEtaSubmitter في التجربة). تمرير null يرجع للمُرسِل الافتراضي.
+ * المُرسِل كائن فيه submit(receipt) ترجع {success, submissionId?, message?}، وتطلق خطأ عند فشل الاتصال.
+ * @param {{submit: function(object): Promise<object>}|null} submitter
+ */
+export function setEtaSubmitter(submitter) {
+    customSubmitter = submitter;
+}
+
+/**
+ * مُرسِل يرسل الإيصال JSON بـ POST إلى عنوان الخادم الوسيط.
+ * @param {string} url
+ * @returns {{submit: function(object): Promise<object>}}
+ */
+export function createHttpEtaSubmitter(url) {
+    return {
+        async submit(receipt) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ receipts: [receipt] })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (response.status >= 500) throw new Error(result.message || `ETA submitter returned ${response.status}`);
+            if (!response.ok || result.rejectedDocuments?.length) {
+                return { success: false, message: result.rejectedDocuments?.[0]?.error?.message || result.message || `HTTP ${response.status}` };
+            }
+            return { success: true, submissionId: result.submissionId || '' };
+        }
+    };
+}
+
+/**
+ * مُرسِل محلي للتجربة: يقبل كل الإيصالات ويحتفظ بها في submitted بدون اتصال بالمصلحة.
+ * @param {{reject?: function(object): string|null}} [options] - reject ترجع سبب رفض الإيصال أو null لقبوله.
+ * @returns {{submit: function(object): Promise<object>, submitted: Array<object>}}
+ */
+export function createStubEtaSubmitter({ reject = () => null } = {}) {
+    const submitted = [];
+    return {
+        submitted,
+        async submit(receipt) {
+            const reason = reject(receipt);
+            if (reason) return { success: false, message: reason };
+            submitted.push(receipt);
+            return { success: true, submissionId: `STUB-${submitted.length}` };
+        }
+    };
+}
+
+/**
+ * المُرسِل الحالي: المُرسِل المستبدل إن وجد، ثم عنوان الإعدادات، أو null إذا لم يُضبط أي منهما.
+ * @param {object} [settings]
+ * @returns {{submit: function(object): Promise<object>}|null}
+ */
+export function getEtaSubmitter(settings = getEtaSettings()) {
+    if (customSubmitter) return customSubmitter;
+    return settings.submitUrl ? createHttpEtaSubmitter(settings.submitUrl) : null;
+}
+
+/**
+ * الفواتير التي تحتاج إيصالاً إلكترونياً ولم يُنشأ لها إيصال بعد (مثل فواتير تمت بدون إنترنت).
+ * @param {Array<object>} sales
+ * @param {Array<object>} etaReceipts
+ * @returns {Array<object>} - مرتبة من الأقدم للأحدث حتى يكون التسلسل بترتيب البيع.
+ */
+export function getUnqueuedEtaSales(sales = state.sales, etaReceipts = state.etaReceipts || []) {
+    const queued = new Set(etaReceipts.map(entry => entry.saleId));
+    return sales
+        .filter(sale => sale.etaRequired && !queued.has(sale.id))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * عدد الإيصالات في كل حالة.
+ * @param {Array<object>} [etaReceipts]
+ * @returns {{pending: number, submitted: number, rejected: number, unqueued: number}}
+ */
+export function summarizeEtaQueue(etaReceipts = state.etaReceipts || []) {
+    const summary = { pending: 0, submitted: 0, rejected: 0, unqueued: getUnqueuedEtaSales(state.sales, etaReceipts).length };
+    etaReceipts.forEach(entry => { if (summary[entry.status] !== undefined) summary[entry.status]++; });
+    return summary;
+}
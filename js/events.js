@@ -4,10 +4,27 @@
  * تم تعديله بالكامل لإزالة الاعتماد على `window.api` واستخدام دوال `api.js` الجديدة مباشرة.
  */
 
-import { state, translations } from './state.js';
+import { state, setState, translations } from './state.js';
 import * as ui from './ui.js';
 import * as api from './api.js';
 import * as utils from './utils.js';
+import * as offline from './offline.js';
+import { hasPermission, canAccessPage } from './permissions.js';
+import { applyPromotionsToReceipt } from './promotions.js';
+import { getLoyaltySettings, getPointsBalance, valueToPoints, pointsToValue, calculateEarnedPoints, addLedgerEntry, DEFAULT_LOYALTY_SETTINGS } from './loyalty.js';
+import { applyCouponToReceipt, findCouponByCode, normalizeCouponCode, describeCouponError } from './coupons.js';
+import { getTaxSettings, calculateLinesTax, buildSaleTaxInfo, summarizeSalesTax, DEFAULT_TAX_SETTINGS } from './tax.js';
+import { getEtaSettings, getMissingEtaSettings, DEFAULT_ETA_SETTINGS } from './eta.js';
+import { applyReturnToSale, calculateExchangeTotals, checkReturnPolicy, getReturnPolicy, getNoReceiptRefundPrice, DEFAULT_RETURN_POLICY } from './returns.js';
+import { CREDIT_TYPES, generateCreditCode, getCreditBalance, findReceiptCredit, normalizeCreditCode, sumCreditRefunds } from './store-credit.js';
+import { getAvailableQuantity, getCartHoldQuantities, getReservationId, isParkedHoldExpired } from './reservations.js';
+import { DEFAULT_COURIER_SETTINGS, COURIER_PROVIDERS } from './courier.js';
+import { DELIVERY_STATUSES, isDeliverySale, createDelivery, setDeliveryStatus, getUnsettledOrders, summarizeSettlement, needsUndeliveredReturn } from './deliveries.js';
+import {
+    BOOKING_PAYMENT_METHODS, ACTIVE_BOOKING_STATUSES, DEPOSIT_ACTIONS, getBookingPayments, getBookingCreditTotal, getBookingBalance, createBookingPayment, createDepositPayments,
+    collectBookingPayments, summarizeBookingPayments, getBookingPolicy, isBookingActive, setBookingStatus, getExpiredBookings,
+    getLoadedItems, getPickupAllocation, subtractCartItems, diffItemQuantities
+} from './layaway.js';
 
 // --- Helper Functions ---
 function updateVariantStockDisplay(card) {
@@ -20,8 +37,7 @@ function updateVariantStockDisplay(card) {
         const stockSpan = card.querySelector('.selected-variant-stock');
 
         if (product && selectedColor && selectedSize && stockSpan) {
-            const stock = product.colors[selectedColor]?.sizes[selectedSize]?.quantity ?? 0;
-            stockSpan.textContent = stock;
+            stockSpan.textContent = getAvailableQuantity(product, selectedColor, selectedSize);
         } else if (stockSpan) {
             stockSpan.textContent = 'N/A';
         }
@@ -34,6 +50,126 @@ function updateVariantStockDisplay(card) {
     }
 }
 
+/**
+ * التحقق من صلاحية المستخدم الحالي قبل تنفيذ إجراء، مع إظهار رسالة عند الرفض.
+ * @param {string} permission - مفتاح الصلاحية من permissions.js.
+ * @returns {boolean}
+ */
+function ensurePermission(permission) {
+    if (hasPermission(permission)) return true;
+    utils.showNotification(translations[state.lang].permissionDenied, 'error');
+    return false;
+}
+
+/**
+ * إعادة حساب خصومات الفاتورة التلقائية: العروض أولاً ثم الكوبون على السعر بعد العروض.
+ * @param {object} receipt - الفاتورة من state.receipts.
+ */
+function refreshReceiptDiscounts(receipt) {
+    applyPromotionsToReceipt(receipt);
+    applyCouponToReceipt(receipt);
+}
+
+/**
+ * إعادة حساب الخصومات على كل الفواتير المفتوحة بعد تعديل العروض أو الكوبونات نفسها.
+ */
+function refreshAllReceiptDiscounts() {
+    state.receipts.forEach(receipt => refreshReceiptDiscounts(receipt));
+    api.cartSession.save();
+}
+
+/**
+ * عرض تعارض المخزون عند فشل معاملة تعديل الكميات وتحديث الواجهة بالكميات الفعلية.
+ * @param {object} result - نتيجة api.adjustStock.
+ */
+function handleStockAdjustFailure(result) {
+    if (result.conflicts && result.conflicts.length > 0) {
+        const details = result.conflicts.map(c => `${c.productName} (${c.color}/${c.size}): ${c.available}`).join(', ');
+        utils.showNotification(`${translations[state.lang].stockChangedByAnotherTerminal} ${details}`, 'error');
+    } else {
+        utils.showNotification(`Could not update stock: ${result.message}`, 'error');
+    }
+    ui.render();
+}
+
+/**
+ * خصم قطع الفاتورة من المخزون وإلغاء حجزها في معاملة واحدة (عند البيع أو تحويل الفاتورة لحجز عميل).
+ * @param {object} receipt
+ * @returns {Promise<{success: boolean, conflicts?: Array, message?: string}>}
+ */
+function commitReceiptStock(receipt) {
+    return api.adjustStock(
+        receipt.cart.map(item => ({ productId: item.productId, color: item.color, size: item.size, delta: -item.quantity })),
+        { receiptId: receipt.id, cart: [] }
+    );
+}
+
+/**
+ * إعادة قطع الفاتورة للمخزون وحجزها للفاتورة في معاملة واحدة: عكس commitReceiptStock إذا فشلت خطوة بعده،
+ * وعند تحميل حجز عميل في فاتورة (قطعه كانت مخصومة من المخزون).
+ * @param {object} receipt
+ * @returns {Promise<{success: boolean, conflicts?: Array, message?: string}>}
+ */
+function restoreReceiptStock(receipt) {
+    return api.adjustStock(
+        receipt.cart.map(item => ({ productId: item.productId, color: item.color, size: item.size, delta: item.quantity })),
+        { receiptId: receipt.id, cart: receipt.cart }
+    );
+}
+
+/**
+ * إرجاع قطع فاتورة لن تكتمل (إغلاقها أو إلغاؤها بعد التعليق): إلغاء حجزها، أو إعادتها للمخزون في الفواتير القديمة قبل نظام الحجز.
+ * فاتورة محملة من حجز عميل ما زال مفتوحاً: القطع المحملة منه تُخصم من المخزون مرة أخرى وتبقى في الحجز للعميل.
+ * @param {object} receipt
+ * @returns {Promise<{success: boolean, conflicts?: Array, message?: string}>}
+ */
+async function releaseReceiptStock(receipt) {
+    const booking = receipt.bookingId ? state.bookings.find(b => b.id === receipt.bookingId && b.loadedReceiptId === receipt.id) : null;
+    if (booking && isBookingActive(booking)) {
+        const result = await api.adjustStock(diffItemQuantities([], getLoadedItems(booking)), { receiptId: receipt.id, cart: [] });
+        if (result.success) {
+            booking.loadedReceiptId = null;
+            delete booking.loadedItems;
+            await api.saveData();
+        }
+        return result;
+    }
+    if (receipt.usesReservations) return api.reserveCartStock(receipt.id, []);
+    return api.adjustStock(receipt.cart.map(item => ({ productId: item.productId, color: item.color, size: item.size, delta: item.quantity })));
+}
+
+/**
+ * تجديد حجوزات الفواتير المفتوحة في هذه الصفحة قبل انتهائها، ويُستدعى دورياً من renderer.js.
+ * الفواتير المحفوظة من قبل نظام الحجز كانت قطعها مخصومة من المخزون، فتُعاد للمخزون وتُحجز بدلاً من ذلك.
+ * الفواتير المعلقة تُجدد أيضاً من أي جهاز متصل حتى PARKED_HOLD_MAX_HOURS من تعليقها، ثم يُلغى حجزها وتُعلّم (holdsReleasedAt)
+ * حتى لا تحجز القطع للأبد، وتعارضها يظهر عند استكمالها.
+ */
+export async function renewCartReservations() {
+    if (!offline.isOnline()) return;
+    const conflicts = [];
+    for (const receipt of state.receipts) {
+        if (receipt.cart.length === 0) continue;
+        const result = receipt.usesReservations ? await api.reserveCartStock(receipt.id, receipt.cart) : await restoreReceiptStock(receipt);
+        if (result.success) receipt.usesReservations = true;
+        else conflicts.push(...(result.conflicts || []));
+    }
+    for (const parked of state.parkedReceipts || []) {
+        if (!parked.receipt?.usesReservations || parked.receipt.cart.length === 0 || parked.holdsReleasedAt) continue;
+        if (!isParkedHoldExpired(parked)) {
+            await api.reserveCartStock(parked.id, parked.receipt.cart);
+            continue;
+        }
+        const releaseResult = await api.reserveCartStock(parked.id, []);
+        if (releaseResult.success) await api.markParkedHoldsReleased(parked.id);
+    }
+    api.cartSession.save();
+    if (conflicts.length > 0) {
+        const details = conflicts.map(c => `${c.productName} (${c.color}/${c.size}): ${c.available}`).join(', ');
+        utils.showNotification(`${translations[state.lang].reservationExpired} ${details}`, 'error');
+        ui.render();
+    }
+}
+
 async function handleUpdateCategory(button) {
     const originalName = button.dataset.originalName;
     const input = document.querySelector(`.category-name-input[data-original-name="${originalName}"]`);
@@ -85,19 +221,38 @@ async function handleUpdateCategory(button) {
 // --- Shift Logic Functions ---
 function calculateCurrentShift() {
     const lastShiftTime = state.lastShiftReportTime ? new Date(state.lastShiftReportTime) : new Date(0);
+    const openingFloat = state.shiftOpening?.float || 0;
 
     const salesInShift = state.sales.filter(s => new Date(s.createdAt) > lastShiftTime);
     const expensesInShift = state.expenses.daily.filter(e => new Date(e.date) > lastShiftTime);
 
-    let totalSales = 0, totalCashSales = 0, totalInstaPaySales = 0, totalVCashSales = 0, totalReturnsValue = 0;
+    let totalSales = 0, totalReturnsValue = 0;
     const returnsInShift = [];
+    const tenderTotals = utils.summarizeTenders(salesInShift, { excludeBookingPayments: true });
+    // دفعات الحجوزات تُحسب في الوردية التي استُلمت فيها، وليس عند إتمام البيع
+    const bookingPaymentsInShift = collectBookingPayments(state.bookings, state.sales).filter(p => new Date(p.date) > lastShiftTime);
+    const bookingTenderTotals = summarizeBookingPayments(bookingPaymentsInShift);
+    const totalBookingPayments = bookingPaymentsInShift.reduce((sum, p) => sum + p.amount, 0);
 
     salesInShift.forEach(sale => {
         totalSales += sale.totalAmount;
-        if (sale.paymentMethod === 'cash') totalCashSales += sale.totalAmount;
-        if (sale.paymentMethod === 'instaPay') totalInstaPaySales += sale.totalAmount;
-        if (sale.paymentMethod === 'vCash') totalVCashSales += sale.totalAmount;
 
+        // المرتجعات المسجلة (sale.returns) بنفس القيمة التي رُدت للعميل (calculateItemReturn في returns.js شاملة الضريبة المضافة)
+        if (Array.isArray(sale.returns) && sale.returns.length > 0) {
+            sale.returns.forEach(entry => {
+                totalReturnsValue += entry.value;
+                entry.items.forEach(item => returnsInShift.push({
+                    originalSaleId: sale.id,
+                    returnedAt: entry.returnedAt,
+                    cashier: entry.processedBy || sale.cashier,
+                    returnValue: item.value,
+                    productName: `${item.productName} (${item.color}/${item.size})`
+                }));
+            });
+            return;
+        }
+
+        // الفواتير الأقدم بدون سجل مرتجعات: القيمة من الكمية المرتجعة ونسبة الخصم
         sale.items.forEach(item => {
             if (item.returnedQty > 0) {
                 const itemSubtotal = item.unitPrice * item.returnedQty;
@@ -116,14 +271,32 @@ function calculateCurrentShift() {
     });
 
     const totalDailyExpenses = expensesInShift.reduce((sum, e) => sum + e.amount, 0);
-    const expectedInDrawer = totalCashSales - totalReturnsValue - totalDailyExpenses;
+    // المرتجعات التي رُدت كرصيد متجر أو كارت هدية لا تخرج من الدرج
+    const totalCreditRefunds = sumCreditRefunds(salesInShift);
+    // المرتجعات بدون فاتورة المردودة كاش تخرج من الدرج
+    const totalNoReceiptRefunds = (state.noReceiptReturns || [])
+        .filter(ret => new Date(ret.returnedAt) > lastShiftTime && ret.refundMethod === 'cash')
+        .reduce((sum, ret) => sum + ret.value, 0);
+    // تحصيل طلبات التوصيل (codAmount) مع المندوب وليس في الدرج، ويدخل الدرج بالمبلغ المستلم في تسوية المندوب داخل ورديتها
+    const totalCodCash = salesInShift.filter(sale => sale.delivery)
+        .reduce((sum, sale) => sum + Math.min(sale.delivery.codAmount || 0, utils.getSaleTenderTotals(sale, { excludeBookingPayments: true }).cash || 0), 0);
+    const settlementsInShift = (state.courierSettlements || []).filter(settlement => new Date(settlement.date) > lastShiftTime);
+    const totalCourierReceipts = settlementsInShift.reduce((sum, settlement) => sum + (settlement.received || 0), 0);
+    const expectedInDrawer = openingFloat + tenderTotals.totalCashSales - totalCodCash + totalCourierReceipts + bookingTenderTotals.totalCashSales
+        - (totalReturnsValue - totalCreditRefunds) - totalNoReceiptRefunds - totalDailyExpenses;
 
     return {
         isCurrent: true,
         id: `SHIFT-${new Date().toISOString()}`,
         startedAt: lastShiftTime.toISOString(),
-        endedAt: null, endedBy: null, sales: salesInShift, returns: returnsInShift, expenses: expensesInShift,
-        summary: { totalSales, totalCashSales, totalInstaPaySales, totalVCashSales, totalReturnsValue, totalDailyExpenses, expectedInDrawer },
+        endedAt: null, endedBy: null, sales: salesInShift, returns: returnsInShift, expenses: expensesInShift, bookingPayments: bookingPaymentsInShift,
+        courierSettlements: settlementsInShift,
+        opening: state.shiftOpening || null,
+        summary: {
+            openingFloat, totalSales, ...tenderTotals, totalBookingPayments, bookingCashPayments: bookingTenderTotals.totalCashSales, totalReturnsValue, totalCreditRefunds, totalNoReceiptRefunds, totalDailyExpenses,
+            totalCodCash, totalCourierReceipts, expectedInDrawer,
+            totalTax: summarizeSalesTax(salesInShift).taxTotal
+        },
         reconciliation: null,
     };
 }
@@ -195,9 +368,56 @@ async function handleDeleteExpense(expenseId) {
     }
 }
 
+/**
+ * هل يمكن للمستخدم الحالي تسجيل أو تعديل رصيد البداية؟ بعد أول بيع أو مصروف أو مرتجع أو دفعة حجز في الوردية
+ * يُقفل الرصيد حتى لا يُرفع لإخفاء عجز قبل العد، ويبقى التعديل لمن يملك صلاحية reopenShifts.
+ * @returns {boolean}
+ */
+function canChangeOpeningFloat() {
+    const shift = calculateCurrentShift();
+    const lastShiftTime = new Date(shift.startedAt);
+    const hasActivity = shift.sales.length > 0 || shift.expenses.length > 0 || shift.bookingPayments.length > 0
+        || (state.noReceiptReturns || []).some(ret => new Date(ret.returnedAt) > lastShiftTime);
+    if (!hasActivity) return true;
+    if (hasPermission('reopenShifts')) return true;
+    utils.showNotification(translations[state.lang].openingFloatLocked, 'error');
+    return false;
+}
+
+/**
+ * تسجيل رصيد البداية. التعديلات لا تمسح القيمة السابقة، بل تُحفظ في shiftOpening.history وتظهر في تقرير الوردية.
+ * @param {Event} e
+ */
+async function handleOpeningFloatSubmit(e) {
+    e.preventDefault();
+    const float = parseFloat(document.getElementById('opening-float-input').value);
+    if (isNaN(float) || float < 0) {
+        utils.showNotification("Please enter a valid amount.", "error");
+        return;
+    }
+    if (!canChangeOpeningFloat()) return;
+
+    utils.showLoader();
+    try {
+        const previous = state.shiftOpening;
+        const history = previous ? [...(previous.history || []), { float: previous.float, declaredAt: previous.declaredAt, declaredBy: previous.declaredBy }] : [];
+        state.shiftOpening = { float, declaredAt: new Date().toISOString(), declaredBy: state.currentUser.username, history };
+        await api.saveData();
+        ui.closeOpeningFloatModal();
+        ui.render();
+        utils.showNotification(translations[state.lang].openingFloatSaved, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * @param {{cashCount: {denominations: Array<object>, total: number}}} reconciliationData - عد الدرج من utils.summarizeCashCount.
+ */
 async function handleEndShift(reconciliationData) {
-    const { actualAmount } = reconciliationData;
+    const { cashCount } = reconciliationData;
     const shiftData = state.currentShiftData;
+    const actualAmount = cashCount.total;
 
     shiftData.endedAt = new Date().toISOString();
     shiftData.endedBy = state.currentUser.username;
@@ -207,7 +427,8 @@ async function handleEndShift(reconciliationData) {
         actual: actualAmount,
         expected: shiftData.summary.expectedInDrawer,
         difference: difference,
-        type: difference >= 0 ? 'surplus' : 'deficit'
+        type: difference >= 0 ? 'surplus' : 'deficit',
+        cashCount: cashCount.denominations
     };
 
     utils.showLoader();
@@ -221,7 +442,7 @@ async function handleEndShift(reconciliationData) {
             await api.saveDailyExpense(deficitExpense);
         }
         await api.saveShift(shiftData);
-        await window.api.exportShiftToPDF(shiftData);
+        await api.exportShiftToPDF(shiftData);
 
         ui.closeReconciliationModal();
         ui.closeShiftCalculationModal();
@@ -236,6 +457,7 @@ async function handleEndShift(reconciliationData) {
 }
 
 async function handleReopenShift(shiftId) {
+    if (!ensurePermission('reopenShifts')) return;
     if (!confirm(translations[state.lang].confirmReopenShift)) return;
 
     utils.showLoader();
@@ -257,6 +479,8 @@ async function handleReopenShift(shiftId) {
 
         const newLastShiftTime = state.shifts.length > 0 ? state.shifts[state.shifts.length - 1].endedAt : null;
         state.lastShiftReportTime = newLastShiftTime;
+        // الوردية المعاد فتحها ترجع برصيد بدايتها
+        state.shiftOpening = deletedShifts[0].opening || null;
 
         await api.saveData();
         utils.showNotification('Shift re-opened.', 'success');
@@ -277,7 +501,7 @@ export function createNewReceipt(doRender = true) {
         return;
     }
     const newReceipt = {
-        id: utils.generateUUID(), cart: [], seller: '', isFromBooking: false,
+        id: utils.generateUUID(), cart: [], seller: '', isFromBooking: false, usesReservations: true,
         originalDeposit: 0, depositPaymentMethod: '',
         customerName: '', customerPhone: '', customerAddress: '', customerCity: '',
     };
@@ -294,17 +518,16 @@ function switchReceipt(receiptId) {
     ui.render();
 }
 
-function closeReceipt(receiptIdToClose) {
+async function closeReceipt(receiptIdToClose) {
     if (state.receipts.length <= 1) return;
     const index = state.receipts.findIndex(r => r.id === receiptIdToClose);
     if (index > -1) {
         const receiptToClose = state.receipts[index];
-        receiptToClose.cart.forEach(item => {
-            const product = state.products.find(p => p.id === item.productId);
-            if (product && product.colors[item.color] && product.colors[item.color].sizes[item.size]) {
-                product.colors[item.color].sizes[item.size].quantity += item.quantity;
-            }
-        });
+        const result = await releaseReceiptStock(receiptToClose);
+        if (!result.success) {
+            handleStockAdjustFailure(result);
+            return;
+        }
 
         state.receipts.splice(index, 1);
         if (state.activeReceiptId === receiptIdToClose) {
@@ -315,9 +538,107 @@ function closeReceipt(receiptIdToClose) {
     }
 }
 
-function handleBarcodeScan(barcode) {
+/**
+ * تعليق الفاتورة النشطة في Firestore وإزالتها من تبويبات هذا الجهاز. حجز قطعها يبقى ويُجدد حتى تُستكمل أو تُلغى.
+ */
+async function parkActiveReceipt() {
+    const receipt = state.receipts.find(r => r.id === state.activeReceiptId);
+    if (!receipt || receipt.cart.length === 0) {
+        utils.showNotification("Cart is empty.", "info");
+        return;
+    }
+    utils.showLoader();
+    try {
+        const result = await api.parkReceipt(receipt);
+        if (!result.success) {
+            utils.showNotification(result.message, 'error');
+            return;
+        }
+        const index = state.receipts.findIndex(r => r.id === receipt.id);
+        state.receipts.splice(index, 1);
+        if (state.receipts.length === 0) createNewReceipt(false);
+        else state.activeReceiptId = state.receipts[Math.max(0, index - 1)].id;
+        api.cartSession.save();
+        ui.render();
+        utils.showNotification(translations[state.lang].receiptParked, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * صاحب الفاتورة المعلقة يستطيع استكمالها أو إلغاءها، وباقي المستخدمين يحتاجون صلاحية manageParkedReceipts.
+ * @param {string} parkedId
+ * @returns {object|null} - الفاتورة المعلقة إذا كان مسموحاً.
+ */
+function findManageableParkedReceipt(parkedId) {
+    const parked = (state.parkedReceipts || []).find(p => p.id === parkedId);
+    if (!parked) return null;
+    if (parked.parkedBy === state.currentUser?.username || ensurePermission('manageParkedReceipts')) return parked;
+    return null;
+}
+
+async function resumeParkedReceipt(parkedId) {
+    if (!findManageableParkedReceipt(parkedId)) return;
+    if (state.receipts.length >= 30) {
+        utils.showNotification("Maximum of 30 receipts reached.", "info");
+        return;
+    }
+    utils.showLoader();
+    try {
+        const result = await api.claimParkedReceipt(parkedId);
+        if (!result.success) {
+            utils.showNotification(result.message, 'error');
+            ui.render();
+            return;
+        }
+        const receipt = result.parked.receipt;
+        // فاتورة فارغة لم تُستخدم تُستبدل بالفاتورة المستكملة بدلاً من بقائها تبويباً زائداً
+        state.receipts = state.receipts.filter(r => r.cart.length > 0 || r.customerName);
+        state.receipts.push(receipt);
+        state.activeReceiptId = receipt.id;
+        refreshReceiptDiscounts(receipt);
+        api.cartSession.save();
+        state.currentPage = 'selling-page';
+        ui.render();
+        // الحجز قد يكون انتهى إذا لم يكن هناك جهاز متصل أثناء التعليق
+        if (receipt.usesReservations) {
+            const stockResult = await api.reserveCartStock(receipt.id, receipt.cart);
+            if (!stockResult.success) handleStockAdjustFailure(stockResult);
+        }
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function discardParkedReceipt(parkedId) {
+    if (!findManageableParkedReceipt(parkedId)) return;
+    if (!confirm(translations[state.lang].confirmDiscardParked)) return;
+    utils.showLoader();
+    try {
+        const result = await api.claimParkedReceipt(parkedId);
+        if (!result.success) {
+            utils.showNotification(result.message, 'error');
+            ui.render();
+            return;
+        }
+        const stockResult = await releaseReceiptStock(result.parked.receipt);
+        if (!stockResult.success) console.error("Could not release parked receipt stock:", stockResult.message);
+        ui.render();
+        utils.showNotification(translations[state.lang].parkedReceiptDiscarded, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * البحث عن المقاس صاحب الباركود في كل المنتجات.
+ * @param {string} barcode
+ * @returns {{product: object, colorName: string, sizeName: string, sizeData: object}|null}
+ */
+function findVariantByBarcode(barcode) {
     const cleanScannedBarcode = String(barcode).trim().toLowerCase();
-    if (!cleanScannedBarcode) return;
+    if (!cleanScannedBarcode) return null;
 
     for (const product of state.products) {
         if (product.colors) {
@@ -326,41 +647,52 @@ function handleBarcodeScan(barcode) {
                     for (const [sizeName, sizeData] of Object.entries(colorData.sizes)) {
                         const cleanDbBarcode = String(sizeData.barcode || '').trim().toLowerCase();
                         if (cleanDbBarcode && cleanDbBarcode === cleanScannedBarcode) {
-                            if (sizeData.quantity > 0) {
-                                addToCartHandler({ productId: product.id, color: colorName, size: sizeName, quantity: 1 });
-                                utils.showNotification(`Added: ${product.name} (${colorName}/${sizeName})`, 'success');
-                            } else {
-                                utils.showNotification(`'${product.name} (${colorName}/${sizeName})' is out of stock.`, 'error');
-                            }
-                            return;
+                            return { product, colorName, sizeName, sizeData };
                         }
                     }
                 }
             }
         }
     }
-    utils.showNotification("Barcode not found.", 'error');
+    return null;
+}
+
+function handleBarcodeScan(barcode) {
+    if (!String(barcode).trim()) return;
+    const variant = findVariantByBarcode(barcode);
+    if (!variant) {
+        utils.showNotification("Barcode not found.", 'error');
+        return;
+    }
+    const { product, colorName, sizeName } = variant;
+    if (getAvailableQuantity(product, colorName, sizeName) > 0) {
+        addToCartHandler({ productId: product.id, color: colorName, size: sizeName, quantity: 1 });
+        utils.showNotification(`Added: ${product.name} (${colorName}/${sizeName})`, 'success');
+    } else {
+        utils.showNotification(`'${product.name} (${colorName}/${sizeName})' is out of stock.`, 'error');
+    }
 }
 
-function addToCartHandler(itemData, buttonElement = null) {
+async function addToCartHandler(itemData, buttonElement = null) {
     if (state.currentPage === 'selling-page') {
-        addToCart(itemData, state.activeReceiptId, buttonElement);
+        await addToCart(itemData, state.activeReceiptId, buttonElement);
     } else {
         if (state.receipts.length === 1) {
-            addToCart(itemData, state.receipts[0].id, buttonElement);
-            utils.showNotification('Item added to the open receipt.', 'success');
+            if (await addToCart(itemData, state.receipts[0].id, buttonElement)) {
+                utils.showNotification('Item added to the open receipt.', 'success');
+            }
         } else {
             ui.showReceiptSelectionModal(itemData);
         }
     }
 }
 
-function addToCart(itemData, receiptId, buttonElement = null) {
+async function addToCart(itemData, receiptId, buttonElement = null) {
     const { productId, color, size, quantity } = itemData;
     const receipt = state.receipts.find(r => r.id === receiptId);
-    if (!receipt) return;
+    if (!receipt) return false;
     const product = state.products.find(p => p.id === productId);
-    if (!product) return;
+    if (!product) return false;
 
     const activeReceiptContent = document.getElementById(`receipt-content-${receiptId}`);
     const selectedColor = color || activeReceiptContent?.querySelector('.sale-color')?.value;
@@ -370,12 +702,14 @@ function addToCart(itemData, receiptId, buttonElement = null) {
 
     if (!selectedColor || !selectedSize) {
         utils.showNotification("Please select a color and size.", "error");
-        return;
+        return false;
     }
-    const availableQty = product.colors[selectedColor]?.sizes[selectedSize]?.quantity || 0;
+    // المتاح بعد حجوزات الفواتير الأخرى، ناقص ما في هذه الفاتورة من نفس المقاس
+    const inCartQty = getCartHoldQuantities(receipt.cart).get(getReservationId(productId, selectedColor, selectedSize))?.quantity || 0;
+    const availableQty = getAvailableQuantity(product, selectedColor, selectedSize, { excludeReceiptId: receipt.id }) - inCartQty;
     if (qty > availableQty) {
-        utils.showNotification(`Not enough stock for ${product.name} (${selectedColor}/${selectedSize}). Only ${availableQty} available.`, 'error');
-        return;
+        utils.showNotification(`Not enough stock for ${product.name} (${selectedColor}/${selectedSize}). Only ${Math.max(0, availableQty)} available.`, 'error');
+        return false;
     }
     if (availableQty <= state.lowStockThreshold) {
         utils.showNotification(`${translations[state.lang].lowStockWarning} ${product.name} (${selectedColor}/${selectedSize}). ${availableQty} ${translations[state.lang].itemsLeft}.`, 'info');
@@ -383,15 +717,21 @@ function addToCart(itemData, receiptId, buttonElement = null) {
 
     if (qty > 0) {
         const existingCartItemIndex = receipt.cart.findIndex(item => item.productId === productId && item.color === selectedColor && item.size === selectedSize);
-        if (existingCartItemIndex > -1) {
-            receipt.cart[existingCartItemIndex].quantity += qty;
-        } else {
-            receipt.cart.push({
+        const newCart = existingCartItemIndex > -1
+            ? receipt.cart.map((item, index) => (index === existingCartItemIndex ? { ...item, quantity: item.quantity + qty } : item))
+            : [...receipt.cart, {
                 productId: product.id, productName: product.name, quantity: qty, price,
                 color: selectedColor, size: selectedSize, purchasePrice: product.purchasePrice
-            });
+            }];
+        // حجز الكمية في Firestore حتى لا يبيع جهاز آخر نفس القطعة، والخصم الفعلي عند إتمام البيع
+        const result = await api.reserveCartStock(receipt.id, newCart);
+        if (!result.success) {
+            handleStockAdjustFailure(result);
+            return false;
         }
-        product.colors[selectedColor].sizes[selectedSize].quantity -= qty;
+
+        receipt.cart = newCart;
+        refreshReceiptDiscounts(receipt);
         api.cartSession.save();
         ui.render();
         if (buttonElement) {
@@ -403,7 +743,37 @@ function addToCart(itemData, receiptId, buttonElement = null) {
                 buttonElement.textContent = originalText;
             }, 1500);
         }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * قراءة المبالغ المدفوعة بكل طريقة من الفاتورة. إذا لم يُدخل أي مبلغ يُعتبر المبلغ المستحق مدفوعاً كاش.
+ * الباقي يُحسب من الكاش فقط، ولا يمكن أن تتجاوز طرق الدفع الأخرى المبلغ المستحق.
+ * @param {HTMLElement} container - محتوى الفاتورة.
+ * @param {number} amountDue - المبلغ المطلوب من العميل.
+ * @returns {{success: boolean, payments?: Array, paidAmount?: number, changeAmount?: number, message?: string}}
+ */
+function readTenders(container, amountDue) {
+    const t = translations[state.lang];
+    const payments = [];
+    for (const input of container.querySelectorAll('.tender-amount')) {
+        if (input.value.trim() === '') continue;
+        const amount = parseFloat(input.value);
+        if (isNaN(amount) || amount < 0) return { success: false, message: "Invalid paid amount." };
+        if (amount > 0) payments.push({ method: input.dataset.method, amount });
     }
+    if (payments.length === 0) {
+        payments.push({ method: 'cash', amount: amountDue });
+    }
+
+    const paidAmount = payments.reduce((sum, p) => sum + p.amount, 0);
+    const nonCashAmount = payments.filter(p => p.method !== 'cash').reduce((sum, p) => sum + p.amount, 0);
+    if (nonCashAmount - amountDue > 0.001) return { success: false, message: t.nonCashExceedsDue };
+    if (amountDue - paidAmount > 0.001) return { success: false, message: t.paidLessThanDue };
+
+    return { success: true, payments, paidAmount, changeAmount: Math.max(0, paidAmount - amountDue) };
 }
 
 async function completeSale() {
@@ -433,45 +803,151 @@ async function completeSale() {
         const deliveryFee = isFreeDelivery ? 0 : deliveryCost;
         const shippingCost = isFreeDelivery ? deliveryCost : 0;
         const subtotal = activeReceipt.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        // إعادة تقييم العروض والكوبون وقت البيع حتى لا يُطبق عرض انتهى أو تم إيقافه بعد إضافة القطع
+        refreshReceiptDiscounts(activeReceipt);
+        if (activeReceipt.couponError) {
+            ui.renderCart(activeReceipt.id);
+            utils.showNotification(describeCouponError(activeReceipt.couponError), "error");
+            return;
+        }
+        const promotionDiscount = Math.min(activeReceipt.promotionDiscount || 0, subtotal);
+        const couponDiscount = Math.min(activeReceipt.couponDiscount || 0, subtotal - promotionDiscount);
+        const subtotalAfterAutomaticDiscounts = subtotal - promotionDiscount - couponDiscount;
         const discountPercent = parseFloat(container.querySelector('.discount-percentage').value) || 0;
         const discountAmount = parseFloat(container.querySelector('.discount-amount').value) || 0;
-        let calculatedDiscount = 0;
-        if (discountPercent > 0) calculatedDiscount = subtotal * (discountPercent / 100);
-        else if (discountAmount > 0) calculatedDiscount = discountAmount;
-        calculatedDiscount = Math.min(calculatedDiscount, subtotal);
-        const totalAmountForRevenue = subtotal - calculatedDiscount;
+        let manualDiscount = 0;
+        if (discountPercent > 0) manualDiscount = subtotalAfterAutomaticDiscounts * (discountPercent / 100);
+        else if (discountAmount > 0) manualDiscount = discountAmount;
+        manualDiscount = Math.min(manualDiscount, subtotalAfterAutomaticDiscounts);
+        if (manualDiscount > 0 && !ensurePermission('issueDiscounts')) return;
+        const calculatedDiscount = promotionDiscount + couponDiscount + manualDiscount;
+        // الضريبة لكل سطر بعد الخصومات، وفي الأسعار غير الشاملة تُضاف على الإجمالي
+        const taxSettings = getTaxSettings();
+        const saleTax = calculateLinesTax(activeReceipt.cart, manualDiscount, { settings: taxSettings });
+        const totalAmountForRevenue = subtotal - calculatedDiscount + saleTax.addedTax;
         const totalForCustomer = totalAmountForRevenue + deliveryFee;
-        const paidAmountInput = container.querySelector('.paid-amount');
-        let paidAmountAtTransaction = (paidAmountInput.value.trim() === '')
-            ? totalForCustomer - (activeReceipt.originalDeposit || 0)
-            : parseFloat(paidAmountInput.value);
+        const amountDue = Math.max(0, totalForCustomer - (activeReceipt.originalDeposit || 0));
+        const tenderResult = readTenders(container, amountDue);
+        if (!tenderResult.success) {
+            utils.showNotification(tenderResult.message, "error");
+            return;
+        }
+        const { payments, paidAmount: paidAmountAtTransaction, changeAmount } = tenderResult;
+        const pointsPayment = payments.find(p => p.method === 'loyaltyPoints');
+        if (pointsPayment) {
+            const loyaltySettings = getLoyaltySettings();
+            const loyaltyCustomer = customerPhone ? state.customers.find(c => c.phone === customerPhone) : null;
+            if (!loyaltySettings.enabled || !loyaltyCustomer) {
+                utils.showNotification(translations[state.lang].pointsNeedCustomer, "error");
+                return;
+            }
+            if (valueToPoints(pointsPayment.amount, loyaltySettings) > getPointsBalance(loyaltyCustomer)) {
+                utils.showNotification(translations[state.lang].notEnoughPoints, "error");
+                return;
+            }
+        }
+        const creditPayment = payments.find(p => p.method === 'storeCredit');
+        const storeCredit = creditPayment ? findReceiptCredit(activeReceipt) : null;
+        if (creditPayment) {
+            if (!storeCredit) {
+                utils.showNotification(translations[state.lang].storeCreditNotFound, "error");
+                return;
+            }
+            if (creditPayment.amount - getCreditBalance(storeCredit) > 0.001) {
+                utils.showNotification(translations[state.lang].notEnoughStoreCredit, "error");
+                return;
+            }
+            creditPayment.reference = storeCredit.code;
+        }
+        const paymentMethod = payments.length === 1 ? payments[0].method : 'split';
 
-        if (isNaN(paidAmountAtTransaction) || paidAmountAtTransaction < 0) {
-            utils.showNotification("Invalid paid amount.", "error");
-            utils.hideLoader();
+        // تحويل حجز الفاتورة لخصم فعلي من المخزون، والفواتير القديمة قبل نظام الحجز قطعها مخصومة بالفعل
+        if (activeReceipt.usesReservations) {
+            const stockResult = await commitReceiptStock(activeReceipt);
+            if (!stockResult.success) {
+                handleStockAdjustFailure(stockResult);
+                return;
+            }
+        }
+        const rollbackStock = async () => {
+            if (activeReceipt.usesReservations) await restoreReceiptStock(activeReceipt);
+        };
+
+        const coupon = activeReceipt.couponCode ? findCouponByCode(activeReceipt.couponCode) : null;
+        if (coupon) {
+            const redeemResult = await api.redeemCoupon(coupon, customerPhone);
+            if (!redeemResult.success) {
+                await rollbackStock();
+                utils.showNotification(redeemResult.message, "error");
+                return;
+            }
+        }
+
+        const saleIdResult = await api.getNextDailyId('S', state.sales);
+        if (!saleIdResult.success) {
+            if (coupon) await api.releaseCouponRedemption(coupon.id, customerPhone);
+            await rollbackStock();
+            utils.showNotification(`Could not reserve a receipt number: ${saleIdResult.message}`, "error");
             return;
         }
-        const paymentMethod = container.querySelector('.payment-method-btn.selected').dataset.method;
+
+        if (storeCredit) {
+            const creditResult = await api.redeemStoreCredit(storeCredit.id, creditPayment.amount, saleIdResult.id);
+            if (!creditResult.success) {
+                if (coupon) await api.releaseCouponRedemption(coupon.id, customerPhone);
+                await rollbackStock();
+                utils.showNotification(creditResult.message, "error");
+                return;
+            }
+        }
 
         const newSale = {
-            id: utils.getDailyId('S', state.sales),
+            id: saleIdResult.id,
             cashier: activeReceipt.seller,
             createdAt: new Date().toISOString(),
             totalAmount: totalAmountForRevenue,
             paidAmount: paidAmountAtTransaction,
             depositPaidOnBooking: activeReceipt.originalDeposit || 0,
-            profit: activeReceipt.cart.reduce((sum, item) => sum + (item.price - item.purchasePrice) * item.quantity, 0) - calculatedDiscount - shippingCost,
-            subtotal, discountAmount: calculatedDiscount, paymentMethod,
+            ...(activeReceipt.bookingPayments ? { bookingId: activeReceipt.bookingId, bookingPayments: activeReceipt.bookingPayments } : {}),
+            profit: activeReceipt.cart.reduce((sum, item) => sum + (item.price - item.purchasePrice) * item.quantity, 0) - calculatedDiscount - shippingCost
+                - (taxSettings.pricesIncludeTax ? saleTax.taxTotal : 0),
+            subtotal, discountAmount: calculatedDiscount, manualDiscount, promotionDiscount, couponDiscount,
+            tax: buildSaleTaxInfo(taxSettings, saleTax),
+            etaRequired: getEtaSettings().enabled,
+            promotions: activeReceipt.appliedPromotions || [],
+            coupon: coupon ? { couponId: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value, discount: couponDiscount, reversedAmount: 0, released: false } : null,
+            paymentMethod, payments, changeAmount,
             customerPhone, customerName, customerAddress, customerCity,
             isFreeDelivery, deliveryFee, shippingCost, returnDeliveryFee: 0,
-            items: activeReceipt.cart.map(item => ({
+            items: activeReceipt.cart.map((item, index) => ({
                 id: utils.generateUUID(), productId: item.productId, productName: item.productName,
                 quantity: item.quantity, unitPrice: item.price, purchasePrice: item.purchasePrice,
-                color: item.color, size: item.size, returnedQty: 0
+                color: item.color, size: item.size, returnedQty: 0,
+                promotionDiscount: item.promotionDiscount || 0, couponDiscount: item.couponDiscount || 0,
+                ...saleTax.lines[index]
             }))
         };
+        if (isDeliverySale(newSale)) newSale.delivery = createDelivery(newSale, state.currentUser?.username || activeReceipt.seller);
         state.sales.unshift(newSale);
+        const completedBooking = activeReceipt.bookingId ? state.bookings.find(b => b.id === activeReceipt.bookingId) : null;
+        if (completedBooking && isBookingActive(completedBooking)) {
+            const by = state.currentUser?.username || activeReceipt.seller;
+            const pickedUp = activeReceipt.bookingItems || completedBooking.cart;
+            completedBooking.payments = getBookingPayments(completedBooking);
+            delete completedBooking.deposit;
+            delete completedBooking.depositPaymentMethod;
+            completedBooking.pickups = [...(completedBooking.pickups || []),
+                { saleId: newSale.id, items: JSON.parse(JSON.stringify(pickedUp)), allocated: activeReceipt.originalDeposit || 0, date: newSale.createdAt, by }];
+            completedBooking.cart = subtractCartItems(completedBooking.cart, pickedUp);
+            if (completedBooking.loadedReceiptId === activeReceipt.id) {
+                completedBooking.loadedReceiptId = null;
+                delete completedBooking.loadedItems;
+            }
+            completedBooking.saleId = newSale.id;
+            if (completedBooking.cart.length === 0) setBookingStatus(completedBooking, 'completed', by);
+        }
         updateCustomerData(customerPhone, customerName, customerAddress, customerCity, newSale.items);
+        recordSaleLoyalty(newSale);
         utils.showNotification(`Sale #${newSale.id} completed!`, 'success');
         const receiptIdToClose = state.activeReceiptId;
         const index = state.receipts.findIndex(r => r.id === receiptIdToClose);
@@ -485,7 +961,13 @@ async function completeSale() {
         }
         api.cartSession.save();
         await api.saveData();
-        await window.api.printReceipt(newSale.id);
+        // الإيصال الإلكتروني يُنشأ قبل الطباعة حتى يظهر كود QR على الفاتورة، ويُرسل بعدها في الخلفية
+        if (newSale.etaRequired) {
+            const etaResult = await api.queueEtaReceipt(newSale);
+            if (!etaResult.success) utils.showNotification(`${translations[state.lang].etaNotIssued} ${etaResult.message}`, 'info');
+        }
+        await api.printReceipt(newSale.id);
+        if (newSale.etaRequired) submitEtaReceipts({ silent: true });
     } catch (error) {
         console.error("Error completing sale:", error);
         utils.showNotification("An error occurred while completing the sale.", "error");
@@ -494,6 +976,90 @@ async function completeSale() {
     }
 }
 
+/**
+ * تسجيل نقاط الولاء لعملية بيع: خصم النقاط المستخدمة في الدفع ثم إضافة النقاط المكتسبة على باقي المبلغ.
+ * @param {object} sale - عملية البيع بعد حفظ العميل.
+ */
+function recordSaleLoyalty(sale) {
+    const settings = getLoyaltySettings();
+    const customer = sale.customerPhone ? state.customers.find(c => c.phone === sale.customerPhone) : null;
+    if (!customer) return;
+
+    const paidWithPoints = utils.getSalePayments(sale)
+        .filter(p => p.method === 'loyaltyPoints')
+        .reduce((sum, p) => sum + p.amount, 0);
+    const redeemedPoints = paidWithPoints > 0 ? valueToPoints(paidWithPoints, settings) : 0;
+    if (redeemedPoints > 0) addLedgerEntry(customer, 'redeem', -redeemedPoints, { saleId: sale.id });
+
+    // لا تُكتسب نقاط على الجزء المدفوع بالنقاط نفسها
+    const earningBase = settings.enabled ? Math.max(0, sale.totalAmount - paidWithPoints) : 0;
+    const earnedPoints = calculateEarnedPoints(earningBase, settings);
+    if (earnedPoints > 0) addLedgerEntry(customer, 'earn', earnedPoints, { saleId: sale.id });
+
+    if (redeemedPoints > 0 || earnedPoints > 0) {
+        sale.loyalty = {
+            customerPhone: customer.phone, earningBase, earnedPoints, reversedPoints: 0,
+            redeemedPoints, redeemedValue: paidWithPoints, paidTotal: sale.totalAmount, refundedPoints: 0, refundedValue: 0
+        };
+    }
+}
+
+/**
+ * رد نصيب النقاط من المرتجع: الجزء المدفوع بالنقاط يرجع نقاطاً لحساب العميل بنفس نسبته من الفاتورة،
+ * والباقي فقط يُرد كاش أو رصيداً.
+ * @param {object} sale - عملية البيع.
+ * @param {number} returnedValue - قيمة المرتجع.
+ * @param {number} [maxValue] - أقصى قيمة تُرد نقاطاً (في الاستبدال: المبلغ المستحق للعميل فقط).
+ * @returns {{points: number, value: number}|null} - النقاط المردودة وقيمتها بالجنيه.
+ */
+function refundRedeemedPoints(sale, returnedValue, maxValue = returnedValue) {
+    const loyalty = sale.loyalty;
+    if (!loyalty?.redeemedPoints || !(loyalty.redeemedValue > 0) || !(returnedValue > 0)) return null;
+    const customer = state.customers.find(c => c.phone === loyalty.customerPhone);
+    if (!customer) return null;
+    // الفواتير الأقدم بدون paidTotal: إجمالي المدفوع بعد الباقي
+    const paidTotal = loyalty.paidTotal || utils.getSalePayments(sale).reduce((sum, p) => sum + p.amount, 0) - (sale.changeAmount || 0);
+    if (!(paidTotal > 0)) return null;
+    const share = Math.round(returnedValue * loyalty.redeemedValue / paidTotal * 100) / 100;
+    const value = Math.min(share, maxValue, loyalty.redeemedValue - (loyalty.refundedValue || 0));
+    if (!(value > 0)) return null;
+    const points = Math.min(loyalty.redeemedPoints - (loyalty.refundedPoints || 0), Math.round(loyalty.redeemedPoints * value / loyalty.redeemedValue));
+    loyalty.refundedValue = Math.round(((loyalty.refundedValue || 0) + value) * 100) / 100;
+    loyalty.refundedPoints = (loyalty.refundedPoints || 0) + points;
+    if (points > 0) addLedgerEntry(customer, 'refund', points, { saleId: sale.id });
+    return { points, value };
+}
+
+/**
+ * إلغاء نقاط فاتورة محذوفة: النقاط المكتسبة التي لم تُخصم بالمرتجع تُخصم، والنقاط المستخدمة في الدفع ولم تُرد بالمرتجع ترجع للعميل.
+ * @param {object} sale - الفاتورة قبل الحذف.
+ */
+function voidSaleLoyalty(sale) {
+    const loyalty = sale.loyalty;
+    const customer = loyalty && state.customers.find(c => c.phone === loyalty.customerPhone);
+    if (!customer) return;
+    const earnedLeft = (loyalty.earnedPoints || 0) - (loyalty.reversedPoints || 0);
+    const redeemedLeft = (loyalty.redeemedPoints || 0) - (loyalty.refundedPoints || 0);
+    if (earnedLeft > 0) addLedgerEntry(customer, 'void', -earnedLeft, { saleId: sale.id });
+    if (redeemedLeft > 0) addLedgerEntry(customer, 'void', redeemedLeft, { saleId: sale.id });
+}
+
+/**
+ * خصم نقاط المرتجع بنسبة قيمة القطع المرتجعة من المبلغ الذي اكتُسبت عليه النقاط.
+ * @param {object} sale - عملية البيع.
+ * @param {number} returnedValue - قيمة المرتجع بدون الجزء المردود نقاطاً.
+ */
+function reverseLoyaltyForReturn(sale, returnedValue) {
+    if (!sale.loyalty?.earnedPoints || !(returnedValue > 0) || !(sale.loyalty.earningBase > 0)) return;
+    const customer = state.customers.find(c => c.phone === sale.loyalty.customerPhone);
+    if (!customer) return;
+    const remaining = sale.loyalty.earnedPoints - (sale.loyalty.reversedPoints || 0);
+    const points = Math.min(remaining, Math.round(sale.loyalty.earnedPoints * returnedValue / sale.loyalty.earningBase));
+    if (points <= 0) return;
+    sale.loyalty.reversedPoints = (sale.loyalty.reversedPoints || 0) + points;
+    addLedgerEntry(customer, 'return', -points, { saleId: sale.id });
+}
+
 function updateCustomerData(phone, name, address, city, items) {
     if (!phone || !name) return;
 
@@ -536,6 +1102,13 @@ async function handleProductFormSubmit(e) {
     }
     productCodeInput.classList.remove('border-2', 'border-red-500');
 
+    const existingProduct = state.editingProductId ? state.products.find(p => p.id === state.editingProductId) : null;
+    const pricesChanged = existingProduct && (
+        parseFloat(document.getElementById('purchase-price').value) !== existingProduct.purchasePrice ||
+        parseFloat(document.getElementById('selling-price').value) !== existingProduct.sellingPrice
+    );
+    if (pricesChanged && !ensurePermission('editPrices')) return;
+
     submitBtn.disabled = true;
     submitBtn.textContent = 'Processing...';
     utils.showLoader();
@@ -754,9 +1327,10 @@ function handleSaleColorChange(container) {
     const product = state.products.find(p => p.id === productId);
 
     if (product && product.colors[color]) {
-        sizeSelect.innerHTML = Object.entries(product.colors[color].sizes || {})
-            .filter(([_, sizeData]) => sizeData.quantity > 0)
-            .map(([size, sizeData]) => `<option value="${size}">${size} (Stock: ${sizeData.quantity})</option>`)
+        sizeSelect.innerHTML = Object.keys(product.colors[color].sizes || {})
+            .map(size => [size, getAvailableQuantity(product, color, size)])
+            .filter(([, quantity]) => quantity > 0)
+            .map(([size, quantity]) => `<option value="${size}">${size} (Stock: ${quantity})</option>`)
             .join('');
         sizeSelect.disabled = sizeSelect.options.length === 0;
     } else {
@@ -816,24 +1390,38 @@ function handleSaleCheckboxChange(saleId, isChecked) {
 }
 
 async function deleteSelectedSales() {
+    if (!ensurePermission('deleteSales')) return;
     if (state.selectedSales.size === 0) return;
     if (confirm(`Are you sure you want to delete ${state.selectedSales.size} receipts? This will restore product stock.`)) {
         utils.showLoader();
         try {
+            const saleStockChanges = saleToDelete => (saleToDelete?.items || [])
+                .filter(item => item.quantity - (item.returnedQty || 0) > 0)
+                .map(item => ({ productId: item.productId, color: item.color, size: item.size, delta: item.quantity - (item.returnedQty || 0) }));
+            const stockChanges = [...state.selectedSales].flatMap(saleId => saleStockChanges(state.sales.find(s => s.id === saleId)));
+            const stockResult = await api.adjustStock(stockChanges);
+            if (!stockResult.success) {
+                handleStockAdjustFailure(stockResult);
+                return;
+            }
+
+            // رصيد المتجر والكوبون يُلغيان مع حذف الفاتورة في معاملة واحدة، والفاتورة التي يفشل إلغاؤها لا تُحذف ويرجع مخزونها كما كان
+            for (const saleId of [...state.selectedSales]) {
+                const saleToDelete = state.sales.find(s => s.id === saleId);
+                if (!saleToDelete || !api.saleHasRedemptions(saleToDelete)) continue;
+                const result = await api.deleteSaleWithRedemptions(saleToDelete);
+                if (!result.success) {
+                    state.selectedSales.delete(saleId);
+                    await api.adjustStock(saleStockChanges(saleToDelete).map(change => ({ ...change, delta: -change.delta })));
+                    utils.showNotification(`${translations[state.lang].saleRedemptionsNotReversed} #${saleId}: ${result.message}`, 'error');
+                }
+            }
+
             state.selectedSales.forEach(saleId => {
                 const saleToDelete = state.sales.find(s => s.id === saleId);
                 if (saleToDelete) {
-                    let netItemsSold = 0;
-                    (saleToDelete.items || []).forEach(item => {
-                        const effectiveQty = item.quantity - (item.returnedQty || 0);
-                        netItemsSold += effectiveQty;
-                        if (effectiveQty > 0) {
-                            const product = state.products.find(p => p.id === item.productId);
-                            if (product && product.colors[item.color] && product.colors[item.color].sizes[item.size]) {
-                                product.colors[item.color].sizes[item.size].quantity += effectiveQty;
-                            }
-                        }
-                    });
+                    voidSaleLoyalty(saleToDelete);
+                    const netItemsSold = (saleToDelete.items || []).reduce((sum, item) => sum + Math.max(0, item.quantity - (item.returnedQty || 0)), 0);
 
                     if (saleToDelete.customerPhone && netItemsSold > 0) {
                         const customer = state.customers.find(c => c.phone === saleToDelete.customerPhone);
@@ -864,42 +1452,232 @@ function updateCustomerOnReturn(phone, returnedQuantity) {
     }
 }
 
-async function processNormalReturn() {
-    utils.showLoader();
-    try {
-        const sale = state.sales.find(s => s.id === state.returningSaleId);
-        if (!sale) return;
-
-        let itemsReturnedCount = 0;
-        let totalReturnedQty = 0;
-        const returnDeliveryFee = parseFloat(document.getElementById('return-delivery-fee-input').value) || 0;
+/**
+ * تطبيق إرجاع كمية من عنصر على الفاتورة الأصلية: الكمية المرتجعة وقيمة الفاتورة وربحها وخصم العروض الباقي ونصيب الكوبون.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {object} saleItem - عنصر من sale.items.
+ * @param {number} quantity - الكمية المرتجعة.
+ * @returns {object} - سطر المرتجع كما يُحفظ في sale.returns.
+ */
+function applyItemReturn(sale, saleItem, quantity) {
+    const { value, couponShare, clawback } = applyReturnToSale(sale, saleItem, quantity);
+    return { itemId: saleItem.id, productName: saleItem.productName, color: saleItem.color, size: saleItem.size, quantity, value, couponShare, clawback };
+}
 
-        document.querySelectorAll('.return-quantity-input').forEach(input => {
-            const returnQuantity = parseInt(input.value);
-            if (returnQuantity > 0) {
-                itemsReturnedCount++;
-                totalReturnedQty += returnQuantity;
-                const { itemId, productId, color, size } = input.dataset;
-                const saleItem = sale.items.find(i => i.id === itemId);
-                const product = state.products.find(p => p.id === productId);
+/**
+ * إذا رجعت كل القطع التي طُبق عليها الكوبون يُلغى استخدامه حتى يمكن استخدامه مرة أخرى.
+ * @param {object} sale - الفاتورة الأصلية.
+ */
+async function releaseCouponIfFullyReturned(sale) {
+    const couponItems = sale.items.filter(item => item.couponDiscount > 0);
+    if (sale.coupon && !sale.coupon.released && couponItems.length > 0 && couponItems.every(item => (item.returnedQty || 0) >= item.quantity)) {
+        const releaseResult = await api.releaseCouponRedemption(sale.coupon.couponId, sale.customerPhone);
+        if (releaseResult.success) sale.coupon.released = true;
+    }
+}
 
-                saleItem.returnedQty = (saleItem.returnedQty || 0) + returnQuantity;
+/**
+ * فحص قطع مرتجعة (مرتجع عادي أو استبدال) حسب سياسة الإرجاع.
+ * المرتجع بعد مدة الإرجاع مسموح لمن يملك صلاحية approveReturns، أو بعد موافقة مدير بكلمة السر (state.returnApproval).
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {Array<object>} items - قطع الفاتورة المرتجعة.
+ * @returns {{allowed: boolean, needsApproval: boolean, message: string, approvedBy: string|null}}
+ */
+function checkItemsReturnPolicy(sale, items) {
+    const t = translations[state.lang];
+    const check = checkReturnPolicy(sale, items);
+    const message = check.reason ? `${t[check.reason]} (${check.details})` : '';
+    if (!check.allowed) return { allowed: false, needsApproval: false, message, approvedBy: null };
+    if (!check.needsApproval) return { allowed: true, needsApproval: false, message, approvedBy: null };
+    if (hasPermission('approveReturns')) return { allowed: true, needsApproval: false, message, approvedBy: state.currentUser.username };
+    if (state.returnApproval?.saleId === sale.id) return { allowed: true, needsApproval: false, message, approvedBy: state.returnApproval.approvedBy };
+    return { allowed: false, needsApproval: true, message, approvedBy: null };
+}
 
-                const itemSubtotal = saleItem.unitPrice * returnQuantity;
-                const discountRatio = sale.subtotal > 0 ? sale.discountAmount / sale.subtotal : 0;
-                const returnedValue = itemSubtotal - (itemSubtotal * discountRatio);
-                const returnedProfit = (saleItem.unitPrice - saleItem.purchasePrice) * returnQuantity - (itemSubtotal * discountRatio);
+/**
+ * فحص القطع المحددة في نافذة المرتجع حسب سياسة الإرجاع.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @returns {{allowed: boolean, needsApproval: boolean, message: string, approvedBy: string|null}}
+ */
+function checkSelectedReturnPolicy(sale) {
+    const items = [...document.querySelectorAll('.return-quantity-input')]
+        .filter(input => parseInt(input.value) > 0)
+        .map(input => sale.items.find(i => i.id === input.dataset.itemId))
+        .filter(Boolean);
+    return checkItemsReturnPolicy(sale, items);
+}
 
-                sale.totalAmount -= returnedValue;
-                sale.profit -= returnedProfit;
+/**
+ * التحقق من طريقة رد المبلغ وسياسة الإرجاع قبل اختيار نوع المرتجع: رصيد المتجر مرتبط برقم العميل،
+ * والمرتجع بعد مدة الإرجاع يحتاج موافقة المدير.
+ */
+function handleConfirmReturn() {
+    const sale = state.sales.find(s => s.id === state.returningSaleId);
+    if (!sale) return;
+    if (document.getElementById('return-refund-method').value === 'storeCredit' && !sale.customerPhone) {
+        utils.showNotification(translations[state.lang].storeCreditNeedsCustomer, 'error');
+        return;
+    }
+    const policy = checkSelectedReturnPolicy(sale);
+    if (policy.needsApproval) {
+        ui.showReturnApprovalModal(policy.message);
+        return;
+    }
+    if (!policy.allowed) {
+        utils.showNotification(policy.message, 'error');
+        return;
+    }
+    ui.showReturnTypeModal();
+}
 
-                if (product && product.colors[color] && product.colors[color].sizes[size]) {
-                    product.colors[color].sizes[size].quantity += returnQuantity;
-                }
-            }
+/**
+ * موافقة المدير على مرتجع أو استبدال بعد مدة الإرجاع بكلمة سر الأدمن، ثم متابعة العملية.
+ * @param {Event} e
+ */
+async function handleReturnApprovalSubmit(e) {
+    e.preventDefault();
+    const password = document.getElementById('return-approval-password-input').value;
+    utils.showLoader();
+    let result;
+    try {
+        result = await api.validateAdminPassword(password);
+    } finally {
+        utils.hideLoader();
+    }
+    if (!result.success) {
+        utils.showNotification(result.message, 'error');
+        return;
+    }
+    state.returnApproval = { saleId: state.exchangeDraft?.saleId || state.returningSaleId, approvedBy: 'admin' };
+    ui.closeReturnApprovalModal();
+    if (state.exchangeDraft) await processExchange();
+    else handleConfirmReturn();
+}
+
+/**
+ * رد قيمة المرتجع كرصيد متجر أو كارت هدية بدلاً من الكاش.
+ * إذا تعذر إصدار الرصيد يُرد المبلغ كاش.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {string} refundMethod - cash أو storeCredit أو giftCard.
+ * @param {number} value - قيمة القطع المرتجعة.
+ * @returns {Promise<{refundMethod: string, credit: object|null}>}
+ */
+async function issueReturnRefund(sale, refundMethod, value) {
+    if (!CREDIT_TYPES.includes(refundMethod) || !(value > 0)) return { refundMethod: 'cash', credit: null };
+    const now = new Date().toISOString();
+    const by = state.currentUser?.username || sale.cashier;
+    const amount = Math.round(value * 100) / 100;
+    const credit = {
+        id: utils.generateUUID(), code: generateCreditCode(refundMethod), type: refundMethod,
+        customerPhone: sale.customerPhone || '', customerName: sale.customerName || '',
+        balance: amount, issuedFromSaleId: sale.id, createdAt: now, createdBy: by,
+        ledger: [{ id: utils.generateUUID(), type: 'issue', amount, saleId: sale.id, date: now, by }]
+    };
+    const result = await api.issueStoreCredit(credit);
+    if (!result.success) {
+        utils.showNotification(`${translations[state.lang].storeCreditIssueFailed} ${result.message}`, 'error');
+        return { refundMethod: 'cash', credit: null };
+    }
+    return { refundMethod, credit };
+}
+
+/**
+ * إشعار بالرصيد الصادر من المرتجع وطباعة الكارت بالباركود.
+ * @param {object|null} credit
+ */
+function announceReturnCredit(credit) {
+    if (!credit) return;
+    const t = translations[state.lang];
+    utils.showNotification(`${t[credit.type]} ${credit.code}: ${credit.balance.toFixed(2)} EGP`, 'success');
+    api.printGiftCard(credit);
+}
+
+/**
+ * تسجيل عملية الإرجاع على الفاتورة حتى تظهر في سجل المرتجعات بالتاريخ والسبب والكاشير وطريقة رد المبلغ.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {object} returnData - { type, reason, items, returnDeliveryFee, refundMethod, creditCode, exchangeSaleId, cashRefund, pointsRefund }.
+ */
+function recordSaleReturn(sale, { type, reason, items, returnDeliveryFee, refundMethod = 'cash', creditCode = null, exchangeSaleId = null, cashRefund = 0, approvedBy = null, pointsRefund = null }) {
+    const returnedAt = new Date().toISOString();
+    if (!sale.returns) sale.returns = [];
+    sale.returns.push({
+        id: utils.generateUUID(),
+        returnedAt,
+        processedBy: state.currentUser?.username || sale.cashier,
+        type,
+        reason,
+        items,
+        value: items.reduce((sum, item) => sum + item.value, 0),
+        returnDeliveryFee,
+        refundMethod,
+        creditCode,
+        exchangeSaleId,
+        cashRefund,
+        approvedBy,
+        pointsRefund
+    });
+    sale.updatedAt = returnedAt;
+    // النقاط لا تُكتسب على الجزء المدفوع بالنقاط، فلا يُخصم عنه شيء
+    reverseLoyaltyForReturn(sale, items.reduce((sum, item) => sum + item.value, 0) - (pointsRefund?.value || 0));
+}
+
+/**
+ * إشعار بالنقاط التي رجعت لحساب العميل من المرتجع.
+ * @param {{points: number, value: number}|null} pointsRefund
+ */
+function announcePointsRefund(pointsRefund) {
+    if (!pointsRefund?.points) return;
+    const t = translations[state.lang];
+    utils.showNotification(`${t.pointsRefunded} ${pointsRefund.points} (${pointsRefund.value.toFixed(2)} EGP)`, 'info');
+}
+
+async function processNormalReturn() {
+    utils.showLoader();
+    try {
+        const sale = state.sales.find(s => s.id === state.returningSaleId);
+        if (!sale) return;
+        const policy = checkSelectedReturnPolicy(sale);
+        if (!policy.allowed) {
+            utils.showNotification(policy.message, 'error');
+            return;
+        }
+
+        let itemsReturnedCount = 0;
+        let totalReturnedQty = 0;
+        const returnDeliveryFee = parseFloat(document.getElementById('return-delivery-fee-input').value) || 0;
+        const returnReason = document.getElementById('return-reason-input').value.trim();
+        const refundMethod = document.getElementById('return-refund-method').value;
+        const returnedItems = [];
+        const returnInputs = [...document.querySelectorAll('.return-quantity-input')].filter(input => parseInt(input.value) > 0);
+
+        const stockResult = await api.adjustStock(returnInputs.map(input => ({
+            productId: input.dataset.productId, color: input.dataset.color, size: input.dataset.size, delta: parseInt(input.value)
+        })));
+        if (!stockResult.success) {
+            handleStockAdjustFailure(stockResult);
+            return;
+        }
+
+        returnInputs.forEach(input => {
+            const returnQuantity = parseInt(input.value);
+            if (returnQuantity > 0) {
+                itemsReturnedCount++;
+                totalReturnedQty += returnQuantity;
+                const { itemId } = input.dataset;
+                returnedItems.push(applyItemReturn(sale, sale.items.find(i => i.id === itemId), returnQuantity));
+            }
         });
 
+        await releaseCouponIfFullyReturned(sale);
+
         if (itemsReturnedCount > 0 || returnDeliveryFee > 0) {
+            const returnedValue = returnedItems.reduce((sum, item) => sum + item.value, 0);
+            const pointsRefund = refundRedeemedPoints(sale, returnedValue);
+            const refund = await issueReturnRefund(sale, refundMethod, returnedValue - (pointsRefund?.value || 0));
+            recordSaleReturn(sale, {
+                type: 'normal', reason: returnReason, items: returnedItems, returnDeliveryFee,
+                refundMethod: refund.refundMethod, creditCode: refund.credit?.code || null, approvedBy: policy.approvedBy, pointsRefund
+            });
             sale.returnDeliveryFee = (sale.returnDeliveryFee || 0) + returnDeliveryFee;
             sale.profit -= returnDeliveryFee; // The business bears the shipping cost for returns
             if (sale.customerPhone) {
@@ -907,6 +1685,8 @@ async function processNormalReturn() {
             }
             await api.saveData();
             utils.showNotification(translations[state.lang].btnReturned || "Return processed successfully. Stock updated.", 'success');
+            announceReturnCredit(refund.credit);
+            announcePointsRefund(pointsRefund);
         }
     } finally {
         ui.closeReturnModal();
@@ -936,10 +1716,18 @@ function handleDefectiveReturnOption() {
     });
 
     if (itemsToProcess.length > 0) {
+        const policy = checkSelectedReturnPolicy(state.sales.find(s => s.id === state.returningSaleId));
+        if (!policy.allowed) {
+            utils.showNotification(policy.message, 'error');
+            ui.closeReturnModal();
+            return;
+        }
         state.returnActionData = {
             type: 'defective',
             itemsToProcess,
-            returnDeliveryFee: parseFloat(document.getElementById('return-delivery-fee-input').value) || 0
+            returnDeliveryFee: parseFloat(document.getElementById('return-delivery-fee-input').value) || 0,
+            refundMethod: document.getElementById('return-refund-method').value,
+            approvedBy: policy.approvedBy
         };
         ui.showDefectiveItemModal();
     } else {
@@ -948,8 +1736,273 @@ function handleDefectiveReturnOption() {
     }
 }
 
+/**
+ * البحث في صفحة المرتجعات عن الفواتير بباركود القطعة و/أو رقم العميل و/أو تاريخ البيع.
+ * @param {Event} e
+ */
+function handleReturnsSearchSubmit(e) {
+    e.preventDefault();
+    const barcode = document.getElementById('returns-barcode-input').value.trim();
+    const variant = barcode ? findVariantByBarcode(barcode) : null;
+    if (barcode && !variant) {
+        utils.showNotification("Barcode not found.", 'error');
+        return;
+    }
+    state.returnSearch = {
+        barcode,
+        variant: variant ? { productId: variant.product.id, color: variant.colorName, size: variant.sizeName } : null,
+        phone: document.getElementById('returns-phone-input').value.trim(),
+        date: document.getElementById('returns-date-input').value
+    };
+    ui.renderReturnsPage();
+}
+
+function refreshNoReceiptRefundPreview() {
+    const variant = findVariantByBarcode(document.getElementById('no-receipt-barcode-input').value);
+    ui.updateNoReceiptRefundPreview(variant, parseInt(document.getElementById('no-receipt-qty-input').value, 10) || 0);
+}
+
+/**
+ * مرتجع بدون فاتورة: القطعة ترجع للمخزون ويُرد للعميل نسبة السياسة من سعر البيع الحالي (كاش أو رصيد أو كارت هدية).
+ * يُسجل في مجموعة no_receipt_returns برقم يومي (R).
+ * @param {Event} e
+ */
+async function handleNoReceiptReturnSubmit(e) {
+    e.preventDefault();
+    if (!ensurePermission('processReturns')) return;
+    const t = translations[state.lang];
+    const policy = getReturnPolicy();
+    if (!policy.allowNoReceipt) {
+        utils.showNotification(t.noReceiptReturnsDisabled, 'error');
+        return;
+    }
+    const variant = findVariantByBarcode(document.getElementById('no-receipt-barcode-input').value);
+    const quantity = parseInt(document.getElementById('no-receipt-qty-input').value, 10) || 0;
+    const refundMethod = document.getElementById('no-receipt-refund-method').value;
+    const customerPhone = document.getElementById('no-receipt-phone-input').value.trim();
+    const reason = document.getElementById('no-receipt-reason-input').value.trim();
+    if (!variant) {
+        utils.showNotification("Barcode not found.", 'error');
+        return;
+    }
+    if (policy.nonReturnableCategories.includes(variant.product.category)) {
+        utils.showNotification(`${t.returnCategoryBlocked} (${variant.product.name})`, 'error');
+        return;
+    }
+    if (quantity <= 0) {
+        utils.showNotification("Please enter a valid quantity.", 'error');
+        return;
+    }
+    if (refundMethod === 'storeCredit' && !customerPhone) {
+        utils.showNotification(t.storeCreditNeedsCustomer, 'error');
+        return;
+    }
 
-async function saveReceiptAsBooking(receiptId, deposit) {
+    utils.showLoader();
+    try {
+        const idResult = await api.getNextDailyId('R', state.noReceiptReturns);
+        if (!idResult.success) {
+            utils.showNotification(`Could not reserve a return number: ${idResult.message}`, 'error');
+            return;
+        }
+        const { product, colorName, sizeName } = variant;
+        const stockResult = await api.adjustStock([{ productId: product.id, color: colorName, size: sizeName, delta: quantity }]);
+        if (!stockResult.success) {
+            handleStockAdjustFailure(stockResult);
+            return;
+        }
+
+        const processedBy = state.currentUser.username;
+        const unitRefund = getNoReceiptRefundPrice(product, policy);
+        const value = Math.round(unitRefund * quantity * 100) / 100;
+        const customer = customerPhone ? state.customers.find(c => c.phone === customerPhone) : null;
+        const refund = await issueReturnRefund(
+            { id: idResult.id, customerPhone, customerName: customer?.name || '', cashier: processedBy }, refundMethod, value
+        );
+        state.noReceiptReturns.unshift({
+            id: idResult.id,
+            returnedAt: new Date().toISOString(),
+            processedBy,
+            productId: product.id, productName: product.name, color: colorName, size: sizeName,
+            quantity, unitRefund, value,
+            purchasePrice: product.purchasePrice || 0,
+            refundPercent: policy.noReceiptRefundPercent,
+            reason, customerPhone,
+            refundMethod: refund.refundMethod,
+            creditCode: refund.credit?.code || null
+        });
+        await api.saveData();
+        ui.closeNoReceiptReturnModal();
+        utils.showNotification(`${t.noReceiptReturnDone} ${value.toFixed(2)} EGP`, 'success');
+        announceReturnCredit(refund.credit);
+        ui.render();
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * إضافة قطعة جديدة لسلة الاستبدال بالباركود أو من قائمة المنتجات.
+ * @param {Event} e
+ */
+function handleExchangeItemSubmit(e) {
+    e.preventDefault();
+    const draft = state.exchangeDraft;
+    if (!draft) return;
+    const barcodeInput = document.getElementById('exchange-barcode-input');
+    const quantity = parseInt(document.getElementById('exchange-qty-input').value, 10) || 1;
+    let product, color, size;
+    if (barcodeInput.value.trim()) {
+        const variant = findVariantByBarcode(barcodeInput.value);
+        barcodeInput.value = '';
+        if (!variant) {
+            utils.showNotification("Barcode not found.", 'error');
+            return;
+        }
+        ({ product, colorName: color, sizeName: size } = variant);
+    } else {
+        product = state.products.find(p => p.id === document.getElementById('exchange-product-select').value);
+        [color, size] = (document.getElementById('exchange-variant-select').value || '').split('|');
+    }
+    if (!product || !color || !size) {
+        utils.showNotification("Please select a color and size.", "error");
+        return;
+    }
+
+    const existing = draft.newItems.find(item => item.productId === product.id && item.color === color && item.size === size);
+    const availableQty = getAvailableQuantity(product, color, size);
+    if ((existing?.quantity || 0) + quantity > availableQty) {
+        utils.showNotification(`Not enough stock for ${product.name} (${color}/${size}). Only ${availableQty} available.`, 'error');
+        return;
+    }
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        draft.newItems.push({
+            productId: product.id, productName: product.name, color, size, quantity,
+            price: product.sellingPrice, purchasePrice: product.purchasePrice
+        });
+    }
+    ui.renderExchangeDraft();
+}
+
+/**
+ * تنفيذ الاستبدال كعملية واحدة: إرجاع القطع إلى المخزون وخصم القطع الجديدة في نفس المعاملة،
+ * ثم تسجيل المرتجع على الفاتورة الأصلية وإنشاء فاتورة جديدة يُخصم منها قيمة المرتجع ويُحصّل أو يُرد الفرق فقط.
+ */
+async function processExchange() {
+    const t = translations[state.lang];
+    const draft = state.exchangeDraft;
+    const sale = draft && state.sales.find(s => s.id === draft.saleId);
+    if (!sale) return;
+    const returnEntries = Object.entries(draft.returnQuantities).filter(([, quantity]) => quantity > 0);
+    if (returnEntries.length === 0 || draft.newItems.length === 0) {
+        utils.showNotification(t.exchangeNeedsItems, 'error');
+        return;
+    }
+    // نفس سياسة المرتجع العادي: الأقسام غير القابلة للإرجاع ممنوعة، وبعد مدة الإرجاع تحتاج موافقة
+    const policy = checkItemsReturnPolicy(sale, returnEntries.map(([itemId]) => sale.items.find(item => item.id === itemId)).filter(Boolean));
+    if (policy.needsApproval) {
+        ui.showReturnApprovalModal(policy.message);
+        return;
+    }
+    if (!policy.allowed) {
+        utils.showNotification(policy.message, 'error');
+        return;
+    }
+    const totals = calculateExchangeTotals(sale, draft.returnQuantities, draft.newItems);
+    const refundMethod = totals.refundDue > 0 ? draft.refundMethod : 'cash';
+    if (refundMethod === 'storeCredit' && !sale.customerPhone) {
+        utils.showNotification(t.storeCreditNeedsCustomer, 'error');
+        return;
+    }
+
+    utils.showLoader();
+    try {
+        const stockChanges = [
+            ...returnEntries.map(([itemId, quantity]) => {
+                const saleItem = sale.items.find(item => item.id === itemId);
+                return { productId: saleItem.productId, color: saleItem.color, size: saleItem.size, delta: quantity };
+            }),
+            ...draft.newItems.map(item => ({ productId: item.productId, color: item.color, size: item.size, delta: -item.quantity }))
+        ];
+        const stockResult = await api.adjustStock(stockChanges);
+        if (!stockResult.success) {
+            handleStockAdjustFailure(stockResult);
+            return;
+        }
+
+        const saleIdResult = await api.getNextDailyId('S', state.sales);
+        if (!saleIdResult.success) {
+            await api.adjustStock(stockChanges.map(change => ({ ...change, delta: -change.delta })));
+            utils.showNotification(`Could not reserve a receipt number: ${saleIdResult.message}`, "error");
+            return;
+        }
+
+        const returnedItems = returnEntries.map(([itemId, quantity]) => applyItemReturn(sale, sale.items.find(item => item.id === itemId), quantity));
+        await releaseCouponIfFullyReturned(sale);
+        // المستحق للعميل يُرد أولاً نقاطاً بنصيب النقاط من المرتجع، والباقي كاش أو رصيد
+        const pointsRefund = totals.refundDue > 0 ? refundRedeemedPoints(sale, totals.returnedValue, totals.refundDue) : null;
+        const moneyRefundDue = Math.round((totals.refundDue - (pointsRefund?.value || 0)) * 100) / 100;
+        const refund = moneyRefundDue > 0 ? await issueReturnRefund(sale, refundMethod, moneyRefundDue) : { refundMethod: 'cash', credit: null };
+        const cashRefund = moneyRefundDue > 0 && !refund.credit ? moneyRefundDue : 0;
+        recordSaleReturn(sale, {
+            type: 'exchange', reason: document.getElementById('exchange-reason-input').value.trim(), items: returnedItems,
+            returnDeliveryFee: 0, refundMethod: 'exchange', creditCode: refund.credit?.code || null,
+            exchangeSaleId: saleIdResult.id, cashRefund, approvedBy: policy.approvedBy, pointsRefund
+        });
+        updateCustomerOnReturn(sale.customerPhone, returnedItems.reduce((sum, item) => sum + item.quantity, 0));
+
+        const payments = [];
+        if (totals.appliedValue > 0) payments.push({ method: 'exchange', amount: totals.appliedValue, reference: sale.id });
+        if (totals.amountDue > 0) payments.push({ method: draft.paymentMethod, amount: totals.amountDue });
+        const newSale = {
+            id: saleIdResult.id,
+            cashier: state.currentUser?.username || sale.cashier,
+            createdAt: new Date().toISOString(),
+            totalAmount: totals.newTotal,
+            paidAmount: totals.newTotal,
+            depositPaidOnBooking: 0,
+            profit: draft.newItems.reduce((sum, item) => sum + (item.price - item.purchasePrice) * item.quantity, 0)
+                - (totals.newItemsTax.addedTax > 0 ? 0 : totals.newItemsTax.taxTotal), // الضريبة الشاملة ليست ربحاً
+            subtotal: totals.newTotal - totals.newItemsTax.addedTax, discountAmount: 0, manualDiscount: 0, promotionDiscount: 0, couponDiscount: 0,
+            tax: buildSaleTaxInfo(getTaxSettings(), totals.newItemsTax),
+            promotions: [], coupon: null,
+            paymentMethod: payments.length === 1 ? payments[0].method : 'split', payments, changeAmount: 0,
+            customerPhone: sale.customerPhone || '', customerName: sale.customerName || '',
+            customerAddress: sale.customerAddress || '', customerCity: sale.customerCity || '',
+            isFreeDelivery: false, deliveryFee: 0, shippingCost: 0, returnDeliveryFee: 0,
+            items: draft.newItems.map((item, index) => ({
+                id: utils.generateUUID(), productId: item.productId, productName: item.productName,
+                quantity: item.quantity, unitPrice: item.price, purchasePrice: item.purchasePrice,
+                color: item.color, size: item.size, returnedQty: 0, promotionDiscount: 0, couponDiscount: 0,
+                ...totals.newItemsTax.lines[index]
+            })),
+            exchange: {
+                originalSaleId: sale.id, returnedItems, returnedValue: totals.returnedValue, appliedValue: totals.appliedValue,
+                refundDue: totals.refundDue, refundMethod: refund.credit ? refundMethod : 'cash', creditCode: refund.credit?.code || null
+            }
+        };
+        state.sales.unshift(newSale);
+        updateCustomerData(newSale.customerPhone, newSale.customerName, newSale.customerAddress, newSale.customerCity, newSale.items);
+        recordSaleLoyalty(newSale);
+
+        await api.saveData();
+        ui.closeExchangeModal();
+        ui.render();
+        utils.showNotification(`${t.exchangeCompleted} #${newSale.id}`, 'success');
+        await api.printReceipt(newSale.id);
+        announceReturnCredit(refund.credit);
+        announcePointsRefund(pointsRefund);
+    } catch (error) {
+        console.error("Error processing exchange:", error);
+        utils.showNotification("An error occurred while processing the exchange.", "error");
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function saveReceiptAsBooking(receiptId, deposit, dueDate) {
     utils.showLoader();
     try {
         const receipt = state.receipts.find(r => r.id === receiptId);
@@ -964,7 +2017,9 @@ async function saveReceiptAsBooking(receiptId, deposit) {
         const customerAddress = container.querySelector('.customer-address-input').value.trim();
         const customerCity = container.querySelector('.customer-city-input').value.trim();
         const isFreeDelivery = container.querySelector('#free-delivery-checkbox').checked;
-        const depositPaymentMethod = container.querySelector('.payment-method-btn.selected')?.dataset.method || 'cash';
+        const depositTenders = Array.from(container.querySelectorAll('.tender-amount'))
+            .map(input => ({ method: input.dataset.method, amount: parseFloat(input.value) || 0 }))
+            .filter(tender => tender.amount > 0);
 
 
         if (!customerName || !customerPhone) {
@@ -972,118 +2027,538 @@ async function saveReceiptAsBooking(receiptId, deposit) {
             return;
         }
 
+        const subtotal = receipt.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (deposit - subtotal > 0.001) {
+            utils.showNotification(`${translations[state.lang].paymentExceedsBalance} ${subtotal.toFixed(2)} EGP`, "error");
+            return;
+        }
+
+        const bookingIdResult = await api.getNextDailyId('B', state.bookings);
+        if (!bookingIdResult.success) {
+            utils.showNotification(`Could not reserve a booking number: ${bookingIdResult.message}`, "error");
+            return;
+        }
+
+        // قطع الحجز تُخصم من المخزون فعلياً حتى استلامها، وحجز الفاتورة المؤقت يُلغى
+        if (receipt.usesReservations) {
+            const stockResult = await commitReceiptStock(receipt);
+            if (!stockResult.success) {
+                handleStockAdjustFailure(stockResult);
+                return;
+            }
+        }
+
         const newBooking = {
-            id: utils.getDailyId('B', state.bookings),
+            id: bookingIdResult.id,
             cart: JSON.parse(JSON.stringify(receipt.cart)),
             customerName,
             customerPhone,
             customerAddress,
             customerCity,
-            deposit: deposit,
-            depositPaymentMethod: depositPaymentMethod,
+            payments: createDepositPayments(deposit, depositTenders, state.currentUser?.username || receipt.seller),
+            dueDate: dueDate || null,
             seller: receipt.seller,
             isCompleted: false,
             isFreeDelivery: isFreeDelivery,
             createdAt: new Date().toISOString()
         };
+        setBookingStatus(newBooking, 'open', state.currentUser?.username || receipt.seller);
 
         state.bookings.push(newBooking);
 
-        const index = state.receipts.findIndex(r => r.id === receiptId);
-        if (index > -1) {
-            state.receipts.splice(index, 1);
-            if (state.activeReceiptId === receiptId) {
-                if (state.receipts.length === 0) createNewReceipt(false);
-                state.activeReceiptId = state.receipts[0]?.id || null;
-            }
+        const index = state.receipts.findIndex(r => r.id === receiptId);
+        if (index > -1) {
+            state.receipts.splice(index, 1);
+            if (state.activeReceiptId === receiptId) {
+                if (state.receipts.length === 0) createNewReceipt(false);
+                state.activeReceiptId = state.receipts[0]?.id || null;
+            }
+        }
+
+        await api.saveData();
+        api.cartSession.save();
+        ui.closeBookingConfirmationModal();
+        ui.render();
+        utils.showNotification(translations[state.lang].bookingSaved, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * إغلاق حجز مفتوح بالإلغاء أو الانتهاء: تسجيل الحالة والتصرف في المدفوع، ثم إعادة قطعه للمخزون.
+ * رد المبلغ يُسجل دفعة بالسالب حتى يُخصم من وردية الرد، وتحويله لرصيد متجر يُصدر رصيداً باسم العميل.
+ * لا يحفظ state (يستدعيه المتصل بعد آخر تعديل).
+ * @param {object} booking
+ * @param {'cancelled'|'expired'} status
+ * @param {{depositAction: string, refundMethod?: string, reason?: string, by: string}} options - depositAction من DEPOSIT_ACTIONS.
+ * @returns {Promise<{success: boolean, credit?: object|null, message?: string}>}
+ */
+async function closeBooking(booking, status, { depositAction, refundMethod = 'cash', reason = '', by }) {
+    const now = new Date();
+    // ما خُصم من فواتير استلام جزئي سابقة لا يُرد
+    const paid = getBookingCreditTotal(booking);
+    const action = paid > 0 ? depositAction : 'none';
+    const updatedBooking = JSON.parse(JSON.stringify(booking));
+    updatedBooking.payments = getBookingPayments(booking);
+    delete updatedBooking.deposit;
+    delete updatedBooking.depositPaymentMethod;
+    if (action === 'refund') updatedBooking.payments.push({ ...createBookingPayment(-paid, refundMethod, by, now), type: 'refund' });
+    updatedBooking.depositHandling = {
+        action, amount: paid, refundMethod: action === 'refund' ? refundMethod : null, creditCode: null,
+        reason, date: now.toISOString(), by
+    };
+    updatedBooking.loadedReceiptId = null;
+    delete updatedBooking.loadedItems;
+    setBookingStatus(updatedBooking, status, by, now);
+
+    const result = await api.closeBookingRecord(updatedBooking);
+    if (!result.success) return result;
+
+    // القطع المحملة في فاتورة على جهاز آخر أُعيدت للمخزون بالفعل عند تحميلها
+    const stockResult = await api.adjustStock(diffItemQuantities(booking.cart, getLoadedItems(booking)));
+    if (!stockResult.success) handleStockAdjustFailure(stockResult);
+
+    let credit = null;
+    if (action === 'storeCredit') {
+        credit = await issueBookingCredit(updatedBooking, paid, by);
+        // تعذر إصدار الرصيد: يبقى المبلغ مسجلاً كمحتجز ويُعالج يدوياً
+        if (credit) updatedBooking.depositHandling.creditCode = credit.code;
+        else updatedBooking.depositHandling.action = 'forfeit';
+    }
+    return { success: true, credit };
+}
+
+/**
+ * تحويل المدفوع في حجز ملغي أو منتهي لرصيد متجر باسم العميل.
+ * @param {object} booking
+ * @param {number} amount
+ * @param {string} by
+ * @returns {Promise<object|null>} - الرصيد، أو null إذا تعذر إصداره.
+ */
+async function issueBookingCredit(booking, amount, by) {
+    const now = new Date().toISOString();
+    const credit = {
+        id: utils.generateUUID(), code: generateCreditCode('storeCredit'), type: 'storeCredit',
+        customerPhone: booking.customerPhone || '', customerName: booking.customerName || '',
+        balance: amount, issuedFromBookingId: booking.id, createdAt: now, createdBy: by,
+        ledger: [{ id: utils.generateUUID(), type: 'issue', amount, bookingId: booking.id, date: now, by }]
+    };
+    const result = await api.issueStoreCredit(credit);
+    if (!result.success) {
+        utils.showNotification(`${translations[state.lang].storeCreditIssueFailed} ${result.message}`, 'error');
+        return null;
+    }
+    return credit;
+}
+
+async function handleCancelBookingSubmit(e) {
+    e.preventDefault();
+    const t = translations[state.lang];
+    const booking = state.bookings.find(b => b.id === state.cancellingBookingId);
+    if (!booking || !isBookingActive(booking)) return;
+    if (state.receipts.some(r => r.id === booking.loadedReceiptId)) {
+        utils.showNotification(t.bookingLoadedInReceipt, 'error');
+        return;
+    }
+    if (booking.loadedReceiptId && !confirm(t.bookingLoadedElsewhere)) return;
+    const depositAction = document.getElementById('cancel-booking-deposit-action').value;
+    if (!DEPOSIT_ACTIONS.includes(depositAction)) return;
+
+    utils.showLoader();
+    try {
+        const result = await closeBooking(booking, 'cancelled', {
+            depositAction,
+            refundMethod: document.getElementById('cancel-booking-refund-method').value,
+            reason: document.getElementById('cancel-booking-reason').value.trim(),
+            by: state.currentUser.username
+        });
+        if (!result.success) {
+            utils.showNotification(result.message, 'error');
+            return;
+        }
+        await api.saveData();
+        ui.closeCancelBookingModal();
+        ui.render();
+        utils.showNotification(t.bookingCancelled, 'success');
+        announceReturnCredit(result.credit);
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * تغيير حالة حجز مفتوح (مفتوح، جاهز للاستلام، خرج للتوصيل). الإكمال والإلغاء لهما خطواتهما الخاصة.
+ * @param {string} bookingId
+ * @param {string} status
+ */
+async function handleBookingStatusChange(bookingId, status) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking || !isBookingActive(booking) || !ACTIVE_BOOKING_STATUSES.includes(status)) return;
+    setBookingStatus(booking, status, state.currentUser.username);
+    await api.saveData();
+    ui.render();
+    utils.showNotification(translations[state.lang].bookingStatusUpdated, 'success');
+}
+
+/**
+ * إنهاء الحجوزات التي فات تاريخ استحقاقها وإعادة قطعها للمخزون، ويُستدعى دورياً من renderer.js.
+ * يعمل فقط مع الاتصال حتى تمنع معاملة الإغلاق انتهاء نفس الحجز من جهازين.
+ */
+export async function expireOverdueBookings() {
+    if (!offline.isOnline() || !state.currentUser) return;
+    const expired = getExpiredBookings(state.bookings);
+    if (expired.length === 0) return;
+    const { expiredDepositAction } = getBookingPolicy();
+    let count = 0;
+    for (const booking of expired) {
+        const result = await closeBooking(booking, 'expired', { depositAction: expiredDepositAction, by: 'system' });
+        if (result.success) count++;
+    }
+    if (count === 0) return;
+    await api.saveData();
+    ui.render();
+    utils.showNotification(`${translations[state.lang].bookingsExpired} ${count}`, 'info');
+}
+
+async function handleSaveBookingPolicy() {
+    const holdDays = parseInt(document.getElementById('booking-hold-days-input').value, 10);
+    const expiredDepositAction = document.getElementById('booking-expired-deposit-select').value;
+    if (isNaN(holdDays) || holdDays < 1 || !['forfeit', 'storeCredit'].includes(expiredDepositAction)) {
+        utils.showNotification("Please enter a valid hold period.", "error");
+        return;
+    }
+    utils.showLoader();
+    try {
+        state.bookingPolicy = { holdDays, expiredDepositAction };
+        await api.saveData();
+        utils.showNotification(translations[state.lang].bookingPolicySaved, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function handleEditBookingSubmit(e) {
+    e.preventDefault();
+    const booking = state.bookings.find(b => b.id === state.editingBookingId);
+    if (!booking) return;
+
+    booking.customerName = document.getElementById('edit-customer-name').value.trim();
+    booking.customerPhone = document.getElementById('edit-customer-phone').value.trim();
+    booking.customerAddress = document.getElementById('edit-customer-address').value.trim();
+    booking.customerCity = document.getElementById('edit-customer-city').value.trim();
+    booking.dueDate = document.getElementById('edit-due-date').value || null;
+    booking.isFreeDelivery = document.getElementById('edit-free-delivery').checked;
+
+    await api.saveData();
+    ui.closeEditBookingModal();
+    ui.render();
+    utils.showNotification("Booking updated successfully!", 'success');
+}
+
+/**
+ * تسجيل دفعة جديدة على حجز من نافذة تعديل الحجز. الدفعات لا تُعدل ولا تُحذف حتى تبقى ورديات استلامها صحيحة.
+ * @param {string} bookingId
+ */
+async function handleAddBookingPayment(bookingId) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking) return;
+    const amount = parseFloat(document.getElementById('booking-payment-amount').value);
+    const method = document.getElementById('booking-payment-method').value;
+    if (isNaN(amount) || amount <= 0 || !BOOKING_PAYMENT_METHODS.includes(method)) {
+        utils.showNotification("Please enter a valid payment amount.", "error");
+        return;
+    }
+    if (amount - getBookingBalance(booking) > 0.001) {
+        utils.showNotification(`${translations[state.lang].paymentExceedsBalance} ${getBookingBalance(booking).toFixed(2)} EGP`, "error");
+        return;
+    }
+
+    utils.showLoader();
+    try {
+        // الحجوزات القديمة: العربون يتحول لأول دفعة قبل إضافة الدفعة الجديدة
+        booking.payments = [...getBookingPayments(booking), createBookingPayment(amount, method, state.currentUser.username)];
+        delete booking.deposit;
+        delete booking.depositPaymentMethod;
+        await api.saveData();
+        ui.showEditBookingModal(booking.id);
+        ui.render();
+        utils.showNotification(translations[state.lang].bookingPaymentAdded, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+/**
+ * زر إتمام البيع في الحجز: يفتح فاتورة الحجز إذا كانت مفتوحة على هذا الجهاز، وإلا يختار العميل القطع التي يستلمها.
+ * @param {string} bookingId
+ */
+function startBookingPickup(bookingId) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking || !isBookingActive(booking)) return;
+    const openReceipt = state.receipts.find(r => r.id === booking.loadedReceiptId);
+    if (openReceipt) {
+        state.activeReceiptId = openReceipt.id;
+        state.currentPage = 'selling-page';
+        ui.render();
+        return;
+    }
+    if (booking.cart.length === 1 && booking.cart[0].quantity === 1) completeSaleFromBooking(bookingId, booking.cart);
+    else ui.showBookingPickupModal(bookingId);
+}
+
+async function handleBookingPickupSubmit(e) {
+    e.preventDefault();
+    const booking = state.bookings.find(b => b.id === state.pickingUpBookingId);
+    if (!booking) return;
+    const items = booking.cart.map((item, index) => {
+        const input = document.querySelector(`.booking-pickup-qty[data-index="${index}"]`);
+        const quantity = Math.min(item.quantity, Math.max(0, parseInt(input?.value, 10) || 0));
+        return { ...item, quantity };
+    }).filter(item => item.quantity > 0);
+    if (items.length === 0) {
+        utils.showNotification(translations[state.lang].selectPickupItems, 'error');
+        return;
+    }
+    ui.closeBookingPickupModal();
+    await completeSaleFromBooking(booking.id, items);
+}
+
+/**
+ * تحميل قطع من الحجز (كلها أو بعضها) في فاتورة جديدة لإتمام بيعها، مع خصم الجزء المستحق من المدفوع.
+ * باقي القطع تبقى في الحجز حتى تُستلم لاحقاً.
+ * @param {string} bookingId
+ * @param {Array<object>} items - سطور من booking.cart بالكميات المستلمة.
+ */
+async function completeSaleFromBooking(bookingId, items) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking || !isBookingActive(booking)) return;
+    // الحجز محمل في فاتورة على جهاز آخر (أو فاتورة أُغلقت الصفحة عليها): قطعها أُعيدت للمخزون بالفعل
+    const loadedElsewhere = !!booking.loadedReceiptId;
+    if (loadedElsewhere && !confirm(translations[state.lang].bookingLoadedElsewhere)) return;
+
+    utils.showLoader();
+    try {
+        createNewReceipt(false);
+        const newReceipt = state.receipts.find(r => r.id === state.activeReceiptId);
+
+        newReceipt.cart = JSON.parse(JSON.stringify(items));
+        refreshReceiptDiscounts(newReceipt);
+        newReceipt.isFromBooking = true;
+        newReceipt.bookingId = booking.id;
+        newReceipt.bookingItems = JSON.parse(JSON.stringify(items));
+        newReceipt.bookingPayments = getBookingPayments(booking);
+        newReceipt.originalDeposit = getPickupAllocation(booking, items);
+
+        newReceipt.customerName = booking.customerName;
+        newReceipt.customerPhone = booking.customerPhone;
+        newReceipt.customerAddress = booking.customerAddress;
+        newReceipt.customerCity = booking.customerCity;
+
+        // القطع المستلمة كانت مخصومة من المخزون، فتعود إليه وتُحجز للفاتورة الجديدة في نفس المعاملة
+        const stockResult = await api.adjustStock(diffItemQuantities(items, getLoadedItems(booking)), { receiptId: newReceipt.id, cart: newReceipt.cart });
+        if (!stockResult.success) {
+            state.receipts = state.receipts.filter(r => r.id !== newReceipt.id);
+            state.activeReceiptId = state.receipts[0]?.id || null;
+            if (state.receipts.length === 0) createNewReceipt(false);
+            api.cartSession.save();
+            handleStockAdjustFailure(stockResult);
+            return;
+        }
+
+        // الحجز يبقى مفتوحاً حتى إتمام البيع، وإغلاق الفاتورة يعيد القطع المحملة للحجز
+        booking.loadedReceiptId = newReceipt.id;
+        booking.loadedItems = JSON.parse(JSON.stringify(items));
+        api.cartSession.save();
+
+        state.currentPage = 'selling-page';
+        await api.saveData();
+        ui.render();
+
+        utils.showNotification('Booking loaded to a new receipt for completion.', 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function handleDeliverySubmit(e) {
+    e.preventDefault();
+    const t = translations[state.lang];
+    const sale = state.sales.find(s => s.id === state.editingDeliverySaleId);
+    if (!sale?.delivery) return;
+    if (sale.delivery.settlementId) {
+        utils.showNotification(t.deliveryAlreadySettled, 'error');
+        return;
+    }
+    const courier = document.getElementById('delivery-courier-input').value.trim();
+    const trackingNumber = document.getElementById('delivery-tracking-input').value.trim();
+    const codAmount = parseFloat(document.getElementById('delivery-cod-input').value);
+    const courierFee = parseFloat(document.getElementById('delivery-fee-input').value);
+    const status = document.getElementById('delivery-status-select').value;
+    if (isNaN(codAmount) || codAmount < 0 || isNaN(courierFee) || courierFee < 0 || !DELIVERY_STATUSES.includes(status)) {
+        utils.showNotification("Please enter valid amounts.", "error");
+        return;
+    }
+    if (status !== 'packed' && !courier) {
+        utils.showNotification(t.courierRequired, 'error');
+        return;
+    }
+
+    Object.assign(sale.delivery, { courier, trackingNumber, codAmount, courierFee });
+    const statusChanged = status !== sale.delivery.status;
+    if (statusChanged) setDeliveryStatus(sale.delivery, status, state.currentUser.username);
+    await api.saveData();
+    ui.closeDeliveryModal();
+    ui.render();
+    utils.showNotification(t.deliveryUpdated, 'success');
+    if (statusChanged && needsUndeliveredReturn(sale) && hasPermission('processReturns')) await handleReturnUndeliveredOrder(sale.id);
+}
+
+/**
+ * استلام طلب رجع من المندوب (returnedToSender) كمرتجع: كل القطع غير المرتجعة ترجع للمخزون وتُخصم من الفاتورة.
+ * التحصيل (codAmount) لم يدخل الدرج أصلاً فلا يُرد كاش، وما دُفع مقدماً كاش في المحل يُرد كاش (cashRefund)، ونصيب النقاط يرجع نقاطاً.
+ * @param {string} saleId
+ */
+async function handleReturnUndeliveredOrder(saleId) {
+    if (!ensurePermission('processReturns')) return;
+    const t = translations[state.lang];
+    const sale = state.sales.find(s => s.id === saleId);
+    if (!sale || !needsUndeliveredReturn(sale)) return;
+    if (!confirm(`${t.returnUndeliveredConfirm} #${sale.id}`)) return;
+
+    utils.showLoader();
+    try {
+        const returns = sale.items
+            .map(item => ({ item, quantity: item.quantity - (item.returnedQty || 0) }))
+            .filter(({ quantity }) => quantity > 0);
+        const stockResult = await api.adjustStock(returns.map(({ item, quantity }) => ({
+            productId: item.productId, color: item.color, size: item.size, delta: quantity
+        })));
+        if (!stockResult.success) {
+            handleStockAdjustFailure(stockResult);
+            return;
         }
 
+        const returnedItems = returns.map(({ item, quantity }) => applyItemReturn(sale, item, quantity));
+        await releaseCouponIfFullyReturned(sale);
+        const returnedValue = returnedItems.reduce((sum, item) => sum + item.value, 0);
+        const notCollected = Math.min(returnedValue, sale.delivery.codAmount || 0);
+        const pointsRefund = refundRedeemedPoints(sale, returnedValue, returnedValue - notCollected);
+        const cashRefund = Math.max(0, Math.round((returnedValue - notCollected - (pointsRefund?.value || 0)) * 100) / 100);
+        recordSaleReturn(sale, {
+            type: 'returnedToSender', reason: t.deliveryStatus_returnedToSender, items: returnedItems, returnDeliveryFee: 0,
+            refundMethod: 'notCollected', cashRefund, pointsRefund
+        });
+        updateCustomerOnReturn(sale.customerPhone, returns.reduce((sum, { quantity }) => sum + quantity, 0));
         await api.saveData();
-        api.cartSession.save();
-        ui.closeBookingConfirmationModal();
         ui.render();
-        utils.showNotification(translations[state.lang].bookingSaved, 'success');
+        utils.showNotification(`${t.undeliveredReturnDone} #${sale.id}${cashRefund > 0 ? ` (${t.cash}: ${cashRefund.toFixed(2)} EGP)` : ''}`, 'success');
+        announcePointsRefund(pointsRefund);
     } finally {
         utils.hideLoader();
     }
 }
 
-async function deleteBooking(bookingId, restoreStock = true, doSave = true) {
+async function handleCreateShipment(saleId) {
     utils.showLoader();
     try {
-        const bookingIndex = state.bookings.findIndex(b => b.id === bookingId);
-        if (bookingIndex === -1) {
-            utils.showNotification("Booking not found.", "error");
+        const result = await api.createCourierShipment(saleId);
+        if (!result.success) {
+            utils.showNotification(`${translations[state.lang].shipmentNotCreated} ${result.message}`, 'error');
             return;
         }
+        ui.render();
+        utils.showNotification(translations[state.lang].shipmentCreated, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
 
-        const bookingToDelete = state.bookings[bookingIndex];
-
-        if (restoreStock) {
-            bookingToDelete.cart.forEach(item => {
-                const product = state.products.find(p => p.id === item.productId);
-                if (product && product.colors[item.color] && product.colors[item.color].sizes[item.size]) {
-                    product.colors[item.color].sizes[item.size].quantity += item.quantity;
-                }
-            });
+/**
+ * تحديث حالات الشحنات من شركة الشحن، ويُستدعى دورياً من renderer.js. في الوضع الصامت لا تظهر رسالة إلا عند تغير حالة.
+ * @param {{silent?: boolean}} [options]
+ */
+export async function pollCourierStatuses({ silent = true } = {}) {
+    const result = await api.pollCourierShipments();
+    const t = translations[state.lang];
+    if (!result.success && !silent) utils.showNotification(result.message, 'error');
+    if (result.updated > 0) {
+        ui.render();
+        utils.showNotification(`${t.courierStatusesUpdated} ${result.updated}`, 'info');
+        if (result.returnedSaleIds?.length > 0) {
+            utils.showNotification(`${t.ordersReturnedToSender} ${result.returnedSaleIds.join(', ')}`, 'info');
         }
+    } else if (!silent && result.success) {
+        utils.showNotification(`${t.courierStatusesUpdated} 0`, 'info');
+    }
+}
 
-        state.bookings.splice(bookingIndex, 1);
-        if (doSave) {
-            await api.saveData();
-            ui.render();
-            utils.showNotification("Booking deleted.", "success");
-        }
+async function handleSaveCourierSettings() {
+    const provider = document.getElementById('courier-provider-select').value;
+    const pollMinutes = parseInt(document.getElementById('courier-poll-minutes-input').value, 10);
+    const baseUrl = document.getElementById('courier-base-url-input').value.trim();
+    if ((provider && !COURIER_PROVIDERS[provider]) || isNaN(pollMinutes) || pollMinutes < 1) {
+        utils.showNotification("Please enter valid courier settings.", "error");
+        return;
+    }
+    if (provider === 'bosta' && !/^https?:\/\//.test(baseUrl)) {
+        utils.showNotification(translations[state.lang].courierProxyRequired, "error");
+        return;
+    }
+    utils.showLoader();
+    try {
+        state.courier = {
+            ...DEFAULT_COURIER_SETTINGS, provider, pollMinutes, baseUrl
+        };
+        await api.saveData();
+        utils.showNotification(translations[state.lang].courierSettingsSaved, 'success');
     } finally {
-        if (doSave) utils.hideLoader();
+        utils.hideLoader();
     }
 }
 
-async function handleEditBookingSubmit(e) {
+/**
+ * تسجيل تسوية مندوب: المبلغ المستلم منه مقابل الطلبات المختارة، والفرق عن المتوقع يبقى مسجلاً للمراجعة.
+ * @param {Event} e
+ */
+async function handleCourierSettlementSubmit(e) {
     e.preventDefault();
-    const booking = state.bookings.find(b => b.id === state.editingBookingId);
-    if (!booking) return;
-
-    booking.customerName = document.getElementById('edit-customer-name').value.trim();
-    booking.customerPhone = document.getElementById('edit-customer-phone').value.trim();
-    booking.customerAddress = document.getElementById('edit-customer-address').value.trim();
-    booking.customerCity = document.getElementById('edit-customer-city').value.trim();
-    booking.deposit = parseFloat(document.getElementById('edit-deposit').value) || 0;
-    booking.depositPaymentMethod = document.getElementById('edit-deposit-payment-method').value;
-    booking.isFreeDelivery = document.getElementById('edit-free-delivery').checked;
-
-    await api.saveData();
-    ui.closeEditBookingModal();
-    ui.render();
-    utils.showNotification("Booking updated successfully!", 'success');
-}
+    if (!ensurePermission('settleCouriers')) return;
+    const t = translations[state.lang];
+    const courier = state.settlingCourier;
+    const selectedIds = [...document.querySelectorAll('.settlement-order-checkbox:checked')].map(input => input.dataset.saleId);
+    const orders = getUnsettledOrders(state.sales, courier).filter(sale => selectedIds.includes(sale.id));
+    const received = parseFloat(document.getElementById('settlement-received-input').value);
+    if (orders.length === 0) {
+        utils.showNotification(t.selectSettlementOrders, 'error');
+        return;
+    }
+    if (isNaN(received)) {
+        utils.showNotification("Please enter the amount received.", "error");
+        return;
+    }
 
-async function completeSaleFromBooking(bookingId) {
     utils.showLoader();
     try {
-        const booking = state.bookings.find(b => b.id === bookingId);
-        if (!booking) return;
-
-        createNewReceipt(false);
-        const newReceipt = state.receipts.find(r => r.id === state.activeReceiptId);
-
-        newReceipt.cart = JSON.parse(JSON.stringify(booking.cart));
-        newReceipt.isFromBooking = true;
-        newReceipt.originalDeposit = booking.deposit;
-        newReceipt.depositPaymentMethod = booking.depositPaymentMethod;
-
-        newReceipt.customerName = booking.customerName;
-        newReceipt.customerPhone = booking.customerPhone;
-        newReceipt.customerAddress = booking.customerAddress;
-        newReceipt.customerCity = booking.customerCity;
-
-        await deleteBooking(booking.id, false, false);
-
-        state.currentPage = 'selling-page';
+        const idResult = await api.getNextDailyId('CS', state.courierSettlements);
+        if (!idResult.success) {
+            utils.showNotification(`Could not reserve a settlement number: ${idResult.message}`, "error");
+            return;
+        }
+        const summary = summarizeSettlement(orders);
+        const settlement = {
+            id: idResult.id, courier, saleIds: orders.map(sale => sale.id), ...summary,
+            received: Math.round(received * 100) / 100,
+            difference: Math.round((received - summary.expected) * 100) / 100,
+            note: document.getElementById('settlement-note-input').value.trim(),
+            date: new Date().toISOString(), by: state.currentUser.username
+        };
+        state.courierSettlements.unshift(settlement);
+        orders.forEach(sale => { sale.delivery.settlementId = settlement.id; });
         await api.saveData();
+        ui.closeCourierSettlementModal();
         ui.render();
-
-        utils.showNotification('Booking loaded to a new receipt for completion.', 'success');
+        utils.showNotification(`${t.settlementSaved} ${settlement.difference.toFixed(2)} EGP`, settlement.difference === 0 ? 'success' : 'info');
     } finally {
         utils.hideLoader();
     }
@@ -1215,6 +2690,244 @@ async function handleDeleteCustomer(customerId) {
     }
 }
 
+async function handleSaveLoyaltySettings() {
+    const t = translations[state.lang];
+    const readNumber = (id) => parseFloat(document.getElementById(id).value);
+    const loyalty = {
+        enabled: document.getElementById('loyalty-enabled-checkbox').checked,
+        earnRate: readNumber('loyalty-earn-rate-input'),
+        burnRate: readNumber('loyalty-burn-rate-input'),
+        expiryDays: parseInt(document.getElementById('loyalty-expiry-days-input').value, 10) || 0
+    };
+    if (isNaN(loyalty.earnRate) || loyalty.earnRate < 0 || isNaN(loyalty.burnRate) || loyalty.burnRate <= 0 || loyalty.expiryDays < 0) {
+        utils.showNotification(t.loyaltyInvalidSettings, "error");
+        return;
+    }
+    state.loyalty = { ...DEFAULT_LOYALTY_SETTINGS, ...loyalty };
+    await api.saveData();
+    utils.showNotification(t.loyaltySettingsSaved, 'success');
+}
+
+async function handleSaveReturnPolicy() {
+    const t = translations[state.lang];
+    const returnPolicy = {
+        windowDays: parseInt(document.getElementById('return-window-days-input').value, 10) || 0,
+        nonReturnableCategories: Array.from(document.getElementById('return-blocked-categories-select').selectedOptions).map(option => option.value),
+        approvalBeyondWindow: document.getElementById('return-approval-beyond-window-checkbox').checked,
+        allowNoReceipt: document.getElementById('return-allow-no-receipt-checkbox').checked,
+        noReceiptRefundPercent: parseFloat(document.getElementById('no-receipt-refund-percent-input').value)
+    };
+    if (returnPolicy.windowDays < 0 || isNaN(returnPolicy.noReceiptRefundPercent) || returnPolicy.noReceiptRefundPercent < 0 || returnPolicy.noReceiptRefundPercent > 100) {
+        utils.showNotification(t.returnPolicyInvalid, "error");
+        return;
+    }
+    state.returnPolicy = { ...DEFAULT_RETURN_POLICY, ...returnPolicy };
+    await api.saveData();
+    utils.showNotification(t.returnPolicySaved, 'success');
+}
+
+async function handleSaveTaxSettings() {
+    const t = translations[state.lang];
+    const tax = {
+        enabled: document.getElementById('tax-enabled-checkbox').checked,
+        rate: parseFloat(document.getElementById('tax-rate-input').value),
+        pricesIncludeTax: document.getElementById('tax-prices-include-checkbox').checked,
+        exemptCategories: Array.from(document.getElementById('tax-exempt-categories-select').selectedOptions).map(option => option.value),
+        registrationNumber: document.getElementById('tax-registration-input').value.trim()
+    };
+    if (isNaN(tax.rate) || tax.rate < 0 || tax.rate > 100) {
+        utils.showNotification(t.taxInvalidRate, "error");
+        return;
+    }
+    state.tax = { ...DEFAULT_TAX_SETTINGS, ...tax };
+    await api.saveData();
+    utils.showNotification(t.taxSettingsSaved, 'success');
+}
+
+async function handleSaveEtaSettings() {
+    const eta = { enabled: document.getElementById('eta-enabled-checkbox').checked };
+    Object.keys(DEFAULT_ETA_SETTINGS).filter(key => key !== 'enabled').forEach(key => {
+        eta[key] = document.getElementById(`eta-${key}-input`).value.trim();
+    });
+    state.eta = { ...DEFAULT_ETA_SETTINGS, ...eta };
+    await api.saveData();
+    const missing = state.eta.enabled ? getMissingEtaSettings(state.eta) : [];
+    if (missing.length > 0) {
+        utils.showNotification(`${translations[state.lang].etaSettingsIncomplete} ${missing.join(', ')}`, 'info');
+    } else {
+        utils.showNotification(translations[state.lang].etaSettingsSaved, 'success');
+    }
+}
+
+/**
+ * إرسال الإيصالات الإلكترونية المعلقة. في الوضع الصامت (بعد البيع وعند عودة الاتصال) لا تظهر رسالة إلا عند الرفض.
+ * @param {{silent?: boolean}} [options]
+ */
+export async function submitEtaReceipts({ silent = false } = {}) {
+    if (!getEtaSettings().enabled) return;
+    const t = translations[state.lang];
+    if (!silent) utils.showLoader();
+    try {
+        const result = await api.submitPendingEtaReceipts();
+        if (!result.success) {
+            if (!silent) utils.showNotification(`${t.etaSubmitFailed} ${result.message}`, 'error');
+        } else if (result.rejected > 0) {
+            utils.showNotification(t.etaReceiptsRejected.replace('{count}', result.rejected), 'error');
+        } else if (!silent) {
+            utils.showNotification(t.etaReceiptsSubmitted.replace('{count}', result.submitted), 'success');
+        }
+        if (!silent) ui.render();
+    } finally {
+        if (!silent) utils.hideLoader();
+    }
+}
+
+async function handleCouponFormSubmit(e) {
+    e.preventDefault();
+    if (!ensurePermission('managePromotions')) return;
+    const t = translations[state.lang];
+    const couponData = {
+        code: normalizeCouponCode(document.getElementById('coupon-code-input-modal').value),
+        type: document.getElementById('coupon-type-select').value,
+        value: parseFloat(document.getElementById('coupon-value-input').value) || 0,
+        minBasket: parseFloat(document.getElementById('coupon-min-basket-input').value) || 0,
+        maxUses: parseInt(document.getElementById('coupon-max-uses-input').value, 10) || 0,
+        maxUsesPerCustomer: parseInt(document.getElementById('coupon-max-uses-customer-input').value, 10) || 0,
+        categories: Array.from(document.getElementById('coupon-categories-select').selectedOptions).map(option => option.value),
+        startDate: document.getElementById('coupon-start-date-input').value || null,
+        endDate: document.getElementById('coupon-end-date-input').value || null,
+        active: document.getElementById('coupon-active-checkbox').checked
+    };
+
+    if (!couponData.code) {
+        utils.showNotification(t.couponCodeRequired, "error");
+        return;
+    }
+    if (state.coupons.some(c => c.id !== state.editingCouponId && normalizeCouponCode(c.code) === couponData.code)) {
+        utils.showNotification(t.couponCodeExists, "error");
+        return;
+    }
+    if (couponData.value <= 0 || (couponData.type === 'percent' && couponData.value > 100)) {
+        utils.showNotification(t.promoInvalidRule, "error");
+        return;
+    }
+    if (couponData.startDate && couponData.endDate && couponData.endDate < couponData.startDate) {
+        utils.showNotification(t.promoInvalidDates, "error");
+        return;
+    }
+
+    const isEditing = !!state.editingCouponId;
+    if (isEditing) {
+        const coupon = state.coupons.find(c => c.id === state.editingCouponId);
+        if (coupon) Object.assign(coupon, couponData);
+    } else {
+        state.coupons.push({ id: utils.generateUUID(), ...couponData, createdAt: new Date().toISOString() });
+    }
+
+    utils.showLoader();
+    try {
+        await api.saveData();
+        ui.closeCouponModal();
+        refreshAllReceiptDiscounts();
+        ui.renderPromotionsPage();
+        utils.showNotification(isEditing ? t.couponUpdated : t.couponAdded, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function handleDeleteCoupon(couponId) {
+    if (!ensurePermission('managePromotions')) return;
+    if (confirm(translations[state.lang].deleteCouponConfirm)) {
+        state.coupons = state.coupons.filter(c => c.id !== couponId);
+        await api.saveData();
+        refreshAllReceiptDiscounts();
+        ui.renderPromotionsPage();
+        utils.showNotification(translations[state.lang].couponDeleted, "success");
+    }
+}
+
+async function handlePromotionFormSubmit(e) {
+    e.preventDefault();
+    if (!ensurePermission('managePromotions')) return;
+    const t = translations[state.lang];
+    const selectedValues = (id) => Array.from(document.getElementById(id).selectedOptions).map(option => option.value);
+    const promotionData = {
+        name: document.getElementById('promotion-name-input').value.trim(),
+        type: document.getElementById('promotion-type-select').value,
+        active: document.getElementById('promotion-active-checkbox').checked,
+        startDate: document.getElementById('promotion-start-date-input').value || null,
+        endDate: document.getElementById('promotion-end-date-input').value || null,
+        categories: selectedValues('promotion-categories-select'),
+        productIds: selectedValues('promotion-products-select'),
+        buyQty: parseInt(document.getElementById('promotion-buy-qty-input').value, 10) || 0,
+        getQty: parseInt(document.getElementById('promotion-get-qty-input').value, 10) || 0,
+        percent: parseFloat(document.getElementById('promotion-percent-input').value) || 0,
+        bundleQty: parseInt(document.getElementById('promotion-bundle-qty-input').value, 10) || 0,
+        bundlePrice: parseFloat(document.getElementById('promotion-bundle-price-input').value)
+    };
+
+    if (!promotionData.name) {
+        utils.showNotification(t.promoNameRequired, "error");
+        return;
+    }
+    const isValidRule = {
+        buyXGetY: promotionData.buyQty >= 1 && promotionData.getQty >= 1,
+        secondItemHalf: true,
+        categoryPercent: promotionData.percent > 0 && promotionData.percent <= 100,
+        bundlePrice: promotionData.bundleQty >= 2 && !isNaN(promotionData.bundlePrice) && promotionData.bundlePrice >= 0
+    }[promotionData.type];
+    if (!isValidRule) {
+        utils.showNotification(t.promoInvalidRule, "error");
+        return;
+    }
+    if (promotionData.startDate && promotionData.endDate && promotionData.endDate < promotionData.startDate) {
+        utils.showNotification(t.promoInvalidDates, "error");
+        return;
+    }
+    if (isNaN(promotionData.bundlePrice)) promotionData.bundlePrice = 0;
+
+    const isEditing = !!state.editingPromotionId;
+    if (isEditing) {
+        const promotion = state.promotions.find(p => p.id === state.editingPromotionId);
+        if (promotion) Object.assign(promotion, promotionData);
+    } else {
+        state.promotions.push({ id: utils.generateUUID(), ...promotionData, createdAt: new Date().toISOString() });
+    }
+
+    utils.showLoader();
+    try {
+        await api.saveData();
+        ui.closePromotionModal();
+        refreshAllReceiptDiscounts();
+        ui.renderPromotionsPage();
+        utils.showNotification(isEditing ? t.promotionUpdated : t.promotionAdded, 'success');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function handleTogglePromotion(promotionId) {
+    if (!ensurePermission('managePromotions')) return;
+    const promotion = state.promotions.find(p => p.id === promotionId);
+    if (!promotion) return;
+    promotion.active = promotion.active === false;
+    await api.saveData();
+    refreshAllReceiptDiscounts();
+    ui.renderPromotionsPage();
+}
+
+async function handleDeletePromotion(promotionId) {
+    if (!ensurePermission('managePromotions')) return;
+    if (confirm(translations[state.lang].deletePromotionConfirm)) {
+        state.promotions = state.promotions.filter(p => p.id !== promotionId);
+        await api.saveData();
+        refreshAllReceiptDiscounts();
+        ui.renderPromotionsPage();
+        utils.showNotification(translations[state.lang].promotionDeleted, "success");
+    }
+}
+
 async function handleEditCashierSubmit(e) {
     e.preventDefault();
     const newCashier = document.getElementById('edit-cashier-select').value;
@@ -1256,10 +2969,11 @@ async function handleDefectiveFormSubmit(e) {
     utils.showLoader();
     try {
         if (state.returnActionData) { // From a return
-            const { itemsToProcess, returnDeliveryFee } = state.returnActionData;
+            const { itemsToProcess, returnDeliveryFee, refundMethod, approvedBy } = state.returnActionData;
             const sale = state.sales.find(s => s.id === state.returningSaleId);
 
             let totalReturnedQty = 0;
+            const returnedItems = [];
             itemsToProcess.forEach(itemData => {
                 const defect = {
                     id: utils.generateUUID(),
@@ -1276,18 +2990,19 @@ async function handleDefectiveFormSubmit(e) {
                 state.defects.unshift(defect);
 
                 const saleItem = sale.items.find(i => i.id === itemData.itemId);
-                saleItem.returnedQty = (saleItem.returnedQty || 0) + itemData.quantity;
                 totalReturnedQty += itemData.quantity;
 
-                const itemSubtotal = saleItem.unitPrice * itemData.quantity;
-                const discountRatio = sale.subtotal > 0 ? sale.discountAmount / sale.subtotal : 0;
-                const returnedValue = itemSubtotal - (itemSubtotal * discountRatio);
-                const returnedProfit = (saleItem.unitPrice - saleItem.purchasePrice) * itemData.quantity - (itemSubtotal * discountRatio);
-
-                sale.totalAmount -= returnedValue;
-                sale.profit -= returnedProfit;
+                // نفس حساب المرتجع العادي حتى يُرد نصيب العروض والكوبون والضريبة المضافة بنفس الطريقة
+                returnedItems.push(applyItemReturn(sale, saleItem, itemData.quantity));
             });
 
+            const returnedValue = returnedItems.reduce((sum, item) => sum + item.value, 0);
+            const pointsRefund = refundRedeemedPoints(sale, returnedValue);
+            const refund = await issueReturnRefund(sale, refundMethod, returnedValue - (pointsRefund?.value || 0));
+            recordSaleReturn(sale, {
+                type: 'defective', reason, items: returnedItems, returnDeliveryFee,
+                refundMethod: refund.refundMethod, creditCode: refund.credit?.code || null, approvedBy, pointsRefund
+            });
             sale.returnDeliveryFee = (sale.returnDeliveryFee || 0) + returnDeliveryFee;
             sale.profit -= returnDeliveryFee;
             if (sale.customerPhone) {
@@ -1299,6 +3014,8 @@ async function handleDefectiveFormSubmit(e) {
             ui.closeReturnModal();
             ui.render();
             utils.showNotification('Items marked as defective and sale updated!', 'success');
+            announceReturnCredit(refund.credit);
+            announcePointsRefund(pointsRefund);
 
         } else if (state.stockAdjustmentData) { // From product edit
             const { productId, productName, color, size, oldQuantity, newQuantity, purchasePrice } = state.stockAdjustmentData;
@@ -1380,6 +3097,7 @@ function cancelStockAdjustmentFlow() {
 
 async function handleSupplierFormSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const name = document.getElementById('supplier-name-input').value.trim();
     const phone = document.getElementById('supplier-phone-input').value.trim();
 
@@ -1410,6 +3128,7 @@ async function handleSupplierFormSubmit(e) {
 }
 
 async function handleDeleteSupplier(supplierId) {
+    if (!ensurePermission('manageSuppliers')) return;
     if (confirm(translations[state.lang].confirmDeleteSupplier)) {
         // Find all shipments from this supplier to adjust stock
         const shipmentsToDelete = state.shipments.filter(s => s.supplierId === supplierId);
@@ -1437,6 +3156,7 @@ async function handleDeleteSupplier(supplierId) {
 
 async function handleSupplierPaymentSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const supplierId = e.target.dataset.id;
     const amount = parseFloat(document.getElementById('payment-amount-input').value);
 
@@ -1466,6 +3186,7 @@ async function handleSupplierPaymentSubmit(e) {
 
 async function handleSelectSupplierSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const supplierId = document.getElementById('supplier-select-input').value;
     const shippingCost = parseFloat(document.getElementById('shipment-shipping-cost').value) || 0;
 
@@ -1504,8 +3225,10 @@ async function handleSelectSupplierSubmit(e) {
         }
 
         if (shipmentItems.length > 0) {
+            const shipmentIdResult = await api.getNextDailyId('SH', state.shipments);
+            if (!shipmentIdResult.success) throw new Error(shipmentIdResult.message);
             const newShipment = {
-                id: utils.getDailyId('SH', state.shipments),
+                id: shipmentIdResult.id,
                 supplierId: supplierId,
                 date: new Date().toISOString(),
                 items: shipmentItems,
@@ -1547,6 +3270,7 @@ async function handleSelectSupplierSubmit(e) {
 
 async function handleEditShipmentSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const newDate = document.getElementById('edit-shipment-date-input').value;
     const newShippingCost = parseFloat(document.getElementById('edit-shipment-shipping-cost').value) || 0;
 
@@ -1574,6 +3298,7 @@ async function handleEditShipmentSubmit(e) {
 
 
 async function handleDeletePayment(paymentId) {
+    if (!ensurePermission('manageSuppliers')) return;
     if (confirm(translations[state.lang].confirmDeletePayment)) {
         const supplier = state.suppliers.find(s => s.id === state.activeSupplierId);
         if (supplier && supplier.payments) {
@@ -1587,6 +3312,7 @@ async function handleDeletePayment(paymentId) {
 
 async function handleEditPaymentSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const paymentId = state.editingPaymentId;
     const newAmount = parseFloat(document.getElementById('edit-payment-amount-input').value);
     const newDate = document.getElementById('edit-payment-date-input').value;
@@ -1650,6 +3376,7 @@ async function handleUndoDefect(defectId) {
 
 async function handleAddDefectiveSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const form = e.target;
     const supplierId = form.querySelector('#defective-supplier-id').value;
     const productId = form.querySelector('#defective-product-select').value;
@@ -1730,6 +3457,7 @@ async function handleAddDefectiveSubmit(e) {
 
 async function handleReturnDefectsSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const returns = [];
     document.querySelectorAll('.return-defect-qty-input').forEach(input => {
         const quantity = parseInt(input.value, 10);
@@ -1774,6 +3502,7 @@ async function handleReturnDefectsSubmit(e) {
 
 async function handleEditShipmentItemSubmit(e) {
     e.preventDefault();
+    if (!ensurePermission('manageSuppliers')) return;
     const { shipmentId, itemIndex } = state.editingShipmentInfo;
     const newQuantity = parseInt(document.getElementById('edit-item-quantity-input').value, 10);
 
@@ -1801,6 +3530,7 @@ async function handleEditShipmentItemSubmit(e) {
 }
 
 async function handleDeleteShipmentItem(shipmentId, itemIndex) {
+    if (!ensurePermission('manageSuppliers')) return;
     if (confirm(translations[state.lang].confirmDeleteItem)) {
         utils.showLoader();
         try {
@@ -1821,6 +3551,7 @@ async function handleDeleteShipmentItem(shipmentId, itemIndex) {
 }
 
 async function handleSplitInvoice(shipmentId) {
+    if (!ensurePermission('manageSuppliers')) return;
     const container = document.querySelector(`.daily-invoice-group[data-shipment-id="${shipmentId}"]`);
     const checkedItems = container.querySelectorAll('.shipment-item-checkbox:checked');
     const itemIndices = Array.from(checkedItems).map(cb => parseInt(cb.dataset.itemIndex, 10));
@@ -1854,6 +3585,7 @@ async function handleSplitInvoice(shipmentId) {
 }
 
 async function handleMergeSelectedShipments(supplierId, date) {
+    if (!ensurePermission('manageSuppliers')) return;
     const container = document.querySelector(`.daily-invoices-container[data-date="${date}"]`);
     if (!container) return;
 
@@ -1884,6 +3616,7 @@ async function handleMergeSelectedShipments(supplierId, date) {
 }
 
 async function handleDeleteSelectedShipments(date) {
+    if (!ensurePermission('manageSuppliers')) return;
     const container = document.querySelector(`.daily-invoices-container[data-date="${date}"]`);
     if (!container) return;
 
@@ -1923,6 +3656,7 @@ async function handleDeleteSelectedShipments(date) {
 
 
 async function handleSaveInvoice() {
+    if (!ensurePermission('manageSuppliers')) return;
     const { supplierId, date, shippingCost, items } = state.newInvoiceBuilder;
 
     if (!date) {
@@ -2006,24 +3740,125 @@ async function handleAddNewProductToInvoice() {
 }
 
 
+// --- BACKUP & RESTORE ---
+
+async function handleRestoreFileSelected(file) {
+    if (!ensurePermission('manageBackups')) return;
+    utils.showLoader();
+    try {
+        const parsed = api.parseBackupFile(await file.text());
+        if (!parsed.success) {
+            utils.showNotification(`${translations[state.lang].restoreError} ${parsed.message}`, 'error');
+            return;
+        }
+        const result = await api.previewRestore(parsed.backup);
+        if (!result.success) {
+            utils.showNotification(`${translations[state.lang].restoreError} ${result.message}`, 'error');
+            return;
+        }
+        state.pendingRestore = parsed.backup;
+        ui.showRestorePreviewModal(parsed.backup, result.preview);
+    } catch (error) {
+        utils.showNotification(`${translations[state.lang].restoreError} ${error.message}`, 'error');
+    } finally {
+        utils.hideLoader();
+    }
+}
+
+async function handleConfirmRestore() {
+    const backup = state.pendingRestore;
+    if (!backup || !ensurePermission('manageBackups')) return;
+    utils.showLoader();
+    const result = await api.restoreDatabase(backup);
+    if (result.success) {
+        ui.closeRestorePreviewModal();
+        utils.showNotification(translations[state.lang].restoreSuccess, 'success');
+        setTimeout(() => window.location.reload(), 1500);
+    } else {
+        utils.hideLoader();
+        utils.showNotification(`${translations[state.lang].restoreError} ${result.message}`, 'error');
+    }
+}
+
+// --- OFFLINE SYNC ---
+
+/**
+ * إرسال التغييرات المعلقة ثم إعادة تحميل البيانات من Firestore لعرض ما تغير أثناء انقطاع الاتصال.
+ */
+export async function syncOfflineChanges() {
+    if (!offline.isOnline() || offline.getSyncStatus().pendingCount === 0) return;
+    const result = await api.syncPendingChanges();
+    if (result.synced > 0) {
+        const freshData = await api.loadData();
+        if (freshData && !freshData.error) {
+            setState(freshData);
+            ui.render();
+        }
+    }
+    if (!result.success) {
+        utils.showNotification(`${translations[state.lang].syncFailed}: ${result.message}`, 'error');
+    } else if (result.conflicts > 0) {
+        utils.showNotification(translations[state.lang].syncConflictsFound.replace('{count}', result.conflicts), 'error');
+    } else if (result.synced > 0) {
+        utils.showNotification(translations[state.lang].syncCompleted.replace('{count}', result.synced), 'success');
+    }
+}
+
+async function handleSyncStatusClick() {
+    const status = offline.getSyncStatus();
+    if (status.conflictCount > 0) {
+        ui.showSyncConflictsModal(await offline.getConflicts());
+    } else if (status.pendingCount > 0) {
+        if (!status.online) {
+            utils.showNotification(translations[state.lang].offlineQueuedInfo, 'info');
+            return;
+        }
+        await syncOfflineChanges();
+    }
+}
+
+async function handleResolveConflict(conflictKey, keepMine) {
+    utils.showLoader();
+    try {
+        const result = await api.resolveSyncConflict(conflictKey, keepMine);
+        if (!result.success) {
+            utils.showNotification(`Error: ${result.message}`, 'error');
+            return;
+        }
+        const conflicts = await offline.getConflicts();
+        if (conflicts.length > 0) ui.showSyncConflictsModal(conflicts);
+        else ui.closeSyncConflictsModal();
+    } finally {
+        utils.hideLoader();
+    }
+}
+
 // --- Main Event Listener Setup ---
 export function setupEventListeners() {
     document.addEventListener('submit', async (e) => {
         if (e.target.id === 'product-form') await handleProductFormSubmit(e);
         if (e.target.id === 'daily-expense-form') await handleDailyExpenseSubmit(e);
+        if (e.target.id === 'opening-float-form') await handleOpeningFloatSubmit(e);
+        if (e.target.id === 'exchange-item-form') handleExchangeItemSubmit(e);
+        if (e.target.id === 'returns-search-form') handleReturnsSearchSubmit(e);
+        if (e.target.id === 'return-approval-form') await handleReturnApprovalSubmit(e);
+        if (e.target.id === 'no-receipt-return-form') await handleNoReceiptReturnSubmit(e);
         if (e.target.id === 'edit-daily-expense-form') await handleEditExpenseSubmit(e);
         if (e.target.id === 'reconciliation-form') {
             e.preventDefault();
-            const actualAmount = parseFloat(document.getElementById('reconciliation-amount-input').value);
-            if (!isNaN(actualAmount) && actualAmount >= 0) {
-                await handleEndShift({ actualAmount });
+            const inputs = [...document.querySelectorAll('.cash-count-input')];
+            if (inputs.every(input => input.value === '')) {
+                utils.showNotification(translations[state.lang].countDrawerCash, "error");
             } else {
-                utils.showNotification("Please enter a valid amount.", "error");
+                const counts = Object.fromEntries(inputs.map(input => [input.dataset.denomination, input.value]));
+                await handleEndShift({ cashCount: utils.summarizeCashCount(counts) });
             }
         }
         if (e.target.id === 'defective-item-form') await handleDefectiveFormSubmit(e);
         if (e.target.id === 'employee-form') await handleEmployeeFormSubmit(e);
         if (e.target.id === 'customer-form') await handleCustomerFormSubmit(e);
+        if (e.target.id === 'promotion-form') await handlePromotionFormSubmit(e);
+        if (e.target.id === 'coupon-form') await handleCouponFormSubmit(e);
         if (e.target.id === 'edit-cashier-form') await handleEditCashierSubmit(e);
         if (e.target.id === 'supplier-form') await handleSupplierFormSubmit(e);
         if (e.target.id === 'supplier-payment-form') await handleSupplierPaymentSubmit(e);
@@ -2036,9 +3871,13 @@ export function setupEventListeners() {
         if (e.target.id === 'booking-confirmation-form') {
             e.preventDefault();
             const deposit = parseFloat(document.getElementById('booking-deposit-input').value) || 0;
-            saveReceiptAsBooking(state.activeReceiptId, deposit);
+            saveReceiptAsBooking(state.activeReceiptId, deposit, document.getElementById('booking-due-date-input').value);
         }
         if (e.target.id === 'edit-booking-form') await handleEditBookingSubmit(e);
+        if (e.target.id === 'cancel-booking-form') await handleCancelBookingSubmit(e);
+        if (e.target.id === 'booking-pickup-form') await handleBookingPickupSubmit(e);
+        if (e.target.id === 'delivery-edit-form') await handleDeliverySubmit(e);
+        if (e.target.id === 'courier-settlement-form') await handleCourierSettlementSubmit(e);
         if (e.target.id === 'free-delivery-cost-form') {
             e.preventDefault();
             const costInput = document.getElementById('free-delivery-cost-input');
@@ -2064,6 +3903,11 @@ export function setupEventListeners() {
             state.bookingSearchTerm = e.target.value;
             ui.renderBookingPage();
         }
+        if (e.target.id === 'delivery-search-input') {
+            state.deliverySearchTerm = e.target.value;
+            ui.renderDeliveriesPage();
+        }
+        if (e.target.classList.contains('cash-count-input')) ui.updateCashCountTotal();
         if (e.target.id === 'salaries-search-input') {
             state.salariesSearchTerm = e.target.value;
             ui.renderSalariesPage();
@@ -2093,11 +3937,42 @@ export function setupEventListeners() {
                 if (e.target.classList.contains('customer-address-input')) activeReceipt.customerAddress = e.target.value;
                 if (e.target.classList.contains('customer-city-input')) activeReceipt.customerCity = e.target.value;
 
+                // حدود الكوبون لكل عميل تعتمد على رقم الهاتف
+                if (activeReceipt.couponCode && e.target.classList.contains('customer-phone-input')) {
+                    refreshReceiptDiscounts(activeReceipt);
+                    ui.renderCart(activeReceipt.id);
+                }
+                if (e.target.classList.contains('customer-phone-input')) {
+                    ui.updateCustomerPointsInfo(e.target.closest('[id^="receipt-content-"]'), activeReceipt);
+                    ui.updateStoreCreditInfo(e.target.closest('[id^="receipt-content-"]'), activeReceipt);
+                }
                 ui.renderReceiptTabs();
                 api.cartSession.save();
             }
         }
 
+        if (state.exchangeDraft && e.target.classList.contains('exchange-return-qty')) {
+            const max = parseInt(e.target.max, 10) || 0;
+            state.exchangeDraft.returnQuantities[e.target.dataset.itemId] = Math.min(max, Math.max(0, parseInt(e.target.value, 10) || 0));
+            ui.renderExchangeDraft();
+        }
+
+        if (e.target.id === 'no-receipt-barcode-input' || e.target.id === 'no-receipt-qty-input') refreshNoReceiptRefundPreview();
+
+        if (e.target.classList.contains('store-credit-code-input')) {
+            const activeReceipt = state.receipts.find(r => r.id === state.activeReceiptId);
+            if (activeReceipt) {
+                activeReceipt.storeCreditCode = normalizeCreditCode(e.target.value);
+                ui.updateStoreCreditInfo(e.target.closest('[id^="receipt-content-"]'), activeReceipt);
+                api.cartSession.save();
+            }
+        }
+
+        if (e.target.classList.contains('tender-amount')) {
+            const receiptContent = e.target.closest('[id^="receipt-content-"]');
+            if (receiptContent) ui.updateTenderSummary(receiptContent);
+        }
+
         if (e.target.classList.contains('discount-percentage') || e.target.classList.contains('discount-amount') || e.target.classList.contains('delivery-fee-input')) {
             const activeReceiptContent = document.getElementById(`receipt-content-${state.activeReceiptId}`);
             if (activeReceiptContent) {
@@ -2125,6 +4000,28 @@ export function setupEventListeners() {
     });
 
     document.addEventListener('change', (e) => {
+        if (e.target.id === 'restore-file-input' && e.target.files.length > 0) {
+            handleRestoreFileSelected(e.target.files[0]);
+        }
+        if (e.target.id === 'promotion-type-select') ui.togglePromotionFields();
+        if (e.target.id === 'exchange-product-select') ui.updateExchangeVariantOptions();
+        if (state.exchangeDraft && e.target.id === 'exchange-payment-method') state.exchangeDraft.paymentMethod = e.target.value;
+        if (state.exchangeDraft && e.target.id === 'exchange-refund-method') state.exchangeDraft.refundMethod = e.target.value;
+        if (e.target.id === 'booking-status-filter') {
+            state.bookingStatusFilter = e.target.value;
+            ui.renderBookingPage();
+        }
+        if (e.target.classList.contains('booking-status-select')) handleBookingStatusChange(e.target.dataset.bookingId, e.target.value);
+        if (e.target.id === 'cancel-booking-deposit-action') ui.toggleCancelBookingRefundMethod();
+        if (e.target.id === 'delivery-status-filter') {
+            state.deliveryStatusFilter = e.target.value;
+            ui.renderDeliveriesPage();
+        }
+        if (e.target.id === 'delivery-courier-filter') {
+            state.deliveryCourierFilter = e.target.value;
+            ui.renderDeliveriesPage();
+        }
+        if (e.target.classList.contains('settlement-order-checkbox')) ui.updateSettlementTotals();
         if (e.target.classList.contains('salary-input')) {
             const username = e.target.dataset.user;
             const type = e.target.dataset.type;
@@ -2386,11 +4283,7 @@ export function setupEventListeners() {
 
         if (e.key === 'F1') {
             e.preventDefault();
-            if (state.isAdminMode) {
-                window.api.openUsersWindow();
-            } else {
-                ui.showAdminPasswordModal();
-            }
+            if (ensurePermission('manageUsers')) window.open('users.html', '_blank');
         }
 
         if (e.key === 'F2') {
@@ -2411,7 +4304,7 @@ export function setupEventListeners() {
             if (state.currentPage === 'history-page') {
                 if (state.selectedSales.size === 1) {
                     const saleIdToPrint = state.selectedSales.values().next().value;
-                    window.api.printReceipt(saleIdToPrint);
+                    api.printReceipt(saleIdToPrint);
                 } else if (state.selectedSales.size > 1) {
                     utils.showNotification("Please select only one receipt to print.", "info");
                 } else {
@@ -2442,6 +4335,10 @@ export function setupEventListeners() {
                 state.lang = state.lang === 'en' ? 'ar' : 'en';
                 ui.render();
             } else {
+                if (!canAccessPage(navLink.dataset.page)) {
+                    utils.showNotification(translations[state.lang].permissionDenied, 'error');
+                    return;
+                }
                 state.currentPage = navLink.dataset.page;
                 ui.render();
             }
@@ -2461,9 +4358,9 @@ export function setupEventListeners() {
         const target = e.target;
         const closest = (selector) => target.closest(selector);
 
-        if (closest('#export-pdf-btn')) await window.api.exportReportToPDF();
-        if (closest('#export-returns-pdf-btn')) await window.api.exportReturnsToPDF();
-        if (closest('#export-inventory-btn')) await window.api.exportInventoryToPDF();
+        if (closest('#export-pdf-btn')) await api.exportReportToPDF(ui.getReportData());
+        if (closest('#export-returns-pdf-btn')) await api.exportReturnsToPDF(ui.getReportData().filters);
+        if (closest('#export-inventory-btn')) await api.exportInventoryToPDF();
 
         if (target.id === 'add-daily-expense-btn') ui.showDailyExpenseModal();
         if (target.id === 'calculate-shift-btn') {
@@ -2497,8 +4394,10 @@ export function setupEventListeners() {
         if (target.id === 'cancel-edit-expense-btn') ui.closeEditDailyExpenseModal();
         if (target.id === 'cancel-shift-calculation-btn') ui.closeShiftCalculationModal();
         if (target.id === 'cancel-reconciliation-btn') ui.closeReconciliationModal();
+        if (target.id === 'declare-opening-float-btn' && canChangeOpeningFloat()) ui.showOpeningFloatModal();
+        if (target.id === 'cancel-opening-float-btn') ui.closeOpeningFloatModal();
 
-        if (target.id === 'open-users-window-btn') window.api.openUsersWindow();
+        if (target.id === 'open-users-window-btn' && ensurePermission('manageUsers')) window.open('users.html', '_blank');
         if (target.id === 'export-customers-btn') window.api.exportCustomersToExcel();
         if (target.id === 'export-salaries-btn') window.api.exportSalariesToExcel();
 
@@ -2546,16 +4445,35 @@ export function setupEventListeners() {
         }
         if (closest('.delete-employee-btn')) handleDeleteEmployee(closest('.delete-employee-btn').dataset.username);
         if (closest('.payment-method-btn')) {
+            // الضغط على طريقة دفع يضع فيها المبلغ المتبقي بعد باقي الطرق
             const currentReceiptContent = closest('[id^="receipt-content-"]');
             if (currentReceiptContent) {
-                currentReceiptContent.querySelectorAll('.payment-method-btn').forEach(btn => btn.classList.remove('selected'));
-                closest('.payment-method-btn').classList.add('selected');
+                const method = closest('.payment-method-btn').dataset.method;
+                const amountDue = parseFloat(currentReceiptContent.querySelector('.cart-total')?.dataset.amountDue) || 0;
+                const otherPaid = Array.from(currentReceiptContent.querySelectorAll('.tender-amount'))
+                    .filter(input => input.dataset.method !== method)
+                    .reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
+                const tenderInput = currentReceiptContent.querySelector(`.tender-amount[data-method="${method}"]`);
+                let amountToFill = Math.max(0, amountDue - otherPaid);
+                if (method === 'loyaltyPoints') {
+                    // لا يمكن الدفع بالنقاط بأكثر من قيمة رصيد العميل
+                    const receipt = state.receipts.find(r => r.id === state.activeReceiptId);
+                    const customer = receipt?.customerPhone ? state.customers.find(c => c.phone === receipt.customerPhone) : null;
+                    amountToFill = Math.min(amountToFill, customer ? pointsToValue(getPointsBalance(customer)) : 0);
+                }
+                if (method === 'storeCredit') {
+                    const receipt = state.receipts.find(r => r.id === state.activeReceiptId);
+                    amountToFill = Math.min(amountToFill, getCreditBalance(findReceiptCredit(receipt)));
+                }
+                tenderInput.value = amountToFill.toFixed(2);
+                ui.updateTenderSummary(currentReceiptContent);
+                tenderInput.focus();
             }
         }
         if (closest('#receipt-selection-buttons button')) {
             const button = closest('#receipt-selection-buttons button');
             const receiptId = button.dataset.receiptId;
-            addToCart(state.itemToAdd, receiptId);
+            await addToCart(state.itemToAdd, receiptId);
             state.currentPage = 'selling-page';
             state.activeReceiptId = receiptId;
             ui.closeReceiptSelectionModal();
@@ -2567,14 +4485,14 @@ export function setupEventListeners() {
             ui.showProductModal();
         }
 
-        if (target.id === 'backup-db-btn') {
+        if (target.id === 'backup-db-btn' && ensurePermission('manageBackups')) {
             utils.showLoader();
             try {
-                const result = await window.api.backupDatabase();
+                const result = await api.backupDatabase();
                 if (result.success) {
-                    utils.showNotification(`${translations[state.lang].backupSuccess} ${result.path}`, 'success');
-                } else if (result.message && result.message !== 'Backup cancelled.') {
-                    utils.showNotification(`${translations[state.lang].backupError} ${result.error}`, 'error');
+                    utils.showNotification(`${translations[state.lang].backupSuccess} ${result.fileName}`, 'success');
+                } else {
+                    utils.showNotification(`${translations[state.lang].backupError} ${result.message}`, 'error');
                 }
             } catch (err) {
                 utils.showNotification(`${translations[state.lang].backupError} ${err.message}`, 'error');
@@ -2583,24 +4501,17 @@ export function setupEventListeners() {
             }
         }
 
-        if (target.id === 'restore-db-btn') {
-            if (confirm("Are you sure you want to restore the database? This will overwrite all current data and restart the application.")) {
-                utils.showLoader();
-                try {
-                    const result = await window.api.restoreDatabase();
-                    if (result.success) {
-                        utils.showNotification(translations[state.lang].restoreSuccess, 'success');
-                    } else if (result.message && result.message !== 'Restore cancelled.') {
-                        utils.showNotification(`${translations[state.lang].restoreError} ${result.error}`, 'error');
-                        utils.hideLoader();
-                    } else {
-                        utils.hideLoader();
-                    }
-                } catch (err) {
-                    utils.showNotification(`${translations[state.lang].restoreError} ${err.message}`, 'error');
-                    utils.hideLoader();
-                }
-            }
+        if (target.id === 'restore-db-btn' && ensurePermission('manageBackups')) {
+            const fileInput = document.getElementById('restore-file-input');
+            fileInput.value = '';
+            fileInput.click();
+        }
+        if (target.id === 'cancel-restore-btn') ui.closeRestorePreviewModal();
+        if (target.id === 'confirm-restore-btn') await handleConfirmRestore();
+        if (target.closest('#sync-status-indicator')) await handleSyncStatusClick();
+        if (target.id === 'close-sync-conflicts-btn') ui.closeSyncConflictsModal();
+        if (target.classList.contains('resolve-conflict-btn')) {
+            await handleResolveConflict(parseInt(target.dataset.key, 10), target.dataset.action === 'keep-mine');
         }
         if (target.id === 'cancel-product-modal-btn') {
             ui.closeProductModal();
@@ -2622,12 +4533,16 @@ export function setupEventListeners() {
         if (target.id === 'cancel-employee-modal-btn') ui.closeEmployeeModal();
         if (target.id === 'add-customer-btn') ui.showCustomerModal();
         if (target.id === 'cancel-customer-modal-btn') ui.closeCustomerModal();
+        if (target.id === 'add-promotion-btn' && ensurePermission('managePromotions')) ui.showPromotionModal();
+        if (target.id === 'cancel-promotion-modal-btn') ui.closePromotionModal();
+        if (target.id === 'add-coupon-btn' && ensurePermission('managePromotions')) ui.showCouponModal();
+        if (target.id === 'cancel-coupon-modal-btn') ui.closeCouponModal();
         if (closest('.edit-cashier-btn')) ui.showEditCashierModal(closest('.edit-cashier-btn').dataset.saleId);
         if (closest('.receipt-tab')) {
             const tab = closest('.receipt-tab');
             if (tab.dataset.receiptId) {
                 const receiptId = tab.dataset.receiptId;
-                if (target.classList.contains('close-receipt-btn')) closeReceipt(receiptId);
+                if (target.classList.contains('close-receipt-btn')) await closeReceipt(receiptId);
                 else switchReceipt(receiptId);
             }
         }
@@ -2669,8 +4584,10 @@ export function setupEventListeners() {
             const product = state.products.find(p => p.id === productId);
             const sizeSelector = card.querySelector('.gallery-size-selector');
             if (product && product.colors[selectedColor]) {
-                const availableSizes = Object.entries(product.colors[selectedColor].sizes).filter(([, sizeData]) => sizeData.quantity > 0);
-                sizeSelector.innerHTML = availableSizes.map(([size, sizeData]) => `<option value="${size}">${size} (Stock: ${sizeData.quantity})</option>`).join('') || '<option>N/A</option>';
+                const availableSizes = Object.keys(product.colors[selectedColor].sizes)
+                    .map(size => [size, getAvailableQuantity(product, selectedColor, size)])
+                    .filter(([, quantity]) => quantity > 0);
+                sizeSelector.innerHTML = availableSizes.map(([size, quantity]) => `<option value="${size}">${size} (Stock: ${quantity})</option>`).join('') || '<option>N/A</option>';
                 sizeSelector.disabled = availableSizes.length === 0;
                 updateVariantStockDisplay(card);
             }
@@ -2686,7 +4603,7 @@ export function setupEventListeners() {
                 utils.showNotification("Please select a color.", "error");
                 return;
             }
-            addToCartHandler({ productId, color, size, quantity }, target);
+            await addToCartHandler({ productId, color, size, quantity }, target);
         }
         if (target.classList.contains('add-to-cart-btn')) {
             const container = closest('[id$="-content"]');
@@ -2702,7 +4619,7 @@ export function setupEventListeners() {
                     size: container.querySelector('.sale-size').value,
                     purchasePrice: product.purchasePrice
                 };
-                addToCart(itemData, state.activeReceiptId, target);
+                await addToCart(itemData, state.activeReceiptId, target);
             }
         }
         if (target.classList.contains('remove-from-cart-btn')) {
@@ -2710,34 +4627,57 @@ export function setupEventListeners() {
             const receiptId = target.dataset.receiptId;
             const receipt = state.receipts.find(r => r.id === receiptId);
             if (receipt && receipt.cart[itemIndex]) {
-                const item = receipt.cart[itemIndex];
-                const product = state.products.find(p => p.id === item.productId);
-                if (product && product.colors[item.color] && product.colors[item.size]) {
-                    product.colors[item.color].sizes[item.size].quantity += item.quantity;
+                const stockResult = await api.reserveCartStock(receipt.id, receipt.cart.filter((_, index) => index !== itemIndex));
+                if (!stockResult.success) {
+                    handleStockAdjustFailure(stockResult);
+                    return;
                 }
                 receipt.cart.splice(itemIndex, 1);
+                refreshReceiptDiscounts(receipt);
                 api.cartSession.save();
                 ui.render();
             }
         }
         if (target.classList.contains('complete-sale-btn')) await completeSale();
-        if (target.classList.contains('complete-sale-from-booking-btn')) await completeSaleFromBooking(target.dataset.bookingId);
+        if (target.classList.contains('complete-sale-from-booking-btn')) startBookingPickup(target.dataset.bookingId);
         if (target.matches('.return-sale-btn')) ui.showReturnModal(target.dataset.saleId);
-        if (target.matches('.print-receipt-btn')) await window.api.printReceipt(target.dataset.saleId);
+        if (target.matches('.exchange-sale-btn')) ui.showExchangeModal(target.dataset.saleId);
+        if (closest('.exchange-remove-item-btn') && state.exchangeDraft) {
+            state.exchangeDraft.newItems.splice(parseInt(closest('.exchange-remove-item-btn').dataset.index, 10), 1);
+            ui.renderExchangeDraft();
+        }
+        if (target.id === 'cancel-exchange-btn') ui.closeExchangeModal();
+        if (target.id === 'confirm-exchange-btn') await processExchange();
+        if (target.matches('.print-receipt-btn')) await api.printReceipt(target.dataset.saleId);
         if (target.id === 'delete-selected-btn') await deleteSelectedSales();
         if (target.id === 'cancel-return-btn') ui.closeReturnModal();
-        if (target.id === 'confirm-return-btn') ui.showReturnTypeModal();
+        if (target.id === 'confirm-return-btn') handleConfirmReturn();
         if (target.id === 'return-to-stock-btn') handleNormalReturnOption();
         if (target.id === 'return-as-defective-btn') handleDefectiveReturnOption();
         if (target.id === 'cancel-return-type-btn') ui.closeReturnTypeModal();
+        if (target.id === 'cancel-return-approval-btn') ui.closeReturnApprovalModal();
+        if (target.id === 'no-receipt-return-btn') {
+            ui.showNoReceiptReturnModal();
+            refreshNoReceiptRefundPreview();
+        }
+        if (target.id === 'cancel-no-receipt-return-btn') ui.closeNoReceiptReturnModal();
         if (target.id === 'cancel-free-delivery-cost-btn') ui.closeFreeDeliveryCostModal();
         if (target.classList.contains('remove-image-preview-btn')) target.parentElement.remove();
-        if (target.classList.contains('delete-booking-btn')) {
-            const bookingId = target.dataset.bookingId;
-            if (confirm('Are you sure you want to delete this booking? This will restore the stock.')) {
-                deleteBooking(bookingId);
-            }
-        }
+        if (target.classList.contains('cancel-booking-btn')) ui.showCancelBookingModal(target.dataset.bookingId);
+        if (target.id === 'close-cancel-booking-modal-btn') ui.closeCancelBookingModal();
+        if (target.id === 'close-booking-pickup-modal-btn') ui.closeBookingPickupModal();
+        if (target.classList.contains('edit-delivery-btn')) ui.showDeliveryModal(target.dataset.saleId);
+        if (target.id === 'close-delivery-modal-btn') ui.closeDeliveryModal();
+        if (target.classList.contains('settle-courier-btn') && ensurePermission('settleCouriers')) ui.showCourierSettlementModal(target.dataset.courier);
+        if (target.id === 'close-settlement-modal-btn') ui.closeCourierSettlementModal();
+        if (target.classList.contains('create-shipment-btn')) await handleCreateShipment(target.dataset.saleId);
+        if (target.classList.contains('return-undelivered-btn')) await handleReturnUndeliveredOrder(target.dataset.saleId);
+        if (target.classList.contains('print-label-btn')) await api.printShippingLabel(target.dataset.saleId);
+        if (target.id === 'refresh-courier-status-btn') await pollCourierStatuses({ silent: false });
+        if (target.id === 'save-courier-settings-btn') await handleSaveCourierSettings();
+        if (target.classList.contains('park-receipt-btn')) await parkActiveReceipt();
+        if (target.classList.contains('resume-parked-receipt-btn')) await resumeParkedReceipt(target.dataset.parkedId);
+        if (target.classList.contains('discard-parked-receipt-btn')) await discardParkedReceipt(target.dataset.parkedId);
         if (target.classList.contains('save-as-booking-btn')) {
             const activeReceipt = state.receipts.find(r => r.id === state.activeReceiptId);
             if (activeReceipt && activeReceipt.cart.length > 0) {
@@ -2753,6 +4693,47 @@ export function setupEventListeners() {
             if (customer) ui.showCustomerModal(customer);
         }
         if (closest('.delete-customer-btn')) handleDeleteCustomer(closest('.delete-customer-btn').dataset.id);
+        if (closest('.customer-points-btn')) {
+            ui.showLoyaltyLedgerModal(state.customers.find(c => c.id === closest('.customer-points-btn').dataset.id));
+        }
+        if (target.id === 'close-loyalty-ledger-btn') ui.closeLoyaltyLedgerModal();
+        if (target.id === 'store-credits-btn') ui.showStoreCreditsModal();
+        if (closest('.credit-history-btn')) ui.showStoreCreditsModal(closest('.credit-history-btn').dataset.id);
+        if (closest('.print-credit-btn')) {
+            api.printGiftCard((state.storeCredits || []).find(c => c.id === closest('.print-credit-btn').dataset.id));
+        }
+        if (target.id === 'close-store-credits-btn') ui.closeStoreCreditsModal();
+        if (target.id === 'save-loyalty-settings-btn') await handleSaveLoyaltySettings();
+        if (target.id === 'save-return-policy-btn') await handleSaveReturnPolicy();
+        if (target.id === 'save-tax-settings-btn') await handleSaveTaxSettings();
+        if (target.id === 'save-booking-policy-btn') await handleSaveBookingPolicy();
+        if (target.id === 'save-eta-settings-btn') await handleSaveEtaSettings();
+        if (target.id === 'submit-eta-receipts-btn') await submitEtaReceipts();
+        if (closest('.edit-promotion-btn')) {
+            const promotion = state.promotions.find(p => p.id === closest('.edit-promotion-btn').dataset.id);
+            if (promotion) ui.showPromotionModal(promotion);
+        }
+        if (closest('.toggle-promotion-btn')) await handleTogglePromotion(closest('.toggle-promotion-btn').dataset.id);
+        if (closest('.delete-promotion-btn')) await handleDeletePromotion(closest('.delete-promotion-btn').dataset.id);
+        if (closest('.edit-coupon-btn')) {
+            const coupon = state.coupons.find(c => c.id === closest('.edit-coupon-btn').dataset.id);
+            if (coupon) ui.showCouponModal(coupon);
+        }
+        if (closest('.delete-coupon-btn')) await handleDeleteCoupon(closest('.delete-coupon-btn').dataset.id);
+        if (closest('.apply-coupon-btn')) {
+            const receipt = state.receipts.find(r => r.id === state.activeReceiptId);
+            const container = closest('.apply-coupon-btn').closest('[id^="receipt-content-"]');
+            if (receipt && container) {
+                receipt.couponCode = normalizeCouponCode(container.querySelector('.coupon-code-input').value);
+                container.querySelector('.coupon-code-input').value = receipt.couponCode;
+                refreshReceiptDiscounts(receipt);
+                api.cartSession.save();
+                ui.renderCart(receipt.id);
+                if (receipt.couponCode && !receipt.couponError) {
+                    utils.showNotification(translations[state.lang].couponApplied, 'success');
+                }
+            }
+        }
         if (target.id === 'cancel-booking-confirmation-btn') ui.closeBookingConfirmationModal();
         if (target.id === 'cancel-edit-cashier-btn') ui.closeEditCashierModal();
         if (target.id === 'stock-reduction-deduct-btn') handleDeductCostOption();
@@ -2760,6 +4741,7 @@ export function setupEventListeners() {
         if (target.id === 'stock-reduction-cancel-btn') cancelStockAdjustmentFlow();
         if (target.id === 'cancel-defective-btn') ui.closeDefectiveItemModal();
         if (target.id === 'cancel-edit-booking-btn') ui.closeEditBookingModal();
+        if (target.id === 'add-booking-payment-btn') await handleAddBookingPayment(state.editingBookingId);
 
         if (target.id === 'add-supplier-btn') ui.showSupplierModal(null);
         if (target.id === 'edit-supplier-btn') {
@@ -2864,26 +4846,32 @@ export function setupEventListeners() {
             const newSize = editContainer.querySelector('.cart-item-size-select').value;
             const newQuantity = parseInt(editContainer.querySelector('.cart-item-quantity-input').value, 10);
             const newPrice = parseFloat(editContainer.querySelector('.cart-item-price-input').value);
+            if (newPrice !== originalItem.price && !ensurePermission('editPrices')) return;
 
             const product = state.products.find(p => p.id === originalItem.productId);
-            const originalVariantStock = product.colors[originalItem.color]?.sizes[originalItem.size]?.quantity || 0;
-            const newVariantStock = product.colors[newColor]?.sizes[newSize]?.quantity || 0;
-
-            const isSameVariant = originalItem.color === newColor && originalItem.size === newSize;
-            const stockNeeded = newQuantity - (isSameVariant ? originalItem.quantity : 0);
-
-            if (stockNeeded > newVariantStock) {
-                utils.showNotification(`Not enough stock for ${product.name} (${newColor}/${newSize}). Only ${newVariantStock} available.`, 'error');
+            const newCart = receipt.cart.map(item => (item === originalItem ? { ...item, color: newColor, size: newSize, quantity: newQuantity } : item));
+            // المتاح للمقاس الجديد بعد حجوزات الفواتير الأخرى وباقي سطور هذه الفاتورة
+            const otherLinesQty = receipt.cart
+                .filter(item => item !== originalItem && item.productId === originalItem.productId && item.color === newColor && item.size === newSize)
+                .reduce((sum, item) => sum + item.quantity, 0);
+            const newVariantStock = getAvailableQuantity(product, newColor, newSize, { excludeReceiptId: receipt.id }) - otherLinesQty;
+
+            if (newQuantity > newVariantStock) {
+                utils.showNotification(`Not enough stock for ${product.name} (${newColor}/${newSize}). Only ${Math.max(0, newVariantStock)} available.`, 'error');
                 return;
             }
 
-            product.colors[originalItem.color].sizes[originalItem.size].quantity += originalItem.quantity;
-            product.colors[newColor].sizes[newSize].quantity -= newQuantity;
+            const stockResult = await api.reserveCartStock(receipt.id, newCart);
+            if (!stockResult.success) {
+                handleStockAdjustFailure(stockResult);
+                return;
+            }
 
             originalItem.color = newColor;
             originalItem.size = newSize;
             originalItem.quantity = newQuantity;
             originalItem.price = newPrice;
+            refreshReceiptDiscounts(receipt);
 
             state.editingCartItem = null;
             api.cartSession.save();
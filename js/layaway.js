@@ -0,0 +1,263 @@
+/**
+ * js/layaway.js
+ * * دفعات الحجوزات (تقسيط): كل حجز فيه payments: [{ id, date, amount, method, cashier }] وتاريخ استحقاق dueDate.
+ * الحجوزات القديمة فيها deposit واحد فقط، ويُعامل كدفعة واحدة بتاريخ إنشاء الحجز.
+ * كل دفعة تُحسب في الوردية التي استُلمت فيها. عند إتمام البيع تُنقل الدفعات للفاتورة (sale.bookingPayments)
+ * ولا يُحسب الجزء المدفوع منها مرة أخرى في طرق دفع الفاتورة. رد العربون عند الإلغاء دفعة بالسالب (type: 'refund').
+ * حالة الحجز في status مع سجل التغييرات في statusHistory، والحجوزات المكتملة والملغاة والمنتهية تبقى للسجل.
+ * مدة الحجز الافتراضية والتصرف في العربون عند انتهاء الحجز في app_config/main.bookingPolicy.
+ * الاستلام الجزئي: القطع المستلمة تخرج من booking.cart وتُسجل في pickups: [{ saleId, items, allocated, date, by }]،
+ * و allocated هو الجزء من المدفوع الذي خُصم من فاتورة الاستلام، والباقي يبقى رصيداً لباقي قطع الحجز.
+ * أثناء تحميل قطع في فاتورة تُحفظ في loadedItems مع loadedReceiptId (الحجوزات الأقدم بدون loadedItems كانت تحمل الحجز كله).
+ */
+
+import { state } from './state.js';
+import { generateUUID, TENDER_SUMMARY_KEYS } from './utils.js';
+
+export const BOOKING_PAYMENT_METHODS = ['cash', 'instaPay', 'vCash', 'card'];
+export const BOOKING_STATUSES = ['open', 'ready', 'outForDelivery', 'completed', 'cancelled', 'expired'];
+// الحالات التي تبقى فيها القطع مخصومة من المخزون للعميل
+export const ACTIVE_BOOKING_STATUSES = ['open', 'ready', 'outForDelivery'];
+// التصرف في المدفوع عند الإلغاء: رده للعميل، أو احتفاظ المحل به، أو تحويله لرصيد متجر
+export const DEPOSIT_ACTIONS = ['refund', 'forfeit', 'storeCredit'];
+
+export const DEFAULT_BOOKING_POLICY = {
+    holdDays: 30,                   // مدة الحجز الافتراضية قبل انتهائه وعودة القطع للمخزون
+    expiredDepositAction: 'forfeit' // forfeit أو storeCredit (لا يوجد كاشير لرد المبلغ عند الانتهاء التلقائي)
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * دفعات الحجز، مع تحويل العربون في الحجوزات القديمة لدفعة.
+ * @param {object} booking
+ * @returns {Array<{id: string, date: string, amount: number, method: string, cashier: string}>}
+ */
+export function getBookingPayments(booking) {
+    if (Array.isArray(booking?.payments)) return booking.payments;
+    if (!(booking?.deposit > 0)) return [];
+    return [{
+        id: `${booking.id}-deposit`, date: booking.createdAt, amount: booking.deposit,
+        method: booking.depositPaymentMethod || 'cash', cashier: booking.seller || ''
+    }];
+}
+
+export function getBookingTotal(booking) {
+    return roundMoney((booking?.cart || []).reduce((sum, item) => sum + item.price * item.quantity, 0));
+}
+
+export function getBookingPaidTotal(booking) {
+    return roundMoney(getBookingPayments(booking).reduce((sum, payment) => sum + payment.amount, 0));
+}
+
+// ما خُصم من المدفوع في فواتير الاستلام الجزئي
+export function getBookingAllocatedTotal(booking) {
+    return roundMoney((booking?.pickups || []).reduce((sum, pickup) => sum + pickup.allocated, 0));
+}
+
+/**
+ * المدفوع الذي لم يُخصم بعد من فواتير استلام جزئي، وهو ما يُحسب لباقي قطع الحجز أو يُرد عند الإلغاء.
+ * @param {object} booking
+ * @returns {number}
+ */
+export function getBookingCreditTotal(booking) {
+    return roundMoney(getBookingPaidTotal(booking) - getBookingAllocatedTotal(booking));
+}
+
+export function getBookingBalance(booking) {
+    return Math.max(0, roundMoney(getBookingTotal(booking) - getBookingCreditTotal(booking)));
+}
+
+/**
+ * القطع المحملة الآن في فاتورة استلام.
+ * @param {object} booking
+ * @returns {Array<object>}
+ */
+export function getLoadedItems(booking) {
+    if (!booking.loadedReceiptId) return [];
+    return booking.loadedItems || booking.cart;
+}
+
+/**
+ * الجزء من المدفوع الذي يُخصم من فاتورة استلام: المدفوع كله يُستخدم أولاً بحد أقصى قيمة القطع المستلمة.
+ * @param {object} booking
+ * @param {Array<object>} items - القطع المستلمة.
+ * @returns {number}
+ */
+export function getPickupAllocation(booking, items) {
+    const itemsTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return roundMoney(Math.max(0, Math.min(getBookingCreditTotal(booking), itemsTotal)));
+}
+
+const getItemKey = (item) => `${item.productId}|${item.color}|${item.size}`;
+
+/**
+ * سلة الحجز بعد خصم القطع المستلمة منها، مع حذف السطور التي أصبحت كميتها صفراً.
+ * @param {Array<object>} cart
+ * @param {Array<object>} items
+ * @returns {Array<object>}
+ */
+export function subtractCartItems(cart, items) {
+    const remaining = new Map();
+    items.forEach(item => remaining.set(getItemKey(item), (remaining.get(getItemKey(item)) || 0) + item.quantity));
+    return cart.map(item => {
+        const toRemove = Math.min(item.quantity, remaining.get(getItemKey(item)) || 0);
+        remaining.set(getItemKey(item), (remaining.get(getItemKey(item)) || 0) - toRemove);
+        return { ...item, quantity: item.quantity - toRemove };
+    }).filter(item => item.quantity > 0);
+}
+
+/**
+ * فرق الكميات لكل مقاس بين مجموعتين من القطع، بصيغة تعديلات api.adjustStock.
+ * @param {Array<object>} nextItems
+ * @param {Array<object>} previousItems
+ * @returns {Array<{productId: string, color: string, size: string, delta: number}>}
+ */
+export function diffItemQuantities(nextItems, previousItems) {
+    const changes = new Map();
+    const add = (item, sign) => {
+        const change = changes.get(getItemKey(item)) || { productId: item.productId, color: item.color, size: item.size, delta: 0 };
+        change.delta += sign * item.quantity;
+        changes.set(getItemKey(item), change);
+    };
+    nextItems.forEach(item => add(item, 1));
+    previousItems.forEach(item => add(item, -1));
+    return [...changes.values()].filter(change => change.delta !== 0);
+}
+
+/**
+ * @param {number} amount
+ * @param {string} method - من BOOKING_PAYMENT_METHODS.
+ * @param {string} cashier
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function createBookingPayment(amount, method, cashier, now = new Date()) {
+    return { id: generateUUID(), date: now.toISOString(), amount: roundMoney(amount), method, cashier };
+}
+
+/**
+ * تقسيم عربون الحجز على طرق الدفع المكتوبة في الفاتورة، بنفس طريقة payments في الفواتير.
+ * الطرق غير الكاش تُحسب أولاً بحد أقصى المبلغ المكتوب، والباقي كاش (الباقي للعميل يخرج من الكاش فقط).
+ * رصيد المتجر والنقاط لا تُقبل كدفعة حجز، فتُحسب كاش.
+ * @param {number} deposit - العربون.
+ * @param {Array<{method: string, amount: number}>} tenders - المبالغ المكتوبة في الفاتورة.
+ * @param {string} cashier
+ * @returns {Array<object>} - دفعات الحجز.
+ */
+export function createDepositPayments(deposit, tenders, cashier) {
+    const payments = [];
+    let remaining = roundMoney(deposit);
+    tenders
+        .filter(tender => tender.method !== 'cash' && BOOKING_PAYMENT_METHODS.includes(tender.method))
+        .forEach(tender => {
+            const amount = Math.min(tender.amount, remaining);
+            if (amount <= 0) return;
+            payments.push(createBookingPayment(amount, tender.method, cashier));
+            remaining = roundMoney(remaining - amount);
+        });
+    if (remaining > 0) payments.push(createBookingPayment(remaining, 'cash', cashier));
+    return payments;
+}
+
+export function getBookingPolicy() {
+    return { ...DEFAULT_BOOKING_POLICY, ...(state.bookingPolicy || {}) };
+}
+
+/**
+ * التاريخ المحلي بصيغة YYYY-MM-DD (نفس صيغة dueDate).
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * تاريخ الاستحقاق الافتراضي لحجز جديد: اليوم + مدة الحجز في الإعدادات.
+ * @param {Date} [now]
+ * @param {number} [holdDays]
+ * @returns {string}
+ */
+export function getDefaultDueDate(now = new Date(), holdDays = getBookingPolicy().holdDays) {
+    const dueDate = new Date(now);
+    dueDate.setDate(dueDate.getDate() + holdDays);
+    return toDateKey(dueDate);
+}
+
+/**
+ * حالة الحجز، والحجوزات القديمة فيها isCompleted فقط.
+ * @param {object} booking
+ * @returns {string} - من BOOKING_STATUSES.
+ */
+export function getBookingStatus(booking) {
+    return booking.status || (booking.isCompleted ? 'completed' : 'open');
+}
+
+export function isBookingActive(booking) {
+    return ACTIVE_BOOKING_STATUSES.includes(getBookingStatus(booking));
+}
+
+/**
+ * تغيير حالة الحجز مع تسجيلها في statusHistory.
+ * @param {object} booking
+ * @param {string} status - من BOOKING_STATUSES.
+ * @param {string} by - اسم المستخدم، أو 'system' عند الانتهاء التلقائي.
+ * @param {Date} [now]
+ */
+export function setBookingStatus(booking, status, by, now = new Date()) {
+    booking.statusHistory = [...(booking.statusHistory || []), { status, date: now.toISOString(), by }];
+    booking.status = status;
+    booking.isCompleted = status === 'completed';
+}
+
+/**
+ * الحجوزات المفتوحة المستحقة اليوم (قائمة التذكير في صفحة الحجوزات).
+ * @param {Array<object>} bookings
+ * @param {Date} [now]
+ * @returns {Array<object>}
+ */
+export function getBookingsDueToday(bookings, now = new Date()) {
+    const today = toDateKey(now);
+    return bookings.filter(booking => isBookingActive(booking) && booking.dueDate === today);
+}
+
+/**
+ * الحجوزات المفتوحة التي فات تاريخ استحقاقها، ما عدا المحملة في فاتورة مفتوحة الآن.
+ * @param {Array<object>} bookings
+ * @param {Date} [now]
+ * @returns {Array<object>}
+ */
+export function getExpiredBookings(bookings, now = new Date()) {
+    const today = toDateKey(now);
+    return bookings.filter(booking => isBookingActive(booking) && booking.dueDate && booking.dueDate < today && !booking.loadedReceiptId);
+}
+
+/**
+ * كل دفعات الحجوزات من state.bookings، ومن الفواتير التي نُقلت إليها دفعات حجوزات حُذفت قبل حفظ الحجوزات المكتملة.
+ * @param {Array<object>} bookings
+ * @param {Array<object>} sales
+ * @returns {Array<object>} - الدفعات مع bookingId.
+ */
+export function collectBookingPayments(bookings, sales) {
+    const payments = bookings.flatMap(booking => getBookingPayments(booking).map(payment => ({ ...payment, bookingId: booking.id })));
+    const seen = new Set(payments.map(payment => payment.id));
+    sales.forEach(sale => (sale.bookingPayments || []).forEach(payment => {
+        if (!seen.has(payment.id)) payments.push({ ...payment, bookingId: sale.bookingId || '', saleId: sale.id });
+    }));
+    return payments;
+}
+
+/**
+ * إجماليات دفعات الحجوزات بنفس مفاتيح summarizeTenders (totalCashSales, ...).
+ * @param {Array<object>} payments
+ * @returns {object}
+ */
+export function summarizeBookingPayments(payments) {
+    const summary = Object.fromEntries(Object.values(TENDER_SUMMARY_KEYS).map(key => [key, 0]));
+    payments.forEach(payment => {
+        const key = TENDER_SUMMARY_KEYS[payment.method];
+        if (key) summary[key] += payment.amount;
+    });
+    return summary;
+}
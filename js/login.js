@@ -1,13 +1,16 @@
 /**
  * js/login.js (معدل بالكامل للويب)
- * هذا الملف يحتوي على منطق تسجيل الدخول، إنشاء حساب جديد، وتغيير كلمة سر الأدمن
- * باستخدام Firebase Authentication و Firestore مباشرة.
+ * هذا الملف يحتوي على منطق تسجيل الدخول وإنشاء حساب جديد
+ * باستخدام Firebase Authentication و Firestore. إنشاء الحساب يتم على الخادم (createStaffAccount) لأنه يحتاج كلمة سر الأدمن،
+ * وتغيير كلمة سر الأدمن في شاشة المستخدمين (users.js).
  */
 
 // استيراد دوال وخدمات Firebase
 import { auth, db } from './firebase-init.js';
-import { signInWithEmailAndPassword, createUserWithEmailAndPassword, updatePassword } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
-import { collection, query, where, getDocs, doc, getDoc, writeBatch, runTransaction } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { signInWithEmailAndPassword } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
+import { collection, query, where, getDocs, getDoc, doc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { loadRoleClaim } from './permissions.js';
+import { createStaffAccount } from './admin-password.js';
 
 // --- Preloader Logic ---
 window.addEventListener('load', () => {
@@ -22,28 +25,21 @@ window.addEventListener('load', () => {
 // --- DOM Element Selection ---
 const loginForm = document.getElementById('login-form');
 const signupForm = document.getElementById('signup-form');
-const setAdminPasswordForm = document.getElementById('set-admin-password-form');
 const loginError = document.getElementById('login-error-message');
 const signupError = document.getElementById('signup-error-message');
-const setAdminPasswordError = document.getElementById('set-admin-password-error');
 const loginView = document.getElementById('login-view');
 const signupView = document.getElementById('signup-view');
-const setAdminPasswordView = document.getElementById('set-admin-password-view');
 const showSignupBtn = document.getElementById('show-signup');
 const showLoginBtn = document.getElementById('show-login');
-const showSetAdminPasswordBtn = document.getElementById('show-set-admin-password');
-const backToLoginBtn = document.getElementById('back-to-login');
 
 // --- View Switching Logic ---
 function switchToView(viewToShow) {
-    [loginView, signupView, setAdminPasswordView].forEach(view => view.classList.add('hidden'));
-    [loginError, signupError, setAdminPasswordError].forEach(error => error.classList.add('hidden'));
+    [loginView, signupView].forEach(view => view.classList.add('hidden'));
+    [loginError, signupError].forEach(error => error.classList.add('hidden'));
     viewToShow.classList.remove('hidden');
 }
 showSignupBtn.addEventListener('click', (e) => { e.preventDefault(); switchToView(signupView); });
 showLoginBtn.addEventListener('click', (e) => { e.preventDefault(); switchToView(loginView); });
-showSetAdminPasswordBtn.addEventListener('click', (e) => { e.preventDefault(); switchToView(setAdminPasswordView); });
-backToLoginBtn.addEventListener('click', (e) => { e.preventDefault(); switchToView(loginView); });
 
 // --- Form Submission Logic ---
 
@@ -55,26 +51,24 @@ loginForm.addEventListener('submit', async (e) => {
     const password = document.getElementById('login-password').value;
 
     try {
-        // الخطوة 1: البحث عن المستخدم في Firestore للتأكد من وجوده
-        const usersRef = collection(db, "users");
-        const q = query(usersRef, where("username_lowercase", "==", username.toLowerCase()));
-        const querySnapshot = await getDocs(q);
+        // الخطوة 1: تسجيل الدخول بـ Firebase Auth أولاً، لأن قواعد Firestore لا تسمح بقراءة المستخدمين قبل تسجيل الدخول
+        // ملاحظة: نفترض أن الإيميل هو username@bazsport.com (الإيميل لا يفرق بين الحروف الكبيرة والصغيرة)
+        const email = `${username}@bazsport.com`;
+        const userCredential = await signInWithEmailAndPassword(auth, email, password);
 
-        if (querySnapshot.empty) {
+        // الخطوة 2: جلب مستند المستخدم (رقمه هو الـ uid، والحسابات الأقدم فيها حقل uid فقط)
+        const usersRef = collection(db, "users");
+        const byId = await getDoc(doc(usersRef, userCredential.user.uid));
+        const byUid = byId.exists() ? null : await getDocs(query(usersRef, where("uid", "==", userCredential.user.uid)));
+        if (!byId.exists() && byUid.empty) {
             throw new Error("auth/user-not-found");
         }
-
-        const userDoc = querySnapshot.docs[0].data();
-
-        // الخطوة 2: استخدام Firebase Auth لتسجيل الدخول بالإيميل والباسورد
-        // ملاحظة: نفترض أن الإيميل هو username@bazsport.com
-        const email = `${userDoc.username}@bazsport.com`;
-        const userCredential = await signInWithEmailAndPassword(auth, email, password);
+        const userDoc = byId.exists() ? byId.data() : byUid.docs[0].data();
 
         // حفظ بيانات المستخدم في sessionStorage والانتقال للصفحة الرئيسية
         sessionStorage.setItem('loggedInUser', JSON.stringify({
             username: userDoc.username,
-            isAdmin: userDoc.username === 'BAZ'
+            role: await loadRoleClaim(userCredential.user)
         }));
         window.location.href = 'index.html';
 
@@ -100,36 +94,12 @@ signupForm.addEventListener('submit', async (e) => {
     }
 
     try {
-        // التحقق من كلمة سر الأدمن
-        const configRef = doc(db, "app_config", "main");
-        const configDoc = await getDoc(configRef);
-        if (!configDoc.exists() || configDoc.data().adminPassword !== adminPassword) {
-            throw new Error("Incorrect admin password.");
+        // التحقق من كلمة سر الأدمن وإنشاء الحساب ومستند المستخدم كلها على الخادم
+        const result = await createStaffAccount({ username, password, adminPassword });
+        if (!result.success) {
+            throw new Error(result.message);
         }
 
-        // التحقق من عدم وجود اسم المستخدم
-        const usersRef = collection(db, "users");
-        const q = query(usersRef, where("username_lowercase", "==", username.toLowerCase()));
-        const querySnapshot = await getDocs(q);
-        if (!querySnapshot.empty) {
-            throw new Error("Username already exists.");
-        }
-
-        // إنشاء المستخدم في Firebase Auth
-        const email = `${username}@bazsport.com`;
-        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-        const user = userCredential.user;
-
-        // إضافة المستخدم إلى Firestore
-        const newUserDoc = {
-            username: username,
-            username_lowercase: username.toLowerCase(),
-            employeeId: `EMP${Date.now()}`, // توليد ID افتراضي
-            phone: "",
-            uid: user.uid // ربط المستخدم بـ UID الخاص به
-        };
-        await setDoc(doc(usersRef, user.uid), newUserDoc);
-
         alert('Account created successfully! Please log in.');
         signupForm.reset();
         switchToView(loginView);
@@ -141,63 +111,6 @@ signupForm.addEventListener('submit', async (e) => {
     }
 });
 
-// Handle setting the admin password
-setAdminPasswordForm.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    setAdminPasswordError.classList.add('hidden');
-
-    const oldPassword = document.getElementById('old-admin-password').value;
-    const newPassword = document.getElementById('new-admin-password').value;
-    const confirmPassword = document.getElementById('confirm-new-admin-password').value;
-
-    if (newPassword !== confirmPassword) {
-        setAdminPasswordError.textContent = "New passwords do not match.";
-        setAdminPasswordError.classList.remove('hidden');
-        return;
-    }
-
-    try {
-        await runTransaction(db, async (transaction) => {
-            const configRef = doc(db, "app_config", "main");
-            const configDoc = await transaction.get(configRef);
-
-            if (!configDoc.exists() || configDoc.data().adminPassword !== oldPassword) {
-                throw new Error('Incorrect old admin password.');
-            }
-
-            // تسجيل الدخول كمستخدم BAZ لتغيير كلمة السر في Auth
-            const bazEmail = 'BAZ@bazsport.com';
-            await signInWithEmailAndPassword(auth, bazEmail, oldPassword);
-            const bazUser = auth.currentUser;
-            if (!bazUser) {
-                throw new Error("Could not authenticate as BAZ user.");
-            }
-            await updatePassword(bazUser, newPassword);
-
-            // تحديث كلمة السر في Firestore
-            transaction.update(configRef, { adminPassword: newPassword });
-
-            const usersRef = collection(db, "users");
-            const q = query(usersRef, where("username", "==", "BAZ"));
-            const userSnapshot = await getDocs(q);
-            if (!userSnapshot.empty) {
-                const userId = userSnapshot.docs[0].id;
-                transaction.update(doc(db, "users", userId), { password: newPassword });
-            }
-        });
-
-        alert('Admin password changed successfully!');
-        setAdminPasswordForm.reset();
-        switchToView(loginView);
-
-    } catch (error) {
-        console.error("Set Admin Password Error:", error);
-        setAdminPasswordError.textContent = error.message;
-        setAdminPasswordError.classList.remove('hidden');
-    }
-});
-
-
 // --- Utility: Password visibility toggle ---
 document.querySelectorAll('.password-toggle-icon').forEach(icon => {
     icon.addEventListener('click', function () {
@@ -0,0 +1,96 @@
+/**
+ * js/loyalty.js
+ * * برنامج نقاط الولاء: العميل يكسب نقاطاً على كل جنيه في المبيعات المكتملة، ويخسرها عند المرتجع،
+ * ويستخدمها كطريقة دفع (loyaltyPoints) عند البيع.
+ * الإعدادات في app_config/main.loyalty، وسجل النقاط محفوظ داخل مستند العميل (loyaltyLedger).
+ */
+
+import { state } from './state.js';
+import { generateUUID } from './utils.js';
+
+export const DEFAULT_LOYALTY_SETTINGS = {
+    enabled: false,
+    earnRate: 0.1,   // نقاط لكل جنيه
+    burnRate: 0.5,   // قيمة النقطة بالجنيه عند الاستخدام
+    expiryDays: 365  // 0 = النقاط لا تنتهي
+};
+
+export function getLoyaltySettings() {
+    return { ...DEFAULT_LOYALTY_SETTINGS, ...(state.loyalty || {}) };
+}
+
+/**
+ * حساب رصيد النقاط الحالي والنقاط المنتهية من سجل العميل.
+ * النقاط المستخدمة أو الملغاة تُخصم من أقدم نقاط لم تنتهِ بعد.
+ * @param {object} customer - العميل.
+ * @param {Date} [now]
+ * @returns {{balance: number, expired: number}}
+ */
+export function getPointsSummary(customer, now = new Date()) {
+    const nowIso = now.toISOString();
+    const lots = [];
+    [...(customer?.loyaltyLedger || [])]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(entry => {
+            if (entry.points > 0) {
+                lots.push({ remaining: entry.points, expiresAt: entry.expiresAt || null });
+                return;
+            }
+            let toConsume = -entry.points;
+            for (const lot of lots) {
+                if (toConsume <= 0) break;
+                if (lot.expiresAt && lot.expiresAt <= entry.date) continue;
+                const taken = Math.min(lot.remaining, toConsume);
+                lot.remaining -= taken;
+                toConsume -= taken;
+            }
+        });
+
+    return lots.reduce((summary, lot) => {
+        if (lot.expiresAt && lot.expiresAt <= nowIso) summary.expired += lot.remaining;
+        else summary.balance += lot.remaining;
+        return summary;
+    }, { balance: 0, expired: 0 });
+}
+
+export function getPointsBalance(customer, now = new Date()) {
+    return getPointsSummary(customer, now).balance;
+}
+
+export function pointsToValue(points, settings = getLoyaltySettings()) {
+    return Math.round(points * settings.burnRate * 100) / 100;
+}
+
+/**
+ * عدد النقاط اللازمة لدفع مبلغ معين (تقريب لأعلى حتى لا يُدفع أكثر من الرصيد).
+ * @param {number} value - المبلغ بالجنيه.
+ * @param {object} [settings]
+ * @returns {number}
+ */
+export function valueToPoints(value, settings = getLoyaltySettings()) {
+    return settings.burnRate > 0 ? Math.ceil(Math.round(value / settings.burnRate * 100) / 100) : 0;
+}
+
+export function calculateEarnedPoints(amount, settings = getLoyaltySettings()) {
+    return Math.max(0, Math.floor(amount * settings.earnRate));
+}
+
+/**
+ * إضافة حركة إلى سجل نقاط العميل وتحديث رصيده المحفوظ.
+ * @param {object} customer - العميل من state.customers.
+ * @param {'earn'|'redeem'|'return'|'refund'|'void'} type - نوع الحركة (refund: نقاط مردودة من مرتجع، void: إلغاء فاتورة محذوفة).
+ * @param {number} points - عدد النقاط (موجب للكسب وسالب للخصم).
+ * @param {{saleId?: string, note?: string}} [details]
+ */
+export function addLedgerEntry(customer, type, points, { saleId = null, note = '' } = {}) {
+    if (!customer || !points) return;
+    const settings = getLoyaltySettings();
+    const date = new Date().toISOString();
+    let expiresAt = null;
+    if (points > 0 && settings.expiryDays > 0) {
+        expiresAt = new Date(Date.now() + settings.expiryDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+    if (!customer.loyaltyLedger) customer.loyaltyLedger = [];
+    customer.loyaltyLedger.push({ id: generateUUID(), type, points, saleId, date, expiresAt, note });
+    customer.loyaltyPoints = getPointsBalance(customer);
+}
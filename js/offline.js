@@ -0,0 +1,254 @@
+/**
+ * js/offline.js
+ * * طبقة العمل بدون إنترنت: تحفظ نسخة محلية من البيانات في IndexedDB،
+ * وطابوراً بالتغييرات التي تمت أثناء انقطاع الاتصال حتى يتم إرسالها عند عودته.
+ * لا يتعامل هذا الملف مع Firestore مباشرة، فالمزامنة نفسها موجودة في api.js.
+ * navigator.onLine يكون true على شبكة محلية بدون إنترنت، لذلك الاتصال = navigator.onLine + الوصول فعلاً لـ Firestore،
+ * والوصول يُعرف من metadata.fromCache في مستمع renderer.js ومن ping دوري أثناء الانقطاع.
+ */
+
+const DB_NAME = 'bazsport-offline';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const QUEUE_STORE = 'queue';
+const CONFLICTS_STORE = 'conflicts';
+
+const PING_URL = 'https://firestore.googleapis.com/';
+const PING_TIMEOUT_MS = 5000;
+const OFFLINE_PING_INTERVAL_MS = 30000;
+
+let dbPromise = null;
+let serverReachable = navigator.onLine;
+let pingTimer = null;
+const syncStatus = { online: navigator.onLine, pendingCount: 0, conflictCount: 0, isSyncing: false };
+const statusListeners = new Set();
+const reconnectListeners = new Set();
+
+/**
+ * فتح قاعدة IndexedDB وإنشاء المخازن عند أول استخدام.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(CACHE_STORE)) database.createObjectStore(CACHE_STORE);
+                if (!database.objectStoreNames.contains(QUEUE_STORE)) database.createObjectStore(QUEUE_STORE, { autoIncrement: true });
+                if (!database.objectStoreNames.contains(CONFLICTS_STORE)) database.createObjectStore(CONFLICTS_STORE, { autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * تنفيذ عملية واحدة على مخزن معين وإرجاع نتيجتها كـ Promise.
+ * @param {string} storeName - اسم المخزن.
+ * @param {IDBTransactionMode} mode - 'readonly' أو 'readwrite'.
+ * @param {Function} action - دالة تستقبل المخزن وتعيد IDBRequest.
+ * @returns {Promise<*>}
+ */
+async function runRequest(storeName, mode, action) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * قراءة كل عناصر مخزن مع مفاتيحها.
+ * @param {string} storeName - اسم المخزن.
+ * @returns {Promise<Array<{key: number, value: object}>>}
+ */
+async function readAllWithKeys(storeName) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const transaction = database.transaction(storeName, 'readonly');
+        transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                entries.push({ key: cursor.key, value: cursor.value });
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = () => resolve(entries);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function notifyStatusListeners() {
+    statusListeners.forEach(listener => listener({ ...syncStatus }));
+}
+
+// --- حالة الاتصال والمزامنة ---
+
+export function isOnline() {
+    return navigator.onLine && serverReachable;
+}
+
+/**
+ * تسجيل دالة تُستدعى عند عودة الاتصال بـ Firestore (بدلاً من حدث 'online' الذي لا يعني وجود إنترنت).
+ * @param {Function} listener
+ */
+export function onReconnect(listener) {
+    reconnectListeners.add(listener);
+}
+
+/**
+ * تحديث حالة الوصول لـ Firestore. أثناء الانقطاع يُعاد الفحص دورياً حتى يعود الاتصال.
+ * @param {boolean} reachable
+ */
+export function setServerReachable(reachable) {
+    const wasOnline = isOnline();
+    serverReachable = reachable;
+    clearTimeout(pingTimer);
+    if (!reachable) pingTimer = setTimeout(checkConnectivity, OFFLINE_PING_INTERVAL_MS);
+    if (wasOnline === isOnline()) return;
+    refreshSyncStatus();
+    if (isOnline()) reconnectListeners.forEach(listener => listener());
+}
+
+/**
+ * فحص الوصول للإنترنت بطلب قصير لخادم Firestore مع مهلة، لأن navigator.onLine لا يكفي.
+ * @returns {Promise<boolean>}
+ */
+export async function checkConnectivity() {
+    if (!navigator.onLine) {
+        setServerReachable(false);
+        return false;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
+    try {
+        // no-cors: الرد لا يُقرأ، المهم أن الطلب وصل للخادم
+        await fetch(PING_URL, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+        setServerReachable(true);
+    } catch {
+        setServerReachable(false);
+    } finally {
+        clearTimeout(timer);
+    }
+    return isOnline();
+}
+
+export function getSyncStatus() {
+    return { ...syncStatus };
+}
+
+/**
+ * تسجيل دالة تُستدعى كلما تغيرت حالة الاتصال أو عدد التغييرات المعلقة.
+ * @param {Function} listener - تستقبل { online, pendingCount, conflictCount, isSyncing }.
+ */
+export function onSyncStatusChange(listener) {
+    statusListeners.add(listener);
+    listener({ ...syncStatus });
+}
+
+export function setSyncing(isSyncing) {
+    syncStatus.isSyncing = isSyncing;
+    notifyStatusListeners();
+}
+
+/**
+ * إعادة حساب عدد التغييرات المعلقة والتعارضات من IndexedDB.
+ */
+export async function refreshSyncStatus() {
+    syncStatus.online = isOnline();
+    try {
+        syncStatus.pendingCount = await runRequest(QUEUE_STORE, 'readonly', store => store.count());
+        syncStatus.conflictCount = await runRequest(CONFLICTS_STORE, 'readonly', store => store.count());
+    } catch (error) {
+        console.error("Could not read offline queue:", error);
+    }
+    notifyStatusListeners();
+}
+
+window.addEventListener('online', checkConnectivity);
+window.addEventListener('offline', () => setServerReachable(false));
+
+// --- النسخة المحلية من البيانات ---
+
+/**
+ * حفظ نسخة محلية من مجموعة أو من الإعدادات لاستخدامها عند فتح التطبيق بدون إنترنت.
+ * @param {string} key - اسم المجموعة أو 'config'.
+ * @param {*} value - البيانات.
+ */
+export async function cacheData(key, value) {
+    try {
+        await runRequest(CACHE_STORE, 'readwrite', store => store.put(JSON.parse(JSON.stringify(value ?? null)), key));
+    } catch (error) {
+        console.error(`Could not cache '${key}' locally:`, error);
+    }
+}
+
+/**
+ * قراءة النسخة المحلية المحفوظة لمجموعة أو للإعدادات.
+ * @param {string} key - اسم المجموعة أو 'config'.
+ * @returns {Promise<*>} - البيانات أو undefined إذا لم تكن محفوظة.
+ */
+export async function readCachedData(key) {
+    return runRequest(CACHE_STORE, 'readonly', store => store.get(key));
+}
+
+// --- طابور التغييرات المعلقة ---
+
+/**
+ * إضافة تغييرات إلى الطابور بالترتيب ليتم إرسالها عند عودة الاتصال.
+ * @param {Array<object>} mutations - التغييرات ({ type: 'write' | 'stock', ... }).
+ */
+export async function enqueueMutations(mutations) {
+    const database = await openDatabase();
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction(QUEUE_STORE, 'readwrite');
+        const store = transaction.objectStore(QUEUE_STORE);
+        const queuedAt = new Date().toISOString();
+        mutations.forEach(mutation => store.add(JSON.parse(JSON.stringify({ ...mutation, queuedAt }))));
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+    await refreshSyncStatus();
+}
+
+export async function getQueuedMutations() {
+    return readAllWithKeys(QUEUE_STORE);
+}
+
+/**
+ * استبدال تغيير في الطابور بنسخة معدلة (مثل تغيير الأرقام المؤقتة قبل إرساله) مع الحفاظ على ترتيبه.
+ * @param {number} key - مفتاح التغيير في IndexedDB.
+ * @param {object} mutation
+ */
+export async function replaceQueuedMutation(key, mutation) {
+    await runRequest(QUEUE_STORE, 'readwrite', store => store.put(JSON.parse(JSON.stringify(mutation)), key));
+}
+
+export async function removeQueuedMutation(key) {
+    await runRequest(QUEUE_STORE, 'readwrite', store => store.delete(key));
+}
+
+// --- التعارضات ---
+
+/**
+ * حفظ تغيير لم يتم تطبيقه لأن جهازاً آخر عدّل نفس البيانات، حتى يراجعه المستخدم.
+ * @param {object} conflict - تفاصيل التعارض.
+ */
+export async function addConflict(conflict) {
+    await runRequest(CONFLICTS_STORE, 'readwrite', store => store.add(JSON.parse(JSON.stringify({ ...conflict, detectedAt: new Date().toISOString() }))));
+}
+
+export async function getConflicts() {
+    return readAllWithKeys(CONFLICTS_STORE);
+}
+
+export async function removeConflict(key) {
+    await runRequest(CONFLICTS_STORE, 'readwrite', store => store.delete(key));
+    await refreshSyncStatus();
+}
@@ -0,0 +1,139 @@
+/**
+ * js/permissions.js
+ * * الأدوار (مالك، مدير، كاشير، أمين مخزن) ومصفوفة الصلاحيات الخاصة بكل دور.
+ * القيم الافتراضية هنا، وأي تعديل من شاشة المستخدمين يُحفظ في app_config/main.rolePermissions.
+ * دور المستخدم الحالي يُقرأ من custom claim في الـ ID token (تضبطه functions/roles.js)، و firestore.rules تطبق نفس الأدوار.
+ */
+
+import { functions } from './firebase-init.js';
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-functions.js";
+import { state } from './state.js';
+
+export const ROLES = ['owner', 'manager', 'cashier', 'stock_keeper'];
+
+export const ROLE_LABELS = {
+    owner: 'Owner',
+    manager: 'Manager',
+    cashier: 'Cashier',
+    stock_keeper: 'Stock Keeper'
+};
+
+// كل صلاحية مع وصفها كما يظهر في شاشة المستخدمين
+export const PERMISSIONS = {
+    viewInventory: 'Inventory page',
+    viewHistory: 'Sales history page',
+    viewCustomers: 'Customers page',
+    viewSalaries: 'Salaries page',
+    viewBestSellers: 'Best sellers page',
+    viewDefects: 'Defects page',
+    viewSuppliers: 'Suppliers page',
+    viewShifts: 'Shifts page',
+    viewDeliveries: 'Deliveries page',
+    processReturns: 'Returns page',
+    managePromotions: 'Promotions and coupons',
+    viewSettings: 'Settings page',
+    deleteSales: 'Delete sales',
+    editPrices: 'Edit prices',
+    issueDiscounts: 'Issue discounts',
+    approveReturns: 'Approve returns outside the return policy',
+    manageParkedReceipts: 'Resume or discard receipts parked by other users',
+    reopenShifts: 'Reopen shifts',
+    manageSuppliers: 'Manage suppliers',
+    settleCouriers: 'Record courier settlements',
+    manageBackups: 'Backup and restore the database',
+    manageUsers: 'Manage users and roles'
+};
+
+// الصفحات التي تحتاج صلاحية، وباقي الصفحات متاحة للجميع
+export const PAGE_PERMISSIONS = {
+    'inventory-page': 'viewInventory',
+    'history-page': 'viewHistory',
+    'customers-page': 'viewCustomers',
+    'salaries-page': 'viewSalaries',
+    'best-sellers-page': 'viewBestSellers',
+    'defects-page': 'viewDefects',
+    'suppliers-page': 'viewSuppliers',
+    'shifts-page': 'viewShifts',
+    'deliveries-page': 'viewDeliveries',
+    'returns-page': 'processReturns',
+    'promotions-page': 'managePromotions',
+    'settings-page': 'viewSettings'
+};
+
+const ALL_PERMISSIONS = Object.fromEntries(Object.keys(PERMISSIONS).map(key => [key, true]));
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+    owner: ALL_PERMISSIONS,
+    manager: {
+        viewInventory: true, viewHistory: true, viewCustomers: true, viewBestSellers: true,
+        viewDefects: true, viewSuppliers: true, viewShifts: true, viewDeliveries: true, processReturns: true, managePromotions: true,
+        deleteSales: true, editPrices: true, issueDiscounts: true, approveReturns: true, manageParkedReceipts: true, reopenShifts: true, manageSuppliers: true,
+        settleCouriers: true
+    },
+    cashier: {
+        processReturns: true, issueDiscounts: true, viewDeliveries: true
+    },
+    stock_keeper: {
+        viewInventory: true, viewDefects: true, viewSuppliers: true, manageSuppliers: true
+    }
+};
+
+/**
+ * تحديد دور المستخدم من حقل role. المستندات القديمة بدون دور تُعامل ككاشير حتى يضبطها الخادم (backfillUserRoles في functions/roles.js).
+ * @param {object} user - بيانات المستخدم ({ username, role }).
+ * @returns {string}
+ */
+export function getUserRole(user) {
+    return ROLES.includes(user?.role) ? user.role : 'cashier';
+}
+
+/**
+ * دمج المصفوفة المحفوظة مع القيم الافتراضية. صلاحيات المالك ثابتة حتى لا يُغلق النظام على الجميع.
+ * @param {object} [savedMatrix] - app_config/main.rolePermissions.
+ * @returns {object} - خريطة من الدور إلى صلاحياته.
+ */
+export function resolvePermissionMatrix(savedMatrix = {}) {
+    return Object.fromEntries(ROLES.map(role => [
+        role,
+        role === 'owner' ? ALL_PERMISSIONS : { ...DEFAULT_ROLE_PERMISSIONS[role], ...(savedMatrix?.[role] || {}) }
+    ]));
+}
+
+/**
+ * دور المستخدم من الـ ID token. عند الاتصال يُطلب من الخادم مزامنة الـ claim مع مستند المستخدم أولاً
+ * (الحسابات القديمة بدون claim، أو بعد تغيير الدور من شاشة المستخدمين).
+ * @param {import('firebase/auth').User} user - مستخدم Firebase Auth الحالي.
+ * @param {{sync?: boolean}} [options] - sync: false بدون اتصال، فيُستخدم الـ token المحفوظ كما هو.
+ * @returns {Promise<string>}
+ */
+export async function loadRoleClaim(user, { sync = true } = {}) {
+    let forceRefresh = false;
+    if (sync) {
+        try {
+            const { data } = await httpsCallable(functions, 'syncRoleClaim', { timeout: 10000 })();
+            forceRefresh = data.changed;
+        } catch (error) {
+            console.error("Could not sync the role claim:", error);
+        }
+    }
+    const { claims } = await user.getIdTokenResult(forceRefresh);
+    return ROLES.includes(claims.role) ? claims.role : 'cashier';
+}
+
+/**
+ * هل يملك المستخدم الحالي صلاحية معينة؟ الدور من state.currentUser.role كما جاء في الـ ID token (loadRoleClaim)،
+ * وليس من مستند المستخدم.
+ * @param {string} permission - مفتاح من PERMISSIONS.
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+    const currentUser = state.currentUser;
+    if (!currentUser) return false;
+    const role = ROLES.includes(currentUser.role) ? currentUser.role : 'cashier';
+    return !!resolvePermissionMatrix(state.rolePermissions)[role][permission];
+}
+
+export function canAccessPage(pageId) {
+    const permission = PAGE_PERMISSIONS[pageId];
+    return !permission || hasPermission(permission);
+}
@@ -0,0 +1,177 @@
+/**
+ * js/promotions.js
+ * * محرك العروض: يحسب الخصومات التلقائية على السلة (اشتري X واحصل على Y، القطعة الثانية بنصف السعر،
+ * خصم نسبة على قسم خلال فترة، سعر ثابت لمجموعة قطع).
+ * العروض محفوظة في مجموعة promotions، وكل قطعة في السلة يطبق عليها عرض واحد فقط بترتيب إنشاء العروض.
+ */
+
+import { state } from './state.js';
+
+export const PROMOTION_TYPES = ['buyXGetY', 'secondItemHalf', 'categoryPercent', 'bundlePrice'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * تاريخ اليوم بصيغة YYYY-MM-DD بالتوقيت المحلي، لمقارنته بتواريخ العرض.
+ * @param {Date} now
+ * @returns {string}
+ */
+function toLocalDateKey(now) {
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * هل العرض مفعل وساري في هذا التاريخ؟
+ * @param {object} promotion - بيانات العرض.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isPromotionActive(promotion, now = new Date()) {
+    if (!promotion || promotion.active === false) return false;
+    const today = toLocalDateKey(now);
+    if (promotion.startDate && today < promotion.startDate) return false;
+    if (promotion.endDate && today > promotion.endDate) return false;
+    return true;
+}
+
+/**
+ * هل المنتج داخل نطاق العرض؟ المنتجات المحددة لها الأولوية، ثم الأقسام، وبدونهما يشمل العرض كل المنتجات.
+ * @param {object} promotion
+ * @param {object} product
+ * @returns {boolean}
+ */
+function isInScope(promotion, product) {
+    if (!product) return false;
+    if (promotion.productIds?.length) return promotion.productIds.includes(product.id);
+    if (promotion.categories?.length) return promotion.categories.includes(product.category);
+    return true;
+}
+
+/**
+ * حساب خصم كل قطعة داخل مجموعة القطع المؤهلة حسب نوع العرض.
+ * @param {object} promotion
+ * @param {Array<{price: number}>} units - القطع المؤهلة مرتبة من الأغلى للأرخص.
+ * @returns {Array<{unit: object, discount: number}>} - القطع التي استُخدمت في العرض وخصم كل منها.
+ */
+function discountUnits(promotion, units) {
+    const used = [];
+    const takeGroups = (groupSize, apply) => {
+        for (let i = 0; i + groupSize <= units.length; i += groupSize) {
+            apply(units.slice(i, i + groupSize));
+        }
+    };
+
+    switch (promotion.type) {
+        case 'buyXGetY': {
+            const buyQty = parseInt(promotion.buyQty, 10) || 0;
+            const getQty = parseInt(promotion.getQty, 10) || 0;
+            if (buyQty < 1 || getQty < 1) break;
+            // القطع المجانية هي الأرخص في كل مجموعة
+            takeGroups(buyQty + getQty, group => group.forEach((unit, index) => {
+                used.push({ unit, discount: index >= buyQty ? unit.price : 0 });
+            }));
+            break;
+        }
+        case 'secondItemHalf':
+            takeGroups(2, ([first, second]) => {
+                used.push({ unit: first, discount: 0 }, { unit: second, discount: second.price / 2 });
+            });
+            break;
+        case 'categoryPercent': {
+            const percent = Math.min(100, Math.max(0, parseFloat(promotion.percent) || 0));
+            if (percent <= 0) break;
+            units.forEach(unit => used.push({ unit, discount: unit.price * percent / 100 }));
+            break;
+        }
+        case 'bundlePrice': {
+            const bundleQty = parseInt(promotion.bundleQty, 10) || 0;
+            const bundlePrice = parseFloat(promotion.bundlePrice);
+            if (bundleQty < 2 || isNaN(bundlePrice) || bundlePrice < 0) break;
+            takeGroups(bundleQty, group => {
+                const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+                const saving = Math.max(0, groupTotal - bundlePrice);
+                // توزيع التوفير على قطع المجموعة بنسبة أسعارها
+                group.forEach(unit => used.push({ unit, discount: groupTotal > 0 ? saving * unit.price / groupTotal : 0 }));
+            });
+            break;
+        }
+    }
+    return used;
+}
+
+/**
+ * تقييم العروض على سلة.
+ * @param {Array<object>} cart - عناصر السلة ({ productId, price, quantity }).
+ * @param {Array<object>} promotions - العروض.
+ * @param {Array<object>} products - المنتجات (لمعرفة القسم).
+ * @param {Date} [now]
+ * @returns {{lines: Array<{discount: number, names: string[]}>, applied: Array<object>, totalDiscount: number}}
+ */
+export function evaluatePromotions(cart, promotions, products, now = new Date()) {
+    const lines = cart.map(() => ({ discount: 0, names: [] }));
+    const applied = [];
+
+    // كل قطعة في السلة وحدة مستقلة حتى يمكن تطبيق العروض على جزء من الكمية
+    let freeUnits = cart.flatMap((item, lineIndex) => {
+        const product = products.find(p => p.id === item.productId);
+        return Array.from({ length: item.quantity }, () => ({ lineIndex, price: item.price, product }));
+    }).sort((a, b) => b.price - a.price);
+
+    const activePromotions = promotions
+        .filter(promotion => isPromotionActive(promotion, now))
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+    for (const promotion of activePromotions) {
+        const eligible = freeUnits.filter(unit => isInScope(promotion, unit.product));
+        const used = discountUnits(promotion, eligible);
+        const discount = used.reduce((sum, entry) => sum + entry.discount, 0);
+        if (used.length === 0 || discount <= 0) continue;
+
+        const usedUnits = new Set(used.map(entry => entry.unit));
+        freeUnits = freeUnits.filter(unit => !usedUnits.has(unit));
+        used.forEach(({ unit, discount: unitDiscount }) => {
+            const line = lines[unit.lineIndex];
+            line.discount += unitDiscount;
+            if (!line.names.includes(promotion.name)) line.names.push(promotion.name);
+        });
+        applied.push({ promotionId: promotion.id, name: promotion.name, type: promotion.type, discount: roundMoney(discount) });
+    }
+
+    lines.forEach(line => { line.discount = roundMoney(line.discount); });
+    return { lines, applied, totalDiscount: roundMoney(applied.reduce((sum, p) => sum + p.discount, 0)) };
+}
+
+/**
+ * إعادة حساب عروض فاتورة مفتوحة وحفظ النتيجة عليها وعلى كل عنصر في سلتها.
+ * @param {object} receipt - الفاتورة من state.receipts.
+ * @returns {object} - الفاتورة نفسها.
+ */
+export function applyPromotionsToReceipt(receipt) {
+    if (!receipt) return receipt;
+    const { lines, applied, totalDiscount } = evaluatePromotions(receipt.cart, state.promotions || [], state.products);
+    receipt.cart.forEach((item, index) => {
+        item.promotionDiscount = lines[index].discount;
+        item.promotionNames = lines[index].names;
+    });
+    receipt.appliedPromotions = applied;
+    receipt.promotionDiscount = totalDiscount;
+    return receipt;
+}
+
+/**
+ * تجميع تكلفة كل عرض من المبيعات لعرضها في التقارير.
+ * @param {Array<object>} sales - المبيعات.
+ * @returns {Array<{promotionId: string, name: string, type: string, discount: number, salesCount: number}>}
+ */
+export function summarizePromotionCosts(sales) {
+    const byPromotion = new Map();
+    sales.forEach(sale => {
+        (sale.promotions || []).forEach(promotion => {
+            const entry = byPromotion.get(promotion.promotionId) || { ...promotion, discount: 0, salesCount: 0 };
+            entry.discount += promotion.discount || 0;
+            entry.salesCount++;
+            byPromotion.set(promotion.promotionId, entry);
+        });
+    });
+    return Array.from(byPromotion.values()).sort((a, b) => b.discount - a.discount);
+}
@@ -0,0 +1,318 @@
+/**
+ * js/qrcode.js
+ * * مولد QR بسيط لطباعة كود الإيصال الإلكتروني على الفاتورة بدون مكتبة خارجية.
+ * يدعم وضع البايت (UTF-8) بمستوى تصحيح M والإصدارات 1 إلى 10 (حتى 213 بايت)، وهذا يكفي لرابط الإيصال.
+ * الخوارزمية حسب مواصفة ISO/IEC 18004: ترميز البيانات، Reed-Solomon، رسم الأنماط الثابتة، ثم اختيار القناع.
+ */
+
+// مستوى التصحيح M فقط: عدد كلمات التصحيح لكل كتلة وعدد الكتل لكل إصدار (الفهرس = رقم الإصدار)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+const ECC_FORMAT_BITS = 0; // M
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version) {
+    return Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+function getAlignmentPatternPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+// --- Reed-Solomon على GF(2^8) ---
+
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= reedSolomonMultiply(coefficient, factor); });
+    });
+    return result;
+}
+
+// --- ترميز البيانات ---
+
+/**
+ * تحويل النص إلى كلمات البيانات (وضع البايت) مع الحشو حتى سعة الإصدار.
+ * @param {Array<number>} bytes
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function encodeDataCodewords(bytes, version) {
+    const capacityBits = getNumDataCodewords(version) * 8;
+    const bits = [];
+    const appendBits = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    return codewords;
+}
+
+/**
+ * تقسيم البيانات إلى كتل وإضافة كلمات التصحيح ثم تداخل الكتل.
+ * @param {Array<number>} data
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function addEccAndInterleave(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonComputeDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const blockData = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += blockData.length;
+        const ecc = reedSolomonComputeRemainder(blockData, divisor);
+        if (i < numShortBlocks) blockData.push(0);
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // الخانة المضافة للكتل القصيرة ليست جزءاً من البيانات
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// --- رسم المصفوفة ---
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, isDark) => { modules[y][x] = isDark; isFunction[y][x] = true; };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx, yy = y + dy;
+                if (xx >= 0 && xx < size && yy >= 0 && yy < size) setFunction(xx, yy, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+    const alignPositions = getAlignmentPatternPositions(version);
+    const numAlign = alignPositions.length;
+    alignPositions.forEach((x, i) => alignPositions.forEach((y, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === numAlign - 1) || (i === numAlign - 1 && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3, b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+    // حجز أماكن بيانات الصيغة قبل رسم البيانات، وتُكتب قيمتها الفعلية بعد اختيار القناع
+    drawFormatBits({ modules, isFunction, size }, 0);
+    return { modules, isFunction, size };
+}
+
+function drawFormatBits(grid, mask) {
+    const { modules, isFunction, size } = grid;
+    const setFunction = (x, y, isDark) => { modules[y][x] = isDark; isFunction[y][x] = true; };
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+}
+
+function drawCodewords(grid, codewords) {
+    const { modules, isFunction, size } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function applyMask(grid, mask) {
+    const { modules, isFunction, size } = grid;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASK_PATTERNS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * عقوبة القناع حسب قواعد المواصفة: الصفوف المتشابهة، مربعات 2×2، الأنماط الشبيهة بعلامة الركن، وتوازن الألوان.
+ * @param {Array<Array<boolean>>} modules
+ * @returns {number}
+ */
+function getPenaltyScore(modules) {
+    const size = modules.length;
+    const finderLike = [true, false, true, true, true, false, true, false, false, false, false];
+    const line = (index, vertical) => modules.map((row, k) => (vertical ? modules[k][index] : modules[index][k]));
+    let penalty = 0;
+
+    for (let index = 0; index < size; index++) {
+        [false, true].forEach(vertical => {
+            const cells = line(index, vertical);
+            let runLength = 1;
+            for (let k = 1; k <= size; k++) {
+                if (k < size && cells[k] === cells[k - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+            for (let k = 0; k + 11 <= size; k++) {
+                const segment = cells.slice(k, k + 11);
+                if (finderLike.every((cell, m) => segment[m] === cell) || finderLike.every((cell, m) => segment[10 - m] === cell)) penalty += 40;
+            }
+        });
+    }
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+        }
+    }
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * إنشاء مصفوفة QR لنص.
+ * @param {string} text
+ * @returns {Array<Array<boolean>>} - true = مربع أسود، بدون الهامش الأبيض.
+ */
+export function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8) version++;
+    if (version > MAX_VERSION) throw new Error(`QR text is too long (${bytes.length} bytes).`);
+
+    const codewords = addEccAndInterleave(encodeDataCodewords(bytes, version), version);
+    const grid = createGrid(version);
+    drawCodewords(grid, codewords);
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+        applyMask(grid, mask);
+        drawFormatBits(grid, mask);
+        const penalty = getPenaltyScore(grid.modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(grid, mask); // القناع XOR فيُلغى بتطبيقه مرة ثانية
+    }
+    applyMask(grid, bestMask);
+    drawFormatBits(grid, bestMask);
+    return grid.modules;
+}
+
+/**
+ * رسم كود QR كـ SVG لوضعه مباشرة في HTML الفاتورة.
+ * @param {string} text
+ * @param {{moduleSize?: number, margin?: number}} [options] - حجم المربع بالبكسل والهامش بعدد المربعات.
+ * @returns {string}
+ */
+export function renderQrSvg(text, { moduleSize = 3, margin = 4 } = {}) {
+    const modules = createQrMatrix(text);
+    const dimension = (modules.length + margin * 2) * moduleSize;
+    const path = modules.flatMap((row, y) => row.map((isDark, x) => (isDark ? `M${(x + margin) * moduleSize},${(y + margin) * moduleSize}h${moduleSize}v${moduleSize}h-${moduleSize}z` : ''))).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${dimension}" height="${dimension}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
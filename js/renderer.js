@@ -5,11 +5,22 @@
  */
 
 import { state, setState } from './state.js';
-import { setupEventListeners, createNewReceipt } from './events.js';
-import { render } from './ui.js';
+import { setupEventListeners, createNewReceipt, syncOfflineChanges, submitEtaReceipts, renewCartReservations, expireOverdueBookings, pollCourierStatuses } from './events.js';
+import { render, renderSyncStatus } from './ui.js';
 import { showLoader, hideLoader, showNotification } from './utils.js';
 import * as api from './api.js'; // استيراد دوال API الجديدة
+import * as offline from './offline.js';
+import { hasPermission, getUserRole, loadRoleClaim } from './permissions.js';
+import { migrateLegacyAdminPassword } from './admin-password.js';
+import { DEFAULT_LOYALTY_SETTINGS } from './loyalty.js';
+import { DEFAULT_RETURN_POLICY } from './returns.js';
+import { DEFAULT_TAX_SETTINGS } from './tax.js';
+import { DEFAULT_ETA_SETTINGS } from './eta.js';
+import { RESERVATION_RENEW_MINUTES } from './reservations.js';
+import { DEFAULT_BOOKING_POLICY } from './layaway.js';
+import { DEFAULT_COURIER_SETTINGS, getCourierSettings } from './courier.js';
 import { db, auth } from './firebase-init.js'; // استيراد خدمات Firebase
+import { buildCouponUsage } from './coupons.js';
 import { onSnapshot, collection, doc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
 import { onAuthStateChanged, signOut } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
 
@@ -23,7 +34,10 @@ async function initializeApp() {
                 // المستخدم مسجل دخوله
                 const userData = JSON.parse(sessionStorage.getItem('loggedInUser'));
                 if (userData) {
-                    state.currentUser = userData;
+                    // التأكد من الوصول للإنترنت فعلاً (وليس للشبكة المحلية فقط) قبل أي طلب لـ Firestore
+                    await offline.checkConnectivity();
+                    // الدور من الـ ID token وليس من sessionStorage أو مستند المستخدم
+                    state.currentUser = { ...userData, role: await loadRoleClaim(user, { sync: offline.isOnline() }) };
                 } else {
                     // إذا لم تكن البيانات موجودة، حاول جلبها أو تسجيل الخروج
                     console.warn("User data not found in session storage. Logging out.");
@@ -58,8 +72,16 @@ async function initializeApp() {
                     // إعداد مستمعي الأحداث والتحديثات
                     setupEventListeners();
                     setupRealtimeListeners(); // إعداد مستمعي التحديثات من Firestore
+                    setupOfflineSync();
+                    setupCartReservations();
+                    setupBookingExpiry();
+                    setupCourierPolling();
                     render();
 
+                    if (hasPermission('manageUsers') && offline.isOnline()) {
+                        migrateLegacyAdminPassword().catch(error => console.error("Admin password migration failed:", error));
+                    }
+
                 } else {
                     console.error("Initialization Error:", initialData ? initialData.error : "No data returned");
                     showNotification("Fatal Error: Could not load database.", "error");
@@ -84,14 +106,38 @@ async function initializeApp() {
 
 // --- إعداد المستمع للتحديثات اللحظية من Firestore ---
 function setupRealtimeListeners() {
-    const collectionsToWatch = ['products', 'sales', 'customers', 'bookings', 'defects', 'suppliers', 'shipments', 'shifts', 'users', 'daily_expenses'];
+    const collectionsToWatch = ['products', 'sales', 'customers', 'bookings', 'defects', 'suppliers', 'shipments', 'shifts', 'users', 'daily_expenses', 'promotions', 'coupons', 'store_credits', 'no_receipt_returns', 'eta_receipts', 'reservations', 'parked_receipts', 'courier_settlements'];
 
     collectionsToWatch.forEach(collName => {
         const collRef = collection(db, collName);
         onSnapshot(collRef, (snapshot) => {
+            if (shouldIgnoreSnapshot(snapshot)) return;
             console.log(`Renderer received update for: '${collName}'`);
             const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            if (state.hasOwnProperty(collName)) {
+            api.markCollectionSynced(collName, data); // حتى لا تُعاد كتابة التحديثات البعيدة عند الحفظ القادم
+            if (collName === 'daily_expenses') {
+                state.expenses = { ...state.expenses, daily: data };
+                render();
+            } else if (collName === 'store_credits') {
+                state.storeCredits = data;
+                render();
+            } else if (collName === 'no_receipt_returns') {
+                state.noReceiptReturns = data;
+                render();
+            } else if (collName === 'eta_receipts') {
+                state.etaReceipts = data;
+                render();
+            } else if (collName === 'parked_receipts') {
+                state.parkedReceipts = data;
+                render();
+            } else if (collName === 'courier_settlements') {
+                state.courierSettlements = data;
+                render();
+            } else if (collName === 'users') {
+                state.users = data;
+                refreshCurrentUserRole();
+                render();
+            } else if (state.hasOwnProperty(collName)) {
                 state[collName] = data;
                 render(); // إعادة رسم الواجهة عند كل تحديث
             }
@@ -100,16 +146,41 @@ function setupRealtimeListeners() {
         });
     });
 
+    // عدادات الكوبونات: حدود الاستخدام وجدول الكوبونات يعتمدان عليها
+    onSnapshot(api.couponCountersQuery(), (snapshot) => {
+        if (shouldIgnoreSnapshot(snapshot)) return;
+        state.couponUsage = buildCouponUsage(snapshot.docs.map(counterDoc => counterDoc.data()));
+        offline.cacheData('coupon_usage', state.couponUsage);
+        render();
+    }, (error) => {
+        console.error("Error listening to coupon counters:", error);
+    });
+
     const configRef = doc(db, "app_config", "main");
+    // الوصول الفعلي لـ Firestore: fromCache يصبح true عندما يعجز عن الوصول للخادم حتى لو navigator.onLine = true
+    onSnapshot(configRef, { includeMetadataChanges: true }, (snapshot) => offline.setServerReachable(!snapshot.metadata.fromCache));
     onSnapshot(configRef, (doc) => {
+        if (shouldIgnoreSnapshot(doc)) return;
         console.log(`Renderer received update for: 'app_config'`);
         if (doc.exists()) {
             const configData = doc.data();
+            api.markConfigSynced(configData);
             state.categories = ['All', ...(configData.categories || [])];
-            state.expenses = configData.expenses || { daily: [], rent: { amount: 0, paidStatus: {} } };
+            state.expenses = {
+                rent: configData.expenses?.rent || { amount: 0, paidStatus: {} },
+                daily: state.expenses?.daily || []
+            };
             state.salaries = configData.salaries || {};
             state.salariesPaidStatus = configData.salariesPaidStatus || {};
             state.lastShiftReportTime = configData.lastShiftReportTime;
+            state.shiftOpening = configData.shiftOpening || null;
+            state.rolePermissions = configData.rolePermissions || {};
+            state.loyalty = { ...DEFAULT_LOYALTY_SETTINGS, ...(configData.loyalty || {}) };
+            state.returnPolicy = { ...DEFAULT_RETURN_POLICY, ...(configData.returnPolicy || {}) };
+            state.tax = { ...DEFAULT_TAX_SETTINGS, ...(configData.tax || {}) };
+            state.eta = { ...DEFAULT_ETA_SETTINGS, ...(configData.eta || {}) };
+            state.bookingPolicy = { ...DEFAULT_BOOKING_POLICY, ...(configData.bookingPolicy || {}) };
+            state.courier = { ...DEFAULT_COURIER_SETTINGS, ...(configData.courier || {}) };
             render();
         }
     }, (error) => {
@@ -117,6 +188,68 @@ function setupRealtimeListeners() {
     });
 }
 
+/**
+ * إذا تغير دور المستخدم الحالي في مستنده (من شاشة المستخدمين) يتم تحديث الـ claim والـ token حتى يسري بدون إعادة تسجيل الدخول.
+ */
+function refreshCurrentUserRole() {
+    const user = auth.currentUser;
+    const record = user && state.users.find(u => u.id === user.uid || u.uid === user.uid);
+    if (!record || !state.currentUser || getUserRole(record) === state.currentUser.role) return;
+    loadRoleClaim(user).then(role => {
+        state.currentUser = { ...state.currentUser, role };
+        render();
+    }).catch(error => console.error("Could not refresh the role:", error));
+}
+
+/**
+ * تجاهل التحديثات القادمة من ذاكرة Firestore أثناء انقطاع الاتصال أو قبل إرسال التغييرات المعلقة،
+ * حتى لا تمسح التغييرات المحلية التي لم تصل للخادم بعد.
+ */
+function shouldIgnoreSnapshot(snapshot) {
+    if (!offline.isOnline() && snapshot.metadata.fromCache) return true;
+    return offline.getSyncStatus().pendingCount > 0;
+}
+
+// --- المزامنة عند عودة الاتصال ---
+function setupOfflineSync() {
+    let lastPendingCount = offline.getSyncStatus().pendingCount;
+    offline.onSyncStatusChange((status) => {
+        renderSyncStatus(status);
+        // التغييرات التي تمت بدون إنترنت لا تصل عبر onSnapshot، لذلك يعاد الرسم عند إضافتها للطابور
+        if (status.pendingCount > lastPendingCount) render();
+        lastPendingCount = status.pendingCount;
+    });
+    // الإيصالات الإلكترونية المعلقة تُرسل بعد مزامنة الفواتير التي تمت بدون إنترنت
+    const syncAndSubmitEta = () => syncOfflineChanges().then(() => submitEtaReceipts({ silent: true }));
+    offline.onReconnect(syncAndSubmitEta);
+    offline.refreshSyncStatus().then(syncAndSubmitEta);
+}
+
+// --- تجديد حجوزات الفواتير المفتوحة ---
+function setupCartReservations() {
+    // الحجز ينتهي وحده إذا أُغلقت الصفحة، لذلك يُجدد دورياً طالما الفواتير مفتوحة هنا
+    renewCartReservations();
+    setInterval(renewCartReservations, RESERVATION_RENEW_MINUTES * 60 * 1000);
+    offline.onReconnect(renewCartReservations);
+}
+
+// --- انتهاء الحجوزات التي فات تاريخ استحقاقها ---
+function setupBookingExpiry() {
+    expireOverdueBookings();
+    setInterval(expireOverdueBookings, 60 * 60 * 1000);
+    offline.onReconnect(expireOverdueBookings);
+}
+
+// --- تحديث حالات الشحنات من شركة الشحن (المدة من الإعدادات وقت كل تحديث) ---
+function setupCourierPolling() {
+    const poll = async () => {
+        await pollCourierStatuses();
+        setTimeout(poll, Math.max(1, getCourierSettings().pollMinutes) * 60 * 1000);
+    };
+    poll();
+}
+
+
 
 // --- بدء تشغيل التطبيق عند تحميل الصفحة ---
 document.addEventListener('DOMContentLoaded', initializeApp);
@@ -0,0 +1,143 @@
+/**
+ * js/reservations.js
+ * * حجز المخزون للفواتير المفتوحة: إضافة قطعة للفاتورة لا تخصم من المخزون، بل تضع حجزاً مؤقتاً في مجموعة reservations
+ * (مستند لكل مقاس، وفيه holds: { [رقم الفاتورة]: { quantity, expiresAt, by, updatedAt } }).
+ * الفاتورة المفتوحة تجدد حجزها كل بضع دقائق، فإذا أُغلقت الصفحة ينتهي الحجز وحده وتعود القطع متاحة.
+ * الخصم الفعلي من المخزون يتم عند إتمام البيع أو تحويل الفاتورة لحجز عميل، وكلاهما يلغي حجز الفاتورة في نفس المعاملة (api.adjustStock).
+ */
+
+import { state } from './state.js';
+
+export const RESERVATION_TTL_MINUTES = 15;
+export const RESERVATION_RENEW_MINUTES = 5;
+// الفاتورة المعلقة تحجز قطعها هذه المدة فقط، بعدها تُترك القطع للبيع ويُعاد التحقق من المتاح عند استكمالها
+export const PARKED_HOLD_MAX_HOURS = 24;
+
+/**
+ * معرف مستند الحجز لمقاس معين. اللون والمقاس يُرمّزان لأن معرف المستند لا يقبل "/".
+ * @param {string} productId
+ * @param {string} color
+ * @param {string} size
+ * @returns {string}
+ */
+export function getReservationId(productId, color, size) {
+    return `${productId}__${encodeURIComponent(color)}__${encodeURIComponent(size)}`;
+}
+
+export function getReservationExpiry(now = new Date()) {
+    return new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * هل تجاوزت الفاتورة المعلقة أقصى مدة لحجز قطعها؟
+ * @param {object} parked - من state.parkedReceipts.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isParkedHoldExpired(parked, now = new Date()) {
+    return now.getTime() - new Date(parked.parkedAt).getTime() > PARKED_HOLD_MAX_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * الحجوزات السارية في مستند حجز، بدون الحجوزات المنتهية.
+ * @param {object|null} reservation - مستند من مجموعة reservations.
+ * @param {Date} [now]
+ * @returns {object} - خريطة من رقم الفاتورة إلى الحجز.
+ */
+export function getActiveHolds(reservation, now = new Date()) {
+    const nowIso = now.toISOString();
+    return Object.fromEntries(Object.entries(reservation?.holds || {}).filter(([, hold]) => hold.expiresAt > nowIso && hold.quantity > 0));
+}
+
+/**
+ * الكمية المحجوزة من مقاس في الفواتير المفتوحة.
+ * @param {object|null} reservation
+ * @param {{excludeReceiptId?: string|null, now?: Date}} [options] - excludeReceiptId لاستبعاد حجز الفاتورة الحالية.
+ * @returns {number}
+ */
+export function sumActiveHolds(reservation, { excludeReceiptId = null, now = new Date() } = {}) {
+    return Object.entries(getActiveHolds(reservation, now))
+        .filter(([receiptId]) => receiptId !== excludeReceiptId)
+        .reduce((sum, [, hold]) => sum + hold.quantity, 0);
+}
+
+export function getReservedQuantity(productId, color, size, { reservations = state.reservations || [], excludeReceiptId = null, now = new Date() } = {}) {
+    const reservation = reservations.find(r => r.id === getReservationId(productId, color, size));
+    return sumActiveHolds(reservation, { excludeReceiptId, now });
+}
+
+/**
+ * الكمية المتاحة للبيع من مقاس: المخزون ناقص المحجوز في الفواتير المفتوحة.
+ * @param {object} product
+ * @param {string} color
+ * @param {string} size
+ * @param {{reservations?: Array<object>, excludeReceiptId?: string|null, now?: Date}} [options]
+ * @returns {number}
+ */
+export function getAvailableQuantity(product, color, size, options = {}) {
+    const stock = product?.colors?.[color]?.sizes?.[size]?.quantity || 0;
+    return Math.max(0, stock - getReservedQuantity(product?.id, color, size, options));
+}
+
+export function getProductReservedQuantity(product, options = {}) {
+    return Object.entries(product?.colors || {}).reduce((total, [color, colorData]) =>
+        total + Object.keys(colorData.sizes || {}).reduce((sum, size) => sum + getReservedQuantity(product.id, color, size, options), 0), 0);
+}
+
+export function getProductAvailableQuantity(product, options = {}) {
+    return Object.entries(product?.colors || {}).reduce((total, [color, colorData]) =>
+        total + Object.keys(colorData.sizes || {}).reduce((sum, size) => sum + getAvailableQuantity(product, color, size, options), 0), 0);
+}
+
+/**
+ * كميات الفاتورة لكل مقاس (نفس المقاس قد يظهر في أكثر من سطر).
+ * @param {Array<{productId: string, color: string, size: string, quantity: number}>} cart
+ * @returns {Map<string, {productId: string, color: string, size: string, quantity: number}>} - المفتاح getReservationId.
+ */
+export function getCartHoldQuantities(cart) {
+    const holds = new Map();
+    (cart || []).forEach(({ productId, color, size, quantity }) => {
+        const id = getReservationId(productId, color, size);
+        const entry = holds.get(id) || { productId, color, size, quantity: 0 };
+        entry.quantity += quantity;
+        holds.set(id, entry);
+    });
+    return holds;
+}
+
+/**
+ * التحقق من كفاية المخزون لتعديلات الكميات ولحجز فاتورة، بعد استبعاد ما تحجزه الفواتير الأخرى.
+ * الحجز يُرفض فقط إذا زاد عن حجز الفاتورة الساري، فتقليل الكمية أو تجديد نفس الحجز لا يفشل أبداً.
+ * @param {Array<{productId: string, color: string, size: string, delta: number}>} changes - بعد الدمج (مقاس واحد لكل تعديل).
+ * @param {Map<string, object>} holdQuantities - من getCartHoldQuantities (فارغة إذا لم يكن هناك حجز).
+ * @param {{receiptId?: string|null, getStock: function(string, string, string): number|null, getReservation: function(string): object|null, getProductName: function(string): string, now?: Date}} options
+ *        getStock ترجع null إذا كان المنتج محذوفاً.
+ * @returns {Array<{productId: string, productName: string, color: string, size: string, requested: number, available: number}>}
+ */
+export function findStockConflicts(changes, holdQuantities, { receiptId = null, getStock, getReservation, getProductName, now = new Date() }) {
+    const conflicts = [];
+    const deltas = new Map();
+    changes.forEach(({ productId, color, size, delta }) => {
+        const id = getReservationId(productId, color, size);
+        deltas.set(id, delta);
+        const stock = getStock(productId, color, size);
+        if (stock === null) {
+            // المنتج محذوف: لا يمكن البيع منه، ولا حاجة لإرجاع كمية إليه
+            if (delta < 0) conflicts.push({ productId, productName: productId, color, size, requested: -delta, available: 0 });
+            return;
+        }
+        const available = stock - sumActiveHolds(getReservation(id), { excludeReceiptId: receiptId, now });
+        if (delta < 0 && available + delta < 0) {
+            conflicts.push({ productId, productName: getProductName(productId), color, size, requested: -delta, available: Math.max(0, available) });
+        }
+    });
+    holdQuantities.forEach(({ productId, color, size, quantity }, id) => {
+        const reservation = getReservation(id);
+        const ownHold = getActiveHolds(reservation, now)[receiptId]?.quantity || 0;
+        const available = (getStock(productId, color, size) || 0) + (deltas.get(id) || 0) - sumActiveHolds(reservation, { excludeReceiptId: receiptId, now });
+        if (quantity > ownHold && quantity > available) {
+            conflicts.push({ productId, productName: getProductName(productId), color, size, requested: quantity, available: Math.max(0, available) });
+        }
+    });
+    return conflicts;
+}
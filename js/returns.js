@@ -0,0 +1,211 @@
+/**
+ * js/returns.js
+ * * حسابات المرتجعات والاستبدال: قيمة القطع المرتجعة بعد نصيبها من الخصومات، صافي الفرق في عملية الاستبدال،
+ * سياسة الإرجاع (مدة الإرجاع، الأقسام غير القابلة للإرجاع، موافقة المدير بعد المدة)، والبحث عن فاتورة القطعة المرتجعة.
+ * إعدادات السياسة في app_config/main.returnPolicy. الدوال هنا لا تعدل الفاتورة، والتعديل الفعلي في events.js.
+ */
+
+import { state } from './state.js';
+import { getCouponShareForReturn } from './coupons.js';
+import { calculateLinesTax } from './tax.js';
+import { evaluatePromotions } from './promotions.js';
+
+export const DEFAULT_RETURN_POLICY = {
+    windowDays: 14,              // 0 = بدون حد
+    nonReturnableCategories: [],
+    approvalBeyondWindow: true,  // بعد المدة: موافقة مدير بدلاً من الرفض
+    allowNoReceipt: true,
+    noReceiptRefundPercent: 100  // نسبة من سعر البيع الحالي تُرد في المرتجع بدون فاتورة
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function getReturnPolicy() {
+    return { ...DEFAULT_RETURN_POLICY, ...(state.returnPolicy || {}) };
+}
+
+/**
+ * فحص مرتجع فاتورة حسب سياسة الإرجاع.
+ * القطع من أقسام غير قابلة للإرجاع مرفوضة دائماً، وبعد مدة الإرجاع يلزم موافقة مدير أو يُرفض حسب الإعداد.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {Array<{productId: string, productName: string}>} items - القطع المطلوب إرجاعها.
+ * @param {{policy?: object, products?: Array<object>, now?: Date}} [options]
+ * @returns {{allowed: boolean, needsApproval: boolean, reason: string|null, details: string}}
+ */
+export function checkReturnPolicy(sale, items, { policy = getReturnPolicy(), products = state.products, now = new Date() } = {}) {
+    const blockedItems = items.filter(item => {
+        const product = products.find(p => p.id === item.productId);
+        return product && policy.nonReturnableCategories.includes(product.category);
+    });
+    if (blockedItems.length > 0) {
+        return { allowed: false, needsApproval: false, reason: 'returnCategoryBlocked', details: blockedItems.map(item => item.productName).join(', ') };
+    }
+
+    const ageDays = Math.floor((now - new Date(sale.createdAt)) / DAY_MS);
+    if (policy.windowDays > 0 && ageDays > policy.windowDays) {
+        return {
+            allowed: policy.approvalBeyondWindow, needsApproval: policy.approvalBeyondWindow,
+            reason: 'returnWindowExpired', details: `${ageDays} / ${policy.windowDays}`
+        };
+    }
+    return { allowed: true, needsApproval: false, reason: null, details: '' };
+}
+
+/**
+ * سعر رد القطعة في المرتجع بدون فاتورة.
+ * @param {object} product
+ * @param {object} [policy]
+ * @returns {number}
+ */
+export function getNoReceiptRefundPrice(product, policy = getReturnPolicy()) {
+    return roundMoney((product?.sellingPrice || 0) * Math.min(100, Math.max(0, policy.noReceiptRefundPercent)) / 100);
+}
+
+/**
+ * البحث عن الفواتير التي يمكن إرجاع قطعة منها: بالمقاس (من الباركود) و/أو رقم العميل و/أو التاريخ.
+ * @param {Array<object>} sales
+ * @param {{variant?: {productId: string, color: string, size: string}|null, phone?: string, date?: string}} criteria
+ * @returns {Array<{sale: object, items: Array<object>}>} - الفاتورة والقطع التي لم تُرجع بالكامل منها.
+ */
+export function findReturnCandidates(sales, { variant = null, phone = '', date = '' } = {}) {
+    return sales
+        .filter(sale => (!phone || (sale.customerPhone || '').includes(phone)) && (!date || sale.createdAt.startsWith(date)))
+        .map(sale => ({
+            sale,
+            items: sale.items.filter(item => item.quantity - (item.returnedQty || 0) > 0
+                && (!variant || (item.productId === variant.productId && item.color === variant.color && item.size === variant.size)))
+        }))
+        .filter(candidate => candidate.items.length > 0)
+        .sort((a, b) => b.sale.createdAt.localeCompare(a.sale.createdAt));
+}
+
+/**
+ * خصم العروض الذي ما زال محسوباً للقطع غير المرتجعة من السطر (promotionKept)، والفواتير الأقدم بنسبة الكمية المتبقية.
+ * @param {object} saleItem
+ * @returns {number}
+ */
+function getKeptPromotionDiscount(saleItem) {
+    if (saleItem.promotionKept !== undefined) return saleItem.promotionKept;
+    if (!saleItem.promotionDiscount || !saleItem.quantity) return 0;
+    return saleItem.promotionDiscount * (saleItem.quantity - (saleItem.returnedQty || 0)) / saleItem.quantity;
+}
+
+/**
+ * إعادة تقييم عروض الفاتورة على القطع الباقية بعد المرتجع. إذا لم تعد القطع الباقية مؤهلة (مثل إرجاع القطعة المدفوعة
+ * في "اشتري 1 واحصل على 1") يُخصم الفرق من المبلغ المردود (clawback).
+ * العروض تُقيّم كما كانت وقت البيع بغض النظر عن إيقافها أو انتهائها بعد ذلك، وإذا حُذف عرض منها لا يُعاد التقييم.
+ * @param {object} sale
+ * @param {object} saleItem - السطر المرتجع.
+ * @param {number} quantity
+ * @param {number} promotionShare - خصم العروض الذي يخرج مع القطع المرتجعة.
+ * @param {Array<object>} promotions - كل العروض المحفوظة.
+ * @returns {{clawback: number, promotionKept: object}} - promotionKept خريطة من رقم السطر إلى خصمه بعد المرتجع.
+ */
+function calculatePromotionClawback(sale, saleItem, quantity, promotionShare, promotions) {
+    const promotionKept = Object.fromEntries(sale.items.map(item => [
+        item.id, item === saleItem ? getKeptPromotionDiscount(item) - promotionShare : getKeptPromotionDiscount(item)
+    ]));
+    const applied = sale.promotions || [];
+    const definitions = applied.map(entry => promotions.find(p => p.id === entry.promotionId));
+    if (applied.length === 0 || definitions.some(promotion => !promotion)) return { clawback: 0, promotionKept };
+
+    const keptCart = sale.items.map(item => ({
+        productId: item.productId, price: item.unitPrice,
+        quantity: item.quantity - (item.returnedQty || 0) - (item === saleItem ? quantity : 0)
+    }));
+    const { lines } = evaluatePromotions(
+        keptCart, definitions.map(promotion => ({ ...promotion, active: true, startDate: '', endDate: '' })), state.products
+    );
+    const keptTotal = Object.values(promotionKept).reduce((sum, discount) => sum + discount, 0);
+    const clawback = roundMoney(keptTotal - lines.reduce((sum, line) => sum + line.discount, 0));
+    if (clawback <= 0) return { clawback: 0, promotionKept };
+    // الخصم الباقي يُوزع على السطور كما في إعادة التقييم حتى تُحسب المرتجعات التالية منه
+    sale.items.forEach((item, index) => { promotionKept[item.id] = lines[index].discount; });
+    return { clawback, promotionKept };
+}
+
+/**
+ * قيمة وربح كمية مرتجعة من عنصر في الفاتورة.
+ * خصم العروض والكوبون يُرد بنصيب القطع المرتجعة من السطر نفسه، والخصم اليدوي بنسبة السطر بعد العروض والكوبون
+ * (نفس توزيع calculateLinesTax). إذا فقدت القطع الباقية عرضاً يُخصم ما حصلت عليه منه (clawback).
+ * الضريبة المضافة على الأسعار غير الشاملة تُرد مع القيمة، والضريبة الشاملة لم تُحسب في الربح أصلاً.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {object} saleItem - عنصر من sale.items.
+ * @param {number} quantity - الكمية المرتجعة.
+ * @param {{promotions?: Array<object>}} [options]
+ * @returns {{value: number, profit: number, couponShare: number, promotionShare: number, clawback: number, promotionKept: object}}
+ */
+export function calculateItemReturn(sale, saleItem, quantity, { promotions = state.promotions || [] } = {}) {
+    const itemSubtotal = saleItem.unitPrice * quantity;
+    const couponShare = getCouponShareForReturn(saleItem, quantity);
+    const remainingQty = saleItem.quantity - (saleItem.returnedQty || 0);
+    const promotionShare = remainingQty > 0 ? getKeptPromotionDiscount(saleItem) * quantity / remainingQty : 0;
+
+    // الفواتير الأقدم بدون manualDiscount: الخصم غير الكوبون كله يُعامل كخصم يدوي
+    const saleCouponDiscount = sale.couponDiscount ?? sale.coupon?.discount ?? 0;
+    const salePromotionDiscount = sale.manualDiscount === undefined ? 0 : (sale.promotionDiscount || 0);
+    const manualDiscount = sale.manualDiscount ?? (sale.discountAmount - saleCouponDiscount);
+    const ownPromotion = sale.manualDiscount === undefined ? 0 : (saleItem.promotionDiscount || 0) * quantity / saleItem.quantity;
+    const manualBase = sale.subtotal - salePromotionDiscount - saleCouponDiscount;
+    const manualShare = manualBase > 0 ? manualDiscount * (itemSubtotal - ownPromotion - couponShare) / manualBase : 0;
+
+    const { clawback, promotionKept } = calculatePromotionClawback(sale, saleItem, quantity, promotionShare, promotions);
+    const itemDiscount = promotionShare + couponShare + manualShare + clawback;
+    const taxShare = saleItem.taxAmount ? saleItem.taxAmount * quantity / saleItem.quantity : 0;
+    const pricesIncludeTax = sale.tax?.pricesIncludeTax !== false;
+    return {
+        value: roundMoney(Math.max(0, itemSubtotal - itemDiscount + (pricesIncludeTax ? 0 : taxShare))),
+        profit: roundMoney((saleItem.unitPrice - saleItem.purchasePrice) * quantity - itemDiscount - (pricesIncludeTax ? taxShare : 0)),
+        couponShare,
+        promotionShare: roundMoney(promotionShare),
+        clawback,
+        promotionKept
+    };
+}
+
+/**
+ * تطبيق مرتجع سطر على الفاتورة (الكمية المرتجعة، الإجماليات، خصم العروض الباقي ونصيب الكوبون).
+ * @param {object} sale
+ * @param {object} saleItem
+ * @param {number} quantity
+ * @param {object} [result] - نتيجة calculateItemReturn إذا حُسبت مسبقاً.
+ * @returns {{value: number, profit: number, couponShare: number, clawback: number}}
+ */
+export function applyReturnToSale(sale, saleItem, quantity, result = calculateItemReturn(sale, saleItem, quantity)) {
+    saleItem.returnedQty = (saleItem.returnedQty || 0) + quantity;
+    sale.items.forEach(item => {
+        if (item.promotionDiscount || item.promotionKept !== undefined) item.promotionKept = roundMoney(result.promotionKept[item.id]);
+    });
+    sale.totalAmount -= result.value;
+    sale.profit -= result.profit;
+    if (sale.coupon && result.couponShare > 0) sale.coupon.reversedAmount = (sale.coupon.reversedAmount || 0) + result.couponShare;
+    return result;
+}
+
+/**
+ * صافي عملية الاستبدال: قيمة القطع المرتجعة تُخصم من القطع الجديدة (شاملة الضريبة)، والفرق يدفعه العميل أو يُرد له.
+ * @param {object} sale - الفاتورة الأصلية.
+ * @param {object} returnQuantities - خريطة من معرف العنصر إلى الكمية المرتجعة.
+ * @param {Array<{price: number, quantity: number}>} newItems - القطع الجديدة.
+ * @returns {{returnedValue: number, newTotal: number, newItemsTax: object, appliedValue: number, amountDue: number, refundDue: number}}
+ */
+export function calculateExchangeTotals(sale, returnQuantities, newItems) {
+    // المرتجع يُحسب على نسخة من الفاتورة سطراً بعد سطر، بنفس ترتيب التطبيق الفعلي، حتى يكون استرداد العروض صحيحاً
+    const draftSale = JSON.parse(JSON.stringify(sale));
+    const returnedValue = roundMoney(Object.entries(returnQuantities).reduce((sum, [itemId, quantity]) => {
+        const saleItem = draftSale.items.find(item => item.id === itemId);
+        return saleItem && quantity > 0 ? sum + applyReturnToSale(draftSale, saleItem, quantity).value : sum;
+    }, 0));
+    const newItemsTax = calculateLinesTax(newItems);
+    const newTotal = roundMoney(newItems.reduce((sum, item) => sum + item.price * item.quantity, 0) + newItemsTax.addedTax);
+    return {
+        returnedValue,
+        newTotal,
+        newItemsTax,
+        appliedValue: Math.min(returnedValue, newTotal),
+        amountDue: roundMoney(Math.max(0, newTotal - returnedValue)),
+        refundDue: roundMoney(Math.max(0, returnedValue - newTotal))
+    };
+}
@@ -20,6 +20,14 @@ export let state = {
     shiftDateFilter: '',
     editingExpenseId: null,
     bookingSearchTerm: '',
+    bookingStatusFilter: 'active', // active = الحجوزات المفتوحة، أو حالة من BOOKING_STATUSES
+    cancellingBookingId: null,
+    pickingUpBookingId: null,
+    deliveryStatusFilter: 'active', // active = لم يصل بعد، all، أو حالة من DELIVERY_STATUSES
+    deliveryCourierFilter: '',
+    deliverySearchTerm: '',
+    editingDeliverySaleId: null,
+    settlingCourier: null,
     salariesSearchTerm: '',
     selectedSalariesMonth: '',
     activeBookingId: null,
@@ -32,11 +40,33 @@ export let state = {
     sales: [],
     users: [],
     customers: [],
+    promotions: [], // عروض الخصم التلقائية (مجموعة promotions)
+    editingPromotionId: null,
+    coupons: [], // كوبونات الخصم (مجموعة coupons)
+    couponUsage: {}, // استخدامات كل كوبون من counters/coupon-{id}: { [couponId]: { usedCount, customerUses } }
+    editingCouponId: null,
+    storeCredits: [], // أرصدة المتجر وكروت الهدايا (مجموعة store_credits)
+    noReceiptReturns: [], // المرتجعات بدون فاتورة (مجموعة no_receipt_returns)
+    etaReceipts: [], // طابور الإيصالات الإلكترونية (مجموعة eta_receipts)
+    reservations: [], // حجز المخزون للفواتير المفتوحة (مجموعة reservations)
+    parkedReceipts: [], // الفواتير المعلقة لاستكمالها من أي جهاز (مجموعة parked_receipts)
+    courierSettlements: [], // تسويات مندوبي التوصيل (مجموعة courier_settlements)
+    bookingPolicy: null, // مدة الحجز والتصرف في العربون عند انتهائه (app_config/main.bookingPolicy)
+    courier: null, // ربط شركة الشحن (app_config/main.courier)
+    shiftOpening: null, // رصيد بداية الوردية الحالية: { float, declaredAt, declaredBy, history: [القيم السابقة] } (app_config/main.shiftOpening)
+    returnSearch: { barcode: '', phone: '', date: '' },
+    returnApproval: null, // موافقة المدير على مرتجع خارج السياسة: { saleId, approvedBy }
     lang: 'en',
     editingProductId: null,
     returningSaleId: null,
+    exchangeDraft: null, // الاستبدال الجاري: { saleId, returnQuantities, newItems, paymentMethod, refundMethod }
     selectedSales: new Set(),
     currentUser: null, // سيتم تحديد المستخدم المسجل دخوله هنا
+    rolePermissions: {}, // تعديلات مصفوفة الصلاحيات المحفوظة في app_config/main
+    loyalty: null, // إعدادات نقاط الولاء (app_config/main.loyalty)
+    returnPolicy: null, // سياسة الإرجاع (app_config/main.returnPolicy)
+    tax: null, // إعدادات ضريبة القيمة المضافة (app_config/main.tax)
+    eta: null, // بيانات البائع وإرسال الإيصال الإلكتروني (app_config/main.eta)
     categories: ['All'],
     activeCategory: 'All',
     itemToAdd: null,
@@ -65,6 +95,7 @@ export let state = {
     productModalSource: 'inventory',
     lowStockThreshold: 5,
     returnActionData: null,
+    pendingRestore: null,
     newProductFormData: null,
 };
 
@@ -86,10 +117,40 @@ export const translations = {
         backupAndRestore: 'Backup & Restore',
         backupBtn: 'Backup Database',
         restoreBtn: 'Restore Database',
-        backupSuccess: 'Backup created successfully at:',
+        userManagement: 'User Management',
+        manageUsersBtn: 'Manage Users & Roles',
+        permissionDenied: 'You do not have permission to do this.',
+        backupSuccess: 'Backup downloaded successfully:',
         backupError: 'Backup failed:',
         restoreSuccess: 'Database restored successfully. The application will now restart.',
         restoreError: 'Restore failed:',
+        restorePreviewTitle: 'Restore Preview',
+        backupCreatedAt: 'Backup created at',
+        colCollection: 'Collection',
+        restoreCreate: 'New',
+        restoreUpdate: 'Changed',
+        restoreDelete: 'Deleted',
+        restoreUnchanged: 'Unchanged',
+        restoreConfigChanged: 'Application settings (app_config) will be replaced.',
+        restoreConfigUnchanged: 'Application settings (app_config) are unchanged.',
+        restoreSkipped: 'Not in this backup, left as they are:',
+        restoreSecretsKept: 'The admin password is never included in backups and stays unchanged.',
+        restoreWarning: 'This will overwrite the current database. Do not close the page until the restore finishes.',
+        offlineMode: 'Offline',
+        pendingChanges: 'pending changes',
+        syncingChanges: 'Syncing...',
+        syncConflicts: 'sync conflicts',
+        syncCompleted: '{count} offline changes synced.',
+        syncConflictsFound: '{count} offline changes conflict with changes from another terminal. Click the sync indicator to review them.',
+        syncFailed: 'Sync failed',
+        offlineQueuedInfo: 'Changes will be sent automatically when the connection is back.',
+        syncConflictsTitle: 'Sync Conflicts',
+        conflictStockNegative: 'Sold offline while stock ran out',
+        conflictDocumentChanged: 'Changed on another terminal while offline',
+        conflictDeleted: 'Deleted',
+        keepMine: 'Keep my version',
+        keepServer: 'Keep server version',
+        dismiss: 'Dismiss',
         navShifts: 'Shifts',
         addDailyExpense: 'Add Daily Expense',
         calculateCurrentShift: 'Calculate Current Shift',
@@ -111,6 +172,12 @@ export const translations = {
         surplus: 'Surplus',
         confirmEndShift: 'Confirm & End Shift',
         shiftEndedSuccess: 'Shift ended successfully. Report saved.',
+        openingFloat: 'Opening Float', declareOpeningFloat: 'Declare Opening Float', editOpeningFloat: 'Edit Opening Float',
+        openingFloatNotDeclared: 'No opening float declared for this shift. The drawer is assumed to start at 0.',
+        openingFloatDeclaredBy: 'declared by', openingFloatSaved: 'Opening float saved.',
+        openingFloatLocked: 'The opening float is locked once the shift has sales, expenses or refunds. Ask a manager to change it.', openingFloatEdited: 'previous values:',
+        denomination: 'Denomination', denominationCount: 'Count', cashCountTotal: 'Counted Total',
+        countDrawerCash: 'Please count the cash in the drawer.', cashCount: 'Cash Count',
         shiftReport: 'Shift Report',
         shiftNumber: 'Shift #',
         endedBy: 'Ended By',
@@ -132,9 +199,13 @@ export const translations = {
         cart: 'Cart',
         customerPhone: 'Customer Phone', customerName: 'Customer Name', customerAddress: 'Customer Address', colCustomerCity: 'City',
         subtotal: 'Subtotal:', discountPercent: 'Discount (%):', discountAmount: 'Discount (EGP):', total: 'Total:', paidAmount: 'Paid Amount (EGP)', paidAmountPlaceholder: 'Enter amount paid', completeSale: 'Complete Sale',
-        paymentMethod: 'Payment Method', cash: 'Cash', instaPay: 'InstaPay', vCash: 'VCash',
+        paymentMethod: 'Payment Method', cash: 'Cash', instaPay: 'InstaPay', vCash: 'VCash', card: 'Card', storeCredit: 'Store Credit', loyaltyPoints: 'Points',
+        splitPaymentHint: 'Tap a method to pay the remaining amount with it, or type amounts to split the payment.',
+        totalPaid: 'Total Paid:', changeDue: 'Change (cash):',
+        nonCashExceedsDue: 'Non-cash payments cannot exceed the amount due. Only cash can give change.',
+        paidLessThanDue: 'The paid amounts are less than the amount due.',
         freeDelivery: 'Free Delivery', deliveryFee: 'Delivery Fee',
-        deposit: 'Deposit (EGP)', saveBooking: 'Save as Booking', openBookings: 'Open Bookings', loadBooking: 'Load Booking', bookingSaved: 'Booking saved!',
+        deposit: 'Deposit (EGP)', saveBooking: 'Save as Booking', openBookings: 'Bookings', loadBooking: 'Load Booking', bookingSaved: 'Booking saved!',
         reports: 'Reports', timeFilter: 'Time Filter', allTime: 'All Time', byMonth: 'By Month', byDay: 'By Day', selectMonth: 'Select Month', selectDay: 'Select Day', cashier: 'Cashier', allUsers: 'All Users', exportPdf: 'Export Sales to PDF',
         totalRevenue: 'Total Revenue', totalProfit: 'Total Profit', totalItemsSold: 'Items Sold', totalReturnsValue: 'Returns Value',
         totalCashSales: 'Cash Sales',
@@ -172,7 +243,93 @@ export const translations = {
         amountRemaining: 'Amount Remaining:',
         totalInstaPaySales: 'InstaPay Sales',
         totalVCashSales: 'VCash Sales',
+        totalCardSales: 'Card Sales',
+        totalStoreCreditSales: 'Store Credit Sales',
         totalFreeDeliveries: 'Free Deliveries',
+        navPromotions: 'Promotions', promotionsTitle: 'Promotions',
+        promotionsHint: 'Active promotions are applied automatically to the cart. Each item gets at most one promotion.',
+        addPromotion: 'Add Promotion', editPromotion: 'Edit Promotion',
+        promotionName: 'Name', promotionType: 'Type', promotionRule: 'Rule', promotionScope: 'Applies To', promotionPeriod: 'Period', promotionStatus: 'Status',
+        promoBuyXGetY: 'Buy X get Y free', promoSecondItemHalf: 'Second item half price', promoCategoryPercent: 'Percentage off', promoBundlePrice: 'Bundle price',
+        promoBuyQty: 'Buy', promoGetQty: 'Free', promoPercent: 'Discount (%)', promoBundleQty: 'Items in bundle', promoBundlePriceLabel: 'Bundle price (EGP)',
+        promoCategories: 'Categories (leave empty for all)', promoProducts: 'Specific products (overrides categories)',
+        promoStartDate: 'Start date', promoEndDate: 'End date', promoActive: 'Active',
+        noPromotions: 'No promotions yet.', allProducts: 'All products',
+        promoRunning: 'Running', promoInactive: 'Inactive', promoEnable: 'Enable', promoDisable: 'Disable',
+        promoNameRequired: 'Promotion name is required.', promoInvalidRule: 'Please enter valid values for this promotion type.',
+        promoInvalidDates: 'The end date must be on or after the start date.',
+        promotionAdded: 'Promotion added.', promotionUpdated: 'Promotion updated.', promotionDeleted: 'Promotion deleted.',
+        deletePromotionConfirm: 'Are you sure you want to delete this promotion?',
+        promotionsDiscount: 'Promotions:', totalPromotionDiscounts: 'Promotions Cost', promotionBreakdown: 'Cost per Promotion', salesCountLabel: 'sales',
+        couponCode: 'Coupon Code:', applyCoupon: 'Apply', couponLabel: 'Coupon', couponApplied: 'Coupon applied.',
+        couponsTitle: 'Coupons', addCoupon: 'Add Coupon', editCoupon: 'Edit Coupon', noCoupons: 'No coupons yet.',
+        couponCodeCol: 'Code', couponValue: 'Value', couponMinBasket: 'Min. Basket', couponRedemptions: 'Redemptions', couponDiscountGiven: 'Discount Given',
+        couponFixed: 'Fixed amount (EGP)', couponPercent: 'Percentage (%)', couponPerCustomer: 'per customer',
+        couponMaxUses: 'Total uses (0 = unlimited)', couponMaxUsesPerCustomer: 'Uses per customer (0 = unlimited)',
+        couponCodeRequired: 'Coupon code is required.', couponCodeExists: 'A coupon with this code already exists.',
+        couponAdded: 'Coupon added.', couponUpdated: 'Coupon updated.', couponDeleted: 'Coupon deleted.',
+        deleteCouponConfirm: 'Are you sure you want to delete this coupon?',
+        couponNeedsConnection: 'Coupons need an internet connection to check their usage limits.',
+        couponNotFound: 'Coupon code not found.', couponInactive: 'This coupon is disabled.', couponNotStarted: 'This coupon is not valid yet.',
+        couponExpired: 'This coupon has expired.', couponUsageLimitReached: 'This coupon has reached its usage limit.',
+        couponNeedsCustomer: 'Enter the customer phone to use this coupon.', couponCustomerLimitReached: 'This customer has already used this coupon the maximum number of times.',
+        couponNoEligibleItems: 'No items in the cart are eligible for this coupon.', couponMinBasketNotMet: 'The cart has not reached the minimum amount for this coupon.',
+        totalPointsSales: 'Paid with Points', colLoyaltyPoints: 'Points', pointsLedger: 'Points', pointsLedgerTitle: 'Points History',
+        pointsBalance: 'Points balance:', pointsExpired: 'Expired points:', pointsDate: 'Date', pointsReference: 'Reference', pointsExpiresAt: 'Expires',
+        noPointsHistory: 'No points history yet.', points_earn: 'Earned', points_redeem: 'Redeemed', points_return: 'Returned', points_refund: 'Refunded on return', points_void: 'Sale deleted',
+        pointsRefunded: 'Points returned to the customer:',
+        loyaltyProgram: 'Loyalty Program', loyaltyEnabled: 'Enable loyalty points', loyaltyEarnRate: 'Points earned per EGP',
+        loyaltyBurnRate: 'EGP value of one point', loyaltyExpiryDays: 'Points expire after (days, 0 = never)',
+        loyaltyInvalidSettings: 'Please enter valid loyalty rates.', loyaltySettingsSaved: 'Loyalty settings saved.',
+        pointsNeedCustomer: 'Paying with points needs a registered customer phone and the loyalty program enabled.',
+        notEnoughPoints: 'The customer does not have enough points for this amount.',
+        giftCard: 'Gift Card', refundMethod: 'Refund As', creditRefunds: 'Refunded as credit or exchange',
+        storeCreditsTitle: 'Store Credits & Gift Cards', noStoreCredits: 'No store credits or gift cards yet.',
+        storeCreditCode: 'Credit / Gift Card Code', creditBalance: 'Balance', creditHistory: 'History',
+        credit_issue: 'Issued', credit_redeem: 'Redeemed', credit_void: 'Sale deleted',
+        saleRedemptionsNotReversed: 'Store credit and coupon could not be reversed, so the receipt was not deleted',
+        storeCreditNeedsCustomer: 'Store credit is tied to the customer. Use a gift card for receipts without a customer phone.',
+        storeCreditIssueFailed: 'Could not issue the credit, refund the amount in cash.',
+        storeCreditNotFound: 'No store credit or gift card found for this code or customer.',
+        notEnoughStoreCredit: 'The store credit balance is not enough for this amount.',
+        storeCreditNeedsConnection: 'Paying with store credit needs an internet connection to check the balance.',
+        outstandingStoreCredit: 'Outstanding Store Credit', outstandingGiftCards: 'Outstanding Gift Cards',
+        totalCreditLiability: 'Total Credit Liability', creditIssued: 'Issued in period:', creditRedeemed: 'Redeemed:',
+        btnExchange: 'Exchange', exchange: 'Exchange', exchangeTitle: 'Exchange', exchangeOf: 'Exchange of',
+        exchangeReturnedItems: 'Items Returned', exchangeNewItems: 'New Items', exchangeNothingToReturn: 'All items on this receipt were already returned.',
+        exchangeCustomerPaysWith: 'Customer pays with', exchangeReturnedValue: 'Returned value:', exchangeNewTotal: 'New items:',
+        exchangeAmountDue: 'Customer pays:', exchangeRefundDue: 'Refund to customer:', confirmExchange: 'Confirm Exchange',
+        exchangeNeedsItems: 'Select at least one item to return and one new item.', exchangeCompleted: 'Exchange completed as receipt',
+        navReturns: 'Returns', returnsTitle: 'Returns', returnsScanItem: 'Scan item barcode', returnsSaleDate: 'Sale date',
+        returnsFindSales: 'Find Sales', returnsSearchHint: 'Scan the returned item or enter the customer phone or sale date to find the receipt.',
+        returnsNoSales: 'No matching sales with returnable items.', returnsWithinPolicy: 'Within the return policy',
+        returnNeedsApproval: 'Outside the return window, needs manager approval', returnWindowExpired: 'Outside the return window (days since sale / allowed)',
+        returnCategoryBlocked: 'Non-returnable category', returnApprovalTitle: 'Manager Approval',
+        returnApprovalPassword: 'Admin password', approveReturn: 'Approve',
+        noReceiptReturn: 'No Receipt Return', noReceiptReturnsTitle: 'No Receipt Returns', noNoReceiptReturns: 'No returns without a receipt yet.',
+        returnsColDate: 'Date', returnsColRefund: 'Refund', confirmNoReceiptReturn: 'Confirm Return',
+        noReceiptReturnsDisabled: 'Returns without a receipt are disabled in the return policy.', noReceiptReturnDone: 'Return recorded. Refund:',
+        noReceiptCashRefunds: 'No-receipt Cash Refunds',
+        codWithCourier: 'Cash on delivery (with couriers)', courierReceipts: 'Courier settlements received',
+        returnUndelivered: 'Receive return', returnUndeliveredConfirm: 'Receive the returned order back into stock and reverse it?', undeliveredReturnDone: 'Returned order received:',
+        ordersReturnedToSender: 'Orders returned to the store (receive them from Deliveries):', notCollected: 'Not collected (COD)',
+        returnPolicyTitle: 'Return Policy', returnWindowDays: 'Return window (days, 0 = no limit)',
+        returnApprovalBeyondWindow: 'Allow returns after the window with manager approval', nonReturnableCategories: 'Non-returnable categories',
+        allowNoReceiptReturns: 'Allow returns without a receipt', noReceiptRefundPercent: 'No-receipt refund (% of current price)',
+        returnPolicyInvalid: 'Please enter a valid return window and a refund percentage between 0 and 100.', returnPolicySaved: 'Return policy saved.',
+        vat: 'VAT', taxIncluded: 'included', taxAdded: 'added', vatCollected: 'VAT Collected', taxNetSales: 'net',
+        taxSettingsTitle: 'VAT', taxEnabled: 'Charge VAT on sales', taxRate: 'VAT rate (%)', taxPricesInclude: 'Selling prices include VAT',
+        taxExemptCategories: 'VAT-exempt categories', taxRegistrationNumber: 'Tax registration number',
+        taxInvalidRate: 'Please enter a VAT rate between 0 and 100.', taxSettingsSaved: 'VAT settings saved.',
+        etaSettingsTitle: 'E-Receipt (ETA)', etaEnabled: 'Issue an e-receipt for every sale', etaRin: 'Tax registration number (RIN)',
+        etaTradeName: 'Company trade name', etaBranchCode: 'Branch code', etaActivityCode: 'Activity code', etaDeviceSerial: 'POS device serial number',
+        etaGovernate: 'Governorate', etaRegionCity: 'City', etaStreet: 'Street', etaBuildingNumber: 'Building number', etaSubmitUrl: 'Submission server URL',
+        etaSubmitPending: 'Submit pending e-receipts', etaPending: 'Pending', etaSubmitted: 'Submitted', etaRejected: 'Rejected',
+        etaSettingsSaved: 'E-receipt settings saved.', etaSettingsIncomplete: 'E-receipt seller details are missing:',
+        etaNeedsConnection: 'E-receipts need an internet connection; they will be issued when the connection is back.',
+        etaNoSubmitter: 'No e-receipt submission server is configured.', etaSubmitFailed: 'Could not submit e-receipts:',
+        etaReceiptsSubmitted: '{count} e-receipt(s) submitted.', etaReceiptsRejected: '{count} e-receipt(s) were rejected. Check the e-receipt settings.',
+        etaNotIssued: 'E-receipt not issued yet.',
         colBonus: 'Bonus',
         depositPaymentMethod: 'Deposit Method:',
         exportReturns: 'Export Returns to PDF',
@@ -254,6 +411,70 @@ export const translations = {
         stockOfSelected: 'Stock of Selected:',
         lowStockWarning: 'Low stock warning for',
         itemsLeft: 'items left',
+        returnReason: 'Return Reason',
+        stockChangedByAnotherTerminal: 'Stock changed by another terminal. Available now:',
+        reservationExpired: 'Some open receipts lost their stock hold and could not reserve it again. Available now:',
+        reserved: 'Reserved',
+        parkReceipt: 'Park Receipt',
+        receiptParked: 'Receipt parked. It can be resumed from any device.',
+        parkedReceiptsTitle: 'Parked Receipts',
+        parkedBy: 'Parked by',
+        parkedHoldReleased: 'Items are no longer held for this receipt. Availability is checked again on resume.',
+        parkedItems: 'items',
+        resumeReceipt: 'Resume',
+        discardReceipt: 'Discard',
+        confirmDiscardParked: 'Discard this parked receipt? Its items will be released back to stock.',
+        parkedReceiptDiscarded: 'Parked receipt discarded.',
+        parkedReceiptGone: 'This receipt was already resumed or discarded on another device.',
+        parkedReceiptNeedsConnection: 'Resuming or discarding a parked receipt needs an internet connection.',
+        bookingPayments: 'Payments',
+        bookingPaymentDate: 'Date',
+        bookingPaymentAmount: 'Amount',
+        bookingPaymentCashier: 'Cashier',
+        noBookingPayments: 'No payments yet.',
+        bookingPaidTotal: 'Paid',
+        bookingBalance: 'Balance',
+        bookingPaymentsCount: 'payments',
+        bookingDueDate: 'Due Date',
+        addBookingPayment: 'Add Payment',
+        bookingPaymentAdded: 'Payment recorded.',
+        paymentExceedsBalance: 'Payment is more than the remaining balance:',
+        shiftBookingPayments: 'Booking Payments',
+        bookingStatus_active: 'All active', bookingStatus_open: 'Open', bookingStatus_ready: 'Ready for pickup',
+        bookingStatus_outForDelivery: 'Out for delivery', bookingStatus_completed: 'Completed', bookingStatus_cancelled: 'Cancelled',
+        bookingStatus_expired: 'Expired', bookingStatusUpdated: 'Booking status updated.', bookingsDueToday: 'Bookings due today',
+        cancelBooking: 'Cancel Booking', confirmCancelBooking: 'Confirm Cancellation', cancelReason: 'Reason',
+        depositHandling: 'Paid amount', depositAction_refund: 'Refunded to customer', depositAction_forfeit: 'Kept by the store',
+        depositAction_storeCredit: 'Converted to store credit', depositAction_none: 'Nothing paid',
+        bookingCancelled: 'Booking cancelled and its items returned to stock.', bookingsExpired: 'Expired bookings returned to stock:',
+        bookingAlreadyClosed: 'This booking was already closed on another device.',
+        bookingLoadedInReceipt: 'This booking is open in a receipt. Close that receipt first.',
+        bookingLoadedElsewhere: 'This booking is already loaded in a receipt on another device. Continue anyway?',
+        bookingPolicyTitle: 'Bookings', bookingHoldDays: 'Hold period (days)', bookingExpiredDepositAction: 'Paid amount on expiry',
+        bookingPolicySaved: 'Booking settings saved.',
+        bookingPickupTitle: 'Pick Up Items', bookingPickupHint: 'Choose the quantities the customer is taking now. Paid amount available:',
+        selectPickupItems: 'Select at least one item to pick up.', bookingPickedUp: 'Picked up', bookingAppliedToPickups: 'Applied to picked-up items',
+        bookingRemainingItems: 'Remaining items',
+        navDeliveries: 'Deliveries', deliveriesTitle: 'Deliveries', deliverySearchPlaceholder: 'Search by receipt, customer or tracking no...',
+        deliveryReceipt: 'Receipt', deliveryCustomer: 'Customer', courier: 'Courier', trackingNumber: 'Tracking No.', codAmount: 'COD',
+        courierFee: 'Courier Fee', deliveryStatus: 'Status', deliveryStatus_active: 'Not delivered yet', deliveryStatus_all: 'All deliveries',
+        deliveryStatus_packed: 'Packed', deliveryStatus_handedToCourier: 'Handed to courier', deliveryStatus_delivered: 'Delivered',
+        deliveryStatus_returnedToSender: 'Returned to sender', allCouriers: 'All couriers', noDeliveries: 'No deliveries found.',
+        noCouriersYet: 'No orders have been handed to a courier yet.', ordersWithCourier: 'With courier', codCollected: 'Collected',
+        settlementExpected: 'Expected', settlementReceived: 'Received', settlementDifference: 'Difference', settlementOrders: 'orders',
+        settlementNote: 'Note', settleCourier: 'Settle', saveSettlement: 'Save Settlement', settled: 'Settled',
+        courierSettlementsTitle: 'Courier Settlements', noSettlements: 'No courier settlements yet.', editDelivery: 'Delivery',
+        deliveryUpdated: 'Delivery updated.', deliveryAlreadySettled: 'This delivery is already included in a settlement.',
+        courierRequired: 'Enter the courier name before changing the status.', selectSettlementOrders: 'Select at least one order to settle.',
+        settlementSaved: 'Settlement saved. Difference:',
+        createShipment: 'Create Shipment', shipmentCreated: 'Shipment created with the courier.', shipmentNotCreated: 'Shipment not created:',
+        shipmentAlreadyCreated: 'A shipment was already created for this order.', printLabel: 'Label',
+        noDeliveryForSale: 'This sale has no delivery.', courierNotConfigured: 'No courier company is set up in settings.',
+        courierNeedsConnection: 'An internet connection is required to reach the courier.', labelFetchFailed: 'Could not get the courier label, printing a local label:',
+        refreshCourierStatus: 'Refresh Courier Status', courierStatusesUpdated: 'Deliveries updated from the courier:',
+        courierSettingsTitle: 'Courier Integration', courierProvider: 'Courier company', courierProviderNone: 'None (manual)',
+        courierBaseUrl: 'Proxy URL', courierBaseUrlHint: 'The proxy server keeps the courier API key. The key is never saved in the app.',
+        courierProxyRequired: 'Bosta needs the URL of the proxy server that holds its API key.', courierPollMinutes: 'Status refresh (minutes)', courierSettingsSaved: 'Courier settings saved.',
         returnTypeTitle: 'Return Type',
         returnTypeMessage: 'How do you want to handle this return?',
         returnToStock: 'Normal Return (to Stock)',
@@ -320,10 +541,40 @@ export const translations = {
         backupAndRestore: 'النسخ الاحتياطي والاستعادة',
         backupBtn: 'نسخ احتياطي للبيانات',
         restoreBtn: 'استعادة البيانات',
-        backupSuccess: 'تم إنشاء نسخة احتياطية بنجاح في:',
+        userManagement: 'إدارة المستخدمين',
+        manageUsersBtn: 'إدارة المستخدمين والصلاحيات',
+        permissionDenied: 'ليس لديك صلاحية للقيام بهذا الإجراء.',
+        backupSuccess: 'تم تنزيل النسخة الاحتياطية بنجاح:',
         backupError: 'فشل النسخ الاحتياطي:',
         restoreSuccess: 'تم استعادة البيانات بنجاح. سيتم إعادة تشغيل التطبيق الآن.',
         restoreError: 'فشلت الاستعادة:',
+        restorePreviewTitle: 'معاينة الاستعادة',
+        backupCreatedAt: 'تاريخ النسخة الاحتياطية',
+        colCollection: 'المجموعة',
+        restoreCreate: 'جديد',
+        restoreUpdate: 'معدل',
+        restoreDelete: 'محذوف',
+        restoreUnchanged: 'بدون تغيير',
+        restoreConfigChanged: 'سيتم استبدال إعدادات التطبيق (app_config).',
+        restoreConfigUnchanged: 'إعدادات التطبيق (app_config) بدون تغيير.',
+        restoreSkipped: 'غير موجودة في هذه النسخة وستبقى كما هي:',
+        restoreSecretsKept: 'كلمة سر الأدمن لا تُحفظ في النسخ الاحتياطية ولن تتغير.',
+        restoreWarning: 'سيتم استبدال قاعدة البيانات الحالية. لا تغلق الصفحة حتى تنتهي الاستعادة.',
+        offlineMode: 'غير متصل',
+        pendingChanges: 'تغييرات معلقة',
+        syncingChanges: 'جاري المزامنة...',
+        syncConflicts: 'تعارضات مزامنة',
+        syncCompleted: 'تمت مزامنة {count} تغيير تم أثناء انقطاع الاتصال.',
+        syncConflictsFound: '{count} تغيير يتعارض مع تعديلات من جهاز آخر. اضغط على مؤشر المزامنة لمراجعتها.',
+        syncFailed: 'فشلت المزامنة',
+        offlineQueuedInfo: 'سيتم إرسال التغييرات تلقائياً عند عودة الاتصال.',
+        syncConflictsTitle: 'تعارضات المزامنة',
+        conflictStockNegative: 'تم البيع بدون إنترنت بعد نفاد المخزون',
+        conflictDocumentChanged: 'تم تعديله من جهاز آخر أثناء الانقطاع',
+        conflictDeleted: 'محذوف',
+        keepMine: 'اعتماد نسختي',
+        keepServer: 'اعتماد نسخة الخادم',
+        dismiss: 'تجاهل',
         // [--- إضافة ---] نصوص جديدة لليوميات
         navShifts: 'اليوميات',
         addDailyExpense: 'إضافة مصروف يومي',
@@ -346,6 +597,12 @@ export const translations = {
         surplus: 'زيادة',
         confirmEndShift: 'تأكيد وإنهاء اليومية',
         shiftEndedSuccess: 'تم إنهاء اليومية بنجاح. تم حفظ التقرير.',
+        openingFloat: 'رصيد بداية الدرج', declareOpeningFloat: 'تسجيل رصيد البداية', editOpeningFloat: 'تعديل رصيد البداية',
+        openingFloatNotDeclared: 'لم يتم تسجيل رصيد بداية لهذه اليومية، وسيُعتبر الدرج بدأ من صفر.',
+        openingFloatDeclaredBy: 'سجله', openingFloatSaved: 'تم حفظ رصيد البداية.',
+        openingFloatLocked: 'رصيد البداية يُقفل بعد أول بيع أو مصروف أو مرتجع في الوردية. اطلب من المدير تعديله.', openingFloatEdited: 'القيم السابقة:',
+        denomination: 'الفئة', denominationCount: 'العدد', cashCountTotal: 'إجمالي العد',
+        countDrawerCash: 'من فضلك عد النقدية في الدرج.', cashCount: 'عد النقدية',
         shiftReport: 'تقرير اليومية',
         shiftNumber: 'يومية رقم',
         endedBy: 'بواسطة',
@@ -368,14 +625,104 @@ export const translations = {
         cart: 'السلة',
         customerPhone: 'هاتف العميل', customerName: 'اسم العميل', customerAddress: 'عنوان العميل', colCustomerCity: 'المدينة',
         subtotal: 'المجموع الفرعي:', discountPercent: 'خصم (٪):', discountAmount: 'خصم (جنيه):', total: 'الإجمالي:', paidAmount: 'المبلغ المدفوع (جنيه)', paidAmountPlaceholder: 'أدخل المبلغ المدفوع', completeSale: 'إتمام البيع',
-        paymentMethod: 'طريقة الدفع', cash: 'كاش', instaPay: 'InstaPay', vCash: 'VCash',
+        paymentMethod: 'طريقة الدفع', cash: 'كاش', instaPay: 'InstaPay', vCash: 'VCash', card: 'بطاقة', storeCredit: 'رصيد المتجر', loyaltyPoints: 'النقاط',
+        splitPaymentHint: 'اضغط على طريقة الدفع لدفع المبلغ المتبقي بها، أو اكتب المبالغ لتقسيم الدفع.',
+        totalPaid: 'إجمالي المدفوع:', changeDue: 'الباقي (كاش):',
+        nonCashExceedsDue: 'لا يمكن أن تتجاوز طرق الدفع غير الكاش المبلغ المستحق. الباقي يُرد من الكاش فقط.',
+        paidLessThanDue: 'المبالغ المدفوعة أقل من المبلغ المستحق.',
         freeDelivery: 'توصيل مجاني', deliveryFee: 'رسوم التوصيل',
-        deposit: 'عربون (جنيه)', saveBooking: 'حفظ الحجز', openBookings: 'الحجوزات المفتوحة', loadBooking: 'تحميل الحجز', bookingSaved: 'تم حفظ الحجز!',
+        deposit: 'عربون (جنيه)', saveBooking: 'حفظ الحجز', openBookings: 'الحجوزات', loadBooking: 'تحميل الحجز', bookingSaved: 'تم حفظ الحجز!',
         reports: 'التقارير', timeFilter: 'تصفية بالوقت', allTime: 'كل الأوقات', byMonth: 'بالشهر', byDay: 'باليوم', selectMonth: 'اختر الشهر', selectDay: 'اختر اليوم', cashier: 'الكاشير', allUsers: 'كل المستخدمين', exportPdf: 'تصدير المبيعات PDF',
         totalRevenue: 'إجمالي الإيرادات', totalProfit: 'إجمالي الأرباح', totalItemsSold: 'القطع المباعة', totalReturnsValue: 'قيمة المرتجعات',
         totalCashSales: 'مبيعات الكاش',
         totalInstaPaySales: 'مبيعات InstaPay',
         totalVCashSales: 'مبيعات VCash',
+        totalCardSales: 'مبيعات البطاقات',
+        totalStoreCreditSales: 'مبيعات برصيد المتجر',
+        navPromotions: 'العروض', promotionsTitle: 'العروض',
+        promotionsHint: 'العروض المفعلة تُطبق تلقائياً على السلة، وكل قطعة يطبق عليها عرض واحد فقط.',
+        addPromotion: 'إضافة عرض', editPromotion: 'تعديل العرض',
+        promotionName: 'الاسم', promotionType: 'النوع', promotionRule: 'القاعدة', promotionScope: 'يشمل', promotionPeriod: 'الفترة', promotionStatus: 'الحالة',
+        promoBuyXGetY: 'اشتري X واحصل على Y مجاناً', promoSecondItemHalf: 'القطعة الثانية بنصف السعر', promoCategoryPercent: 'خصم نسبة', promoBundlePrice: 'سعر مجموعة',
+        promoBuyQty: 'اشتري', promoGetQty: 'مجاناً', promoPercent: 'نسبة الخصم (%)', promoBundleQty: 'عدد القطع في المجموعة', promoBundlePriceLabel: 'سعر المجموعة (جنيه)',
+        promoCategories: 'الأقسام (اتركها فارغة لكل الأقسام)', promoProducts: 'منتجات محددة (لها الأولوية على الأقسام)',
+        promoStartDate: 'تاريخ البداية', promoEndDate: 'تاريخ النهاية', promoActive: 'مفعل',
+        noPromotions: 'لا توجد عروض بعد.', allProducts: 'كل المنتجات',
+        promoRunning: 'ساري', promoInactive: 'غير ساري', promoEnable: 'تفعيل', promoDisable: 'إيقاف',
+        promoNameRequired: 'اسم العرض مطلوب.', promoInvalidRule: 'برجاء إدخال قيم صحيحة لنوع العرض.',
+        promoInvalidDates: 'تاريخ النهاية يجب أن يكون في نفس يوم البداية أو بعده.',
+        promotionAdded: 'تمت إضافة العرض.', promotionUpdated: 'تم تعديل العرض.', promotionDeleted: 'تم حذف العرض.',
+        deletePromotionConfirm: 'هل أنت متأكد من حذف هذا العرض؟',
+        promotionsDiscount: 'العروض:', totalPromotionDiscounts: 'تكلفة العروض', promotionBreakdown: 'تكلفة كل عرض', salesCountLabel: 'فاتورة',
+        couponCode: 'كود الكوبون:', applyCoupon: 'تطبيق', couponLabel: 'كوبون', couponApplied: 'تم تطبيق الكوبون.',
+        couponsTitle: 'الكوبونات', addCoupon: 'إضافة كوبون', editCoupon: 'تعديل الكوبون', noCoupons: 'لا توجد كوبونات بعد.',
+        couponCodeCol: 'الكود', couponValue: 'القيمة', couponMinBasket: 'الحد الأدنى للسلة', couponRedemptions: 'مرات الاستخدام', couponDiscountGiven: 'إجمالي الخصم',
+        couponFixed: 'مبلغ ثابت (جنيه)', couponPercent: 'نسبة (%)', couponPerCustomer: 'لكل عميل',
+        couponMaxUses: 'إجمالي مرات الاستخدام (0 = بلا حد)', couponMaxUsesPerCustomer: 'مرات الاستخدام لكل عميل (0 = بلا حد)',
+        couponCodeRequired: 'كود الكوبون مطلوب.', couponCodeExists: 'يوجد كوبون بنفس الكود بالفعل.',
+        couponAdded: 'تمت إضافة الكوبون.', couponUpdated: 'تم تعديل الكوبون.', couponDeleted: 'تم حذف الكوبون.',
+        deleteCouponConfirm: 'هل أنت متأكد من حذف هذا الكوبون؟',
+        couponNeedsConnection: 'الكوبونات تحتاج اتصالاً بالإنترنت للتحقق من حدود الاستخدام.',
+        couponNotFound: 'كود الكوبون غير موجود.', couponInactive: 'هذا الكوبون موقوف.', couponNotStarted: 'هذا الكوبون لم يبدأ بعد.',
+        couponExpired: 'انتهت صلاحية هذا الكوبون.', couponUsageLimitReached: 'وصل هذا الكوبون للحد الأقصى من الاستخدام.',
+        couponNeedsCustomer: 'أدخل رقم هاتف العميل لاستخدام هذا الكوبون.', couponCustomerLimitReached: 'استخدم هذا العميل الكوبون الحد الأقصى من المرات.',
+        couponNoEligibleItems: 'لا توجد قطع في السلة يشملها هذا الكوبون.', couponMinBasketNotMet: 'السلة لم تصل للحد الأدنى لهذا الكوبون.',
+        totalPointsSales: 'مدفوع بالنقاط', colLoyaltyPoints: 'النقاط', pointsLedger: 'النقاط', pointsLedgerTitle: 'سجل النقاط',
+        pointsBalance: 'رصيد النقاط:', pointsExpired: 'نقاط منتهية:', pointsDate: 'التاريخ', pointsReference: 'المرجع', pointsExpiresAt: 'تنتهي في',
+        noPointsHistory: 'لا يوجد سجل نقاط بعد.', points_earn: 'مكتسبة', points_redeem: 'مستخدمة', points_return: 'مرتجع', points_refund: 'مردودة من مرتجع', points_void: 'فاتورة محذوفة',
+        pointsRefunded: 'النقاط المردودة للعميل:',
+        loyaltyProgram: 'برنامج الولاء', loyaltyEnabled: 'تفعيل نقاط الولاء', loyaltyEarnRate: 'النقاط المكتسبة لكل جنيه',
+        loyaltyBurnRate: 'قيمة النقطة بالجنيه', loyaltyExpiryDays: 'مدة صلاحية النقاط (أيام، 0 = بلا انتهاء)',
+        loyaltyInvalidSettings: 'برجاء إدخال معدلات صحيحة لبرنامج الولاء.', loyaltySettingsSaved: 'تم حفظ إعدادات الولاء.',
+        pointsNeedCustomer: 'الدفع بالنقاط يحتاج رقم هاتف عميل مسجل وتفعيل برنامج الولاء.',
+        notEnoughPoints: 'رصيد نقاط العميل لا يكفي لهذا المبلغ.',
+        giftCard: 'كارت هدية', refundMethod: 'رد المبلغ كـ', creditRefunds: 'مردود كرصيد أو استبدال',
+        storeCreditsTitle: 'أرصدة المتجر وكروت الهدايا', noStoreCredits: 'لا توجد أرصدة أو كروت هدايا بعد.',
+        storeCreditCode: 'كود الرصيد / كارت الهدية', creditBalance: 'الرصيد', creditHistory: 'السجل',
+        credit_issue: 'إصدار', credit_redeem: 'استخدام', credit_void: 'فاتورة محذوفة',
+        saleRedemptionsNotReversed: 'تعذر إلغاء رصيد المتجر والكوبون، فلم تُحذف الفاتورة',
+        storeCreditNeedsCustomer: 'رصيد المتجر مرتبط بالعميل. استخدم كارت هدية للفواتير بدون رقم عميل.',
+        storeCreditIssueFailed: 'تعذر إصدار الرصيد، رد المبلغ كاش.',
+        storeCreditNotFound: 'لا يوجد رصيد متجر أو كارت هدية بهذا الكود أو لهذا العميل.',
+        notEnoughStoreCredit: 'رصيد المتجر لا يكفي لهذا المبلغ.',
+        storeCreditNeedsConnection: 'الدفع برصيد المتجر يحتاج اتصال بالإنترنت للتحقق من الرصيد.',
+        outstandingStoreCredit: 'أرصدة متجر غير مستخدمة', outstandingGiftCards: 'كروت هدايا غير مستخدمة',
+        totalCreditLiability: 'إجمالي الالتزامات للعملاء', creditIssued: 'صادر في الفترة:', creditRedeemed: 'مستخدم:',
+        btnExchange: 'استبدال', exchange: 'استبدال', exchangeTitle: 'استبدال', exchangeOf: 'استبدال للفاتورة',
+        exchangeReturnedItems: 'القطع المرتجعة', exchangeNewItems: 'القطع الجديدة', exchangeNothingToReturn: 'كل قطع هذه الفاتورة تم إرجاعها بالفعل.',
+        exchangeCustomerPaysWith: 'العميل يدفع بـ', exchangeReturnedValue: 'قيمة المرتجع:', exchangeNewTotal: 'القطع الجديدة:',
+        exchangeAmountDue: 'يدفع العميل:', exchangeRefundDue: 'يُرد للعميل:', confirmExchange: 'تأكيد الاستبدال',
+        exchangeNeedsItems: 'اختر قطعة واحدة على الأقل للإرجاع وقطعة جديدة.', exchangeCompleted: 'تم الاستبدال بفاتورة رقم',
+        navReturns: 'المرتجعات', returnsTitle: 'المرتجعات', returnsScanItem: 'باركود القطعة', returnsSaleDate: 'تاريخ البيع',
+        returnsFindSales: 'بحث عن الفواتير', returnsSearchHint: 'امسح باركود القطعة المرتجعة أو أدخل رقم العميل أو تاريخ البيع للوصول للفاتورة.',
+        returnsNoSales: 'لا توجد فواتير مطابقة بها قطع يمكن إرجاعها.', returnsWithinPolicy: 'داخل سياسة الإرجاع',
+        returnNeedsApproval: 'بعد مدة الإرجاع، يحتاج موافقة المدير', returnWindowExpired: 'بعد مدة الإرجاع (أيام منذ البيع / المسموح)',
+        returnCategoryBlocked: 'فئة غير قابلة للإرجاع', returnApprovalTitle: 'موافقة المدير',
+        returnApprovalPassword: 'كلمة سر الأدمن', approveReturn: 'موافقة',
+        noReceiptReturn: 'مرتجع بدون فاتورة', noReceiptReturnsTitle: 'المرتجعات بدون فاتورة', noNoReceiptReturns: 'لا توجد مرتجعات بدون فاتورة بعد.',
+        returnsColDate: 'التاريخ', returnsColRefund: 'المبلغ المردود', confirmNoReceiptReturn: 'تأكيد الإرجاع',
+        noReceiptReturnsDisabled: 'المرتجع بدون فاتورة موقوف في سياسة الإرجاع.', noReceiptReturnDone: 'تم تسجيل المرتجع. المبلغ المردود:',
+        noReceiptCashRefunds: 'مرتجعات بدون فاتورة (كاش)',
+        codWithCourier: 'تحصيل عند الاستلام (مع المندوبين)', courierReceipts: 'توريدات المندوبين',
+        returnUndelivered: 'استلام المرتجع', returnUndeliveredConfirm: 'استلام الطلب المرتجع للمخزون وإلغاء قيمته؟', undeliveredReturnDone: 'تم استلام الطلب المرتجع:',
+        ordersReturnedToSender: 'طلبات رجعت للمحل (استلمها من صفحة التوصيل):', notCollected: 'لم يُحصّل (الدفع عند الاستلام)',
+        returnPolicyTitle: 'سياسة الإرجاع', returnWindowDays: 'مدة الإرجاع (أيام، 0 = بلا حد)',
+        returnApprovalBeyondWindow: 'السماح بالإرجاع بعد المدة بموافقة المدير', nonReturnableCategories: 'فئات غير قابلة للإرجاع',
+        allowNoReceiptReturns: 'السماح بالإرجاع بدون فاتورة', noReceiptRefundPercent: 'المردود بدون فاتورة (% من السعر الحالي)',
+        returnPolicyInvalid: 'برجاء إدخال مدة إرجاع صحيحة ونسبة رد بين 0 و 100.', returnPolicySaved: 'تم حفظ سياسة الإرجاع.',
+        vat: 'ض.ق.م', taxIncluded: 'شاملة', taxAdded: 'مضافة', vatCollected: 'ضريبة القيمة المضافة المحصلة', taxNetSales: 'الصافي',
+        taxSettingsTitle: 'ضريبة القيمة المضافة', taxEnabled: 'تحصيل ضريبة القيمة المضافة على المبيعات', taxRate: 'نسبة الضريبة (%)', taxPricesInclude: 'أسعار البيع شاملة الضريبة',
+        taxExemptCategories: 'فئات معفاة من الضريبة', taxRegistrationNumber: 'رقم التسجيل الضريبي',
+        taxInvalidRate: 'برجاء إدخال نسبة ضريبة بين 0 و 100.', taxSettingsSaved: 'تم حفظ إعدادات الضريبة.',
+        etaSettingsTitle: 'الإيصال الإلكتروني (ETA)', etaEnabled: 'إصدار إيصال إلكتروني لكل عملية بيع', etaRin: 'رقم التسجيل الضريبي (RIN)',
+        etaTradeName: 'الاسم التجاري', etaBranchCode: 'كود الفرع', etaActivityCode: 'كود النشاط', etaDeviceSerial: 'الرقم التسلسلي لجهاز نقطة البيع',
+        etaGovernate: 'المحافظة', etaRegionCity: 'المدينة', etaStreet: 'الشارع', etaBuildingNumber: 'رقم المبنى', etaSubmitUrl: 'عنوان خادم الإرسال',
+        etaSubmitPending: 'إرسال الإيصالات المعلقة', etaPending: 'معلق', etaSubmitted: 'تم الإرسال', etaRejected: 'مرفوض',
+        etaSettingsSaved: 'تم حفظ إعدادات الإيصال الإلكتروني.', etaSettingsIncomplete: 'بيانات البائع للإيصال الإلكتروني ناقصة:',
+        etaNeedsConnection: 'الإيصال الإلكتروني يحتاج اتصالاً بالإنترنت، وسيتم إصداره عند عودة الاتصال.',
+        etaNoSubmitter: 'لم يتم ضبط خادم إرسال الإيصالات الإلكترونية.', etaSubmitFailed: 'تعذر إرسال الإيصالات الإلكترونية:',
+        etaReceiptsSubmitted: 'تم إرسال {count} إيصال إلكتروني.', etaReceiptsRejected: 'تم رفض {count} إيصال إلكتروني. راجع إعدادات الإيصال الإلكتروني.',
+        etaNotIssued: 'لم يتم إصدار الإيصال الإلكتروني بعد.',
         salesHistory: 'سجل المبيعات', searchReceiptsPlaceholder: 'البحث برقم الإيصال، العميل، أو الكاشير...',
         selectAll: 'تحديد الكل', deleteSelected: 'حذف المحدد',
         userManagement: 'إدارة المستخدمين', openUserManagement: 'فتح إدارة المستخدمين',
@@ -491,6 +838,70 @@ export const translations = {
         stockOfSelected: 'مخزون المحدد:',
         lowStockWarning: 'تحذير انخفاض المخزون لـ',
         itemsLeft: 'قطع متبقية',
+        returnReason: 'سبب الإرجاع',
+        stockChangedByAnotherTerminal: 'تم تعديل المخزون من جهاز آخر. المتاح الآن:',
+        reservationExpired: 'انتهى حجز بعض القطع في الفواتير المفتوحة وتعذر حجزها مرة أخرى. المتاح الآن:',
+        reserved: 'محجوز',
+        parkReceipt: 'تعليق الفاتورة',
+        receiptParked: 'تم تعليق الفاتورة ويمكن استكمالها من أي جهاز.',
+        parkedReceiptsTitle: 'الفواتير المعلقة',
+        parkedBy: 'علقها',
+        parkedHoldReleased: 'القطع لم تعد محجوزة لهذه الفاتورة، ويُعاد التحقق من المتاح عند الاستكمال.',
+        parkedItems: 'قطعة',
+        resumeReceipt: 'استكمال',
+        discardReceipt: 'إلغاء',
+        confirmDiscardParked: 'إلغاء هذه الفاتورة المعلقة؟ سيتم إرجاع قطعها للمخزون المتاح.',
+        parkedReceiptDiscarded: 'تم إلغاء الفاتورة المعلقة.',
+        parkedReceiptGone: 'تم استكمال أو إلغاء هذه الفاتورة من جهاز آخر.',
+        parkedReceiptNeedsConnection: 'استكمال أو إلغاء فاتورة معلقة يحتاج اتصال بالإنترنت.',
+        bookingPayments: 'الدفعات',
+        bookingPaymentDate: 'التاريخ',
+        bookingPaymentAmount: 'المبلغ',
+        bookingPaymentCashier: 'الكاشير',
+        noBookingPayments: 'لا توجد دفعات بعد.',
+        bookingPaidTotal: 'المدفوع',
+        bookingBalance: 'المتبقي',
+        bookingPaymentsCount: 'دفعات',
+        bookingDueDate: 'تاريخ الاستحقاق',
+        addBookingPayment: 'إضافة دفعة',
+        bookingPaymentAdded: 'تم تسجيل الدفعة.',
+        paymentExceedsBalance: 'الدفعة أكبر من المبلغ المتبقي:',
+        shiftBookingPayments: 'دفعات الحجوزات',
+        bookingStatus_active: 'كل الحجوزات الجارية', bookingStatus_open: 'مفتوح', bookingStatus_ready: 'جاهز للاستلام',
+        bookingStatus_outForDelivery: 'خرج للتوصيل', bookingStatus_completed: 'مكتمل', bookingStatus_cancelled: 'ملغي',
+        bookingStatus_expired: 'منتهي', bookingStatusUpdated: 'تم تحديث حالة الحجز.', bookingsDueToday: 'حجوزات مستحقة اليوم',
+        cancelBooking: 'إلغاء الحجز', confirmCancelBooking: 'تأكيد الإلغاء', cancelReason: 'السبب',
+        depositHandling: 'المبلغ المدفوع', depositAction_refund: 'رُد للعميل', depositAction_forfeit: 'احتفظ به المحل',
+        depositAction_storeCredit: 'تحول لرصيد متجر', depositAction_none: 'لا يوجد مدفوع',
+        bookingCancelled: 'تم إلغاء الحجز وإعادة قطعه للمخزون.', bookingsExpired: 'حجوزات منتهية أُعيدت قطعها للمخزون:',
+        bookingAlreadyClosed: 'هذا الحجز تم إغلاقه بالفعل من جهاز آخر.',
+        bookingLoadedInReceipt: 'هذا الحجز مفتوح في فاتورة. أغلق الفاتورة أولاً.',
+        bookingLoadedElsewhere: 'هذا الحجز محمل بالفعل في فاتورة على جهاز آخر. هل تريد المتابعة؟',
+        bookingPolicyTitle: 'الحجوزات', bookingHoldDays: 'مدة الحجز (أيام)', bookingExpiredDepositAction: 'المبلغ المدفوع عند انتهاء الحجز',
+        bookingPolicySaved: 'تم حفظ إعدادات الحجوزات.',
+        bookingPickupTitle: 'استلام قطع', bookingPickupHint: 'اختر الكميات التي يستلمها العميل الآن. المدفوع المتاح:',
+        selectPickupItems: 'اختر قطعة واحدة على الأقل للاستلام.', bookingPickedUp: 'تم استلام', bookingAppliedToPickups: 'خُصم من القطع المستلمة',
+        bookingRemainingItems: 'القطع المتبقية',
+        navDeliveries: 'التوصيل', deliveriesTitle: 'طلبات التوصيل', deliverySearchPlaceholder: 'ابحث برقم الفاتورة أو العميل أو رقم الشحنة...',
+        deliveryReceipt: 'الفاتورة', deliveryCustomer: 'العميل', courier: 'المندوب', trackingNumber: 'رقم الشحنة', codAmount: 'التحصيل',
+        courierFee: 'رسوم المندوب', deliveryStatus: 'الحالة', deliveryStatus_active: 'لم يتم التسليم بعد', deliveryStatus_all: 'كل الطلبات',
+        deliveryStatus_packed: 'تم التغليف', deliveryStatus_handedToCourier: 'مع المندوب', deliveryStatus_delivered: 'تم التسليم',
+        deliveryStatus_returnedToSender: 'مرتجع للمحل', allCouriers: 'كل المندوبين', noDeliveries: 'لا توجد طلبات توصيل.',
+        noCouriersYet: 'لم يتم تسليم أي طلب لمندوب بعد.', ordersWithCourier: 'مع المندوب', codCollected: 'المحصّل',
+        settlementExpected: 'المتوقع', settlementReceived: 'المستلم', settlementDifference: 'الفرق', settlementOrders: 'طلبات',
+        settlementNote: 'ملاحظة', settleCourier: 'تسوية', saveSettlement: 'حفظ التسوية', settled: 'تمت التسوية',
+        courierSettlementsTitle: 'تسويات المندوبين', noSettlements: 'لا توجد تسويات بعد.', editDelivery: 'التوصيل',
+        deliveryUpdated: 'تم تحديث التوصيل.', deliveryAlreadySettled: 'هذا الطلب داخل في تسوية بالفعل.',
+        courierRequired: 'اكتب اسم المندوب قبل تغيير الحالة.', selectSettlementOrders: 'اختر طلباً واحداً على الأقل للتسوية.',
+        settlementSaved: 'تم حفظ التسوية. الفرق:',
+        createShipment: 'إنشاء شحنة', shipmentCreated: 'تم إنشاء الشحنة عند شركة الشحن.', shipmentNotCreated: 'لم يتم إنشاء الشحنة:',
+        shipmentAlreadyCreated: 'تم إنشاء شحنة لهذا الطلب بالفعل.', printLabel: 'البوليصة',
+        noDeliveryForSale: 'هذه الفاتورة ليس فيها توصيل.', courierNotConfigured: 'لم يتم ضبط شركة شحن في الإعدادات.',
+        courierNeedsConnection: 'يلزم الاتصال بالإنترنت للتواصل مع شركة الشحن.', labelFetchFailed: 'تعذر جلب بوليصة شركة الشحن، ستُطبع بوليصة محلية:',
+        refreshCourierStatus: 'تحديث حالات الشحن', courierStatusesUpdated: 'طلبات تم تحديثها من شركة الشحن:',
+        courierSettingsTitle: 'ربط شركة الشحن', courierProvider: 'شركة الشحن', courierProviderNone: 'بدون (يدوي)',
+        courierBaseUrl: 'عنوان الخادم الوسيط', courierBaseUrlHint: 'الخادم الوسيط يحتفظ بمفتاح الـ API لشركة الشحن، ولا يُحفظ المفتاح في التطبيق.',
+        courierProxyRequired: 'ربط Bosta يحتاج عنوان الخادم الوسيط الذي يحمل مفتاح الـ API.', courierPollMinutes: 'تحديث الحالات (دقائق)', courierSettingsSaved: 'تم حفظ إعدادات شركة الشحن.',
         returnTypeTitle: 'نوع المرتجع',
         returnTypeMessage: 'كيف تريد التعامل مع هذا المرتجع؟',
         returnToStock: 'مرتجع عادي (للمخزن)',
@@ -0,0 +1,95 @@
+/**
+ * js/store-credit.js
+ * * رصيد المتجر وكروت الهدايا: تُصدر عند المرتجع بدلاً من رد الكاش، ولكل منها كود باركود ورصيد وسجل حركات،
+ * وتُستخدم كطريقة دفع (storeCredit) عند البيع.
+ * الأرصدة محفوظة في مجموعة store_credits، وتُعدل من api.js فقط (الخصم بمعاملة) حتى لا يُستخدم نفس الرصيد مرتين.
+ */
+
+import { state } from './state.js';
+
+export const CREDIT_TYPES = ['storeCredit', 'giftCard'];
+export const REFUND_METHODS = ['cash', ...CREDIT_TYPES];
+
+const CODE_PREFIXES = { storeCredit: 'SC', giftCard: 'GC' };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function normalizeCreditCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+export function findCreditByCode(code, credits = state.storeCredits || []) {
+    const normalized = normalizeCreditCode(code);
+    return normalized ? credits.find(c => normalizeCreditCode(c.code) === normalized) || null : null;
+}
+
+/**
+ * إنشاء كود جديد غير مستخدم للرصيد (SC أو GC متبوعاً بـ 10 أرقام) يصلح للطباعة كباركود CODE128.
+ * @param {'storeCredit'|'giftCard'} type
+ * @param {Array<object>} [credits]
+ * @returns {string}
+ */
+export function generateCreditCode(type, credits = state.storeCredits || []) {
+    let code;
+    do {
+        code = `${CODE_PREFIXES[type] || 'SC'}${String(Math.floor(Math.random() * 1e10)).padStart(10, '0')}`;
+    } while (findCreditByCode(code, credits));
+    return code;
+}
+
+export function getCreditBalance(credit) {
+    return roundMoney(credit?.balance || 0);
+}
+
+/**
+ * الرصيد المستخدم في الدفع لفاتورة: الكود المكتوب (كارت هدية أو رصيد)، أو أكبر رصيد متجر مسجل على رقم العميل.
+ * @param {object} receipt - الفاتورة من state.receipts.
+ * @param {Array<object>} [credits]
+ * @returns {object|null}
+ */
+export function findReceiptCredit(receipt, credits = state.storeCredits || []) {
+    if (receipt?.storeCreditCode) return findCreditByCode(receipt.storeCreditCode, credits);
+    const phone = receipt?.customerPhone?.trim();
+    if (!phone) return null;
+    return credits
+        .filter(c => c.type === 'storeCredit' && c.customerPhone === phone && getCreditBalance(c) > 0)
+        .sort((a, b) => getCreditBalance(b) - getCreditBalance(a))[0] || null;
+}
+
+/**
+ * إجمالي الأرصدة غير المستخدمة (التزام على المحل للعملاء) وحركة الإصدار والاستخدام خلال فترة.
+ * @param {Array<object>} credits - من state.storeCredits.
+ * @param {string|null} [period] - YYYY-MM أو YYYY-MM-DD، أو null لكل الفترات.
+ * @returns {{storeCredit: number, giftCard: number, total: number, issued: number, redeemed: number}}
+ */
+export function summarizeCreditLiability(credits = state.storeCredits || [], period = null) {
+    const summary = { storeCredit: 0, giftCard: 0, total: 0, issued: 0, redeemed: 0 };
+    credits.forEach(credit => {
+        const balance = getCreditBalance(credit);
+        summary[credit.type === 'giftCard' ? 'giftCard' : 'storeCredit'] += balance;
+        summary.total += balance;
+        (credit.ledger || [])
+            .filter(entry => !period || entry.date.startsWith(period))
+            .forEach(entry => {
+                // إلغاء استخدام فاتورة محذوفة (void) يُنقص المستخدم ولا يُعد إصداراً جديداً
+                if (entry.type === 'void') summary.redeemed -= entry.amount;
+                else if (entry.amount > 0) summary.issued += entry.amount;
+                else summary.redeemed -= entry.amount;
+            });
+    });
+    Object.keys(summary).forEach(key => { summary[key] = roundMoney(summary[key]); });
+    return summary;
+}
+
+/**
+ * مجموع المرتجعات التي لم تخرج من الدرج: المردودة كرصيد أو كارت هدية أو نقاط ولاء (pointsRefund)، أو المخصومة من قطع استبدال.
+ * في الاستبدال يُستثنى الجزء الذي رُد للعميل كاش (cashRefund).
+ * @param {Array<object>} sales
+ * @returns {number}
+ */
+export function sumCreditRefunds(sales) {
+    return roundMoney(sales.reduce((sum, sale) => sum + (sale.returns || [])
+        .reduce((total, entry) => total + (entry.refundMethod && entry.refundMethod !== 'cash'
+            ? entry.value - (entry.cashRefund || 0)
+            : entry.pointsRefund?.value || 0), 0), 0));
+}
@@ -0,0 +1,109 @@
+/**
+ * js/tax.js
+ * * ضريبة القيمة المضافة: نسبة واحدة للمحل، الأسعار شاملة أو غير شاملة الضريبة، وفئات معفاة.
+ * الضريبة تُحسب لكل سطر بعد نصيبه من الخصومات وتُحفظ على عناصر الفاتورة (taxRate, netAmount, taxAmount)،
+ * ورسوم التوصيل خارج الضريبة. الإعدادات في app_config/main.tax.
+ */
+
+import { state } from './state.js';
+
+export const DEFAULT_TAX_SETTINGS = {
+    enabled: false,
+    rate: 14,                 // نسبة الضريبة %
+    pricesIncludeTax: true,   // أسعار البيع شاملة الضريبة، وإلا تُضاف الضريبة على الإجمالي
+    exemptCategories: [],
+    registrationNumber: ''    // رقم التسجيل الضريبي المطبوع على الفاتورة
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function getTaxSettings() {
+    return { ...DEFAULT_TAX_SETTINGS, ...(state.tax || {}) };
+}
+
+/**
+ * نسبة الضريبة على منتج: صفر إذا كانت الضريبة موقوفة أو فئة المنتج معفاة.
+ * @param {string} productId
+ * @param {object} [settings]
+ * @param {Array<object>} [products]
+ * @returns {number}
+ */
+export function getProductTaxRate(productId, settings = getTaxSettings(), products = state.products) {
+    if (!settings.enabled) return 0;
+    const product = products.find(p => p.id === productId);
+    return product && settings.exemptCategories.includes(product.category) ? 0 : settings.rate;
+}
+
+/**
+ * فصل الضريبة عن مبلغ سطر بعد الخصم.
+ * @param {number} amount - مبلغ السطر بعد الخصومات.
+ * @param {number} rate - نسبة الضريبة %.
+ * @param {boolean} pricesIncludeTax
+ * @returns {{netAmount: number, taxAmount: number}}
+ */
+export function splitLineTax(amount, rate, pricesIncludeTax) {
+    const taxAmount = roundMoney(pricesIncludeTax ? amount * rate / (100 + rate) : amount * rate / 100);
+    return { netAmount: roundMoney(pricesIncludeTax ? amount - taxAmount : amount), taxAmount };
+}
+
+/**
+ * ضريبة كل سطر بعد نصيبه من الخصومات: العروض والكوبون على السطر نفسه، والخصم اليدوي بنسبة السطر من الإجمالي.
+ * @param {Array<{productId: string, price: number, quantity: number, promotionDiscount?: number, couponDiscount?: number}>} lines
+ * @param {number} [manualDiscount]
+ * @param {{settings?: object, products?: Array<object>}} [options]
+ * @returns {{lines: Array<{taxRate: number, netAmount: number, taxAmount: number}>, netTotal: number, taxTotal: number, addedTax: number}}
+ */
+export function calculateLinesTax(lines, manualDiscount = 0, { settings = getTaxSettings(), products = state.products } = {}) {
+    const afterDiscounts = lines.map(line => line.price * line.quantity - (line.promotionDiscount || 0) - (line.couponDiscount || 0));
+    const base = afterDiscounts.reduce((sum, amount) => sum + amount, 0);
+    const taxedLines = lines.map((line, index) => {
+        const manualShare = base > 0 ? manualDiscount * afterDiscounts[index] / base : 0;
+        const taxRate = getProductTaxRate(line.productId, settings, products);
+        return { taxRate, ...splitLineTax(Math.max(0, afterDiscounts[index] - manualShare), taxRate, settings.pricesIncludeTax) };
+    });
+    const taxTotal = roundMoney(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0));
+    return {
+        lines: taxedLines,
+        netTotal: roundMoney(taxedLines.reduce((sum, line) => sum + line.netAmount, 0)),
+        taxTotal,
+        addedTax: settings.pricesIncludeTax ? 0 : taxTotal
+    };
+}
+
+/**
+ * بيانات الضريبة المحفوظة على الفاتورة (sale.tax)، أو null إذا كانت الضريبة موقوفة.
+ * @param {object} settings - إعدادات الضريبة وقت البيع.
+ * @param {{netTotal: number, taxTotal: number}} tax - نتيجة calculateLinesTax.
+ * @returns {object|null}
+ */
+export function buildSaleTaxInfo(settings, tax) {
+    if (!settings.enabled) return null;
+    return {
+        rate: settings.rate, pricesIncludeTax: settings.pricesIncludeTax, registrationNumber: settings.registrationNumber,
+        netAmount: tax.netTotal, taxAmount: tax.taxTotal
+    };
+}
+
+/**
+ * ملخص الضريبة على الفواتير حسب النسبة، بعد استبعاد نصيب القطع المرتجعة.
+ * @param {Array<object>} sales
+ * @returns {{netTotal: number, taxTotal: number, byRate: Array<{rate: number, netAmount: number, taxAmount: number}>}}
+ */
+export function summarizeSalesTax(sales) {
+    const byRate = {};
+    sales.forEach(sale => (sale.items || []).forEach(item => {
+        if (item.taxRate === undefined || !item.quantity) return;
+        const keptRatio = (item.quantity - (item.returnedQty || 0)) / item.quantity;
+        const entry = byRate[item.taxRate] || (byRate[item.taxRate] = { rate: item.taxRate, netAmount: 0, taxAmount: 0 });
+        entry.netAmount += (item.netAmount || 0) * keptRatio;
+        entry.taxAmount += (item.taxAmount || 0) * keptRatio;
+    }));
+    const rows = Object.values(byRate)
+        .map(entry => ({ rate: entry.rate, netAmount: roundMoney(entry.netAmount), taxAmount: roundMoney(entry.taxAmount) }))
+        .sort((a, b) => b.rate - a.rate);
+    return {
+        netTotal: roundMoney(rows.reduce((sum, row) => sum + row.netAmount, 0)),
+        taxTotal: roundMoney(rows.reduce((sum, row) => sum + row.taxAmount, 0)),
+        byRate: rows
+    };
+}
@@ -4,21 +4,36 @@
  */
 
 import { state, translations } from './state.js';
-import { getProductTotalQuantity, getCurrentDateAsYYYYMMDD } from './utils.js';
+import { getProductTotalQuantity, getCurrentDateAsYYYYMMDD, TENDER_METHODS, TENDER_SUMMARY_KEYS, getSalePayments, summarizeTenders, CASH_DENOMINATIONS, summarizeCashCount } from './utils.js';
+import { canAccessPage, hasPermission } from './permissions.js';
+import { isPromotionActive, summarizePromotionCosts } from './promotions.js';
+import { countCouponRedemptions, describeCouponError } from './coupons.js';
+import { getLoyaltySettings, getPointsSummary, getPointsBalance, pointsToValue } from './loyalty.js';
+import { REFUND_METHODS, getCreditBalance, findReceiptCredit, summarizeCreditLiability } from './store-credit.js';
+import { getTaxSettings, calculateLinesTax, summarizeSalesTax } from './tax.js';
+import { getEtaSettings, summarizeEtaQueue } from './eta.js';
+import { calculateExchangeTotals, getReturnPolicy, checkReturnPolicy, findReturnCandidates, getNoReceiptRefundPrice } from './returns.js';
+import { getAvailableQuantity, getReservedQuantity, getProductReservedQuantity, getProductAvailableQuantity } from './reservations.js';
+import { DELIVERY_STATUSES, getCourierBalances, getUnsettledOrders, summarizeSettlement, needsUndeliveredReturn } from './deliveries.js';
+import { COURIER_PROVIDERS, getCourierSettings } from './courier.js';
+import {
+    BOOKING_PAYMENT_METHODS, BOOKING_STATUSES, ACTIVE_BOOKING_STATUSES, DEPOSIT_ACTIONS, getBookingPayments, getBookingTotal, getBookingPaidTotal,
+    getBookingAllocatedTotal, getBookingCreditTotal, getBookingBalance, getDefaultDueDate, getBookingStatus, isBookingActive, getBookingsDueToday, getBookingPolicy
+} from './layaway.js';
 
 // --- دوال عرض وتحديث الواجهة الرسومية ---
 
 /**
- * [تعديل] هذه الدالة الآن تتحقق من اسم المستخدم بدلاً من متغير منفصل.
- * تقوم بإظهار أو إخفاء عناصر الأدمن بناءً على ما إذا كان المستخدم الحالي هو "BAZ".
+ * إظهار أو إخفاء روابط الصفحات حسب صلاحيات دور المستخدم الحالي.
+ * الصلاحيات نفسها يتم التحقق منها أيضاً في events.js، وهذا الإخفاء للواجهة فقط.
  */
 export function updateAdminVisibility() {
-    const isAdmin = state.currentUser && state.currentUser.username === 'BAZ';
-    document.body.classList.toggle('admin-mode', isAdmin);
+    document.querySelectorAll('header .nav-link[data-page]').forEach(link => {
+        link.classList.toggle('hidden', !canAccessPage(link.dataset.page));
+    });
 
-    // إذا لم يكن المستخدم هو الأدمن وكان في صفحة خاصة بالأدمن، يتم إرجاعه للصفحة الرئيسية
-    const adminPages = ['inventory-page', 'history-page', 'customers-page', 'salaries-page', 'best-sellers-page', 'defects-page', 'suppliers-page', 'shifts-page', 'settings-page'];
-    if (!isAdmin && adminPages.includes(state.currentPage)) {
+    // إذا لم يكن للمستخدم صلاحية الصفحة الحالية، يتم إرجاعه للصفحة الرئيسية
+    if (!canAccessPage(state.currentPage)) {
         state.currentPage = 'home-page';
         // استدعاء render() مرة أخرى لضمان عرض الصفحة الرئيسية
         render();
@@ -76,6 +91,9 @@ export function render() {
     if (state.currentPage === 'suppliers-page') renderSuppliersPage();
     if (state.currentPage === 'settings-page') renderSettingsPage();
     if (state.currentPage === 'shifts-page') renderShiftsPage();
+    if (state.currentPage === 'promotions-page') renderPromotionsPage();
+    if (state.currentPage === 'returns-page') renderReturnsPage();
+    if (state.currentPage === 'deliveries-page') renderDeliveriesPage();
     // هذا الكود يعيد تعيين فلتر التاريخ إلى اليوم الحالي عند فتح صفحة اليوميات
     if (state.currentPage === 'shifts-page') {
         state.shiftDateFilter = getCurrentDateAsYYYYMMDD();
@@ -130,7 +148,8 @@ export function renderProductGallery() {
         return;
     }
     filtered.forEach(p => {
-        const totalQuantity = getProductTotalQuantity(p);
+        // المعروض للبيع هو المتاح بعد حجوزات الفواتير المفتوحة
+        const totalQuantity = getProductAvailableQuantity(p);
         const lowStockClass = totalQuantity > 0 && totalQuantity <= state.lowStockThreshold ? 'text-red-500 font-bold' : '';
         const card = document.createElement('div');
         card.className = 'product-card rounded-lg p-4 flex flex-col [perspective:1000px]';
@@ -138,7 +157,7 @@ export function renderProductGallery() {
 
         const availableColors = p.colors ? Object.entries(p.colors) : [];
         const colorSwatches = availableColors.map(([colorName, colorData], index) => {
-            const colorStock = Object.values(colorData.sizes || {}).reduce((sum, size) => sum + size.quantity, 0);
+            const colorStock = Object.keys(colorData.sizes || {}).reduce((sum, size) => sum + getAvailableQuantity(p, colorName, size), 0);
             return `
                 <button 
                     class="color-swatch relative ${index === 0 ? 'active' : ''}" 
@@ -152,11 +171,11 @@ export function renderProductGallery() {
         const firstColorName = availableColors.length > 0 ? availableColors[0][0] : null;
         const firstColorData = firstColorName ? p.colors[firstColorName] : { sizes: {} };
 
-        const availableSizes = firstColorData.sizes ? Object.entries(firstColorData.sizes).filter(([_, sizeData]) => sizeData.quantity > 0) : [];
-        const sizeOptions = availableSizes.map(([size, sizeData]) => `<option value="${size}">${size} (Stock: ${sizeData.quantity})</option>`).join('');
+        const availableSizes = firstColorData.sizes ? Object.keys(firstColorData.sizes).map(size => [size, getAvailableQuantity(p, firstColorName, size)]).filter(([, quantity]) => quantity > 0) : [];
+        const sizeOptions = availableSizes.map(([size, quantity]) => `<option value="${size}">${size} (Stock: ${quantity})</option>`).join('');
 
         const firstSizeName = availableSizes.length > 0 ? availableSizes[0][0] : null;
-        const selectedVariantStock = firstSizeName ? (p.colors[firstColorName]?.sizes[firstSizeName]?.quantity || 0) : 0;
+        const selectedVariantStock = firstSizeName ? availableSizes[0][1] : 0;
 
 
         const firstImage = (p.images && p.images.length > 0) ? p.images[0] : '';
@@ -227,6 +246,7 @@ export function renderInventoryTable() {
     }
     filtered.forEach(p => {
         const totalQuantity = getProductTotalQuantity(p);
+        const reservedQuantity = getProductReservedQuantity(p);
         const lowStockClass = totalQuantity > 0 && totalQuantity <= state.lowStockThreshold ? 'text-red-500 font-bold' : '';
         const firstImage = (p.images && p.images.length > 0) ? p.images[0] : '';
 
@@ -238,7 +258,7 @@ export function renderInventoryTable() {
             <td class="p-2">${p.code || 'N/A'}</td>
             <td class="p-2">${p.category || 'N/A'}</td>
             <td class="p-2"><img src="${firstImage}" alt="${p.name}" class="h-12 w-18 object-cover rounded" onerror="this.onerror=null;this.src='https://placehold.co/100x67/2d3748/e2e8f0?text=No+Img';this.style.display='block'"></td>
-            <td class="p-2 font-bold ${lowStockClass}">${totalQuantity}</td>
+            <td class="p-2 font-bold ${lowStockClass}">${totalQuantity}${reservedQuantity > 0 ? `<span class="block text-xs font-normal text-yellow-400">${translations[state.lang].reserved}: ${reservedQuantity}</span>` : ''}</td>
             <td class="p-2">${p.purchasePrice.toFixed(2)} EGP</td>
             <td class="p-2">${p.sellingPrice.toFixed(2)} EGP</td>
             <td class="p-2">
@@ -272,6 +292,7 @@ export function renderInventoryDetail(productId) {
                         <th class="p-2 text-left" data-lang-key="color">Color</th>
                         <th class="p-2 text-left" data-lang-key="size">Size</th>
                         <th class="p-2 text-left" data-lang-key="colQuantity">Stock</th>
+                        <th class="p-2 text-left" data-lang-key="reserved">Reserved</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -281,6 +302,7 @@ export function renderInventoryDetail(productId) {
                                 <td class="p-2">${color}</td>
                                 <td class="p-2">${size}</td>
                                 <td class="p-2 ${sizeData.quantity > 0 && sizeData.quantity <= state.lowStockThreshold ? 'text-red-500 font-bold' : ''}">${sizeData.quantity}</td>
+                                <td class="p-2">${getReservedQuantity(product.id, color, size)}</td>
                             </tr>
                         `).join('')
     ).join('')}
@@ -294,6 +316,41 @@ export function renderInventoryDetail(productId) {
 export function renderSellingPage() {
     renderReceiptTabs();
     renderActiveReceiptContent();
+    renderParkedReceipts();
+}
+
+/**
+ * قائمة الفواتير المعلقة أسفل صفحة البيع. أزرار الاستكمال والإلغاء تظهر لصاحب الفاتورة أو لمن لديه صلاحية manageParkedReceipts.
+ */
+function renderParkedReceipts() {
+    const container = document.getElementById('parked-receipts-container');
+    if (!container) return;
+    const t = translations[state.lang];
+    const parkedReceipts = [...(state.parkedReceipts || [])].sort((a, b) => b.parkedAt.localeCompare(a.parkedAt));
+    if (parkedReceipts.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const canManageAll = hasPermission('manageParkedReceipts');
+    container.innerHTML = `
+        <h2 class="text-xl font-bold mb-2">${t.parkedReceiptsTitle} (${parkedReceipts.length})</h2>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            ${parkedReceipts.map(parked => {
+                const canManage = canManageAll || parked.parkedBy === state.currentUser?.username;
+                return `
+                <div class="p-4 rounded-lg bg-gray-800 border border-gray-700">
+                    <p class="font-bold">${parked.customerName || 'N/A'}${parked.customerPhone ? ` - ${parked.customerPhone}` : ''}</p>
+                    <p class="text-sm text-gray-400">${parked.itemCount} ${t.parkedItems} | ${(parked.total || 0).toFixed(2)} EGP</p>
+                    <p class="text-xs text-gray-400">${t.parkedBy}: ${parked.parkedBy || 'N/A'} | ${new Date(parked.parkedAt).toLocaleString()}</p>
+                    ${parked.holdsReleasedAt ? `<p class="text-xs text-yellow-400">${t.parkedHoldReleased}</p>` : ''}
+                    ${canManage ? `
+                    <div class="flex space-x-2 mt-2">
+                        <button class="resume-parked-receipt-btn btn-primary text-xs py-1 px-3 rounded" data-parked-id="${parked.id}">${t.resumeReceipt}</button>
+                        <button class="discard-parked-receipt-btn btn-danger text-xs py-1 px-3 rounded" data-parked-id="${parked.id}">${t.discardReceipt}</button>
+                    </div>` : ''}
+                </div>`;
+            }).join('')}
+        </div>`;
 }
 
 export function renderReceiptTabs() {
@@ -336,8 +393,8 @@ function renderActiveReceiptContent() {
     }
 
     const productOptions = state.products
-        .filter(p => getProductTotalQuantity(p) > 0)
-        .map(p => `<option value="${p.id}">${p.name} (Stock: ${getProductTotalQuantity(p)})</option>`)
+        .filter(p => getProductAvailableQuantity(p) > 0)
+        .map(p => `<option value="${p.id}">${p.name} (Stock: ${getProductAvailableQuantity(p)})</option>`)
         .join('');
 
     const sellerOptions = state.users
@@ -378,6 +435,7 @@ function renderActiveReceiptContent() {
                         <label class="w-1/3" data-lang-key="customerPhone">Customer Phone</label>
                         <input type="tel" class="customer-phone-input w-2/3 p-2 rounded-lg" value="${activeReceipt.customerPhone || ''}">
                     </div>
+                    <p class="customer-points-info text-xs text-yellow-300 text-right hidden"></p>
                      <div class="flex items-center space-x-2">
                         <label class="w-1/3" data-lang-key="customerName">Customer Name</label>
                         <input type="text" class="customer-name-input w-2/3 p-2 rounded-lg" value="${activeReceipt.customerName || ''}">
@@ -400,8 +458,19 @@ function renderActiveReceiptContent() {
                 </div>
                 <div class="border-t border-gray-600 mt-4 pt-4 space-y-4">
                     <div class="flex justify-between items-center text-lg"><span data-lang-key="subtotal">Subtotal:</span><span class="cart-subtotal">0 EGP</span></div>
+                    <div class="cart-promotions-row flex justify-between items-center text-green-400 hidden"><span data-lang-key="promotionsDiscount">Promotions:</span><span class="cart-promotions">0 EGP</span></div>
+                    <div class="flex items-center space-x-2">
+                        <label class="w-1/2" data-lang-key="couponCode">Coupon Code:</label>
+                        <div class="w-1/2 flex space-x-2">
+                            <input type="text" class="coupon-code-input w-full p-2 rounded-lg uppercase" value="${activeReceipt.couponCode || ''}">
+                            <button type="button" class="apply-coupon-btn btn-secondary px-3 rounded-lg" data-lang-key="applyCoupon">Apply</button>
+                        </div>
+                    </div>
+                    <p class="coupon-status text-xs text-red-400 hidden"></p>
+                    <div class="cart-coupon-row flex justify-between items-center text-green-400 hidden"><span class="cart-coupon-label"></span><span class="cart-coupon">0 EGP</span></div>
                     <div class="flex items-center space-x-2"><label class="w-1/2" data-lang-key="discountPercent">Discount (%):</label><input type="number" class="discount-percentage w-1/2 p-2 rounded-lg" min="0" max="100"></div>
                     <div class="flex items-center space-x-2"><label class="w-1/2" data-lang-key="discountAmount">Discount (EGP):</label><input type="number" class="discount-amount w-1/2 p-2 rounded-lg" min="0"></div>
+                    <div class="cart-tax-row flex justify-between items-center hidden"><span class="cart-tax-label"></span><span class="cart-tax">0 EGP</span></div>
                     
                     <div class="flex items-center justify-between">
                          <div class="flex items-center space-x-2">
@@ -432,23 +501,36 @@ function renderActiveReceiptContent() {
 
                     <div>
                         <label class="block mb-2 text-sm" data-lang-key="paymentMethod">Payment Method</label>
-                        <div class="flex items-center space-x-2">
-                            <button type="button" class="payment-method-btn selected flex-1 flex items-center justify-center space-x-2 p-2 rounded-lg" data-method="cash">
-                                <span data-lang-key="cash">Cash</span>
-                            </button>
-                            <button type="button" class="payment-method-btn flex-1 flex items-center justify-center space-x-2 p-2 rounded-lg" data-method="instaPay">
-                                <span data-lang-key="instaPay">InstaPay</span>
-                            </button>
-                             <button type="button" class="payment-method-btn flex-1 flex items-center justify-center space-x-2 p-2 rounded-lg" data-method="vCash">
-                                <span data-lang-key="vCash">VCash</span>
-                            </button>
+                        <p class="text-xs text-gray-400 mb-2" data-lang-key="splitPaymentHint">Tap a method to pay the remaining amount with it, or type amounts to split the payment.</p>
+                        <div class="space-y-2">
+                            ${TENDER_METHODS.filter(method => method !== 'loyaltyPoints' || getLoyaltySettings().enabled).map(method => `
+                                <div class="flex items-center space-x-2">
+                                    <button type="button" class="payment-method-btn w-1/3 flex items-center justify-center p-2 rounded-lg" data-method="${method}">
+                                        <span data-lang-key="${method}">${method}</span>
+                                    </button>
+                                    <input type="number" class="tender-amount ${method === 'cash' ? 'paid-amount' : ''} w-2/3 p-2 rounded-lg" data-method="${method}" min="0" step="0.01" placeholder="0.00">
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="flex items-center space-x-2 mt-2">
+                            <label class="w-1/3 text-sm" data-lang-key="storeCreditCode">Credit / Gift Card Code</label>
+                            <input type="text" class="store-credit-code-input w-2/3 p-2 rounded-lg uppercase" value="${activeReceipt.storeCreditCode || ''}">
                         </div>
+                        <p class="store-credit-info text-xs text-yellow-300 text-right mt-1 hidden"></p>
+                    </div>
+                    <div class="flex justify-between items-center">
+                        <span data-lang-key="totalPaid">Total Paid:</span>
+                        <span class="tender-paid-total">0.00 EGP</span>
+                    </div>
+                    <div class="flex justify-between items-center font-bold">
+                        <span data-lang-key="changeDue">Change (cash):</span>
+                        <span class="tender-change">0.00 EGP</span>
                     </div>
-                    <div class="mt-4"><label class="block mb-2" data-lang-key="paidAmount">Paid Amount (EGP)</label><input type="number" class="paid-amount w-full p-2 rounded-lg" data-lang-key="paidAmountPlaceholder" placeholder="Enter amount paid"></div>
                     <div class="flex space-x-2">
                         <button class="complete-sale-btn btn-primary w-full mt-4 py-3 px-4 rounded-lg" data-lang-key="completeSale">Complete Sale</button>
                         <button class="save-as-booking-btn btn-secondary w-full mt-4 py-3 px-4 rounded-lg" data-lang-key="saveAsBooking">Save as Booking</button>
                     </div>
+                    <button class="park-receipt-btn btn-secondary w-full py-2 px-4 rounded-lg" data-lang-key="parkReceipt">Park Receipt</button>
                 </div>
             </div>
         </div>
@@ -535,6 +617,7 @@ export function renderCart(receiptId) {
                     <div>
                         <p class="font-bold">${product ? product.name : 'Unknown Item'} (${item.color} / ${item.size})</p>
                         <p class="text-sm text-gray-400">${item.quantity} x ${item.price.toFixed(2)} EGP</p>
+                        ${item.promotionDiscount > 0 ? `<p class="text-xs text-green-400">${(item.promotionNames || []).join(', ')}: -${item.promotionDiscount.toFixed(2)} EGP</p>` : ''}
                     </div>
                     <div class="flex items-center space-x-2">
                         <button class="edit-cart-item-btn btn-secondary text-xs py-1 px-2 rounded" data-index="${index}" data-receipt-id="${receiptId}" data-lang-key="btnEdit">Edit</button>
@@ -549,16 +632,46 @@ export function renderCart(receiptId) {
 
     subtotalEl.textContent = `${subtotal.toFixed(2)} EGP`;
 
+    // خصم العروض التلقائية محسوب مسبقاً على الفاتورة، والخصم اليدوي يُطبق بعده
+    const promotionDiscount = Math.min(receipt.promotionDiscount || 0, subtotal);
+    container.querySelector('.cart-promotions-row')?.classList.toggle('hidden', promotionDiscount <= 0);
+    const promotionsEl = container.querySelector('.cart-promotions');
+    if (promotionsEl) promotionsEl.textContent = `-${promotionDiscount.toFixed(2)} EGP`;
+
     const discountPercent = parseFloat(discountPercentEl.value) || 0;
     const discountAmount = parseFloat(discountAmountEl.value) || 0;
 
-    let total = subtotal;
+    // الكوبون محسوب على السعر بعد العروض
+    const couponDiscount = Math.min(receipt.couponDiscount || 0, subtotal - promotionDiscount);
+    const couponStatusEl = container.querySelector('.coupon-status');
+    if (couponStatusEl) {
+        couponStatusEl.textContent = receipt.couponError ? describeCouponError(receipt.couponError) : '';
+        couponStatusEl.classList.toggle('hidden', !receipt.couponError);
+    }
+    container.querySelector('.cart-coupon-row')?.classList.toggle('hidden', couponDiscount <= 0);
+    const couponLabelEl = container.querySelector('.cart-coupon-label');
+    if (couponLabelEl) couponLabelEl.textContent = `${translations[state.lang].couponLabel} ${receipt.couponCode || ''}`;
+    const couponEl = container.querySelector('.cart-coupon');
+    if (couponEl) couponEl.textContent = `-${couponDiscount.toFixed(2)} EGP`;
+
+    const totalBeforeManualDiscount = subtotal - promotionDiscount - couponDiscount;
+    let total = totalBeforeManualDiscount;
     if (discountPercent > 0) {
         total -= total * (discountPercent / 100);
     } else if (discountAmount > 0) {
         total -= discountAmount;
     }
 
+    // الضريبة على القطع بعد الخصومات، وتُضاف على الإجمالي فقط إذا كانت الأسعار غير شاملة
+    const taxSettings = getTaxSettings();
+    const cartTax = calculateLinesTax(receipt.cart, Math.min(totalBeforeManualDiscount, totalBeforeManualDiscount - total), { settings: taxSettings });
+    container.querySelector('.cart-tax-row')?.classList.toggle('hidden', !taxSettings.enabled);
+    const taxLabelEl = container.querySelector('.cart-tax-label');
+    if (taxLabelEl) taxLabelEl.textContent = `${translations[state.lang].vat} ${taxSettings.rate}% (${taxSettings.pricesIncludeTax ? translations[state.lang].taxIncluded : translations[state.lang].taxAdded})`;
+    const taxEl = container.querySelector('.cart-tax');
+    if (taxEl) taxEl.textContent = `${cartTax.taxTotal.toFixed(2)} EGP`;
+    total += cartTax.addedTax;
+
     const deliveryFee = freeDeliveryCheckbox.checked ? 0 : parseFloat(deliveryFeeEl.value) || 0;
     total += deliveryFee;
 
@@ -567,18 +680,88 @@ export function renderCart(receiptId) {
     }
 
     totalEl.textContent = `${Math.max(0, total).toFixed(2)} EGP`;
+    totalEl.dataset.amountDue = Math.max(0, total).toFixed(2);
+    updateCustomerPointsInfo(container, receipt);
+    updateStoreCreditInfo(container, receipt);
+    updateTenderSummary(container);
     updateCartIconCount();
 }
 
+/**
+ * عرض رصيد نقاط الولاء للعميل عند كتابة رقم هاتفه في الفاتورة.
+ * @param {HTMLElement} container - محتوى الفاتورة.
+ * @param {object} receipt - الفاتورة.
+ */
+export function updateCustomerPointsInfo(container, receipt) {
+    const infoEl = container.querySelector('.customer-points-info');
+    if (!infoEl) return;
+    const settings = getLoyaltySettings();
+    const customer = receipt.customerPhone ? state.customers.find(c => c.phone === receipt.customerPhone.trim()) : null;
+    if (!settings.enabled || !customer) {
+        infoEl.classList.add('hidden');
+        return;
+    }
+    const balance = getPointsBalance(customer);
+    infoEl.textContent = `${translations[state.lang].pointsBalance} ${balance} (${pointsToValue(balance, settings).toFixed(2)} EGP)`;
+    infoEl.classList.remove('hidden');
+}
+
+/**
+ * عرض رصيد المتجر أو كارت الهدية الذي سيُدفع منه: الكود المكتوب أو رصيد العميل المسجل على رقمه.
+ * @param {HTMLElement} container - محتوى الفاتورة.
+ * @param {object} receipt - الفاتورة.
+ */
+export function updateStoreCreditInfo(container, receipt) {
+    const infoEl = container?.querySelector('.store-credit-info');
+    if (!infoEl) return;
+    const t = translations[state.lang];
+    const credit = findReceiptCredit(receipt);
+    if (!credit) {
+        infoEl.textContent = receipt.storeCreditCode ? t.storeCreditNotFound : '';
+        infoEl.classList.toggle('hidden', !receipt.storeCreditCode);
+        return;
+    }
+    infoEl.textContent = `${t[credit.type]} ${credit.code}: ${t.creditBalance} ${getCreditBalance(credit).toFixed(2)} EGP`;
+    infoEl.classList.remove('hidden');
+}
+
+/**
+ * تحديث إجمالي المدفوع والباقي (من الكاش فقط) في الفاتورة.
+ * @param {HTMLElement} container - محتوى الفاتورة.
+ */
+export function updateTenderSummary(container) {
+    const paidTotalEl = container.querySelector('.tender-paid-total');
+    const changeEl = container.querySelector('.tender-change');
+    if (!paidTotalEl || !changeEl) return;
+    const amountDue = parseFloat(container.querySelector('.cart-total')?.dataset.amountDue) || 0;
+    const inputs = Array.from(container.querySelectorAll('.tender-amount'));
+    const paidTotal = inputs.reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
+    const cashPaid = parseFloat(inputs.find(input => input.dataset.method === 'cash')?.value) || 0;
+    const change = Math.min(cashPaid, Math.max(0, paidTotal - amountDue));
+    paidTotalEl.textContent = `${paidTotal.toFixed(2)} EGP`;
+    changeEl.textContent = `${change.toFixed(2)} EGP`;
+    inputs.forEach(input => {
+        container.querySelector(`.payment-method-btn[data-method="${input.dataset.method}"]`)
+            ?.classList.toggle('selected', (parseFloat(input.value) || 0) > 0);
+    });
+}
+
 // --- Booking Functions ---
 export function renderBookingPage() {
     const container = document.getElementById('booking-page');
     if (!container) return;
 
+    const t = translations[state.lang];
     const listContainer = document.getElementById('open-bookings-list');
     const searchTerm = state.bookingSearchTerm.toLowerCase();
+    const statusFilter = document.getElementById('booking-status-filter');
+    statusFilter.innerHTML = ['active', ...BOOKING_STATUSES].map(status =>
+        `<option value="${status}" ${state.bookingStatusFilter === status ? 'selected' : ''}>${t[`bookingStatus_${status}`]}</option>`).join('');
+
+    renderBookingReminders();
 
-    let filteredBookings = state.bookings.filter(b => !b.isCompleted);
+    let filteredBookings = state.bookings.filter(b => state.bookingStatusFilter === 'active'
+        ? isBookingActive(b) : getBookingStatus(b) === state.bookingStatusFilter);
 
     if (searchTerm) {
         filteredBookings = filteredBookings.filter(b =>
@@ -590,22 +773,31 @@ export function renderBookingPage() {
 
     listContainer.innerHTML = '';
     if (filteredBookings.length === 0) {
-        listContainer.innerHTML = `<p class="text-center text-gray-400 p-4">No open bookings found.</p>`;
+        listContainer.innerHTML = `<p class="text-center text-gray-400 p-4">No bookings found.</p>`;
         return;
     }
 
     filteredBookings.forEach(booking => {
-        const subtotal = booking.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        const amountDue = subtotal - booking.deposit;
+        const subtotal = getBookingTotal(booking);
+        const amountDue = getBookingBalance(booking);
+        const payments = getBookingPayments(booking);
+        const status = getBookingStatus(booking);
+        const active = isBookingActive(booking);
         const card = document.createElement('div');
         card.className = 'bg-secondary-bg p-4 rounded-lg shadow-md';
         const bookingDateTime = new Date(booking.createdAt).toLocaleString();
+        const handling = booking.depositHandling;
 
-        let depositMethodDisplay = '';
-        if (booking.deposit > 0 && booking.depositPaymentMethod) {
-            depositMethodDisplay = ` (${translations[state.lang][booking.depositPaymentMethod] || booking.depositPaymentMethod})`;
-        }
-
+        const actionsHtml = active ? `
+                    <select class="booking-status-select p-1 rounded text-xs" data-booking-id="${booking.id}">
+                        ${ACTIVE_BOOKING_STATUSES.map(s => `<option value="${s}" ${s === status ? 'selected' : ''}>${t[`bookingStatus_${s}`]}</option>`).join('')}
+                    </select>
+                    <button class="edit-booking-btn btn-secondary py-1 px-3 rounded text-xs flex items-center justify-center" data-booking-id="${booking.id}" title="${t.editBooking}">
+                        <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
+                    </button>
+                    <button class="cancel-booking-btn btn-danger py-1 px-3 rounded text-xs" data-booking-id="${booking.id}" data-lang-key="cancelBooking">Cancel Booking</button>
+                    <button class="complete-sale-from-booking-btn btn-primary py-1 px-3 rounded text-xs" data-booking-id="${booking.id}" data-lang-key="completeSale">Complete Sale</button>` : `
+                    <span class="text-xs font-semibold px-2 py-1 rounded bg-gray-700">${t[`bookingStatus_${status}`]}</span>`;
 
         card.innerHTML = `
             <div class="flex justify-between items-start">
@@ -613,13 +805,11 @@ export function renderBookingPage() {
                     <p class="font-bold text-lg">${booking.customerName || 'No Name'} <span class="text-sm font-normal text-gray-500">(${booking.customerPhone || 'No Phone'})</span></p>
                     <p class="text-xs text-gray-400">ID: ${booking.id} | By: ${booking.seller || 'N/A'}</p>
                     <p class="text-xs text-gray-400">Date: ${bookingDateTime}</p>
+                    ${booking.dueDate ? `<p class="text-xs text-gray-400">${t.bookingDueDate}: ${booking.dueDate}</p>` : ''}
+                    ${handling ? `<p class="text-xs text-gray-400">${t[`depositAction_${handling.action}`]}: ${handling.amount.toFixed(2)} EGP${handling.creditCode ? ` (${handling.creditCode})` : ''}${handling.reason ? ` - ${handling.reason}` : ''}</p>` : ''}
                 </div>
                 <div class="flex items-center space-x-2">
-                    <button class="edit-booking-btn btn-secondary py-1 px-3 rounded text-xs flex items-center justify-center" data-booking-id="${booking.id}" title="${translations[state.lang].editBooking}">
-                        <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
-                    </button>
-                    <button class="delete-booking-btn btn-danger py-1 px-3 rounded text-xs" data-booking-id="${booking.id}" data-lang-key="btnDelete">Delete</button>
-                    <button class="complete-sale-from-booking-btn btn-primary py-1 px-3 rounded text-xs" data-booking-id="${booking.id}" data-lang-key="completeSale">Complete Sale</button>
+                    ${actionsHtml}
                     <button class="print-booking-btn btn-secondary py-1 px-3 rounded text-xs" data-booking-id="${booking.id}" data-lang-key="btnPrint">Print</button>
                 </div>
             </div>
@@ -627,10 +817,15 @@ export function renderBookingPage() {
                  <ul class="text-sm space-y-1">
                     ${booking.cart.map(item => `<li>${item.quantity}x ${item.productName} (${item.color}/${item.size})</li>`).join('')}
                  </ul>
+                 ${(booking.pickups || []).length > 0 ? `
+                 <ul class="text-xs text-gray-400 space-y-1 mt-2">
+                    ${booking.pickups.map(pickup => `<li>${t.bookingPickedUp} ${new Date(pickup.date).toLocaleDateString()} (#${pickup.saleId}): ${pickup.items.map(item => `${item.quantity}x ${item.productName} (${item.color}/${item.size})`).join(', ')}</li>`).join('')}
+                 </ul>` : ''}
                  <div class="text-right mt-2 font-semibold">
                      <p>Subtotal: ${subtotal.toFixed(2)} EGP</p>
-                     <p>Deposit: ${booking.deposit.toFixed(2)} EGP${depositMethodDisplay}</p>
-                     <p class="text-lg text-[var(--accent-color)]">Amount Due: ${amountDue.toFixed(2)} EGP</p>
+                     <p>${t.bookingPaidTotal}: ${getBookingPaidTotal(booking).toFixed(2)} EGP (${payments.length} ${t.bookingPaymentsCount})</p>
+                     ${getBookingAllocatedTotal(booking) > 0 ? `<p>${t.bookingAppliedToPickups}: ${getBookingAllocatedTotal(booking).toFixed(2)} EGP</p>` : ''}
+                     ${active ? `<p class="text-lg text-[var(--accent-color)]">Amount Due: ${amountDue.toFixed(2)} EGP</p>` : ''}
                  </div>
             </div>
         `;
@@ -639,6 +834,27 @@ export function renderBookingPage() {
     updateUIText();
 }
 
+/**
+ * تذكير بالحجوزات المفتوحة المستحقة اليوم أعلى صفحة الحجوزات.
+ */
+function renderBookingReminders() {
+    const container = document.getElementById('booking-reminders');
+    const dueToday = getBookingsDueToday(state.bookings);
+    if (dueToday.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const t = translations[state.lang];
+    container.innerHTML = `
+        <div class="bg-secondary-bg p-4 rounded-lg border border-[var(--accent-color)]">
+            <h3 class="font-bold mb-2">${t.bookingsDueToday} (${dueToday.length})</h3>
+            <ul class="text-sm space-y-1">
+                ${dueToday.map(b => `<li>${b.id} - ${b.customerName} (${b.customerPhone}) - ${t.bookingBalance}: ${getBookingBalance(b).toFixed(2)} EGP - ${t[`bookingStatus_${getBookingStatus(b)}`]}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 export function renderSalesHistory() {
     generateReport();
 }
@@ -658,7 +874,7 @@ export function renderCustomersPage() {
 
     tbody.innerHTML = '';
     if (filteredCustomers.length === 0) {
-        tbody.innerHTML = `<tr><td colspan="7" class="text-center p-4">No customers found.</td></tr>`;
+        tbody.innerHTML = `<tr><td colspan="8" class="text-center p-4">No customers found.</td></tr>`;
         return;
     }
 
@@ -672,8 +888,10 @@ export function renderCustomersPage() {
             <td class="p-4">${customer.city || 'N/A'}</td>
             <td class="p-4">${customer.totalItemsBought}</td>
             <td class="p-4">${customer.lastPaymentDate ? new Date(customer.lastPaymentDate).toLocaleDateString() : 'N/A'}</td>
+            <td class="p-4">${getPointsBalance(customer)}</td>
             <td class="p-4">
                 <div class="flex space-x-2">
+                    <button class="customer-points-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${customer.id}" data-lang-key="pointsLedger">Points</button>
                     <button class="edit-customer-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${customer.id}">Edit</button>
                     <button class="delete-customer-btn btn-danger text-xs py-1 px-2 rounded" data-id="${customer.id}">Delete</button>
                 </div>
@@ -684,6 +902,103 @@ export function renderCustomersPage() {
     updateUIText();
 }
 
+/**
+ * وصف مختصر لقاعدة العرض كما يظهر في الجدول.
+ * @param {object} promotion
+ * @returns {string}
+ */
+function describePromotionRule(promotion) {
+    const t = translations[state.lang];
+    switch (promotion.type) {
+        case 'buyXGetY': return `${t.promoBuyQty} ${promotion.buyQty} + ${t.promoGetQty} ${promotion.getQty}`;
+        case 'secondItemHalf': return '1 + 1 (50%)';
+        case 'categoryPercent': return `${promotion.percent}%`;
+        case 'bundlePrice': return `${promotion.bundleQty} = ${parseFloat(promotion.bundlePrice).toFixed(2)} EGP`;
+        default: return '';
+    }
+}
+
+function renderCouponsTable() {
+    const tbody = document.getElementById('coupons-table').querySelector('tbody');
+    const t = translations[state.lang];
+    const today = getCurrentDateAsYYYYMMDD();
+    tbody.innerHTML = '';
+    if (state.coupons.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="9" class="text-center p-4">${t.noCoupons}</td></tr>`;
+        return;
+    }
+
+    [...state.coupons].sort((a, b) => a.code.localeCompare(b.code)).forEach(coupon => {
+        const couponSales = state.sales.filter(sale => sale.coupon?.couponId === coupon.id);
+        const discountGiven = couponSales.reduce((sum, sale) => sum + sale.coupon.discount - (sale.coupon.reversedAmount || 0), 0);
+        const redemptions = countCouponRedemptions(coupon.id);
+        const maxUses = parseInt(coupon.maxUses, 10) || 0;
+        const maxPerCustomer = parseInt(coupon.maxUsesPerCustomer, 10) || 0;
+        const isRunning = coupon.active !== false && (!coupon.startDate || coupon.startDate <= today) && (!coupon.endDate || coupon.endDate >= today);
+        const row = document.createElement('tr');
+        row.className = "border-b border-gray-700 hover:bg-gray-700";
+        row.innerHTML = `
+            <td class="p-4 font-bold">${coupon.code}</td>
+            <td class="p-4">${coupon.type === 'percent' ? `${coupon.value}%` : `${parseFloat(coupon.value).toFixed(2)} EGP`}</td>
+            <td class="p-4">${coupon.minBasket ? `${parseFloat(coupon.minBasket).toFixed(2)} EGP` : '-'}</td>
+            <td class="p-4">${coupon.categories?.length ? coupon.categories.join(', ') : t.allProducts}</td>
+            <td class="p-4">${coupon.startDate || '...'} - ${coupon.endDate || '...'}</td>
+            <td class="p-4">${redemptions}${maxUses ? ` / ${maxUses}` : ''}${maxPerCustomer ? ` <span class="text-gray-400">(${maxPerCustomer} ${t.couponPerCustomer})</span>` : ''}</td>
+            <td class="p-4">${discountGiven.toFixed(2)} EGP</td>
+            <td class="p-4"><span class="${isRunning ? 'text-green-400' : 'text-gray-400'}">${isRunning ? t.promoRunning : t.promoInactive}</span></td>
+            <td class="p-4">
+                <div class="flex space-x-2">
+                    <button class="edit-coupon-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${coupon.id}" data-lang-key="btnEdit">Edit</button>
+                    <button class="delete-coupon-btn btn-danger text-xs py-1 px-2 rounded" data-id="${coupon.id}" data-lang-key="btnDelete">Delete</button>
+                </div>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+export function renderPromotionsPage() {
+    renderCouponsTable();
+    const tbody = document.getElementById('promotions-table').querySelector('tbody');
+    const t = translations[state.lang];
+    const typeLabels = {
+        buyXGetY: t.promoBuyXGetY, secondItemHalf: t.promoSecondItemHalf,
+        categoryPercent: t.promoCategoryPercent, bundlePrice: t.promoBundlePrice
+    };
+
+    tbody.innerHTML = '';
+    if (state.promotions.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="7" class="text-center p-4">${t.noPromotions}</td></tr>`;
+        return;
+    }
+
+    [...state.promotions].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')).forEach(promotion => {
+        const scope = promotion.productIds?.length
+            ? promotion.productIds.map(id => state.products.find(p => p.id === id)?.name || id).join(', ')
+            : (promotion.categories?.length ? promotion.categories.join(', ') : t.allProducts);
+        const isRunning = isPromotionActive(promotion);
+        const row = document.createElement('tr');
+        row.className = "border-b border-gray-700 hover:bg-gray-700";
+        row.innerHTML = `
+            <td class="p-4 font-bold">${promotion.name}</td>
+            <td class="p-4">${typeLabels[promotion.type] || promotion.type}</td>
+            <td class="p-4">${describePromotionRule(promotion)}</td>
+            <td class="p-4">${scope}</td>
+            <td class="p-4">${promotion.startDate || '...'} - ${promotion.endDate || '...'}</td>
+            <td class="p-4"><span class="${isRunning ? 'text-green-400' : 'text-gray-400'}">${isRunning ? t.promoRunning : t.promoInactive}</span></td>
+            <td class="p-4">
+                <div class="flex space-x-2">
+                    <button class="toggle-promotion-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${promotion.id}">${promotion.active === false ? t.promoEnable : t.promoDisable}</button>
+                    <button class="edit-promotion-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${promotion.id}" data-lang-key="btnEdit">Edit</button>
+                    <button class="delete-promotion-btn btn-danger text-xs py-1 px-2 rounded" data-id="${promotion.id}" data-lang-key="btnDelete">Delete</button>
+                </div>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+    updateUIText();
+}
+
 export function renderSalariesPage() {
     const salariesPage = document.getElementById('salaries-page');
     const tbody = document.getElementById('salaries-table').querySelector('tbody');
@@ -955,8 +1270,12 @@ export function updateCartIconCount() {
     cartCountEl.classList.toggle('hidden', totalItems === 0);
 }
 
-export function generateReport() {
-    const listContainer = document.getElementById('sales-history-list');
+/**
+ * حساب بيانات التقرير (المبيعات المفلترة وملخص الأرباح والخسائر) حسب فلاتر صفحة السجل الحالية.
+ * تستخدمها صفحة السجل وتصدير التقارير إلى PDF حتى تتطابق الأرقام.
+ * @returns {{filters: object, filteredSales: Array, summary: object}}
+ */
+export function getReportData() {
     const timeFilter = document.getElementById('time-filter-type').value;
     const monthFilter = document.getElementById('report-month-picker').value;
     const dayFilter = document.getElementById('report-day-picker').value;
@@ -1002,14 +1321,14 @@ export function generateReport() {
         );
     }
 
-    let totalRevenue = 0, grossProfit = 0, totalItemsSold = 0, totalCashSales = 0, totalInstaPaySales = 0, totalVCashSales = 0, totalFreeDeliveries = 0, totalSalesShippingExpense = 0, totalReturns = 0;
+    let totalRevenue = 0, grossProfit = 0, totalItemsSold = 0, totalFreeDeliveries = 0, totalSalesShippingExpense = 0, totalReturns = 0;
+    const tenderTotals = summarizeTenders(filteredSales);
+    const promotionCosts = summarizePromotionCosts(filteredSales);
+    const totalPromotionDiscounts = promotionCosts.reduce((sum, p) => sum + p.discount, 0);
 
     filteredSales.forEach(s => {
         totalRevenue += s.totalAmount;
         grossProfit += s.profit;
-        if (s.paymentMethod === 'cash') totalCashSales += s.totalAmount;
-        if (s.paymentMethod === 'instaPay') totalInstaPaySales += s.totalAmount;
-        if (s.paymentMethod === 'vCash') totalVCashSales += s.totalAmount;
         if (s.isFreeDelivery) totalFreeDeliveries++;
         totalSalesShippingExpense += (s.shippingCost || 0) + (s.returnDeliveryFee || 0);
         s.items.forEach(item => {
@@ -1054,13 +1373,34 @@ export function generateReport() {
     const operatingExpenses = totalSalariesExpense + totalShippingExpense + totalDefectsCost + totalDailyExpenses;
     const netProfit = grossProfit - operatingExpenses;
 
+    return {
+        filters: { periodType, selectedPeriod, userFilter, searchTerm },
+        filteredSales,
+        promotionCosts,
+        creditLiability: summarizeCreditLiability(state.storeCredits || [], selectedPeriod),
+        taxSummary: summarizeSalesTax(filteredSales),
+        summary: {
+            totalRevenue, grossProfit, totalItemsSold, ...tenderTotals, totalPromotionDiscounts,
+            totalFreeDeliveries, totalReturns, totalSalariesExpense, totalShippingExpense, totalDefectsCost,
+            totalDailyExpenses, operatingExpenses, totalSupplierPayments, netProfit
+        }
+    };
+}
+
+export function generateReport() {
+    const listContainer = document.getElementById('sales-history-list');
+    const { filteredSales, summary, promotionCosts, creditLiability, taxSummary } = getReportData();
+    const {
+        totalRevenue, grossProfit, totalItemsSold, totalPromotionDiscounts,
+        totalFreeDeliveries, totalReturns, totalSalariesExpense, totalShippingExpense, totalDefectsCost,
+        totalDailyExpenses, operatingExpenses, totalSupplierPayments, netProfit
+    } = summary;
+
     const reportSummaryContainer = document.getElementById('report-summary');
     reportSummaryContainer.innerHTML = `
         <!-- Income -->
         <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalRevenue">Total Revenue</h3><p>${totalRevenue.toFixed(2)} EGP</p></div>
-        <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalCashSales">Cash Sales</h3><p>${totalCashSales.toFixed(2)} EGP</p></div>
-        <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalInstaPaySales">InstaPay Sales</h3><p>${totalInstaPaySales.toFixed(2)} EGP</p></div>
-        <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalVCashSales">VCash Sales</h3><p>${totalVCashSales.toFixed(2)} EGP</p></div>
+        ${TENDER_METHODS.map(method => `<div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="${TENDER_SUMMARY_KEYS[method]}">${method}</h3><p>${summary[TENDER_SUMMARY_KEYS[method]].toFixed(2)} EGP</p></div>`).join('')}
         <div class="bg-green-900/50 p-4 rounded-lg"><h3 class="font-bold text-green-300" data-lang-key="grossProfit">Gross Profit</h3><p class="text-green-300">${grossProfit.toFixed(2)} EGP</p></div>
 
         <!-- Expenses -->
@@ -1081,6 +1421,35 @@ export function generateReport() {
         <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalItemsSold">Items Sold</h3><p>${totalItemsSold}</p></div>
         <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalReturns">Total Returns</h3><p>${totalReturns}</p></div>
         <div class="bg-gray-800 p-4 rounded-lg"><h3 class="font-bold" data-lang-key="totalFreeDeliveries">Free Deliveries</h3><p>${totalFreeDeliveries}</p></div>
+
+        <!-- Promotions -->
+        <div class="bg-yellow-900/40 p-4 rounded-lg"><h3 class="font-bold text-yellow-300" data-lang-key="totalPromotionDiscounts">Promotions Cost</h3><p class="text-yellow-300">${totalPromotionDiscounts.toFixed(2)} EGP</p></div>
+        ${promotionCosts.length > 0 ? `
+            <div class="bg-gray-800 p-4 rounded-lg col-span-full">
+                <h3 class="font-bold mb-2" data-lang-key="promotionBreakdown">Cost per Promotion</h3>
+                <div class="space-y-1 text-sm">
+                    ${promotionCosts.map(p => `<div class="flex justify-between"><span>${p.name} <span class="text-gray-400">(${p.salesCount} ${translations[state.lang].salesCountLabel})</span></span><span>${p.discount.toFixed(2)} EGP</span></div>`).join('')}
+                </div>
+            </div>
+        ` : ''}
+
+        <!-- Liabilities: أرصدة المتجر وكروت الهدايا غير المستخدمة (غير مرتبطة بفلتر التاريخ) -->
+        <div class="bg-orange-900/40 p-4 rounded-lg"><h3 class="font-bold text-orange-300" data-lang-key="outstandingStoreCredit">Outstanding Store Credit</h3><p class="text-orange-300">${creditLiability.storeCredit.toFixed(2)} EGP</p></div>
+        <div class="bg-orange-900/40 p-4 rounded-lg"><h3 class="font-bold text-orange-300" data-lang-key="outstandingGiftCards">Outstanding Gift Cards</h3><p class="text-orange-300">${creditLiability.giftCard.toFixed(2)} EGP</p></div>
+        <div class="bg-orange-800/60 p-4 rounded-lg">
+            <h3 class="font-bold text-orange-200" data-lang-key="totalCreditLiability">Total Credit Liability</h3><p class="text-orange-200">${creditLiability.total.toFixed(2)} EGP</p>
+            <p class="text-xs text-gray-300 mt-1">${translations[state.lang].creditIssued} ${creditLiability.issued.toFixed(2)} / ${translations[state.lang].creditRedeemed} ${creditLiability.redeemed.toFixed(2)}</p>
+        </div>
+
+        <!-- VAT: الضريبة المحصلة حسب النسبة بعد المرتجعات -->
+        ${taxSummary.byRate.some(row => row.rate > 0) ? `
+            <div class="bg-purple-900/40 p-4 rounded-lg">
+                <h3 class="font-bold text-purple-300" data-lang-key="vatCollected">VAT Collected</h3><p class="text-purple-300">${taxSummary.taxTotal.toFixed(2)} EGP</p>
+                <div class="space-y-1 text-xs text-gray-300 mt-1">
+                    ${taxSummary.byRate.map(row => `<div class="flex justify-between"><span>${row.rate}% (${translations[state.lang].taxNetSales} ${row.netAmount.toFixed(2)})</span><span>${row.taxAmount.toFixed(2)} EGP</span></div>`).join('')}
+                </div>
+            </div>
+        ` : ''}
     `;
 
 
@@ -1096,12 +1465,15 @@ export function generateReport() {
         const saleCard = document.createElement('div');
         const totalReturnedItems = sale.items.reduce((sum, item) => sum + (item.returnedQty || 0), 0);
         const freeDeliveryIndicator = sale.isFreeDelivery ? `<span class="text-xs font-bold text-green-300 bg-green-800/50 px-2 py-1 rounded-full" data-lang-key="freeDeliveryIndicator">${translations[state.lang].freeDeliveryIndicator}</span>` : '';
+        const exchangeIndicator = sale.exchange ? `<span class="text-xs font-bold text-purple-300 bg-purple-800/50 px-2 py-1 rounded-full">${translations[state.lang].exchangeOf} ${sale.exchange.originalSaleId}</span>` : '';
 
         // --- هذا هو الجزء الذي تم إصلاحه نهائياً ---
         let paymentMethodIndicator = '';
-        // نعطي 'cash' كقيمة افتراضية للفواتير القديمة التي لا تحتوي على هذه المعلومة
-        const paymentMethodKey = sale.paymentMethod || 'cash';
-        const paymentMethodText = translations[state.lang][paymentMethodKey] || paymentMethodKey;
+        // الفواتير القديمة تحتوي على paymentMethod واحد، والجديدة على قائمة payments
+        const salePayments = getSalePayments(sale);
+        const paymentMethodText = salePayments.length === 1
+            ? (translations[state.lang][salePayments[0].method] || salePayments[0].method)
+            : salePayments.map(p => `${translations[state.lang][p.method] || p.method} ${p.amount.toFixed(2)}`).join(' + ');
 
         if (paymentMethodText) {
             // تم حذف data-lang-key من هنا لمنع دالة الترجمة من الكتابة فوق النص
@@ -1129,6 +1501,7 @@ export function generateReport() {
                         <p>Items: ${sale.items.reduce((sum, item) => sum + item.quantity, 0)}</p>
                         ${totalReturnedItems > 0 ? `<p class="text-red-400 font-bold">Returns: ${totalReturnedItems}</p>` : ''}
                         ${freeDeliveryIndicator}
+                        ${exchangeIndicator}
                         ${paymentMethodIndicator}
                     </div>
                 </div>
@@ -1136,7 +1509,9 @@ export function generateReport() {
             <div class="flex flex-col space-y-2">
                 <button class="edit-cashier-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}" data-lang-key="editCashier">Edit Cashier</button>
                 <button class="return-sale-btn btn-danger text-xs py-1 px-2 rounded" data-sale-id="${sale.id}" data-lang-key="btnReturn">Return</button>
+                <button class="exchange-sale-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}" data-lang-key="btnExchange">Exchange</button>
                 <button class="print-receipt-btn btn-primary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}" data-lang-key="btnPrint">Print</button>
+                ${sale.delivery ? `<button class="print-label-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}" data-lang-key="printLabel">Label</button>` : ''}
             </div>
         `;
         listContainer.appendChild(saleCard);
@@ -1352,14 +1727,481 @@ export function showReturnModal(saleId) {
             </div>`;
     }).join('');
     document.getElementById('return-delivery-fee-input').value = '';
+    document.getElementById('return-reason-input').value = '';
+    document.getElementById('return-refund-method').value = 'cash';
+    modal.classList.remove('hidden');
+}
+
+
+/**
+ * نافذة الاستبدال: كميات المرتجع من الفاتورة الأصلية بجانب سلة القطع الجديدة، وصافي الفرق في الأسفل.
+ * @param {string} saleId - الفاتورة الأصلية.
+ */
+export function showExchangeModal(saleId) {
+    const sale = state.sales.find(s => s.id === saleId);
+    const modal = document.getElementById('exchange-modal');
+    if (!sale || !modal) return;
+    const t = translations[state.lang];
+    state.exchangeDraft = { saleId, returnQuantities: {}, newItems: [], paymentMethod: 'cash', refundMethod: 'cash' };
+
+    const returnRowsHtml = sale.items.map(item => {
+        const maxReturnable = item.quantity - (item.returnedQty || 0);
+        if (maxReturnable <= 0) return '';
+        return `
+            <div class="flex justify-between items-center p-2 border-b border-gray-700">
+                <span>${item.productName} (${item.color}/${item.size}) - Max: ${maxReturnable}</span>
+                <input type="number" class="exchange-return-qty w-20 p-1 rounded border border-gray-600" value="0" min="0" max="${maxReturnable}" data-item-id="${item.id}">
+            </div>`;
+    }).join('');
+    const productOptions = state.products
+        .filter(p => getProductAvailableQuantity(p) > 0)
+        .map(p => `<option value="${p.id}">${p.name}${p.code ? ` (${p.code})` : ''}</option>`).join('');
+    const tenderOptions = TENDER_METHODS.filter(method => !['storeCredit', 'loyaltyPoints'].includes(method))
+        .map(method => `<option value="${method}">${t[method] || method}</option>`).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-5xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.exchangeTitle} - ${sale.id}</h2>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                    <h3 class="font-bold mb-2">${t.exchangeReturnedItems}</h3>
+                    <div class="space-y-2 max-h-72 overflow-y-auto">${returnRowsHtml || `<p class="text-gray-400">${t.exchangeNothingToReturn}</p>`}</div>
+                </div>
+                <div>
+                    <h3 class="font-bold mb-2">${t.exchangeNewItems}</h3>
+                    <form id="exchange-item-form" class="space-y-2 mb-4">
+                        <input type="text" id="exchange-barcode-input" class="w-full p-2 rounded-lg" placeholder="${t.barcodePlaceholder}">
+                        <select id="exchange-product-select" class="w-full p-2 rounded-lg">
+                            <option value="">${t.selectProduct}</option>
+                            ${productOptions}
+                        </select>
+                        <div class="flex space-x-2">
+                            <select id="exchange-variant-select" class="w-2/3 p-2 rounded-lg"></select>
+                            <input type="number" id="exchange-qty-input" class="w-1/3 p-2 rounded-lg" value="1" min="1">
+                        </div>
+                        <button type="submit" class="btn-secondary w-full py-2 rounded-lg">${t.addToCart}</button>
+                    </form>
+                    <div id="exchange-new-items" class="space-y-2 max-h-48 overflow-y-auto"></div>
+                </div>
+            </div>
+            <div class="border-t border-gray-600 mt-4 pt-4 space-y-2">
+                <div id="exchange-summary" class="space-y-1"></div>
+                <div id="exchange-payment-row" class="flex items-center space-x-2">
+                    <label class="w-1/3">${t.exchangeCustomerPaysWith}</label>
+                    <select id="exchange-payment-method" class="w-2/3 p-2 rounded-lg">${tenderOptions}</select>
+                </div>
+                <div id="exchange-refund-row" class="flex items-center space-x-2 hidden">
+                    <label class="w-1/3">${t.refundMethod}</label>
+                    <select id="exchange-refund-method" class="w-2/3 p-2 rounded-lg">
+                        ${REFUND_METHODS.map(method => `<option value="${method}">${t[method]}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex items-center space-x-2">
+                    <label class="w-1/3">${t.returnReason}</label>
+                    <input type="text" id="exchange-reason-input" class="w-2/3 p-2 rounded-lg">
+                </div>
+            </div>
+            <div class="flex justify-end space-x-4 mt-6">
+                <button id="cancel-exchange-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                <button id="confirm-exchange-btn" class="btn-primary py-2 px-4 rounded-lg">${t.confirmExchange}</button>
+            </div>
+        </div>
+    `;
+    updateExchangeVariantOptions();
+    renderExchangeDraft();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * تعبئة قائمة اللون/المقاس المتاحة للمنتج المختار في نافذة الاستبدال.
+ */
+export function updateExchangeVariantOptions() {
+    const variantSelect = document.getElementById('exchange-variant-select');
+    if (!variantSelect) return;
+    const product = state.products.find(p => p.id === document.getElementById('exchange-product-select').value);
+    variantSelect.innerHTML = Object.entries(product?.colors || {}).flatMap(([color, colorData]) =>
+        Object.keys(colorData.sizes || {})
+            .map(size => [size, getAvailableQuantity(product, color, size)])
+            .filter(([, quantity]) => quantity > 0)
+            .map(([size, quantity]) => `<option value="${color}|${size}">${color} / ${size} (${quantity})</option>`)
+    ).join('');
+}
+
+/**
+ * رسم القطع الجديدة وصافي الفرق في نافذة الاستبدال من state.exchangeDraft.
+ */
+export function renderExchangeDraft() {
+    const draft = state.exchangeDraft;
+    const sale = draft && state.sales.find(s => s.id === draft.saleId);
+    const itemsContainer = document.getElementById('exchange-new-items');
+    const summaryContainer = document.getElementById('exchange-summary');
+    if (!sale || !itemsContainer || !summaryContainer) return;
+    const t = translations[state.lang];
+
+    itemsContainer.innerHTML = draft.newItems.map((item, index) => `
+        <div class="flex justify-between items-center p-2 bg-gray-700 rounded">
+            <span>${item.productName} (${item.color}/${item.size}) x${item.quantity}</span>
+            <div class="flex items-center space-x-2">
+                <span>${(item.price * item.quantity).toFixed(2)} EGP</span>
+                <button type="button" class="exchange-remove-item-btn text-red-400 font-bold px-2" data-index="${index}">&times;</button>
+            </div>
+        </div>
+    `).join('');
+
+    const totals = calculateExchangeTotals(sale, draft.returnQuantities, draft.newItems);
+    summaryContainer.innerHTML = `
+        <p class="flex justify-between"><span>${t.exchangeReturnedValue}</span><span>${totals.returnedValue.toFixed(2)} EGP</span></p>
+        <p class="flex justify-between"><span>${t.exchangeNewTotal}</span><span>${totals.newTotal.toFixed(2)} EGP</span></p>
+        <p class="flex justify-between font-bold text-xl" style="color: var(--accent-color);">
+            <span>${totals.refundDue > 0 ? t.exchangeRefundDue : t.exchangeAmountDue}</span>
+            <span>${(totals.refundDue > 0 ? totals.refundDue : totals.amountDue).toFixed(2)} EGP</span>
+        </p>
+    `;
+    document.getElementById('exchange-payment-row').classList.toggle('hidden', totals.amountDue <= 0);
+    document.getElementById('exchange-refund-row').classList.toggle('hidden', totals.refundDue <= 0);
+}
+
+export function closeExchangeModal() {
+    document.getElementById('exchange-modal')?.classList.add('hidden');
+    state.exchangeDraft = null;
+    state.returnApproval = null;
+}
+
+/**
+ * صفحة المرتجعات: الفواتير المطابقة لبحث الباركود أو رقم العميل أو التاريخ مع حالة كل فاتورة حسب سياسة الإرجاع،
+ * وسجل المرتجعات بدون فاتورة.
+ */
+export function renderReturnsPage() {
+    const t = translations[state.lang];
+    const policy = getReturnPolicy();
+    const search = state.returnSearch;
+    const resultsContainer = document.getElementById('returns-results');
+    if (!resultsContainer) return;
+
+    document.getElementById('returns-policy-summary').textContent = [
+        `${t.returnWindowDays}: ${policy.windowDays > 0 ? policy.windowDays : '-'}`,
+        `${t.nonReturnableCategories}: ${policy.nonReturnableCategories.join(', ') || '-'}`
+    ].join(' | ');
+    document.getElementById('no-receipt-return-btn').classList.toggle('hidden', !policy.allowNoReceipt);
+
+    if (!search.variant && !search.phone && !search.date) {
+        resultsContainer.innerHTML = `<p class="text-center text-gray-400 p-4">${t.returnsSearchHint}</p>`;
+    } else {
+        const candidates = findReturnCandidates(state.sales, search).slice(0, 50);
+        resultsContainer.innerHTML = candidates.length === 0
+            ? `<p class="text-center text-gray-400 p-4">${t.returnsNoSales}</p>`
+            : candidates.map(({ sale, items }) => {
+                const check = checkReturnPolicy(sale, items, { policy });
+                let badgeClass = 'text-green-400', badgeText = t.returnsWithinPolicy;
+                if (check.reason) {
+                    badgeClass = check.needsApproval ? 'text-yellow-400' : 'text-red-400';
+                    badgeText = `${check.needsApproval ? t.returnNeedsApproval : t[check.reason]} (${check.details})`;
+                }
+                return `
+                <div class="bg-secondary-bg p-4 rounded-lg shadow-md flex justify-between items-start">
+                    <div>
+                        <p class="font-bold text-lg">Receipt ID: ${sale.id}</p>
+                        <p class="text-sm text-gray-400">Date: ${new Date(sale.createdAt).toLocaleString()} | Cashier: ${sale.cashier}</p>
+                        <p class="text-sm">Customer: ${sale.customerName || 'N/A'} (${sale.customerPhone || 'N/A'})</p>
+                        <ul class="text-sm list-disc list-inside mt-2">
+                            ${items.map(item => `<li>${item.productName} (${item.color}/${item.size}) - Max: ${item.quantity - (item.returnedQty || 0)} - ${item.unitPrice.toFixed(2)} EGP</li>`).join('')}
+                        </ul>
+                        <p class="text-sm font-bold mt-2 ${badgeClass}">${badgeText}</p>
+                    </div>
+                    <div class="flex flex-col space-y-2">
+                        <button class="return-sale-btn btn-danger text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.btnReturn}</button>
+                        <button class="exchange-sale-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.btnExchange}</button>
+                    </div>
+                </div>`;
+            }).join('');
+    }
+
+    const tbody = document.getElementById('no-receipt-returns-table').querySelector('tbody');
+    const noReceiptReturns = [...(state.noReceiptReturns || [])].sort((a, b) => b.returnedAt.localeCompare(a.returnedAt)).slice(0, 50);
+    tbody.innerHTML = noReceiptReturns.length === 0
+        ? `<tr><td colspan="7" class="text-center p-4">${t.noNoReceiptReturns}</td></tr>`
+        : noReceiptReturns.map(ret => `
+            <tr class="border-b border-gray-700 hover:bg-gray-700">
+                <td class="p-4">${new Date(ret.returnedAt).toLocaleString()}</td>
+                <td class="p-4">${ret.productName} (${ret.color}/${ret.size})</td>
+                <td class="p-4">${ret.quantity}</td>
+                <td class="p-4">${t[ret.refundMethod] || ret.refundMethod}${ret.creditCode ? ` (${ret.creditCode})` : ''}</td>
+                <td class="p-4">${ret.reason || '-'}</td>
+                <td class="p-4">${ret.processedBy}</td>
+                <td class="p-4">${ret.value.toFixed(2)} EGP</td>
+            </tr>`).join('');
+}
+
+/**
+ * صفحة التوصيل: ملخص كل مندوب، وطلبات التوصيل بحالتها، وسجل تسويات المندوبين.
+ */
+export function renderDeliveriesPage() {
+    const tbody = document.querySelector('#deliveries-table tbody');
+    if (!tbody) return;
+    const t = translations[state.lang];
+    const deliverySales = state.sales.filter(sale => sale.delivery);
+    const balances = getCourierBalances(deliverySales);
+    const canSettle = hasPermission('settleCouriers');
+    const courierSettings = getCourierSettings();
+    document.getElementById('refresh-courier-status-btn').classList.toggle('hidden', !courierSettings.provider);
+
+    document.getElementById('courier-balances').innerHTML = balances.length === 0
+        ? `<p class="text-gray-400">${t.noCouriersYet}</p>`
+        : balances.map(balance => `
+        <div class="bg-secondary-bg p-4 rounded-lg shadow">
+            <p class="font-bold text-lg">${balance.courier}</p>
+            <p class="text-sm">${t.ordersWithCourier}: ${balance.outCount} (${t.codAmount}: ${balance.pendingCod.toFixed(2)} EGP)</p>
+            <p class="text-sm">${t.codCollected}: ${balance.codCollected.toFixed(2)} EGP | ${t.courierFee}: ${balance.courierFees.toFixed(2)} EGP</p>
+            <p class="font-bold text-[var(--accent-color)]">${t.settlementExpected}: ${balance.expected.toFixed(2)} EGP (${balance.unsettledCount} ${t.settlementOrders})</p>
+            ${canSettle && balance.unsettledCount > 0 ? `<button class="settle-courier-btn btn-primary text-xs py-1 px-2 rounded mt-2" data-courier="${balance.courier}">${t.settleCourier}</button>` : ''}
+        </div>`).join('');
+
+    document.getElementById('courier-names').innerHTML = balances.map(balance => `<option value="${balance.courier}"></option>`).join('');
+    document.getElementById('delivery-status-filter').innerHTML = ['active', 'all', ...DELIVERY_STATUSES].map(status =>
+        `<option value="${status}" ${state.deliveryStatusFilter === status ? 'selected' : ''}>${t[`deliveryStatus_${status}`]}</option>`).join('');
+    document.getElementById('delivery-courier-filter').innerHTML = `<option value="">${t.allCouriers}</option>` + balances.map(balance =>
+        `<option value="${balance.courier}" ${state.deliveryCourierFilter === balance.courier ? 'selected' : ''}>${balance.courier}</option>`).join('');
+
+    const searchTerm = state.deliverySearchTerm.toLowerCase();
+    const filtered = deliverySales.filter(sale => {
+        const { status, courier, trackingNumber } = sale.delivery;
+        if (state.deliveryStatusFilter === 'active' && !['packed', 'handedToCourier'].includes(status)) return false;
+        if (!['active', 'all'].includes(state.deliveryStatusFilter) && status !== state.deliveryStatusFilter) return false;
+        if (state.deliveryCourierFilter && courier !== state.deliveryCourierFilter) return false;
+        return !searchTerm || [sale.id, sale.customerName, sale.customerPhone, trackingNumber].some(value => (value || '').toLowerCase().includes(searchTerm));
+    });
+
+    tbody.innerHTML = filtered.length === 0
+        ? `<tr><td colspan="9" class="text-center p-4">${t.noDeliveries}</td></tr>`
+        : filtered.map(sale => `
+            <tr class="border-b border-gray-700 hover:bg-gray-700">
+                <td class="p-4">${sale.id}</td>
+                <td class="p-4">${new Date(sale.createdAt).toLocaleString()}</td>
+                <td class="p-4">${sale.customerName || 'N/A'} (${sale.customerPhone || 'N/A'})<br><span class="text-xs text-gray-400">${sale.customerAddress || ''} ${sale.customerCity || ''}</span></td>
+                <td class="p-4">${sale.delivery.courier || '-'}</td>
+                <td class="p-4">${sale.delivery.trackingNumber || '-'}</td>
+                <td class="p-4">${sale.delivery.codAmount.toFixed(2)} EGP</td>
+                <td class="p-4">${(sale.delivery.courierFee || 0).toFixed(2)} EGP</td>
+                <td class="p-4">${t[`deliveryStatus_${sale.delivery.status}`]}${sale.delivery.courierStatus ? `<br><span class="text-xs text-gray-400">${sale.delivery.courierStatus}</span>` : ''}${sale.delivery.settlementId ? `<br><span class="text-xs text-gray-400">${t.settled} ${sale.delivery.settlementId}</span>` : ''}</td>
+                <td class="p-4">
+                    <div class="flex space-x-2">
+                        ${sale.delivery.settlementId ? '' : `<button class="edit-delivery-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.btnEdit}</button>`}
+                        ${courierSettings.provider && !sale.delivery.shipmentId && sale.delivery.status === 'packed' ? `<button class="create-shipment-btn btn-primary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.createShipment}</button>` : ''}
+                        ${needsUndeliveredReturn(sale) && hasPermission('processReturns') ? `<button class="return-undelivered-btn btn-danger text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.returnUndelivered}</button>` : ''}
+                        <button class="print-label-btn btn-secondary text-xs py-1 px-2 rounded" data-sale-id="${sale.id}">${t.printLabel}</button>
+                    </div>
+                </td>
+            </tr>`).join('');
+
+    const settlements = [...(state.courierSettlements || [])].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 50);
+    document.querySelector('#courier-settlements-table tbody').innerHTML = settlements.length === 0
+        ? `<tr><td colspan="9" class="text-center p-4">${t.noSettlements}</td></tr>`
+        : settlements.map(settlement => `
+            <tr class="border-b border-gray-700 hover:bg-gray-700">
+                <td class="p-4">${new Date(settlement.date).toLocaleString()}<br><span class="text-xs text-gray-400">${settlement.id}</span></td>
+                <td class="p-4">${settlement.courier}</td>
+                <td class="p-4">${settlement.saleIds.length}</td>
+                <td class="p-4">${settlement.codCollected.toFixed(2)}</td>
+                <td class="p-4">${settlement.courierFees.toFixed(2)}</td>
+                <td class="p-4">${settlement.expected.toFixed(2)}</td>
+                <td class="p-4">${settlement.received.toFixed(2)}</td>
+                <td class="p-4 ${settlement.difference < 0 ? 'text-red-400' : ''}">${settlement.difference.toFixed(2)}${settlement.note ? `<br><span class="text-xs text-gray-400">${settlement.note}</span>` : ''}</td>
+                <td class="p-4">${settlement.by}</td>
+            </tr>`).join('');
+}
+
+export function showDeliveryModal(saleId) {
+    const sale = state.sales.find(s => s.id === saleId);
+    if (!sale?.delivery) return;
+    state.editingDeliverySaleId = saleId;
+    const t = translations[state.lang];
+    const { delivery } = sale;
+    const modal = document.getElementById('delivery-edit-modal');
+    modal.innerHTML = `
+        <div class="modal-content w-full max-w-md p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.editDelivery} ${sale.id}</h2>
+            <form id="delivery-edit-form" class="space-y-4">
+                <div><label for="delivery-courier-input">${t.courier}</label><input id="delivery-courier-input" type="text" list="courier-names" class="w-full p-2 rounded-lg" value="${delivery.courier || ''}"></div>
+                <div><label for="delivery-tracking-input">${t.trackingNumber}</label><input id="delivery-tracking-input" type="text" class="w-full p-2 rounded-lg" value="${delivery.trackingNumber || ''}"></div>
+                <div><label for="delivery-cod-input">${t.codAmount}</label><input id="delivery-cod-input" type="number" min="0" step="0.01" class="w-full p-2 rounded-lg" value="${delivery.codAmount}"></div>
+                <div><label for="delivery-fee-input">${t.courierFee}</label><input id="delivery-fee-input" type="number" min="0" step="0.01" class="w-full p-2 rounded-lg" value="${delivery.courierFee || 0}"></div>
+                <div>
+                    <label for="delivery-status-select">${t.deliveryStatus}</label>
+                    <select id="delivery-status-select" class="w-full p-2 rounded-lg">
+                        ${DELIVERY_STATUSES.map(status => `<option value="${status}" ${delivery.status === status ? 'selected' : ''}>${t[`deliveryStatus_${status}`]}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex justify-end space-x-4">
+                    <button type="button" id="close-delivery-modal-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                    <button type="submit" class="btn-primary py-2 px-4 rounded-lg">${t.btnSave}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeDeliveryModal() {
+    document.getElementById('delivery-edit-modal').classList.add('hidden');
+    state.editingDeliverySaleId = null;
+}
+
+export function showCourierSettlementModal(courier) {
+    state.settlingCourier = courier;
+    const t = translations[state.lang];
+    const orders = getUnsettledOrders(state.sales, courier);
+    const modal = document.getElementById('courier-settlement-modal');
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-2xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.settleCourier}: ${courier}</h2>
+            <form id="courier-settlement-form" class="space-y-4">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-900"><tr><th class="p-1"></th><th class="p-1 text-left">${t.deliveryReceipt}</th><th class="p-1 text-left">${t.deliveryStatus}</th><th class="p-1 text-left">${t.codCollected}</th><th class="p-1 text-left">${t.courierFee}</th></tr></thead>
+                    <tbody>
+                        ${orders.map(sale => `
+                        <tr class="border-b border-gray-700">
+                            <td class="p-1"><input type="checkbox" class="settlement-order-checkbox h-4 w-4" data-sale-id="${sale.id}" checked></td>
+                            <td class="p-1">${sale.id}${sale.delivery.trackingNumber ? ` (${sale.delivery.trackingNumber})` : ''}</td>
+                            <td class="p-1">${t[`deliveryStatus_${sale.delivery.status}`]}</td>
+                            <td class="p-1">${(sale.delivery.status === 'delivered' ? sale.delivery.codAmount : 0).toFixed(2)}</td>
+                            <td class="p-1">${(sale.delivery.courierFee || 0).toFixed(2)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                <p id="settlement-expected" class="text-right font-bold text-[var(--accent-color)]"></p>
+                <div><label for="settlement-received-input">${t.settlementReceived}</label><input id="settlement-received-input" type="number" step="0.01" class="w-full p-2 rounded-lg" required></div>
+                <div><label for="settlement-note-input">${t.settlementNote}</label><input id="settlement-note-input" type="text" class="w-full p-2 rounded-lg"></div>
+                <div class="flex justify-end space-x-4">
+                    <button type="button" id="close-settlement-modal-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                    <button type="submit" class="btn-primary py-2 px-4 rounded-lg">${t.saveSettlement}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    updateSettlementTotals();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * تحديث المتوقع توريده في نافذة التسوية حسب الطلبات المختارة.
+ */
+export function updateSettlementTotals() {
+    const t = translations[state.lang];
+    const selectedIds = [...document.querySelectorAll('.settlement-order-checkbox:checked')].map(input => input.dataset.saleId);
+    const summary = summarizeSettlement(getUnsettledOrders(state.sales, state.settlingCourier).filter(sale => selectedIds.includes(sale.id)));
+    document.getElementById('settlement-expected').textContent =
+        `${t.codCollected}: ${summary.codCollected.toFixed(2)} - ${t.courierFee}: ${summary.courierFees.toFixed(2)} = ${t.settlementExpected}: ${summary.expected.toFixed(2)} EGP`;
+    document.getElementById('settlement-received-input').placeholder = summary.expected.toFixed(2);
+}
+
+export function closeCourierSettlementModal() {
+    document.getElementById('courier-settlement-modal').classList.add('hidden');
+    state.settlingCourier = null;
+}
+
+/**
+ * نافذة موافقة المدير على مرتجع خارج سياسة الإرجاع (كلمة سر الأدمن).
+ * @param {string} message - سبب طلب الموافقة.
+ */
+export function showReturnApprovalModal(message) {
+    const modal = document.getElementById('return-approval-modal');
+    if (!modal) return;
+    const t = translations[state.lang];
+    modal.innerHTML = `
+    <div class="modal-content w-full max-w-md p-6 rounded-lg shadow-lg">
+        <h2 class="text-2xl font-bold mb-4">${t.returnApprovalTitle}</h2>
+        <p class="mb-4 text-yellow-400">${message}</p>
+        <form id="return-approval-form">
+            <label for="return-approval-password-input" class="block mb-1">${t.returnApprovalPassword}</label>
+            <input type="password" id="return-approval-password-input" class="w-full p-2 rounded-lg" required autocomplete="off">
+            <div class="flex justify-end space-x-4 mt-6">
+                <button type="button" id="cancel-return-approval-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                <button type="submit" class="btn-primary py-2 px-4 rounded-lg">${t.approveReturn}</button>
+            </div>
+        </form>
+    </div>`;
+    modal.classList.remove('hidden');
+    document.getElementById('return-approval-password-input').focus();
+}
+
+export function closeReturnApprovalModal() {
+    document.getElementById('return-approval-modal')?.classList.add('hidden');
+}
+
+/**
+ * نافذة المرتجع بدون فاتورة: القطعة بالباركود، والمبلغ المردود حسب نسبة السياسة من سعر البيع الحالي.
+ */
+export function showNoReceiptReturnModal() {
+    const modal = document.getElementById('no-receipt-return-modal');
+    if (!modal) return;
+    const t = translations[state.lang];
+    modal.innerHTML = `
+    <div class="modal-content w-full max-w-md p-6 rounded-lg shadow-lg">
+        <h2 class="text-2xl font-bold mb-4">${t.noReceiptReturn}</h2>
+        <form id="no-receipt-return-form" class="space-y-3">
+            <div>
+                <label for="no-receipt-barcode-input" class="block mb-1">${t.returnsScanItem}</label>
+                <input type="text" id="no-receipt-barcode-input" class="w-full p-2 rounded-lg" required autocomplete="off" value="${state.returnSearch.barcode || ''}">
+            </div>
+            <div>
+                <label for="no-receipt-qty-input" class="block mb-1">${t.colQuantity}</label>
+                <input type="number" id="no-receipt-qty-input" class="w-full p-2 rounded-lg" required min="1" step="1" value="1">
+            </div>
+            <p id="no-receipt-refund-preview" class="text-sm font-bold"></p>
+            <div>
+                <label for="no-receipt-refund-method" class="block mb-1">${t.refundMethod}</label>
+                <select id="no-receipt-refund-method" class="w-full p-2 rounded-lg">
+                    ${REFUND_METHODS.map(method => `<option value="${method}">${t[method]}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label for="no-receipt-phone-input" class="block mb-1">${t.customerPhone}</label>
+                <input type="tel" id="no-receipt-phone-input" class="w-full p-2 rounded-lg" value="${state.returnSearch.phone || ''}">
+            </div>
+            <div>
+                <label for="no-receipt-reason-input" class="block mb-1">${t.returnReason}</label>
+                <input type="text" id="no-receipt-reason-input" class="w-full p-2 rounded-lg" required>
+            </div>
+            <div class="flex justify-end space-x-4 mt-6">
+                <button type="button" id="cancel-no-receipt-return-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                <button type="submit" class="btn-primary py-2 px-4 rounded-lg">${t.confirmNoReceiptReturn}</button>
+            </div>
+        </form>
+    </div>`;
     modal.classList.remove('hidden');
+    document.getElementById('no-receipt-barcode-input').focus();
+}
+
+/**
+ * عرض المبلغ الذي سيُرد للقطعة المختارة في نافذة المرتجع بدون فاتورة.
+ * @param {{product: object, colorName: string, sizeName: string}|null} variant - نتيجة البحث بالباركود.
+ * @param {number} quantity
+ */
+export function updateNoReceiptRefundPreview(variant, quantity) {
+    const preview = document.getElementById('no-receipt-refund-preview');
+    if (!preview) return;
+    const t = translations[state.lang];
+    if (!variant) {
+        preview.textContent = '';
+        return;
+    }
+    const policy = getReturnPolicy();
+    const unitRefund = getNoReceiptRefundPrice(variant.product, policy);
+    preview.className = `text-sm font-bold ${policy.nonReturnableCategories.includes(variant.product.category) ? 'text-red-400' : 'text-green-400'}`;
+    preview.textContent = policy.nonReturnableCategories.includes(variant.product.category)
+        ? `${t.returnCategoryBlocked} (${variant.product.name})`
+        : `${variant.product.name} (${variant.colorName}/${variant.sizeName}): ${unitRefund.toFixed(2)} x ${quantity} = ${(unitRefund * quantity).toFixed(2)} EGP (${policy.noReceiptRefundPercent}%)`;
 }
 
+export function closeNoReceiptReturnModal() {
+    document.getElementById('no-receipt-return-modal')?.classList.add('hidden');
+}
 
 export function closeReturnModal() {
     document.getElementById('return-modal').classList.add('hidden');
     state.returningSaleId = null;
     state.returnActionData = null;
+    state.returnApproval = null;
 }
 
 export function showReturnTypeModal() {
@@ -1403,6 +2245,7 @@ export function showBookingConfirmationModal(receiptId) {
     const summaryDiv = document.getElementById('booking-modal-summary');
     const subtotal = receipt.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
     summaryDiv.innerHTML = `<p><strong>Total:</strong> ${subtotal.toFixed(2)} EGP</p>`;
+    document.getElementById('booking-due-date-input').value = getDefaultDueDate();
     modal.classList.remove('hidden');
     document.getElementById('booking-deposit-input').focus();
 }
@@ -1415,24 +2258,44 @@ export function showEditBookingModal(bookingId) {
     const booking = state.bookings.find(b => b.id === bookingId);
     if (!booking) return;
     state.editingBookingId = bookingId;
+    const t = translations[state.lang];
+    const balance = getBookingBalance(booking);
+    const paymentsHtml = getBookingPayments(booking).map(payment => `
+        <tr class="border-b border-gray-700">
+            <td class="p-1">${new Date(payment.date).toLocaleString()}</td>
+            <td class="p-1">${payment.amount.toFixed(2)} EGP</td>
+            <td class="p-1">${t[payment.method] || payment.method}</td>
+            <td class="p-1">${payment.cashier || 'N/A'}</td>
+        </tr>`).join('');
     const modal = document.getElementById('booking-edit-modal');
     modal.innerHTML = `
-        <div class="modal-content w-full max-w-lg p-6 rounded-lg shadow-lg">
+        <div class="modal-content modal-content-scrollable w-full max-w-lg p-6 rounded-lg shadow-lg">
             <h2 class="text-2xl font-bold mb-4">Edit Booking</h2>
+            <div class="mb-4">
+                <h3 class="font-bold mb-2">${t.bookingPayments}</h3>
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-900"><tr><th class="p-1 text-left">${t.bookingPaymentDate}</th><th class="p-1 text-left">${t.bookingPaymentAmount}</th><th class="p-1 text-left">${t.paymentMethod}</th><th class="p-1 text-left">${t.bookingPaymentCashier}</th></tr></thead>
+                    <tbody>${paymentsHtml || `<tr><td colspan="4" class="p-1 text-gray-400">${t.noBookingPayments}</td></tr>`}</tbody>
+                </table>
+                <p class="text-right mt-2">${t.bookingPaidTotal}: ${getBookingPaidTotal(booking).toFixed(2)} EGP</p>
+                ${getBookingAllocatedTotal(booking) > 0 ? `<p class="text-right">${t.bookingAppliedToPickups}: ${getBookingAllocatedTotal(booking).toFixed(2)} EGP</p>` : ''}
+                <p class="text-right">${t.bookingRemainingItems}: ${getBookingTotal(booking).toFixed(2)} EGP</p>
+                <p class="text-right font-bold text-[var(--accent-color)]">${t.bookingBalance}: ${balance.toFixed(2)} EGP</p>
+                ${balance > 0 ? `
+                <div class="flex space-x-2 mt-2">
+                    <input id="booking-payment-amount" type="number" min="0" step="0.01" max="${balance}" class="w-1/3 p-2 rounded-lg" placeholder="0.00">
+                    <select id="booking-payment-method" class="w-1/3 p-2 rounded-lg">
+                        ${BOOKING_PAYMENT_METHODS.map(method => `<option value="${method}">${t[method] || method}</option>`).join('')}
+                    </select>
+                    <button type="button" id="add-booking-payment-btn" class="btn-primary w-1/3 py-2 px-2 rounded-lg">${t.addBookingPayment}</button>
+                </div>` : ''}
+            </div>
             <form id="edit-booking-form" class="space-y-4">
                 <div><label>Customer Name</label><input id="edit-customer-name" type="text" class="w-full p-2 rounded-lg" value="${booking.customerName}"></div>
                 <div><label>Customer Phone</label><input id="edit-customer-phone" type="tel" class="w-full p-2 rounded-lg" value="${booking.customerPhone}"></div>
                 <div><label>Customer Address</label><input id="edit-customer-address" type="text" class="w-full p-2 rounded-lg" value="${booking.customerAddress || ''}"></div>
                 <div><label>City</label><input id="edit-customer-city" type="text" class="w-full p-2 rounded-lg" value="${booking.customerCity || ''}"></div>
-                <div><label>Deposit (EGP)</label><input id="edit-deposit" type="number" class="w-full p-2 rounded-lg" value="${booking.deposit}"></div>
-                <div>
-                    <label>Deposit Payment Method</label>
-                    <select id="edit-deposit-payment-method" class="w-full p-2 rounded-lg">
-                        <option value="cash" ${booking.depositPaymentMethod === 'cash' ? 'selected' : ''}>Cash</option>
-                        <option value="instaPay" ${booking.depositPaymentMethod === 'instaPay' ? 'selected' : ''}>InstaPay</option>
-                        <option value="vCash" ${booking.depositPaymentMethod === 'vCash' ? 'selected' : ''}>VCash</option>
-                    </select>
-                </div>
+                <div><label>${t.bookingDueDate}</label><input id="edit-due-date" type="date" class="w-full p-2 rounded-lg" value="${booking.dueDate || ''}"></div>
                 <div class="flex items-center"><input type="checkbox" id="edit-free-delivery" class="h-5 w-5 mr-2" ${booking.isFreeDelivery ? 'checked' : ''}><label for="edit-free-delivery">Free Delivery</label></div>
                 <div class="flex justify-end space-x-4"><button type="button" id="cancel-edit-booking-btn" class="btn-secondary py-2 px-4 rounded-lg">Cancel</button><button type="submit" class="btn-primary py-2 px-4 rounded-lg">Save</button></div>
             </form>
@@ -1446,6 +2309,87 @@ export function closeEditBookingModal() {
     state.editingBookingId = null;
 }
 
+export function showCancelBookingModal(bookingId) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking || !isBookingActive(booking)) return;
+    state.cancellingBookingId = bookingId;
+    const t = translations[state.lang];
+    const paid = getBookingCreditTotal(booking);
+    const modal = document.getElementById('booking-cancel-modal');
+    modal.innerHTML = `
+        <div class="modal-content w-full max-w-md p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.cancelBooking} ${booking.id}</h2>
+            <form id="cancel-booking-form" class="space-y-4">
+                <p>${t.bookingPaidTotal}: ${paid.toFixed(2)} EGP</p>
+                <div class="${paid > 0 ? '' : 'hidden'}">
+                    <label for="cancel-booking-deposit-action">${t.depositHandling}</label>
+                    <select id="cancel-booking-deposit-action" class="w-full p-2 rounded-lg">
+                        ${DEPOSIT_ACTIONS.map(action => `<option value="${action}">${t[`depositAction_${action}`]}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="cancel-booking-refund-method-group" class="${paid > 0 ? '' : 'hidden'}">
+                    <label for="cancel-booking-refund-method">${t.refundMethod}</label>
+                    <select id="cancel-booking-refund-method" class="w-full p-2 rounded-lg">
+                        ${BOOKING_PAYMENT_METHODS.map(method => `<option value="${method}">${t[method] || method}</option>`).join('')}
+                    </select>
+                </div>
+                <div><label for="cancel-booking-reason">${t.cancelReason}</label><input id="cancel-booking-reason" type="text" class="w-full p-2 rounded-lg"></div>
+                <div class="flex justify-end space-x-4">
+                    <button type="button" id="close-cancel-booking-modal-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                    <button type="submit" class="btn-danger py-2 px-4 rounded-lg">${t.confirmCancelBooking}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function toggleCancelBookingRefundMethod() {
+    const action = document.getElementById('cancel-booking-deposit-action').value;
+    document.getElementById('cancel-booking-refund-method-group').classList.toggle('hidden', action !== 'refund');
+}
+
+export function closeCancelBookingModal() {
+    document.getElementById('booking-cancel-modal').classList.add('hidden');
+    state.cancellingBookingId = null;
+}
+
+export function showBookingPickupModal(bookingId) {
+    const booking = state.bookings.find(b => b.id === bookingId);
+    if (!booking) return;
+    state.pickingUpBookingId = bookingId;
+    const t = translations[state.lang];
+    const modal = document.getElementById('booking-pickup-modal');
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-lg p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-2">${t.bookingPickupTitle} ${booking.id}</h2>
+            <p class="text-sm text-gray-400 mb-4">${t.bookingPickupHint} ${getBookingCreditTotal(booking).toFixed(2)} EGP</p>
+            <form id="booking-pickup-form" class="space-y-4">
+                <table class="w-full text-sm">
+                    <tbody>
+                        ${booking.cart.map((item, index) => `
+                        <tr class="border-b border-gray-700">
+                            <td class="p-1">${item.productName} (${item.color}/${item.size})</td>
+                            <td class="p-1">${item.price.toFixed(2)} EGP</td>
+                            <td class="p-1"><input type="number" class="booking-pickup-qty w-20 p-1 rounded" data-index="${index}" min="0" max="${item.quantity}" step="1" value="${item.quantity}"> / ${item.quantity}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                <div class="flex justify-end space-x-4">
+                    <button type="button" id="close-booking-pickup-modal-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                    <button type="submit" class="btn-primary py-2 px-4 rounded-lg">${t.completeSale}</button>
+                </div>
+            </form>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeBookingPickupModal() {
+    document.getElementById('booking-pickup-modal').classList.add('hidden');
+    state.pickingUpBookingId = null;
+}
+
 export function showEmployeeModal(employee = null) {
     state.editingEmployeeUsername = employee ? employee.username : null;
     const modal = document.getElementById('employee-modal');
@@ -1477,6 +2421,200 @@ export function closeCustomerModal() {
     state.editingCustomerId = null;
 }
 
+/**
+ * عرض سجل نقاط الولاء لعميل مع رصيده الحالي والنقاط المنتهية.
+ * @param {object} customer - العميل.
+ */
+export function showLoyaltyLedgerModal(customer) {
+    const modal = document.getElementById('loyalty-ledger-modal');
+    if (!modal || !customer) return;
+    const t = translations[state.lang];
+    const { balance, expired } = getPointsSummary(customer);
+    const entries = [...(customer.loyaltyLedger || [])].sort((a, b) => b.date.localeCompare(a.date));
+    const rowsHtml = entries.length === 0
+        ? `<tr><td colspan="5" class="p-2 text-center text-gray-400">${t.noPointsHistory}</td></tr>`
+        : entries.map(entry => `
+            <tr class="border-b border-gray-700">
+                <td class="p-2">${new Date(entry.date).toLocaleString()}</td>
+                <td class="p-2">${t[`points_${entry.type}`] || entry.type}</td>
+                <td class="p-2 ${entry.points > 0 ? 'text-green-400' : 'text-red-400'}">${entry.points > 0 ? '+' : ''}${entry.points}</td>
+                <td class="p-2">${entry.saleId || entry.note || '-'}</td>
+                <td class="p-2 text-gray-400">${entry.expiresAt ? new Date(entry.expiresAt).toLocaleDateString() : '-'}</td>
+            </tr>
+        `).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-2xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-2">${t.pointsLedgerTitle} - ${customer.name}</h2>
+            <p class="mb-1">${t.pointsBalance} <span class="font-bold text-yellow-300">${balance}</span> (${pointsToValue(balance).toFixed(2)} EGP)</p>
+            ${expired > 0 ? `<p class="mb-4 text-sm text-gray-400">${t.pointsExpired} ${expired}</p>` : '<div class="mb-4"></div>'}
+            <table class="w-full text-left text-sm mb-4">
+                <thead>
+                    <tr class="border-b border-gray-600">
+                        <th class="p-2">${t.pointsDate}</th>
+                        <th class="p-2">${t.promotionType}</th>
+                        <th class="p-2">${t.colLoyaltyPoints}</th>
+                        <th class="p-2">${t.pointsReference}</th>
+                        <th class="p-2">${t.pointsExpiresAt}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            <div class="flex justify-end">
+                <button id="close-loyalty-ledger-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnOK}</button>
+            </div>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeLoyaltyLedgerModal() {
+    document.getElementById('loyalty-ledger-modal')?.classList.add('hidden');
+}
+
+/**
+ * قائمة أرصدة المتجر وكروت الهدايا، مع سجل حركات الرصيد المختار.
+ * @param {string|null} [selectedCreditId] - الرصيد المعروض سجله.
+ */
+export function showStoreCreditsModal(selectedCreditId = null) {
+    const modal = document.getElementById('store-credits-modal');
+    if (!modal) return;
+    const t = translations[state.lang];
+    const credits = [...(state.storeCredits || [])].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    const selected = credits.find(c => c.id === selectedCreditId);
+    const rowsHtml = credits.length === 0
+        ? `<tr><td colspan="6" class="p-2 text-center text-gray-400">${t.noStoreCredits}</td></tr>`
+        : credits.map(credit => `
+            <tr class="border-b border-gray-700 ${credit.id === selectedCreditId ? 'bg-gray-700' : ''}">
+                <td class="p-2 font-mono">${credit.code}</td>
+                <td class="p-2">${t[credit.type] || credit.type}</td>
+                <td class="p-2">${credit.customerName || '-'} ${credit.customerPhone ? `(${credit.customerPhone})` : ''}</td>
+                <td class="p-2">${new Date(credit.createdAt).toLocaleDateString()}</td>
+                <td class="p-2 font-bold ${getCreditBalance(credit) > 0 ? 'text-yellow-300' : 'text-gray-400'}">${getCreditBalance(credit).toFixed(2)} EGP</td>
+                <td class="p-2 flex space-x-2">
+                    <button class="credit-history-btn btn-secondary text-xs py-1 px-2 rounded" data-id="${credit.id}">${t.creditHistory}</button>
+                    <button class="print-credit-btn btn-primary text-xs py-1 px-2 rounded" data-id="${credit.id}">${t.btnPrint}</button>
+                </td>
+            </tr>
+        `).join('');
+    const historyHtml = selected ? `
+        <h3 class="font-bold mb-2">${t.creditHistory} - ${selected.code}</h3>
+        <table class="w-full text-left text-sm mb-4">
+            <tbody>
+                ${[...(selected.ledger || [])].sort((a, b) => b.date.localeCompare(a.date)).map(entry => `
+                    <tr class="border-b border-gray-700">
+                        <td class="p-2">${new Date(entry.date).toLocaleString()}</td>
+                        <td class="p-2">${t[`credit_${entry.type}`] || entry.type}</td>
+                        <td class="p-2 ${entry.amount > 0 ? 'text-green-400' : 'text-red-400'}">${entry.amount > 0 ? '+' : ''}${entry.amount.toFixed(2)} EGP</td>
+                        <td class="p-2">${entry.saleId || entry.note || '-'}</td>
+                        <td class="p-2 text-gray-400">${entry.by || ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    ` : '';
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-4xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.storeCreditsTitle}</h2>
+            <table class="w-full text-left text-sm mb-4">
+                <thead>
+                    <tr class="border-b border-gray-600">
+                        <th class="p-2">${t.couponCodeCol}</th>
+                        <th class="p-2">${t.promotionType}</th>
+                        <th class="p-2">${t.customerName}</th>
+                        <th class="p-2">${t.pointsDate}</th>
+                        <th class="p-2">${t.creditBalance}</th>
+                        <th class="p-2">${t.colActions}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            ${historyHtml}
+            <div class="flex justify-end">
+                <button id="close-store-credits-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnOK}</button>
+            </div>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeStoreCreditsModal() {
+    document.getElementById('store-credits-modal')?.classList.add('hidden');
+}
+
+/**
+ * إظهار حقول نوع العرض المختار فقط في نافذة العرض.
+ */
+export function togglePromotionFields() {
+    const type = document.getElementById('promotion-type-select').value;
+    document.querySelectorAll('#promotion-modal .promotion-field').forEach(field => {
+        field.classList.toggle('hidden', !field.dataset.types.split(',').includes(type));
+    });
+}
+
+export function showPromotionModal(promotion = null) {
+    const t = translations[state.lang];
+    state.editingPromotionId = promotion ? promotion.id : null;
+    document.getElementById('promotion-name-input').value = promotion?.name || '';
+    document.getElementById('promotion-type-select').value = promotion?.type || 'buyXGetY';
+    document.getElementById('promotion-buy-qty-input').value = promotion?.buyQty || 1;
+    document.getElementById('promotion-get-qty-input').value = promotion?.getQty || 1;
+    document.getElementById('promotion-percent-input').value = promotion?.percent || '';
+    document.getElementById('promotion-bundle-qty-input').value = promotion?.bundleQty || 2;
+    document.getElementById('promotion-bundle-price-input').value = promotion?.bundlePrice ?? '';
+    document.getElementById('promotion-start-date-input').value = promotion?.startDate || '';
+    document.getElementById('promotion-end-date-input').value = promotion?.endDate || '';
+    document.getElementById('promotion-active-checkbox').checked = promotion ? promotion.active !== false : true;
+
+    const selectedCategories = promotion?.categories || [];
+    document.getElementById('promotion-categories-select').innerHTML = state.categories
+        .filter(c => c !== 'All')
+        .map(c => `<option value="${c}" ${selectedCategories.includes(c) ? 'selected' : ''}>${c}</option>`).join('');
+    const selectedProducts = promotion?.productIds || [];
+    document.getElementById('promotion-products-select').innerHTML = [...state.products]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => `<option value="${p.id}" ${selectedProducts.includes(p.id) ? 'selected' : ''}>${p.name}${p.code ? ` (${p.code})` : ''}</option>`).join('');
+
+    togglePromotionFields();
+    const modal = document.getElementById('promotion-modal');
+    modal.classList.remove('hidden');
+    updateUIText();
+    document.getElementById('promotion-modal-title').textContent = promotion ? t.editPromotion : t.addPromotion;
+}
+
+export function closePromotionModal() {
+    document.getElementById('promotion-modal').classList.add('hidden');
+    state.editingPromotionId = null;
+}
+
+export function showCouponModal(coupon = null) {
+    const t = translations[state.lang];
+    state.editingCouponId = coupon ? coupon.id : null;
+    document.getElementById('coupon-code-input-modal').value = coupon?.code || '';
+    document.getElementById('coupon-type-select').value = coupon?.type || 'fixed';
+    document.getElementById('coupon-value-input').value = coupon?.value || '';
+    document.getElementById('coupon-min-basket-input').value = coupon?.minBasket || '';
+    document.getElementById('coupon-max-uses-input').value = coupon?.maxUses || '';
+    document.getElementById('coupon-max-uses-customer-input').value = coupon?.maxUsesPerCustomer || '';
+    document.getElementById('coupon-start-date-input').value = coupon?.startDate || '';
+    document.getElementById('coupon-end-date-input').value = coupon?.endDate || '';
+    document.getElementById('coupon-active-checkbox').checked = coupon ? coupon.active !== false : true;
+    const selectedCategories = coupon?.categories || [];
+    document.getElementById('coupon-categories-select').innerHTML = state.categories
+        .filter(c => c !== 'All')
+        .map(c => `<option value="${c}" ${selectedCategories.includes(c) ? 'selected' : ''}>${c}</option>`).join('');
+
+    document.getElementById('coupon-modal').classList.remove('hidden');
+    updateUIText();
+    document.getElementById('coupon-modal-title').textContent = coupon ? t.editCoupon : t.addCoupon;
+}
+
+export function closeCouponModal() {
+    document.getElementById('coupon-modal').classList.add('hidden');
+    state.editingCouponId = null;
+}
+
 export function showEditCashierModal(saleId) {
     state.editingSaleId = saleId;
     const sale = state.sales.find(s => s.id === saleId);
@@ -2354,6 +3492,20 @@ export function updateInvoiceBuilderTotals() {
         totalEl.textContent = `${totalCost.toFixed(2)} EGP`;
     }
 }
+// حقول بيانات البائع في إعدادات الإيصال الإلكتروني: [المفتاح في app_config/main.eta، مفتاح الترجمة، النص الافتراضي]
+const ETA_SETTING_FIELDS = [
+    ['rin', 'etaRin', 'Tax registration number (RIN)'],
+    ['companyTradeName', 'etaTradeName', 'Company trade name'],
+    ['branchCode', 'etaBranchCode', 'Branch code'],
+    ['activityCode', 'etaActivityCode', 'Activity code'],
+    ['deviceSerialNumber', 'etaDeviceSerial', 'POS device serial number'],
+    ['governate', 'etaGovernate', 'Governorate'],
+    ['regionCity', 'etaRegionCity', 'City'],
+    ['street', 'etaStreet', 'Street'],
+    ['buildingNumber', 'etaBuildingNumber', 'Building number'],
+    ['submitUrl', 'etaSubmitUrl', 'Submission server URL']
+];
+
 /**
  * [--- إضافة ---]
  * دالة لعرض صفحة الإعدادات الجديدة.
@@ -2361,20 +3513,313 @@ export function updateInvoiceBuilderTotals() {
 function renderSettingsPage() {
     const page = document.getElementById('settings-page');
     if (!page) return;
+    const t = translations[state.lang];
+    const loyalty = getLoyaltySettings();
+    const returnPolicy = getReturnPolicy();
+    const tax = getTaxSettings();
+    const eta = getEtaSettings();
+    const bookingPolicy = getBookingPolicy();
+    const courier = getCourierSettings();
+    const etaQueue = summarizeEtaQueue();
+    const rejectedEtaReceipts = (state.etaReceipts || []).filter(entry => entry.status === 'rejected').slice(-5);
 
     page.innerHTML = `
     <h1 class="text-3xl font-bold mb-6" data-lang-key="settingsTitle">Application Settings</h1>
+    ${hasPermission('manageBackups') ? `
     <div class="bg-secondary-bg p-6 rounded-lg shadow">
         <h2 class="text-2xl font-bold mb-4" data-lang-key="backupAndRestore">Backup & Restore</h2>
         <div class="flex items-center space-x-4">
             <button id="backup-db-btn" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="backupBtn">Backup Database</button>
             <button id="restore-db-btn" class="btn-danger py-2 px-4 rounded-lg" data-lang-key="restoreBtn">Restore Database</button>
+            <input type="file" id="restore-file-input" accept=".json,application/json" class="hidden">
         </div>
+    </div>` : ''}
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="loyaltyProgram">Loyalty Program</h2>
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div class="flex items-center space-x-2">
+                <input type="checkbox" id="loyalty-enabled-checkbox" class="h-5 w-5 rounded" ${loyalty.enabled ? 'checked' : ''}>
+                <label for="loyalty-enabled-checkbox" data-lang-key="loyaltyEnabled">Enable loyalty points</label>
+            </div>
+            <div>
+                <label for="loyalty-earn-rate-input" class="block mb-1 text-sm" data-lang-key="loyaltyEarnRate">Points earned per EGP</label>
+                <input type="number" id="loyalty-earn-rate-input" class="w-full p-2 rounded-lg" min="0" step="0.01" value="${loyalty.earnRate}">
+            </div>
+            <div>
+                <label for="loyalty-burn-rate-input" class="block mb-1 text-sm" data-lang-key="loyaltyBurnRate">EGP value of one point</label>
+                <input type="number" id="loyalty-burn-rate-input" class="w-full p-2 rounded-lg" min="0" step="0.01" value="${loyalty.burnRate}">
+            </div>
+            <div>
+                <label for="loyalty-expiry-days-input" class="block mb-1 text-sm" data-lang-key="loyaltyExpiryDays">Points expire after (days, 0 = never)</label>
+                <input type="number" id="loyalty-expiry-days-input" class="w-full p-2 rounded-lg" min="0" step="1" value="${loyalty.expiryDays}">
+            </div>
+        </div>
+        <button id="save-loyalty-settings-btn" class="btn-primary py-2 px-4 rounded-lg mt-4" data-lang-key="btnSave">Save</button>
+    </div>
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="returnPolicyTitle">Return Policy</h2>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+                <label for="return-window-days-input" class="block mb-1 text-sm" data-lang-key="returnWindowDays">Return window (days, 0 = no limit)</label>
+                <input type="number" id="return-window-days-input" class="w-full p-2 rounded-lg" min="0" step="1" value="${returnPolicy.windowDays}">
+                <div class="flex items-center space-x-2 mt-4">
+                    <input type="checkbox" id="return-approval-beyond-window-checkbox" class="h-5 w-5 rounded" ${returnPolicy.approvalBeyondWindow ? 'checked' : ''}>
+                    <label for="return-approval-beyond-window-checkbox" data-lang-key="returnApprovalBeyondWindow">Allow returns after the window with manager approval</label>
+                </div>
+            </div>
+            <div>
+                <label for="return-blocked-categories-select" class="block mb-1 text-sm" data-lang-key="nonReturnableCategories">Non-returnable categories</label>
+                <select id="return-blocked-categories-select" class="w-full p-2 rounded-lg" multiple size="4">
+                    ${state.categories.filter(c => c !== 'All').map(c => `<option value="${c}" ${returnPolicy.nonReturnableCategories.includes(c) ? 'selected' : ''}>${c}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <div class="flex items-center space-x-2 mb-4">
+                    <input type="checkbox" id="return-allow-no-receipt-checkbox" class="h-5 w-5 rounded" ${returnPolicy.allowNoReceipt ? 'checked' : ''}>
+                    <label for="return-allow-no-receipt-checkbox" data-lang-key="allowNoReceiptReturns">Allow returns without a receipt</label>
+                </div>
+                <label for="no-receipt-refund-percent-input" class="block mb-1 text-sm" data-lang-key="noReceiptRefundPercent">No-receipt refund (% of current price)</label>
+                <input type="number" id="no-receipt-refund-percent-input" class="w-full p-2 rounded-lg" min="0" max="100" step="1" value="${returnPolicy.noReceiptRefundPercent}">
+            </div>
+        </div>
+        <button id="save-return-policy-btn" class="btn-primary py-2 px-4 rounded-lg mt-4" data-lang-key="btnSave">Save</button>
+    </div>
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="taxSettingsTitle">VAT</h2>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div class="space-y-4">
+                <div class="flex items-center space-x-2">
+                    <input type="checkbox" id="tax-enabled-checkbox" class="h-5 w-5 rounded" ${tax.enabled ? 'checked' : ''}>
+                    <label for="tax-enabled-checkbox" data-lang-key="taxEnabled">Charge VAT on sales</label>
+                </div>
+                <div>
+                    <label for="tax-rate-input" class="block mb-1 text-sm" data-lang-key="taxRate">VAT rate (%)</label>
+                    <input type="number" id="tax-rate-input" class="w-full p-2 rounded-lg" min="0" max="100" step="0.01" value="${tax.rate}">
+                </div>
+                <div class="flex items-center space-x-2">
+                    <input type="checkbox" id="tax-prices-include-checkbox" class="h-5 w-5 rounded" ${tax.pricesIncludeTax ? 'checked' : ''}>
+                    <label for="tax-prices-include-checkbox" data-lang-key="taxPricesInclude">Selling prices include VAT</label>
+                </div>
+            </div>
+            <div>
+                <label for="tax-exempt-categories-select" class="block mb-1 text-sm" data-lang-key="taxExemptCategories">VAT-exempt categories</label>
+                <select id="tax-exempt-categories-select" class="w-full p-2 rounded-lg" multiple size="4">
+                    ${state.categories.filter(c => c !== 'All').map(c => `<option value="${c}" ${tax.exemptCategories.includes(c) ? 'selected' : ''}>${c}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label for="tax-registration-input" class="block mb-1 text-sm" data-lang-key="taxRegistrationNumber">Tax registration number</label>
+                <input type="text" id="tax-registration-input" class="w-full p-2 rounded-lg" value="${tax.registrationNumber}">
+            </div>
+        </div>
+        <button id="save-tax-settings-btn" class="btn-primary py-2 px-4 rounded-lg mt-4" data-lang-key="btnSave">Save</button>
     </div>
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="bookingPolicyTitle">Bookings</h2>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+                <label for="booking-hold-days-input" class="block mb-1 text-sm" data-lang-key="bookingHoldDays">Hold period (days)</label>
+                <input type="number" id="booking-hold-days-input" class="w-full p-2 rounded-lg" min="1" step="1" value="${bookingPolicy.holdDays}">
+            </div>
+            <div>
+                <label for="booking-expired-deposit-select" class="block mb-1 text-sm" data-lang-key="bookingExpiredDepositAction">Paid amount on expiry</label>
+                <select id="booking-expired-deposit-select" class="w-full p-2 rounded-lg">
+                    ${['forfeit', 'storeCredit'].map(action => `<option value="${action}" ${bookingPolicy.expiredDepositAction === action ? 'selected' : ''}>${t[`depositAction_${action}`]}</option>`).join('')}
+                </select>
+            </div>
+        </div>
+        <button id="save-booking-policy-btn" class="btn-primary py-2 px-4 rounded-lg mt-4" data-lang-key="btnSave">Save</button>
+    </div>
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="courierSettingsTitle">Courier Integration</h2>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+                <label for="courier-provider-select" class="block mb-1 text-sm" data-lang-key="courierProvider">Courier company</label>
+                <select id="courier-provider-select" class="w-full p-2 rounded-lg">
+                    <option value="" ${!courier.provider ? 'selected' : ''}>${t.courierProviderNone}</option>
+                    ${Object.entries(COURIER_PROVIDERS).map(([key, label]) => `<option value="${key}" ${courier.provider === key ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label for="courier-base-url-input" class="block mb-1 text-sm" data-lang-key="courierBaseUrl">Proxy URL</label>
+                <input type="text" id="courier-base-url-input" class="w-full p-2 rounded-lg" value="${courier.baseUrl}" placeholder="https://">
+                <p class="text-xs text-gray-400 mt-1" data-lang-key="courierBaseUrlHint">The proxy server keeps the courier API key. The key is never saved in the app.</p>
+            </div>
+            <div>
+                <label for="courier-poll-minutes-input" class="block mb-1 text-sm" data-lang-key="courierPollMinutes">Status refresh (minutes)</label>
+                <input type="number" id="courier-poll-minutes-input" class="w-full p-2 rounded-lg" min="1" step="1" value="${courier.pollMinutes}">
+            </div>
+        </div>
+        <button id="save-courier-settings-btn" class="btn-primary py-2 px-4 rounded-lg mt-4" data-lang-key="btnSave">Save</button>
+    </div>
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="etaSettingsTitle">E-Receipt (ETA)</h2>
+        <div class="flex items-center space-x-2 mb-4">
+            <input type="checkbox" id="eta-enabled-checkbox" class="h-5 w-5 rounded" ${eta.enabled ? 'checked' : ''}>
+            <label for="eta-enabled-checkbox" data-lang-key="etaEnabled">Issue an e-receipt for every sale</label>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            ${ETA_SETTING_FIELDS.map(([key, langKey, label]) => `
+            <div>
+                <label for="eta-${key}-input" class="block mb-1 text-sm" data-lang-key="${langKey}">${label}</label>
+                <input type="text" id="eta-${key}-input" class="w-full p-2 rounded-lg" value="${eta[key]}">
+            </div>`).join('')}
+        </div>
+        <div class="flex flex-wrap items-center gap-4 mt-4">
+            <button id="save-eta-settings-btn" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="btnSave">Save</button>
+            <button id="submit-eta-receipts-btn" class="bg-blue-600 text-white py-2 px-4 rounded-lg" data-lang-key="etaSubmitPending">Submit pending e-receipts</button>
+            <span class="text-sm">${t.etaPending}: ${etaQueue.pending + etaQueue.unqueued} | ${t.etaSubmitted}: ${etaQueue.submitted} | ${t.etaRejected}: ${etaQueue.rejected}</span>
+        </div>
+        ${rejectedEtaReceipts.length > 0 ? `
+        <ul class="mt-4 text-sm text-red-500 space-y-1">
+            ${rejectedEtaReceipts.map(entry => `<li>${entry.saleId}: ${entry.lastError}</li>`).join('')}
+        </ul>` : ''}
+    </div>
+    ${hasPermission('manageUsers') ? `
+    <div class="bg-secondary-bg p-6 rounded-lg shadow mt-6">
+        <h2 class="text-2xl font-bold mb-4" data-lang-key="userManagement">User Management</h2>
+        <button id="open-users-window-btn" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="manageUsersBtn">Manage Users & Roles</button>
+    </div>` : ''}
 `;
     updateUIText(); // للتأكد من ترجمة النصوص الجديدة
 }
 
+/**
+ * عرض ملخص ما ستغيره الاستعادة قبل تأكيدها.
+ * @param {object} backup - النسخة الاحتياطية المختارة.
+ * @param {object} preview - نتيجة api.previewRestore.
+ */
+export function showRestorePreviewModal(backup, preview) {
+    const modal = document.getElementById('restore-preview-modal');
+    if (!modal) return;
+    const t = translations[state.lang];
+    const rowsHtml = preview.collections.map(c => `
+        <tr class="border-b border-gray-700">
+            <td class="p-2">${c.name}</td>
+            <td class="p-2 text-green-400">${c.create}</td>
+            <td class="p-2 text-yellow-400">${c.update}</td>
+            <td class="p-2 text-red-400">${c.delete}</td>
+            <td class="p-2 text-gray-400">${c.unchanged}</td>
+        </tr>
+    `).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-2xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-2">${t.restorePreviewTitle}</h2>
+            <p class="text-sm text-gray-400 mb-4">${t.backupCreatedAt} ${new Date(backup.createdAt).toLocaleString()} (${backup.createdBy || 'N/A'})</p>
+            <table class="w-full text-left text-sm mb-4">
+                <thead>
+                    <tr class="border-b border-gray-600">
+                        <th class="p-2">${t.colCollection}</th>
+                        <th class="p-2">${t.restoreCreate}</th>
+                        <th class="p-2">${t.restoreUpdate}</th>
+                        <th class="p-2">${t.restoreDelete}</th>
+                        <th class="p-2">${t.restoreUnchanged}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            ${preview.skipped.length > 0 ? `<p class="mb-2 text-gray-400">${t.restoreSkipped} ${preview.skipped.join(', ')}</p>` : ''}
+            <p class="mb-2 ${preview.configChanged ? 'text-yellow-400' : 'text-gray-400'}">${preview.configChanged ? t.restoreConfigChanged : t.restoreConfigUnchanged}</p>
+            <p class="mb-4 text-gray-400">${t.restoreSecretsKept}</p>
+            <p class="mb-6 text-red-400 font-bold">${t.restoreWarning}</p>
+            <div class="flex justify-end space-x-4">
+                <button id="cancel-restore-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnCancel}</button>
+                <button id="confirm-restore-btn" class="btn-danger py-2 px-4 rounded-lg">${t.restoreBtn}</button>
+            </div>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeRestorePreviewModal() {
+    const modal = document.getElementById('restore-preview-modal');
+    if (modal) modal.classList.add('hidden');
+    state.pendingRestore = null;
+}
+
+/**
+ * تحديث مؤشر الاتصال والمزامنة في الشريط العلوي.
+ * @param {object} status - حالة المزامنة من offline.getSyncStatus.
+ */
+export function renderSyncStatus(status) {
+    const indicator = document.getElementById('sync-status-indicator');
+    if (!indicator) return;
+    const t = translations[state.lang];
+    let text = '';
+    let colorClass = '';
+    if (status.isSyncing) {
+        text = t.syncingChanges;
+        colorClass = 'bg-blue-600';
+    } else if (status.conflictCount > 0) {
+        text = `${status.conflictCount} ${t.syncConflicts}`;
+        colorClass = 'bg-red-600';
+    } else if (!status.online) {
+        text = status.pendingCount > 0 ? `${t.offlineMode} / ${status.pendingCount} ${t.pendingChanges}` : t.offlineMode;
+        colorClass = 'bg-yellow-600';
+    } else if (status.pendingCount > 0) {
+        text = `${status.pendingCount} ${t.pendingChanges}`;
+        colorClass = 'bg-yellow-600';
+    }
+    indicator.textContent = text;
+    indicator.className = `py-1 px-3 rounded-full text-xs font-bold text-white ${colorClass}`;
+    indicator.classList.toggle('hidden', !text);
+}
+
+/**
+ * عرض التغييرات التي تمت بدون إنترنت ولم يتم تطبيقها بسبب تعديلات من جهاز آخر.
+ * @param {Array<{key: number, value: object}>} conflicts - التعارضات المحفوظة في IndexedDB.
+ */
+export function showSyncConflictsModal(conflicts) {
+    const modal = document.getElementById('sync-conflicts-modal');
+    if (!modal) return;
+    const t = translations[state.lang];
+    const conflictsHtml = conflicts.map(({ key, value: conflict }) => {
+        if (conflict.type === 'stock') {
+            const itemsHtml = conflict.items.map(i => `<li>${i.productName} (${i.color}/${i.size}): ${i.requested} / ${i.available}</li>`).join('');
+            return `
+                <div class="bg-gray-700 p-3 rounded-lg mb-3">
+                    <p class="font-bold text-red-400">${t.conflictStockNegative}</p>
+                    <p class="text-xs text-gray-400 mb-2">${new Date(conflict.queuedAt).toLocaleString()}</p>
+                    <ul class="text-sm list-disc list-inside mb-2">${itemsHtml}</ul>
+                    <div class="flex justify-end">
+                        <button class="resolve-conflict-btn btn-secondary py-1 px-3 rounded-lg text-sm" data-key="${key}" data-action="dismiss">${t.dismiss}</button>
+                    </div>
+                </div>`;
+        }
+        return `
+            <div class="bg-gray-700 p-3 rounded-lg mb-3">
+                <p class="font-bold text-yellow-400">${conflict.collName} / ${conflict.id}</p>
+                <p class="text-sm">${t.conflictDocumentChanged}</p>
+                <p class="text-xs text-gray-400 mb-2">${new Date(conflict.queuedAt).toLocaleString()}</p>
+                <div class="grid grid-cols-2 gap-2 text-xs mb-2">
+                    <pre class="bg-gray-800 p-2 rounded overflow-auto max-h-40">${conflict.mine ? JSON.stringify(conflict.mine, null, 2) : t.conflictDeleted}</pre>
+                    <pre class="bg-gray-800 p-2 rounded overflow-auto max-h-40">${conflict.server ? JSON.stringify(conflict.server, null, 2) : t.conflictDeleted}</pre>
+                </div>
+                <div class="flex justify-end space-x-2">
+                    <button class="resolve-conflict-btn btn-secondary py-1 px-3 rounded-lg text-sm" data-key="${key}" data-action="keep-server">${t.keepServer}</button>
+                    <button class="resolve-conflict-btn btn-primary py-1 px-3 rounded-lg text-sm" data-key="${key}" data-action="keep-mine">${t.keepMine}</button>
+                </div>
+            </div>`;
+    }).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-scrollable w-full max-w-3xl p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4">${t.syncConflictsTitle}</h2>
+            ${conflictsHtml}
+            <div class="flex justify-end mt-4">
+                <button id="close-sync-conflicts-btn" class="btn-secondary py-2 px-4 rounded-lg">${t.btnOK}</button>
+            </div>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+export function closeSyncConflictsModal() {
+    const modal = document.getElementById('sync-conflicts-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
 // [--- تعديل ---] دوال جديدة لصفحة اليوميات مع إضافة الفلتر
 function renderShiftsPage() {
     const page = document.getElementById('shifts-page');
@@ -2384,6 +3829,8 @@ function renderShiftsPage() {
     //     state.shiftDateFilter = new Date().toISOString().slice(0, 10);
     //     state.shiftDateFilter = currentDate;
     // }
+    const t = translations[state.lang];
+    const opening = state.shiftOpening;
 
     page.innerHTML = `
         <div class="flex justify-between items-center mb-6" >
@@ -2393,6 +3840,14 @@ function renderShiftsPage() {
                 <button id="calculate-shift-btn" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="calculateCurrentShift">Calculate Current Shift</button>
             </div>
         </div>
+        <div class="bg-secondary-bg p-4 rounded-lg shadow-md mb-6 flex justify-between items-center">
+            ${opening
+                ? `<p><span class="font-bold">${t.openingFloat}:</span> <span class="text-green-400">${opening.float.toFixed(2)} EGP</span>
+                    <span class="text-xs text-gray-400">(${t.openingFloatDeclaredBy} ${opening.declaredBy} - ${new Date(opening.declaredAt).toLocaleString()})</span>
+                    ${opening.history?.length ? `<span class="text-xs text-yellow-400">${t.openingFloatEdited} ${opening.history.map(h => `${h.float.toFixed(2)} (${h.declaredBy})`).join(', ')}</span>` : ''}</p>`
+                : `<p class="text-yellow-400">${t.openingFloatNotDeclared}</p>`}
+            <button id="declare-opening-float-btn" class="btn-secondary py-2 px-4 rounded-lg">${opening ? t.editOpeningFloat : t.declareOpeningFloat}</button>
+        </div>
         <div class="flex justify-between items-center mb-4">
              <h2 class="text-2xl font-bold" data-lang-key="filters">Filters</h2>
              <input type="date" id="shift-history-date-filter" class="p-2 rounded-lg bg-secondary-bg">
@@ -2512,9 +3967,36 @@ export function closeDailyExpenseModal() {
     document.getElementById('daily-expense-modal').classList.add('hidden');
 }
 
+export function showOpeningFloatModal() {
+    const modal = document.getElementById('opening-float-modal');
+    modal.innerHTML = `
+        <div class="modal-content w-full max-w-sm p-6 rounded-lg shadow-lg">
+            <h2 class="text-2xl font-bold mb-4" data-lang-key="declareOpeningFloat">Declare Opening Float</h2>
+            <form id="opening-float-form">
+                <div class="mb-4">
+                    <label for="opening-float-input" class="block mb-2" data-lang-key="openingFloat">Opening Float</label>
+                    <input type="number" id="opening-float-input" class="w-full p-2 rounded-lg" required min="0" step="0.01" value="${state.shiftOpening ? state.shiftOpening.float : ''}">
+                </div>
+                <div class="flex justify-end space-x-4">
+                    <button type="button" id="cancel-opening-float-btn" class="btn-secondary py-2 px-4 rounded-lg" data-lang-key="btnCancel">Cancel</button>
+                    <button type="submit" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="btnSave">Save</button>
+                </div>
+            </form>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+    document.getElementById('opening-float-input').focus();
+    updateUIText();
+}
+
+export function closeOpeningFloatModal() {
+    document.getElementById('opening-float-modal').classList.add('hidden');
+}
+
 export function showShiftCalculationModal(shiftData) {
     const modal = document.getElementById('shift-calculation-modal');
-    const { summary, sales, returns, expenses, startedAt, endedAt, endedBy, id, isCurrent } = shiftData;
+    const { summary, sales, returns, expenses, startedAt, endedAt, endedBy, id, isCurrent, reconciliation } = shiftData;
+    const cashCount = (reconciliation?.cashCount || []).filter(d => d.count > 0);
 
     const salesHtml = sales.length > 0 ? sales.map(s => `<li>${s.id}: ${s.totalAmount.toFixed(2)} EGP (${s.paymentMethod})</li>`).join('') : '<li>No sales in this shift.</li>';
     const returnsHtml = returns.length > 0 ? returns.map(r => `<li>${r.originalSaleId}: ${r.returnValue.toFixed(2)} EGP</li>`).join('') : '<li>No returns in this shift.</li>';
@@ -2544,14 +4026,25 @@ export function showShiftCalculationModal(shiftData) {
             </div>
 
             <div class="border-t border-gray-700 pt-4">
+                ${summary.openingFloat !== undefined ? `<p class="flex justify-between text-green-400"><span>${translations[state.lang].openingFloat}:</span> <span>+${summary.openingFloat.toFixed(2)} EGP</span></p>` : ''}
                 <p class="flex justify-between"><span>Total Sales:</span> <span>${summary.totalSales.toFixed(2)} EGP</span></p>
-                <p class="flex justify-between"><span> - Cash:</span> <span>${summary.totalCashSales.toFixed(2)} EGP</span></p>
-                <p class="flex justify-between"><span> - InstaPay:</span> <span>${summary.totalInstaPaySales.toFixed(2)} EGP</span></p>
-                <p class="flex justify-between"><span> - VCash:</span> <span>${summary.totalVCashSales.toFixed(2)} EGP</span></p>
+                ${TENDER_METHODS.map(method => `<p class="flex justify-between"><span> - ${translations[state.lang][method]}:</span> <span>${(summary[TENDER_SUMMARY_KEYS[method]] || 0).toFixed(2)} EGP</span></p>`).join('')}
+                ${summary.totalCodCash > 0 ? `<p class="flex justify-between text-red-400"><span> - ${translations[state.lang].codWithCourier}:</span> <span>-${summary.totalCodCash.toFixed(2)} EGP</span></p>` : ''}
+                ${summary.totalCourierReceipts ? `<p class="flex justify-between text-green-400"><span>${translations[state.lang].courierReceipts}:</span> <span>+${summary.totalCourierReceipts.toFixed(2)} EGP</span></p>` : ''}
+                ${summary.totalBookingPayments ? `<p class="flex justify-between text-green-400"><span>${translations[state.lang].shiftBookingPayments}:</span> <span>${summary.totalBookingPayments.toFixed(2)} EGP (${translations[state.lang].cash}: ${(summary.bookingCashPayments || 0).toFixed(2)})</span></p>` : ''}
                 <p class="flex justify-between text-red-400"><span>Total Returns:</span> <span>-${summary.totalReturnsValue.toFixed(2)} EGP</span></p>
+                ${summary.totalCreditRefunds > 0 ? `<p class="flex justify-between text-green-400"><span> - ${translations[state.lang].creditRefunds}:</span> <span>+${summary.totalCreditRefunds.toFixed(2)} EGP</span></p>` : ''}
+                ${summary.totalTax > 0 ? `<p class="flex justify-between text-purple-300"><span>${translations[state.lang].vatCollected}:</span> <span>${summary.totalTax.toFixed(2)} EGP</span></p>` : ''}
+                ${summary.totalNoReceiptRefunds > 0 ? `<p class="flex justify-between text-red-400"><span>${translations[state.lang].noReceiptCashRefunds}:</span> <span>-${summary.totalNoReceiptRefunds.toFixed(2)} EGP</span></p>` : ''}
                 <p class="flex justify-between text-red-400"><span>Daily Expenses:</span> <span>-${summary.totalDailyExpenses.toFixed(2)} EGP</span></p>
                 <p class="flex justify-between font-bold text-lg mt-2 border-t border-gray-600 pt-2" data-lang-key="expectedCash"><span>Expected in Drawer:</span> <span class="text-green-400">${summary.expectedInDrawer.toFixed(2)} EGP</span></p>
             </div>
+            ${cashCount.length > 0 ? `
+            <div class="border-t border-gray-700 pt-4 mt-4">
+                <h3 class="font-bold mb-2">${translations[state.lang].cashCount}</h3>
+                ${cashCount.map(d => `<p class="flex justify-between text-sm"><span>${d.value} EGP × ${d.count}</span> <span>${d.total.toFixed(2)} EGP</span></p>`).join('')}
+                <p class="flex justify-between font-bold mt-2"><span>${translations[state.lang].cashCountTotal}:</span> <span>${reconciliation.actual.toFixed(2)} EGP</span></p>
+            </div>` : ''}
 
             <div class="flex justify-end space-x-4 mt-6">
                 <button type="button" id="cancel-shift-calculation-btn" class="btn-secondary py-2 px-4 rounded-lg" data-lang-key="btnCancel">Close</button>
@@ -2569,15 +4062,28 @@ export function closeShiftCalculationModal() {
 
 export function showReconciliationModal(expectedAmount) {
     const modal = document.getElementById('reconciliation-modal');
+    const t = translations[state.lang];
+    modal.dataset.expected = expectedAmount;
     modal.innerHTML = `
-        <div class="modal-content w-full max-w-sm p-6 rounded-lg shadow-lg">
+        <div class="modal-content w-full max-w-md p-6 rounded-lg shadow-lg">
             <h2 class="text-2xl font-bold mb-4" data-lang-key="cashReconciliation">Cash Reconciliation</h2>
             <p class="mb-4">Expected amount in drawer: <strong class="text-green-400">${expectedAmount.toFixed(2)} EGP</strong></p>
             <form id="reconciliation-form">
-                <div class="mb-4">
-                    <label for="reconciliation-amount-input" class="block mb-2" data-lang-key="actualCash">Actual Amount in Drawer</label>
-                    <input type="number" id="reconciliation-amount-input" class="w-full p-2 rounded-lg" required min="0" step="0.01">
-                </div>
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-400"><th class="text-start p-1">${t.denomination}</th><th class="text-start p-1">${t.denominationCount}</th><th class="text-end p-1">EGP</th></tr>
+                    </thead>
+                    <tbody>
+                        ${CASH_DENOMINATIONS.map(value => `
+                        <tr>
+                            <td class="p-1 font-semibold">${value} EGP</td>
+                            <td class="p-1"><input type="number" class="cash-count-input w-24 p-1 rounded-lg" data-denomination="${value}" min="0" step="1"></td>
+                            <td class="p-1 text-end" id="cash-count-line-${value}">0.00</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                <p class="flex justify-between font-bold"><span>${t.actualCash}:</span> <span id="cash-count-total">0.00 EGP</span></p>
+                <p class="flex justify-between mb-4"><span>${t.difference}:</span> <span id="cash-count-difference">${(-expectedAmount).toFixed(2)} EGP</span></p>
                 <div class="flex justify-end space-x-4">
                     <button type="button" id="cancel-reconciliation-btn" class="btn-secondary py-2 px-4 rounded-lg" data-lang-key="btnCancel">Cancel</button>
                     <button type="submit" class="btn-primary py-2 px-4 rounded-lg" data-lang-key="confirmEndShift">Confirm & End Shift</button>
@@ -2586,10 +4092,25 @@ export function showReconciliationModal(expectedAmount) {
         </div>
     `;
     modal.classList.remove('hidden');
-    document.getElementById('reconciliation-amount-input').focus();
+    modal.querySelector('.cash-count-input').focus();
     updateUIText();
 }
 
+/**
+ * تحديث إجمالي عد الدرج والفرق عن المتوقع أثناء إدخال عدد كل فئة.
+ */
+export function updateCashCountTotal() {
+    const modal = document.getElementById('reconciliation-modal');
+    const counts = Object.fromEntries([...modal.querySelectorAll('.cash-count-input')].map(input => [input.dataset.denomination, input.value]));
+    const { denominations, total } = summarizeCashCount(counts);
+    denominations.forEach(d => { document.getElementById(`cash-count-line-${d.value}`).textContent = d.total.toFixed(2); });
+    const difference = total - parseFloat(modal.dataset.expected);
+    document.getElementById('cash-count-total').textContent = `${total.toFixed(2)} EGP`;
+    const differenceEl = document.getElementById('cash-count-difference');
+    differenceEl.textContent = `${difference.toFixed(2)} EGP`;
+    differenceEl.className = difference > 0 ? 'text-green-400' : (difference < 0 ? 'text-red-400' : '');
+}
+
 export function closeReconciliationModal() {
     document.getElementById('reconciliation-modal').classList.add('hidden');
 
@@ -5,9 +5,13 @@
  */
 
 // استيراد خدمات ودوال Firebase
-import { db, auth } from './firebase-init.js';
-import { collection, getDocs, doc, getDoc, query, where } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
-import { signInWithEmailAndPassword, updatePassword } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
+import { db, auth, functions } from './firebase-init.js';
+import { collection, getDocs, doc, getDoc, query, where, setDoc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js";
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-functions.js";
+import { state } from './state.js';
+import { ROLES, ROLE_LABELS, PERMISSIONS, getUserRole, resolvePermissionMatrix, hasPermission, loadRoleClaim } from './permissions.js';
+import { verifyAdminPassword, changeAdminPassword } from './admin-password.js';
 
 // --- DOM Element Selection ---
 const userListContainer = document.getElementById('user-list');
@@ -22,6 +26,13 @@ const errorMessage = document.getElementById('error-message');
 const notificationEl = document.getElementById('notification');
 const toggleAdminPasswordBtn = document.getElementById('toggle-admin-password');
 const toggleNewPasswordBtn = document.getElementById('toggle-new-password');
+const permissionsSection = document.getElementById('role-permissions-section');
+const permissionsHead = document.getElementById('role-permissions-head');
+const permissionsBody = document.getElementById('role-permissions-body');
+const savePermissionsBtn = document.getElementById('save-role-permissions-btn');
+const adminPasswordSection = document.getElementById('admin-password-section');
+const changeAdminPasswordForm = document.getElementById('change-admin-password-form');
+const changeAdminPasswordError = document.getElementById('change-admin-password-error');
 
 const eyeIcon = `
     <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
@@ -50,20 +61,51 @@ function showNotification(message, type = 'success') {
 }
 
 /**
- * Fetches user data from Firestore and renders it.
+ * Resolves once Firebase Auth has restored the signed-in user (null when signed out).
+ */
+function getSignedInUser() {
+    return new Promise(resolve => {
+        const unsubscribe = onAuthStateChanged(auth, user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+/**
+ * Loads the users and the saved permission matrix, and checks that the
+ * logged-in user is allowed to manage users before showing anything.
+ * The role comes from the ID token claim, not from the user's own document.
+ */
+async function loadAccessData() {
+    const user = await getSignedInUser();
+    if (!user) return false;
+    state.currentUser = { ...JSON.parse(sessionStorage.getItem('loggedInUser')), role: await loadRoleClaim(user) };
+    const usersSnapshot = await getDocs(collection(db, "users"));
+    state.users = usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const configDoc = await getDoc(doc(db, "app_config", "main"));
+    state.rolePermissions = configDoc.exists() ? (configDoc.data().rolePermissions || {}) : {};
+    return hasPermission('manageUsers');
+}
+
+/**
+ * Renders the users with a role selector for each one.
  */
 async function renderUserList() {
     if (!userListContainer) return;
     userListContainer.innerHTML = '<p class="text-gray-400">Loading users...</p>';
 
     try {
-        const usersRef = collection(db, "users");
-        const querySnapshot = await getDocs(usersRef);
-        const allUsers = querySnapshot.docs.map(doc => doc.data());
+        if (!(await loadAccessData())) {
+            userListContainer.innerHTML = '<p class="text-red-500">You do not have permission to manage users.</p>';
+            return;
+        }
+        const allUsers = state.users;
 
         if (allUsers.length > 0) {
             userListContainer.innerHTML = '';
             allUsers.forEach(user => {
+                const role = getUserRole(user);
                 const userItem = document.createElement('div');
                 userItem.className = 'flex justify-between items-center p-3 bg-gray-800 rounded-lg shadow-sm';
                 userItem.innerHTML = `
@@ -71,10 +113,17 @@ async function renderUserList() {
                         <span class="font-medium">${user.username}</span>
                         <span class="text-sm text-gray-400 ml-2">${user.employeeId || ''}</span>
                     </div>
-                    ${user.username !== 'BAZ' ? `<button class="edit-user-btn btn btn-secondary text-sm" data-username="${user.username}">Edit</button>` : ''}
+                    <div class="flex items-center space-x-2">
+                        <select class="user-role-select p-2 rounded-lg text-sm" data-user-id="${user.id}">
+                            ${ROLES.map(r => `<option value="${r}" ${r === role ? 'selected' : ''}>${ROLE_LABELS[r]}</option>`).join('')}
+                        </select>
+                        ${user.username !== 'BAZ' ? `<button class="edit-user-btn btn btn-secondary text-sm" data-username="${user.username}">Edit</button>` : ''}
+                    </div>
                 `;
                 userListContainer.appendChild(userItem);
             });
+            renderPermissionsMatrix();
+            adminPasswordSection.classList.remove('hidden');
         } else {
             userListContainer.innerHTML = '<p class="text-gray-400">No users found.</p>';
         }
@@ -84,6 +133,70 @@ async function renderUserList() {
     }
 }
 
+/**
+ * Renders the editable permission matrix. The owner column is fixed so nobody can lock the shop out.
+ */
+function renderPermissionsMatrix() {
+    const matrix = resolvePermissionMatrix(state.rolePermissions);
+    permissionsHead.innerHTML = `
+        <tr class="border-b border-gray-700">
+            <th class="p-2">Permission</th>
+            ${ROLES.map(role => `<th class="p-2 text-center">${ROLE_LABELS[role]}</th>`).join('')}
+        </tr>
+    `;
+    permissionsBody.innerHTML = Object.entries(PERMISSIONS).map(([permission, label]) => `
+        <tr class="border-b border-gray-800">
+            <td class="p-2">${label}</td>
+            ${ROLES.map(role => `
+                <td class="p-2 text-center">
+                    <input type="checkbox" class="role-permission-checkbox" data-role="${role}" data-permission="${permission}"
+                        ${matrix[role][permission] ? 'checked' : ''} ${role === 'owner' ? 'disabled' : ''}>
+                </td>
+            `).join('')}
+        </tr>
+    `).join('');
+    permissionsSection.classList.remove('hidden');
+}
+
+async function handleRoleChange(select) {
+    const user = state.users.find(u => u.id === select.dataset.userId);
+    if (!user) return;
+    const newRole = select.value;
+    const remainingOwners = state.users.filter(u => u.id !== user.id && getUserRole(u) === 'owner');
+    if (getUserRole(user) === 'owner' && newRole !== 'owner' && remainingOwners.length === 0) {
+        showNotification('At least one owner is required.', 'error');
+        select.value = 'owner';
+        return;
+    }
+    try {
+        // Roles are written by the setUserRole function only; Firestore rules reject role edits from the browser
+        await httpsCallable(functions, 'setUserRole')({ userId: user.id, role: newRole });
+        user.role = newRole;
+        showNotification(`${user.username} is now ${ROLE_LABELS[newRole]}.`);
+    } catch (error) {
+        console.error('Failed to update role:', error);
+        showNotification(error.message || 'Could not update the role.', 'error');
+        select.value = getUserRole(user);
+    }
+}
+
+async function handleSavePermissions() {
+    const rolePermissions = {};
+    permissionsBody.querySelectorAll('.role-permission-checkbox').forEach(checkbox => {
+        const { role, permission } = checkbox.dataset;
+        if (role === 'owner') return;
+        rolePermissions[role] = { ...rolePermissions[role], [permission]: checkbox.checked };
+    });
+    try {
+        await setDoc(doc(db, "app_config", "main"), { rolePermissions }, { merge: true });
+        state.rolePermissions = rolePermissions;
+        showNotification('Permissions saved successfully.');
+    } catch (error) {
+        console.error('Failed to save permissions:', error);
+        showNotification('Could not save permissions.', 'error');
+    }
+}
+
 function showModal(username) {
     usernameDisplay.textContent = username;
     usernameInput.value = username;
@@ -131,19 +244,12 @@ form.addEventListener('submit', async (e) => {
     errorMessage.classList.add('hidden');
 
     try {
-        // Step 1: Verify admin password from Firestore config
-        const configRef = doc(db, "app_config", "main");
-        const configDoc = await getDoc(configRef);
-        if (!configDoc.exists() || configDoc.data().adminPassword !== adminPassword) {
+        // Step 1: Verify the admin password against its stored hash
+        if (!(await verifyAdminPassword(adminPassword))) {
             throw new Error("Incorrect admin password.");
         }
 
-        // Step 2: Re-authenticate the admin user to perform sensitive operations
-        // We assume the admin user is 'BAZ'
-        const adminEmail = "BAZ@bazsport.com";
-        await signInWithEmailAndPassword(auth, adminEmail, adminPassword);
-
-        // Step 3: Find the user to update in Firestore to get their UID
+        // Step 2: Find the user to update in Firestore to get their UID
         const usersRef = collection(db, "users");
         const q = query(usersRef, where("username", "==", usernameToEdit));
         const userSnapshot = await getDocs(q);
@@ -165,6 +271,35 @@ form.addEventListener('submit', async (e) => {
     }
 });
 
+changeAdminPasswordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    changeAdminPasswordError.classList.add('hidden');
+    const oldPassword = document.getElementById('old-admin-password').value;
+    const newPassword = document.getElementById('new-admin-password').value;
+    const confirmPassword = document.getElementById('confirm-new-admin-password').value;
+
+    if (newPassword !== confirmPassword) {
+        changeAdminPasswordError.textContent = 'New passwords do not match.';
+        changeAdminPasswordError.classList.remove('hidden');
+        return;
+    }
+
+    const result = await changeAdminPassword(oldPassword, newPassword);
+    if (result.success) {
+        changeAdminPasswordForm.reset();
+        showNotification('Admin password changed successfully.');
+    } else {
+        changeAdminPasswordError.textContent = result.message;
+        changeAdminPasswordError.classList.remove('hidden');
+    }
+});
+
+userListContainer.addEventListener('change', (e) => {
+    if (e.target.classList.contains('user-role-select')) handleRoleChange(e.target);
+});
+
+savePermissionsBtn.addEventListener('click', handleSavePermissions);
+
 cancelBtn.addEventListener('click', closeModal);
 modal.addEventListener('click', (e) => {
     if (e.target === modal) closeModal();
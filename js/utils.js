@@ -14,20 +14,6 @@ export function generateUUID() {
     });
 }
 
-/**
- * يولد معرفًا يوميًا فريدًا بناءً على التاريخ الحالي.
- * @param {string} prefix - البادئة للمعرّف (مثل 'S' للمبيعات).
- * @param {Array} collection - المجموعة للتحقق من المعرّفات الموجودة.
- * @returns {string} معرّف يومي فريد.
- */
-export function getDailyId(prefix, collection) {
-    const now = new Date();
-    const date = now.toISOString().slice(0, 10);
-    const itemsOnDate = collection.filter(item => (item.createdAt || item.date || '').startsWith(date));
-    const nextId = itemsOnDate.length + 1;
-    return `${prefix}${date.replace(/-/g, '')}-${nextId}`;
-}
-
 /**
  * [--- إضافة ---]
  * دالة جديدة للحصول على تاريخ اليوم الحالي بالتنسيق الصحيح (YYYY-MM-DD).
@@ -56,6 +42,84 @@ export function getProductTotalQuantity(product) {
     }, 0);
 }
 
+// طرق الدفع المتاحة، ومفتاح إجمالي كل طريقة في ملخص التقارير والورديات
+export const TENDER_METHODS = ['cash', 'instaPay', 'vCash', 'card', 'storeCredit', 'loyaltyPoints'];
+export const TENDER_SUMMARY_KEYS = {
+    cash: 'totalCashSales',
+    instaPay: 'totalInstaPaySales',
+    vCash: 'totalVCashSales',
+    card: 'totalCardSales',
+    storeCredit: 'totalStoreCreditSales',
+    loyaltyPoints: 'totalPointsSales'
+};
+
+/**
+ * إرجاع طرق الدفع المستخدمة في عملية بيع.
+ * المبيعات القديمة تحتوي على paymentMethod واحد فقط، فتُعامل كأنها دُفعت بالكامل بهذه الطريقة.
+ * @param {object} sale - عملية البيع.
+ * @returns {Array<{method: string, amount: number}>}
+ */
+export function getSalePayments(sale) {
+    if (Array.isArray(sale.payments) && sale.payments.length > 0) return sale.payments;
+    return [{ method: sale.paymentMethod || 'cash', amount: sale.totalAmount }];
+}
+
+/**
+ * توزيع قيمة البيع (totalAmount) على طرق الدفع بنسبة ما تم تحصيله فعلاً بكل طريقة.
+ * الباقي (change) يُخصم من الكاش فقط لأنه الطريقة الوحيدة التي يُرد منها باقي.
+ * @param {object} sale - عملية البيع.
+ * @param {{excludeBookingPayments?: boolean}} [options] - استبعاد دفعات الحجز المنقولة للفاتورة (sale.bookingPayments)
+ *        لأنها حُسبت في ورديات استلامها، فيُوزع الباقي فقط على طرق دفع الفاتورة.
+ * @returns {object} - خريطة من طريقة الدفع إلى المبلغ.
+ */
+export function getSaleTenderTotals(sale, { excludeBookingPayments = false } = {}) {
+    const amount = excludeBookingPayments && sale.bookingPayments ? Math.max(0, sale.totalAmount - (sale.depositPaidOnBooking || 0)) : sale.totalAmount;
+    const applied = getSalePayments(sale).map(p => ({
+        method: p.method,
+        amount: p.method === 'cash' ? Math.max(0, p.amount - (sale.changeAmount || 0)) : p.amount
+    }));
+    const appliedTotal = applied.reduce((sum, p) => sum + p.amount, 0);
+    const totals = {};
+    applied.forEach(p => {
+        const share = appliedTotal > 0 ? p.amount / appliedTotal : 1 / applied.length;
+        totals[p.method] = (totals[p.method] || 0) + amount * share;
+    });
+    return totals;
+}
+
+/**
+ * جمع إجماليات طرق الدفع لمجموعة مبيعات بمفاتيح الملخص (totalCashSales, ...).
+ * @param {Array<object>} sales - المبيعات.
+ * @param {{excludeBookingPayments?: boolean}} [options] - كما في getSaleTenderTotals.
+ * @returns {object}
+ */
+export function summarizeTenders(sales, options = {}) {
+    const summary = Object.fromEntries(Object.values(TENDER_SUMMARY_KEYS).map(key => [key, 0]));
+    sales.forEach(sale => {
+        Object.entries(getSaleTenderTotals(sale, options)).forEach(([method, amount]) => {
+            const key = TENDER_SUMMARY_KEYS[method];
+            if (key) summary[key] += amount;
+        });
+    });
+    return summary;
+}
+
+// فئات النقدية في عد الدرج عند إغلاق الوردية (جنيه)
+export const CASH_DENOMINATIONS = [200, 100, 50, 20, 10, 5, 1];
+
+/**
+ * إجمالي عد الدرج بالفئات.
+ * @param {object} counts - خريطة من الفئة إلى عدد الورقات/العملات.
+ * @returns {{denominations: Array<{value: number, count: number, total: number}>, total: number}}
+ */
+export function summarizeCashCount(counts) {
+    const denominations = CASH_DENOMINATIONS.map(value => {
+        const count = Math.max(0, Math.floor(Number(counts[value]) || 0));
+        return { value, count, total: value * count };
+    });
+    return { denominations, total: denominations.reduce((sum, d) => sum + d.total, 0) };
+}
+
 /**
  * يعرض شاشة التحميل.
  */